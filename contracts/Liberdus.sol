@@ -19,7 +19,14 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         SetBridgeInCaller,
         SetBridgeInLimits,
         UpdateSigner,
-        DistributeTokens
+        DistributeTokens,
+        DistributeTokensBatch,
+        SetSupportedChain,
+        SetExecutionDelay,
+        AddSigner,
+        RemoveSigner,
+        SetRequiredSignatures,
+        SweepToTreasury
     }
 
     struct Operation {
@@ -30,11 +37,45 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         uint256 numSignatures;
         bool executed;
         uint256 deadline;
+        bool cancelled;
+        // Set when quorum is reached on a delayed operation type
+        uint256 executableAt;
         mapping(address => bool) signatures;
+        // Signers that approved cancelling the operation while it was queued,
+        // per time it was queued; approvals lapse when it leaves the queue
+        uint256 timesQueued;
+        mapping(uint256 => mapping(address => bool)) cancelApprovals;
     }
 
+    // Read-only copy of an Operation for getOperation, with the signature
+    // status of each current signer in the same order as `signers`
+    struct OperationView {
+        bytes32 operationId;
+        OperationType opType;
+        address target;
+        uint256 value;
+        bytes data;
+        uint256 numSignatures;
+        bool executed;
+        bool cancelled;
+        bool expired;
+        uint256 deadline;
+        uint256 executableAt;
+        address[] signers;
+        bool[] signed;
+    }
+
+    // Signers approve operations as EIP-712 typed data, so wallets can show
+    // what is being approved instead of an opaque hash
+    bytes32 public constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant OPERATION_TYPEHASH =
+        keccak256("Operation(bytes32 operationId,uint8 opType,address target,uint256 value,bytes data)");
+
     mapping(bytes32 => Operation) public operations;
     uint256 public operationCount;
+    // Operation ids in request order; operationIds[i] was request number i
+    bytes32[] private operationIds;
 
     bool public isPreLaunch = true;
     uint256 public lastMintTime;
@@ -42,14 +83,43 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
     uint256 public constant MAX_SUPPLY = 210_000_000 * 10**18;
     uint256 public constant MINT_AMOUNT = 3_000_000 * 10**18;
     uint256 public constant OPERATION_DEADLINE = 3 days;
+    uint256 public constant MAX_BATCH_SIZE = 200;
+    uint256 public constant MAX_EXECUTION_DELAY = 30 days;
+
+    // Time between quorum and execution, per operation type. Zero executes
+    // on the signature that reaches quorum.
+    mapping(OperationType => uint256) public executionDelays;
 
     address public bridgeInCaller;
     uint256 public maxBridgeInAmount = 10_000 * 10**18;
-    uint256 public bridgeInCooldown = 1 minutes;
-    uint256 public lastBridgeInTime;
+    // Total that may be bridged in during any bridgeInWindowDuration, measured
+    // as a rolling window. Amounts are tallied in buckets of 1/BRIDGE_IN_BUCKETS
+    // of the window; a bucket counts until a full window has passed since it
+    // ended, so every amount counts for at least one window after its mint.
+    uint256 public bridgeInWindowLimit = 100_000 * 10**18;
+    uint256 public bridgeInWindowDuration = 1 days;
+    uint256 public constant BRIDGE_IN_BUCKETS = 24;
+
+    struct BridgeInBucket {
+        uint64 end;
+        uint192 amount;
+    }
 
-    address[4] public signers;
-    uint256 public constant REQUIRED_SIGNATURES = 3;
+    // One spare slot, so the bucket being filled never overwrites one that
+    // still counts
+    BridgeInBucket[BRIDGE_IN_BUCKETS + 1] private bridgeInBuckets;
+    mapping(bytes32 => bool) private processedBridgeIns;
+    mapping(uint256 => bool) public supportedChains;
+
+    // Every change to the supply by its source; see getSupplyBreakdown
+    uint256 private totalMinted;
+    uint256 private totalBridgedIn;
+    uint256 private totalBridgedOut;
+    uint256 private totalBurned;
+
+    address[] public signers;
+    uint256 public requiredSignatures;
+    uint256 public constant MAX_SIGNERS = 20;
     uint256 public immutable chainId;
 
     // Defining events for the contract
@@ -72,6 +142,39 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         uint256 timestamp
     );
 
+    event SignatureRevoked(
+        bytes32 indexed operationId,
+        address indexed signer,
+        uint256 currentSignatures,
+        uint256 timestamp
+    );
+
+    event CancellationApproved(
+        bytes32 indexed operationId,
+        address indexed signer,
+        uint256 currentApprovals,
+        uint256 requiredApprovals,
+        uint256 timestamp
+    );
+
+    event OperationCancelled(
+        bytes32 indexed operationId,
+        address indexed cancelledBy,
+        uint256 timestamp
+    );
+
+    event OperationQueued(
+        bytes32 indexed operationId,
+        OperationType indexed opType,
+        uint256 executableAt
+    );
+
+    event OperationRequeued(
+        bytes32 indexed operationId,
+        uint256 currentSignatures,
+        uint256 deadline
+    );
+
     event OperationExecuted(
         bytes32 indexed operationId,
         OperationType indexed opType
@@ -107,7 +210,22 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
     event BridgeInLimitsUpdated(
         bytes32 indexed operationId,
         uint256 newMaxAmount,
-        uint256 newCooldown,
+        uint256 newWindowLimit,
+        uint256 newWindowDuration,
+        uint256 timestamp
+    );
+
+    event ExecutionDelayUpdated(
+        bytes32 indexed operationId,
+        OperationType indexed opType,
+        uint256 delay,
+        uint256 timestamp
+    );
+
+    event SupportedChainUpdated(
+        bytes32 indexed operationId,
+        uint256 indexed chainId,
+        bool supported,
         uint256 timestamp
     );
 
@@ -115,14 +233,14 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         address indexed from,
         uint256 amount,
         address indexed targetAddress,
-        uint256 indexed chainId,
+        uint256 indexed destinationChainId,
         uint256 timestamp
     );
 
     event BridgedIn(
         address indexed to,
         uint256 amount,
-        uint256 indexed chainId,
+        uint256 indexed sourceChainId,
         bytes32 indexed txId,
         uint256 timestamp
     );
@@ -134,6 +252,25 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         uint256 timestamp
     );
 
+    event SignerAdded(
+        bytes32 indexed operationId,
+        address indexed signer,
+        uint256 timestamp
+    );
+
+    event SignerRemoved(
+        bytes32 indexed operationId,
+        address indexed signer,
+        uint256 timestamp
+    );
+
+    event RequiredSignaturesUpdated(
+        bytes32 indexed operationId,
+        uint256 oldRequiredSignatures,
+        uint256 newRequiredSignatures,
+        uint256 timestamp
+    );
+
     event TokensDistributed(
         bytes32 indexed operationId,
         address indexed recipient,
@@ -141,6 +278,13 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         uint256 timestamp
     );
 
+    event TreasurySwept(
+        bytes32 indexed operationId,
+        address indexed treasury,
+        uint256 amount,
+        uint256 timestamp
+    );
+
     modifier onlySigner() {
         require(isSigner(msg.sender), "Not a signer");
         _;
@@ -151,7 +295,12 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         _;
     }
 
-    constructor(address[4] memory _signers, uint256 _chainId) ERC20("Liberdus", "LIB") Ownable(msg.sender) {
+    constructor(
+        address[] memory _signers,
+        uint256 _requiredSignatures,
+        uint256 _chainId
+    ) ERC20("Liberdus", "LIB") Ownable(msg.sender) {
+        require(_signers.length <= MAX_SIGNERS, "Too many signers");
         // Verify that all signer addresses are valid and unique
         for (uint i = 0; i < _signers.length; i++) {
             require(_signers[i] != address(0), "Invalid signer address");
@@ -159,9 +308,21 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
                 require(_signers[i] != _signers[j], "Duplicate signer address");
             }
         }
+        require(_requiredSignatures > 0, "Required signatures must be greater than zero");
+        require(_requiredSignatures <= _signers.length, "Required signatures exceed signer count");
 
         signers = _signers;
+        requiredSignatures = _requiredSignatures;
         chainId = _chainId;
+
+        executionDelays[OperationType.PostLaunch] = 2 days;
+        executionDelays[OperationType.UpdateSigner] = 2 days;
+        executionDelays[OperationType.SetBridgeInCaller] = 2 days;
+        executionDelays[OperationType.SetExecutionDelay] = 2 days;
+        executionDelays[OperationType.AddSigner] = 2 days;
+        executionDelays[OperationType.RemoveSigner] = 2 days;
+        executionDelays[OperationType.SetRequiredSignatures] = 2 days;
+        executionDelays[OperationType.SweepToTreasury] = 2 days;
     }
 
     function requestOperation(
@@ -172,16 +333,20 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
     ) public returns (bytes32) {
         require(isSigner(msg.sender) || owner() == msg.sender, "Not authorized to request operation");
 
-        if (opType == OperationType.UpdateSigner) {
-            address oldSigner = target;
-            address newSigner = address(uint160(value));
-            require(isSigner(oldSigner), "Old signer not found");
-            require(!isSigner(newSigner), "New signer already exists");
-            require(oldSigner != msg.sender, "Cannot request to replace self");
-        }
+        _validateRequest(opType, target, value, data);
 
         uint256 deadline = block.timestamp + OPERATION_DEADLINE;
-        bytes32 operationId = keccak256(abi.encodePacked(operationCount++, opType, target, value, data, chainId));
+        // Fixed-width encoding with data hashed, so no two requests can collide,
+        // and bound to this deployment so copies on one chain never share ids
+        bytes32 operationId = keccak256(abi.encode(
+            address(this),
+            block.chainid,
+            operationCount++,
+            opType,
+            target,
+            value,
+            keccak256(data)
+        ));
         Operation storage op = operations[operationId];
         op.opType = opType;
         op.target = target;
@@ -190,6 +355,7 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         op.executed = false;
         op.numSignatures = 0;
         op.deadline = deadline;
+        operationIds.push(operationId);
 
         emit OperationRequested(
             operationId,
@@ -204,48 +370,251 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         return operationId;
     }
 
+    // Rejects payloads that could never execute, so signers don't collect
+    // signatures for them. Checks that depend on state which can change before
+    // execution, like the contract balance, are left to the executors.
+    function _validateRequest(
+        OperationType opType,
+        address target,
+        uint256 value,
+        bytes memory data
+    ) internal view {
+        if (opType == OperationType.Mint ||
+            opType == OperationType.PostLaunch ||
+            opType == OperationType.Pause ||
+            opType == OperationType.Unpause) {
+            require(value == 0, "Unexpected value");
+            require(data.length == 0, "Unexpected data");
+        } else if (opType == OperationType.Burn) {
+            require(value > 0, "Cannot burn zero tokens");
+            require(data.length == 0, "Unexpected data");
+        } else if (opType == OperationType.SetBridgeInCaller) {
+            require(target != address(0), "Invalid bridge-in caller");
+            require(value == 0, "Unexpected value");
+            require(data.length == 0, "Unexpected data");
+        } else if (opType == OperationType.SetBridgeInLimits) {
+            require(data.length == 64, "Invalid data length");
+            (uint256 windowLimit, uint256 windowDuration) = abi.decode(data, (uint256, uint256));
+            require(value > 0, "Max amount must be greater than zero");
+            require(windowLimit >= value, "Window limit below max amount");
+            require(windowDuration > 0, "Window duration must be greater than zero");
+        } else if (opType == OperationType.UpdateSigner) {
+            address oldSigner = target;
+            require(value <= type(uint160).max, "Invalid signer address");
+            address newSigner = address(uint160(value));
+            require(newSigner != address(0), "Invalid signer address");
+            require(data.length == 0, "Unexpected data");
+            require(isSigner(oldSigner), "Old signer not found");
+            require(!isSigner(newSigner), "New signer already exists");
+            require(oldSigner != msg.sender, "Cannot request to replace self");
+        } else if (opType == OperationType.DistributeTokens) {
+            require(target != address(0), "Invalid recipient");
+            require(value > 0, "Cannot distribute zero tokens");
+            require(data.length == 0, "Unexpected data");
+        } else if (opType == OperationType.DistributeTokensBatch) {
+            (address[] memory recipients, uint256[] memory amounts) = abi.decode(data, (address[], uint256[]));
+            require(recipients.length > 0, "Empty batch");
+            require(recipients.length <= MAX_BATCH_SIZE, "Batch too large");
+            require(recipients.length == amounts.length, "Recipients and amounts length mismatch");
+            uint256 total = 0;
+            address previous = address(0);
+            for (uint i = 0; i < recipients.length; i++) {
+                require(recipients[i] > previous, "Recipients must be unique and in ascending order");
+                require(amounts[i] > 0, "Cannot distribute zero tokens");
+                previous = recipients[i];
+                total += amounts[i];
+            }
+            require(total == value, "Batch total does not match value");
+        } else if (opType == OperationType.SetSupportedChain) {
+            require(data.length == 32, "Invalid data length");
+            abi.decode(data, (bool));
+            require(value != 0, "Invalid chain ID");
+            require(value != chainId, "Cannot bridge to own chain");
+        } else if (opType == OperationType.SetExecutionDelay) {
+            require(data.length == 32, "Invalid data length");
+            require(abi.decode(data, (OperationType)) != OperationType.Pause, "Pause cannot be delayed");
+            require(value <= MAX_EXECUTION_DELAY, "Delay too long");
+        } else if (opType == OperationType.AddSigner) {
+            require(target != address(0), "Invalid signer address");
+            require(value == 0, "Unexpected value");
+            require(data.length == 0, "Unexpected data");
+            require(!isSigner(target), "New signer already exists");
+        } else if (opType == OperationType.RemoveSigner) {
+            require(value == 0, "Unexpected value");
+            require(data.length == 0, "Unexpected data");
+            require(isSigner(target), "Old signer not found");
+            require(target != msg.sender, "Cannot request to remove self");
+            require(signers.length - 1 >= requiredSignatures, "Removal would make quorum impossible");
+        } else if (opType == OperationType.SetRequiredSignatures) {
+            require(value > 0, "Required signatures must be greater than zero");
+            require(value <= signers.length, "Required signatures exceed signer count");
+            require(data.length == 0, "Unexpected data");
+        } else if (opType == OperationType.SweepToTreasury) {
+            require(target != address(0) && target != address(this), "Invalid treasury");
+            require(value == 0, "Unexpected value");
+            require(data.length == 0, "Unexpected data");
+        }
+    }
+
     function submitSignature(bytes32 operationId, bytes memory signature) public {
         require(isSigner(msg.sender), "Only signers can submit signatures");
         Operation storage op = operations[operationId];
         require(!op.executed, "Operation already executed");
+        require(!op.cancelled, "Operation cancelled");
         require(!op.signatures[msg.sender], "Signature already submitted");
+        _requeueBelowQuorum(operationId);
         require(block.timestamp <= op.deadline, "Operation deadline passed");
 
-        bytes32 messageHash = getOperationHash(operationId);
-        // Add Ethereum Signed Message prefix
-        bytes32 prefixedHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
-        address signer = ECDSA.recover(prefixedHash, signature);
+        address signer = ECDSA.recover(getOperationHash(operationId), signature);
 
         require(signer == msg.sender, "Signature signer must be message sender");
 
-        if (op.opType == OperationType.UpdateSigner) {
-            require(isSigner(signer) || signer == owner(), "Invalid signature for UpdateSigner");
+        _addSignature(operationId, signer);
+        _checkQuorum(operationId);
+    }
+
+    /// @notice Submits signatures collected from signers off-chain. Anyone may
+    /// relay them; each must recover to a distinct current signer that has not
+    /// signed yet. Executes the operation in the same call when it reaches
+    /// quorum and its type has no execution delay.
+    function submitSignatures(bytes32 operationId, bytes[] calldata signatures) public {
+        Operation storage op = operations[operationId];
+        require(op.deadline != 0, "Operation not found");
+        require(!op.executed, "Operation already executed");
+        require(!op.cancelled, "Operation cancelled");
+        _requeueBelowQuorum(operationId);
+        require(block.timestamp <= op.deadline, "Operation deadline passed");
+        require(signatures.length > 0, "No signatures");
+
+        bytes32 digest = getOperationHash(operationId);
+        for (uint i = 0; i < signatures.length; i++) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            require(!op.signatures[signer], "Signature already submitted");
+            _addSignature(operationId, signer);
+        }
+        _checkQuorum(operationId);
+    }
+
+    function _addSignature(bytes32 operationId, address signer) internal {
+        Operation storage op = operations[operationId];
+        require(isSigner(signer), "Invalid signature");
+        if (op.opType == OperationType.UpdateSigner || op.opType == OperationType.RemoveSigner) {
             require(signer != op.target, "Signer being replaced cannot approve");
+        }
+        require(op.executableAt == 0, "Enough signatures already");
+
+        op.signatures[signer] = true;
+        op.numSignatures = _countApprovals(op.signatures);
+
+        emit SignatureSubmitted(operationId, signer, op.numSignatures, requiredSignatures, block.timestamp);
+    }
+
+    // Executes an operation that has reached quorum, or queues it when its
+    // type has an execution delay
+    function _checkQuorum(bytes32 operationId) internal {
+        Operation storage op = operations[operationId];
+        if (op.numSignatures < requiredSignatures) {
+            return;
+        }
+        uint256 delay = executionDelays[op.opType];
+        if (delay == 0) {
+            _executeOperation(operationId);
         } else {
-            require(isSigner(signer), "Invalid signature");
+            op.executableAt = block.timestamp + delay;
+            emit OperationQueued(operationId, op.opType, op.executableAt);
         }
+    }
 
-        require(op.numSignatures < REQUIRED_SIGNATURES, "Enough signatures already");
+    // A queued operation whose signatures no longer reach quorum, e.g. because
+    // a signer was removed during the delay, goes back to pending with a fresh
+    // signing deadline, so it can be signed and queued again
+    function _requeueBelowQuorum(bytes32 operationId) internal returns (bool) {
+        Operation storage op = operations[operationId];
+        op.numSignatures = _countApprovals(op.signatures);
+        if (op.executableAt == 0 || op.numSignatures >= requiredSignatures) {
+            return false;
+        }
+        op.executableAt = 0;
+        op.deadline = block.timestamp + OPERATION_DEADLINE;
+        op.timesQueued++;
+        emit OperationRequeued(operationId, op.numSignatures, op.deadline);
+        return true;
+    }
 
-        op.signatures[signer] = true;
-        op.numSignatures++;
+    /// @notice Executes a queued operation once its delay has passed. Anyone
+    /// can call it; the signers already approved the operation. If signers
+    /// removed during the delay leave it short of quorum, it goes back to
+    /// pending instead.
+    function executeOperation(bytes32 operationId) public {
+        Operation storage op = operations[operationId];
+        require(op.executableAt != 0, "Operation not queued");
+        require(block.timestamp >= op.executableAt, "Execution delay not passed");
+        if (!_requeueBelowQuorum(operationId)) {
+            _executeOperation(operationId);
+        }
+    }
 
-        emit SignatureSubmitted(operationId, signer, op.numSignatures, REQUIRED_SIGNATURES, block.timestamp);
+    /// @notice Withdraws the caller's signature from an operation that has not
+    /// executed yet. The signer may sign again later while it is still open.
+    function revokeSignature(bytes32 operationId) public onlySigner {
+        Operation storage op = operations[operationId];
+        require(op.deadline != 0, "Operation not found");
+        require(!op.executed, "Operation already executed");
+        require(!op.cancelled, "Operation cancelled");
+        require(op.signatures[msg.sender], "Signature not submitted");
+
+        op.signatures[msg.sender] = false;
+        // A queued operation that drops below quorum goes back to pending
+        _requeueBelowQuorum(operationId);
+
+        emit SignatureRevoked(operationId, msg.sender, op.numSignatures, block.timestamp);
+    }
 
-        if (op.numSignatures == REQUIRED_SIGNATURES) {
-            executeOperation(operationId);
+    /// @notice Cancels an operation that has not executed, so it can never
+    /// execute. Any signer may cancel a pending operation, except the signer an
+    /// UpdateSigner operation would replace. A queued operation has reached
+    /// quorum, so cancelling it takes as many signers' approvals as executing it.
+    function cancelOperation(bytes32 operationId) public onlySigner {
+        Operation storage op = operations[operationId];
+        require(op.deadline != 0, "Operation not found");
+        require(!op.executed, "Operation already executed");
+        require(!op.cancelled, "Operation already cancelled");
+        if (op.opType == OperationType.UpdateSigner || op.opType == OperationType.RemoveSigner) {
+            require(msg.sender != op.target, "Signer being replaced cannot cancel");
+        }
+
+        _requeueBelowQuorum(operationId);
+        if (op.executableAt != 0) {
+            mapping(address => bool) storage cancelApprovals = op.cancelApprovals[op.timesQueued];
+            require(!cancelApprovals[msg.sender], "Cancellation already approved");
+            cancelApprovals[msg.sender] = true;
+            uint256 approvals = _countApprovals(cancelApprovals);
+            emit CancellationApproved(operationId, msg.sender, approvals, requiredSignatures, block.timestamp);
+            if (approvals < requiredSignatures) {
+                return;
+            }
         }
+
+        op.cancelled = true;
+
+        emit OperationCancelled(operationId, msg.sender, block.timestamp);
     }
 
-    function executeOperation(bytes32 operationId) internal nonReentrant {
+    function _executeOperation(bytes32 operationId) internal nonReentrant {
         Operation storage op = operations[operationId];
         require(!op.executed, "Operation already executed");
+        require(!op.cancelled, "Operation cancelled");
         
         // Mark as executed before making any external calls
         op.executed = true;
 
+        // The payload was checked by _validateRequest when it was requested;
+        // executors only recheck state that may have changed since
+
         if (op.opType == OperationType.DistributeTokens) {
             _executeDistribution(operationId);
+        } else if (op.opType == OperationType.DistributeTokensBatch) {
+            _executeBatchDistribution(operationId);
         } else if (op.opType == OperationType.UpdateSigner) {
             _executeUpdateSigner(operationId, op.target, address(uint160(op.value)));
         } else if (op.opType == OperationType.Mint) {
@@ -261,7 +630,20 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         } else if (op.opType == OperationType.SetBridgeInCaller) {
             _executeSetBridgeInCaller(operationId, op.target);
         } else if (op.opType == OperationType.SetBridgeInLimits) {
-            _executeSetBridgeInLimits(operationId, op.value, abi.decode(op.data, (uint256)));
+            (uint256 windowLimit, uint256 windowDuration) = abi.decode(op.data, (uint256, uint256));
+            _executeSetBridgeInLimits(operationId, op.value, windowLimit, windowDuration);
+        } else if (op.opType == OperationType.SetSupportedChain) {
+            _executeSetSupportedChain(operationId, op.value, abi.decode(op.data, (bool)));
+        } else if (op.opType == OperationType.SetExecutionDelay) {
+            _executeSetExecutionDelay(operationId, abi.decode(op.data, (OperationType)), op.value);
+        } else if (op.opType == OperationType.AddSigner) {
+            _executeAddSigner(operationId, op.target);
+        } else if (op.opType == OperationType.RemoveSigner) {
+            _executeRemoveSigner(operationId, op.target);
+        } else if (op.opType == OperationType.SetRequiredSignatures) {
+            _executeSetRequiredSignatures(operationId, op.value);
+        } else if (op.opType == OperationType.SweepToTreasury) {
+            _executeSweepToTreasury(operationId, op.target);
         } else {
             revert("Unknown operation type");
         }
@@ -271,7 +653,6 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
 
     function _executeDistribution(bytes32 operationId) internal {
         Operation storage op = operations[operationId];
-        require(op.value > 0, "Cannot distribute zero tokens");
         require(balanceOf(address(this)) >= op.value, "Insufficient contract balance");
 
         _transfer(address(this), op.target, op.value);
@@ -284,6 +665,20 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         );
     }
 
+    // data is abi.encode(address[] recipients, uint256[] amounts) and value is the
+    // batch total. Recipients must be strictly ascending, which rules out
+    // duplicates without an O(n^2) scan; _validateRequest checks all of that.
+    function _executeBatchDistribution(bytes32 operationId) internal {
+        Operation storage op = operations[operationId];
+        (address[] memory recipients, uint256[] memory amounts) = abi.decode(op.data, (address[], uint256[]));
+        require(balanceOf(address(this)) >= op.value, "Insufficient contract balance");
+
+        for (uint i = 0; i < recipients.length; i++) {
+            _transfer(address(this), recipients[i], amounts[i]);
+            emit TokensDistributed(operationId, recipients[i], amounts[i], block.timestamp);
+        }
+    }
+
     function _executeMint(bytes32 operationId) internal {
         if (lastMintTime != 0) {
             require(block.timestamp >= lastMintTime + MINT_INTERVAL, "Mint interval not reached");
@@ -293,6 +688,7 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
 
         // Mint to contract address instead of target
         _mint(address(this), MINT_AMOUNT);
+        totalMinted += MINT_AMOUNT;
         lastMintTime = block.timestamp;
 
         emit MintExecuted(
@@ -304,12 +700,12 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         );
     }
 
+    // Allowed after launch too, so tokens never allocated can be retired
     function _executeBurn(bytes32 operationId, uint256 amount) internal {
-        require(amount > 0, "Cannot burn zero tokens");
         require(balanceOf(address(this)) >= amount, "Insufficient contract balance to burn");
-        require(isPreLaunch, "Burn is not available in after-launch");
 
         _burn(address(this), amount);  // Burn from contract's balance
+        totalBurned += amount;
 
         emit BurnExecuted(
             operationId,
@@ -319,6 +715,15 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         );
     }
 
+    // Moves whatever the contract still holds to the treasury once launched
+    function _executeSweepToTreasury(bytes32 operationId, address treasury) internal {
+        require(!isPreLaunch, "Sweep is only available post-launch");
+        uint256 amount = balanceOf(address(this));
+        require(amount > 0, "Nothing to sweep");
+        _transfer(address(this), treasury, amount);
+        emit TreasurySwept(operationId, treasury, amount, block.timestamp);
+    }
+
     function _executePostLaunch(bytes32 operationId) internal {
         require(isPreLaunch, "Already in post-launch mode");
         isPreLaunch = false;
@@ -330,7 +735,6 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
     }
 
     function _executeSetBridgeInCaller(bytes32 operationId, address newCaller) internal {
-        require(newCaller != address(0), "Invalid bridge-in caller");
         require(newCaller != bridgeInCaller, "Bridge-in caller already set");
         bridgeInCaller = newCaller;
         emit BridgeInCallerUpdated(
@@ -340,15 +744,43 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         );
     }
 
-    function _executeSetBridgeInLimits(bytes32 operationId, uint256 newMaxAmount, uint256 newCooldown) internal {
-        require(newMaxAmount > 0, "Max amount must be greater than zero");
-        require(newCooldown > 0, "Cooldown must be greater than zero");
+    function _executeSetBridgeInLimits(
+        bytes32 operationId,
+        uint256 newMaxAmount,
+        uint256 newWindowLimit,
+        uint256 newWindowDuration
+    ) internal {
         maxBridgeInAmount = newMaxAmount;
-        bridgeInCooldown = newCooldown;
+        bridgeInWindowLimit = newWindowLimit;
+        bridgeInWindowDuration = newWindowDuration;
         emit BridgeInLimitsUpdated(
             operationId,
             newMaxAmount,
-            newCooldown,
+            newWindowLimit,
+            newWindowDuration,
+            block.timestamp
+        );
+    }
+
+    // value is the delay and data is abi.encode(uint8 opType). Pause always
+    // executes immediately so the signers can stop the token without waiting.
+    function _executeSetExecutionDelay(bytes32 operationId, OperationType opType, uint256 delay) internal {
+        executionDelays[opType] = delay;
+        emit ExecutionDelayUpdated(
+            operationId,
+            opType,
+            delay,
+            block.timestamp
+        );
+    }
+
+    function _executeSetSupportedChain(bytes32 operationId, uint256 peerChainId, bool supported) internal {
+        require(supportedChains[peerChainId] != supported, "Chain support unchanged");
+        supportedChains[peerChainId] = supported;
+        emit SupportedChainUpdated(
+            operationId,
+            peerChainId,
+            supported,
             block.timestamp
         );
     }
@@ -371,25 +803,108 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         );
     }
 
-    function bridgeOut(uint256 amount, address targetAddress, uint256 _chainId) public whenNotPaused {
+    function _executeAddSigner(bytes32 operationId, address newSigner) internal {
+        require(!isSigner(newSigner), "New signer already exists");
+        require(signers.length < MAX_SIGNERS, "Too many signers");
+        signers.push(newSigner);
+        emit SignerAdded(operationId, newSigner, block.timestamp);
+    }
+
+    function _executeRemoveSigner(bytes32 operationId, address oldSigner) internal {
+        require(isSigner(oldSigner), "Old signer not found");
+        require(signers.length - 1 >= requiredSignatures, "Removal would make quorum impossible");
+        // Keeps the order of the remaining signers
+        uint i = 0;
+        while (signers[i] != oldSigner) {
+            i++;
+        }
+        for (; i < signers.length - 1; i++) {
+            signers[i] = signers[i + 1];
+        }
+        signers.pop();
+        emit SignerRemoved(operationId, oldSigner, block.timestamp);
+    }
+
+    function _executeSetRequiredSignatures(bytes32 operationId, uint256 newRequiredSignatures) internal {
+        require(newRequiredSignatures <= signers.length, "Required signatures exceed signer count");
+        require(newRequiredSignatures != requiredSignatures, "Required signatures unchanged");
+        uint256 oldRequiredSignatures = requiredSignatures;
+        requiredSignatures = newRequiredSignatures;
+        emit RequiredSignaturesUpdated(
+            operationId,
+            oldRequiredSignatures,
+            newRequiredSignatures,
+            block.timestamp
+        );
+    }
+
+    function bridgeOut(uint256 amount, address targetAddress, uint256 destinationChainId) public whenNotPaused {
         require(!isPreLaunch, "Bridge out not available in pre-launch");
-        require(_chainId == chainId, "Invalid chain ID");
+        require(supportedChains[destinationChainId], "Unsupported destination chain");
         require(amount > 0, "Cannot bridge out zero tokens");
         require(amount <= balanceOf(msg.sender), "Insufficient balance");
         _burn(msg.sender, amount);
-        emit BridgedOut(msg.sender, amount, targetAddress, _chainId, block.timestamp);
+        totalBridgedOut += amount;
+        emit BridgedOut(msg.sender, amount, targetAddress, destinationChainId, block.timestamp);
     }
 
-    function bridgeIn(address to, uint256 amount, uint256 _chainId, bytes32 txId) public onlyBridgeInCaller whenNotPaused {
+    function bridgeIn(address to, uint256 amount, uint256 sourceChainId, bytes32 txId) public onlyBridgeInCaller whenNotPaused {
         require(!isPreLaunch, "Bridge in not available in pre-launch");
-        require(_chainId == chainId, "Invalid chain ID");
+        require(supportedChains[sourceChainId], "Unsupported source chain");
         require(amount > 0, "Cannot bridge in zero tokens");
         require(amount <= maxBridgeInAmount, "Amount exceeds bridge-in limit");
-        require(block.timestamp >= lastBridgeInTime + bridgeInCooldown, "Bridge-in cooldown not met");
+        require(txId != bytes32(0), "Invalid txId");
+        require(!processedBridgeIns[txId], "Bridge-in txId already processed");
 
+        (uint256 remaining, ) = getBridgeInCapacity();
+        require(amount <= remaining, "Bridge-in window limit exceeded");
+        _recordBridgeIn(amount);
+
+        processedBridgeIns[txId] = true;
         _mint(to, amount);
-        lastBridgeInTime = block.timestamp;
-        emit BridgedIn(to, amount, _chainId, txId, block.timestamp);
+        totalBridgedIn += amount;
+        emit BridgedIn(to, amount, sourceChainId, txId, block.timestamp);
+    }
+
+    function _recordBridgeIn(uint256 amount) internal {
+        uint256 size = (bridgeInWindowDuration + BRIDGE_IN_BUCKETS - 1) / BRIDGE_IN_BUCKETS;
+        uint256 end = (block.timestamp / size + 1) * size;
+        BridgeInBucket storage bucket = bridgeInBuckets[(block.timestamp / size) % (BRIDGE_IN_BUCKETS + 1)];
+        if (bucket.end != end && bucket.end + bridgeInWindowDuration <= block.timestamp) {
+            bucket.amount = 0;
+        }
+        // A bucket that still counts but was sized for a different window
+        // duration is folded in, which only makes it count for longer
+        if (bucket.end < end) {
+            bucket.end = uint64(end);
+        }
+        bucket.amount += uint192(amount);
+    }
+
+    /// @notice Supply changes by source. minted + bridgedIn - bridgedOut - burned
+    /// always equals totalSupply(); unallocated is what the contract still holds.
+    function getSupplyBreakdown() public view returns (
+        uint256 minted,
+        uint256 bridgedIn,
+        uint256 bridgedOut,
+        uint256 burned,
+        uint256 unallocated
+    ) {
+        return (totalMinted, totalBridgedIn, totalBridgedOut, totalBurned, balanceOf(address(this)));
+    }
+
+    function getSigners() public view returns (address[] memory) {
+        return signers;
+    }
+
+    // Only approvals from current signers count, so a removed or replaced
+    // signer's earlier signatures drop out of every open operation
+    function _countApprovals(mapping(address => bool) storage approvals) internal view returns (uint256 count) {
+        for (uint i = 0; i < signers.length; i++) {
+            if (approvals[signers[i]]) {
+                count++;
+            }
+        }
     }
 
     function isSigner(address account) public view returns (bool) {
@@ -402,9 +917,31 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
     }
 
     // --------- HELPER FUNCTIONS ---------
+    /// @notice EIP-712 digest a signer signs to approve an operation. The
+    /// domain binds it to this contract and the chain it is deployed on.
     function getOperationHash(bytes32 operationId) public view returns (bytes32) {
         Operation storage op = operations[operationId];
-        return keccak256(abi.encodePacked(operationId, op.opType, op.target, op.value, op.data, chainId));
+        bytes32 structHash = keccak256(abi.encode(
+            OPERATION_TYPEHASH,
+            operationId,
+            op.opType,
+            op.target,
+            op.value,
+            keccak256(op.data)
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+    }
+
+    // Computed on every call rather than cached, so it always reflects the
+    // chain the contract is running on
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes(name())),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
     }
 
     // Override transfer function to check for pause
@@ -429,8 +966,81 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         return MAX_SUPPLY - totalSupply();
     }
 
+    /// @notice Amount that can be bridged in now without exceeding the rolling
+    /// window limit, and the next time an earlier bridge-in stops counting and
+    /// capacity grows. increasesAt is 0 when nothing counts against the window.
+    function getBridgeInCapacity() public view returns (uint256 remaining, uint256 increasesAt) {
+        uint256 used;
+        for (uint i = 0; i <= BRIDGE_IN_BUCKETS; i++) {
+            BridgeInBucket storage bucket = bridgeInBuckets[i];
+            uint256 expiresAt = bucket.end + bridgeInWindowDuration;
+            if (bucket.amount == 0 || expiresAt <= block.timestamp) {
+                continue;
+            }
+            used += bucket.amount;
+            if (increasesAt == 0 || expiresAt < increasesAt) {
+                increasesAt = expiresAt;
+            }
+        }
+        remaining = used >= bridgeInWindowLimit ? 0 : bridgeInWindowLimit - used;
+    }
+
+    function isBridgeInProcessed(bytes32 txId) public view returns (bool) {
+        return processedBridgeIns[txId];
+    }
+
+    // The deadline only limits signature collection; a queued operation
+    // stays executable after it
     function isOperationExpired(bytes32 operationId) public view returns (bool) {
-        return block.timestamp > operations[operationId].deadline;
+        Operation storage op = operations[operationId];
+        return op.executableAt == 0 && block.timestamp > op.deadline;
+    }
+
+    function hasSigned(bytes32 operationId, address signer) public view returns (bool) {
+        return operations[operationId].signatures[signer];
+    }
+
+    /// @notice Full state of an operation, including which of the current
+    /// signers have signed it. Reverts for an unknown operationId.
+    function getOperation(bytes32 operationId) public view returns (OperationView memory view_) {
+        Operation storage op = operations[operationId];
+        require(op.deadline != 0, "Operation not found");
+
+        view_.operationId = operationId;
+        view_.opType = op.opType;
+        view_.target = op.target;
+        view_.value = op.value;
+        view_.data = op.data;
+        view_.numSignatures = _countApprovals(op.signatures);
+        view_.executed = op.executed;
+        view_.cancelled = op.cancelled;
+        view_.expired = !op.executed && !op.cancelled && op.executableAt == 0 && block.timestamp > op.deadline;
+        view_.deadline = op.deadline;
+        view_.executableAt = op.executableAt;
+        view_.signers = new address[](signers.length);
+        view_.signed = new bool[](signers.length);
+        for (uint i = 0; i < signers.length; i++) {
+            view_.signers[i] = signers[i];
+            view_.signed[i] = op.signatures[signers[i]];
+        }
+    }
+
+    function getOperationIdAt(uint256 index) public view returns (bytes32) {
+        require(index < operationIds.length, "Index out of range");
+        return operationIds[index];
+    }
+
+    /// @notice Up to `limit` operation ids in request order, starting at
+    /// `offset`. Returns fewer once the end of the list is reached.
+    function getOperationIds(uint256 offset, uint256 limit) public view returns (bytes32[] memory ids) {
+        if (offset >= operationIds.length) {
+            return ids;
+        }
+        uint256 count = operationIds.length - offset < limit ? operationIds.length - offset : limit;
+        ids = new bytes32[](count);
+        for (uint i = 0; i < count; i++) {
+            ids[i] = operationIds[offset + i];
+        }
     }
 
     /// @dev Overrides the _update function to add pause functionality to all token movements.
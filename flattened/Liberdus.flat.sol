@@ -1,146 +1,152 @@
-// Sources flattened with hardhat v2.22.13 https://hardhat.org
+// Sources flattened with scripts/flatten.js from contracts/Liberdus.sol
 
 // SPDX-License-Identifier: MIT
-
-// File @openzeppelin/contracts/utils/Context.sol@v5.1.0
-
-// Original license: SPDX_License_Identifier: MIT
-// OpenZeppelin Contracts (last updated v5.0.1) (utils/Context.sol)
-
+pragma solidity >=0.4.16;
+pragma solidity >=0.6.2;
 pragma solidity ^0.8.20;
+pragma solidity >=0.8.4;
 
-/**
- * @dev Provides information about the current execution context, including the
- * sender of the transaction and its data. While these are generally available
- * via msg.sender and msg.data, they should not be accessed in such a direct
- * manner, since when dealing with meta-transactions the account sending and
- * paying for execution may not be the actual sender (as far as an application
- * is concerned).
- *
- * This contract is only required for intermediate, library-like contracts.
- */
-abstract contract Context {
-    function _msgSender() internal view virtual returns (address) {
-        return msg.sender;
-    }
-
-    function _msgData() internal view virtual returns (bytes calldata) {
-        return msg.data;
-    }
-
-    function _contextSuffixLength() internal view virtual returns (uint256) {
-        return 0;
-    }
-}
-
-
-// File @openzeppelin/contracts/access/Ownable.sol@v5.1.0
+// File @openzeppelin/contracts/token/ERC20/IERC20.sol@v5.7.0
 
 // Original license: SPDX_License_Identifier: MIT
-// OpenZeppelin Contracts (last updated v5.0.0) (access/Ownable.sol)
-
-pragma solidity ^0.8.20;
+// OpenZeppelin Contracts (last updated v5.4.0) (token/ERC20/IERC20.sol)
 
 /**
- * @dev Contract module which provides a basic access control mechanism, where
- * there is an account (an owner) that can be granted exclusive access to
- * specific functions.
- *
- * The initial owner is set to the address provided by the deployer. This can
- * later be changed with {transferOwnership}.
- *
- * This module is used through inheritance. It will make available the modifier
- * `onlyOwner`, which can be applied to your functions to restrict their use to
- * the owner.
+ * @dev Interface of the ERC-20 standard as defined in the ERC.
  */
-abstract contract Ownable is Context {
-    address private _owner;
-
+interface IERC20 {
     /**
-     * @dev The caller account is not authorized to perform an operation.
+     * @dev Emitted when `value` tokens are moved from one account (`from`) to
+     * another (`to`).
+     *
+     * Note that `value` may be zero.
      */
-    error OwnableUnauthorizedAccount(address account);
+    event Transfer(address indexed from, address indexed to, uint256 value);
 
     /**
-     * @dev The owner is not a valid owner account. (eg. `address(0)`)
+     * @dev Emitted when the allowance of a `spender` for an `owner` is set by
+     * a call to {approve}. `value` is the new allowance.
      */
-    error OwnableInvalidOwner(address owner);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
 
-    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    /**
+     * @dev Returns the value of tokens in existence.
+     */
+    function totalSupply() external view returns (uint256);
 
     /**
-     * @dev Initializes the contract setting the address provided by the deployer as the initial owner.
+     * @dev Returns the value of tokens owned by `account`.
      */
-    constructor(address initialOwner) {
-        if (initialOwner == address(0)) {
-            revert OwnableInvalidOwner(address(0));
-        }
-        _transferOwnership(initialOwner);
-    }
+    function balanceOf(address account) external view returns (uint256);
 
     /**
-     * @dev Throws if called by any account other than the owner.
+     * @dev Moves a `value` amount of tokens from the caller's account to `to`.
+     *
+     * Returns a boolean value indicating whether the operation succeeded.
+     *
+     * Emits a {Transfer} event.
      */
-    modifier onlyOwner() {
-        _checkOwner();
-        _;
-    }
+    function transfer(address to, uint256 value) external returns (bool);
 
     /**
-     * @dev Returns the address of the current owner.
+     * @dev Returns the remaining number of tokens that `spender` will be
+     * allowed to spend on behalf of `owner` through {transferFrom}. This is
+     * zero by default.
+     *
+     * This value changes when {approve} or {transferFrom} are called.
      */
-    function owner() public view virtual returns (address) {
-        return _owner;
-    }
+    function allowance(address owner, address spender) external view returns (uint256);
 
     /**
-     * @dev Throws if the sender is not the owner.
+     * @dev Sets a `value` amount of tokens as the allowance of `spender` over the
+     * caller's tokens.
+     *
+     * Returns a boolean value indicating whether the operation succeeded.
+     *
+     * IMPORTANT: Beware that changing an allowance with this method brings the risk
+     * that someone may use both the old and the new allowance by unfortunate
+     * transaction ordering. One possible solution to mitigate this race
+     * condition is to first reduce the spender's allowance to 0 and set the
+     * desired value afterwards:
+     * https://github.com/ethereum/EIPs/issues/20#issuecomment-263524729
+     *
+     * Emits an {Approval} event.
      */
-    function _checkOwner() internal view virtual {
-        if (owner() != _msgSender()) {
-            revert OwnableUnauthorizedAccount(_msgSender());
-        }
-    }
+    function approve(address spender, uint256 value) external returns (bool);
 
     /**
-     * @dev Leaves the contract without owner. It will not be possible to call
-     * `onlyOwner` functions. Can only be called by the current owner.
+     * @dev Moves a `value` amount of tokens from `from` to `to` using the
+     * allowance mechanism. `value` is then deducted from the caller's
+     * allowance.
      *
-     * NOTE: Renouncing ownership will leave the contract without an owner,
-     * thereby disabling any functionality that is only available to the owner.
+     * Returns a boolean value indicating whether the operation succeeded.
+     *
+     * Emits a {Transfer} event.
      */
-    function renounceOwnership() public virtual onlyOwner {
-        _transferOwnership(address(0));
-    }
+    function transferFrom(address from, address to, uint256 value) external returns (bool);
+}
+
+
+// File @openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol@v5.7.0
+
+// Original license: SPDX_License_Identifier: MIT
+// OpenZeppelin Contracts (last updated v5.4.0) (token/ERC20/extensions/IERC20Metadata.sol)
 
+/**
+ * @dev Interface for the optional metadata functions from the ERC-20 standard.
+ */
+interface IERC20Metadata is IERC20 {
     /**
-     * @dev Transfers ownership of the contract to a new account (`newOwner`).
-     * Can only be called by the current owner.
+     * @dev Returns the name of the token.
      */
-    function transferOwnership(address newOwner) public virtual onlyOwner {
-        if (newOwner == address(0)) {
-            revert OwnableInvalidOwner(address(0));
-        }
-        _transferOwnership(newOwner);
-    }
+    function name() external view returns (string memory);
 
     /**
-     * @dev Transfers ownership of the contract to a new account (`newOwner`).
-     * Internal function without access restriction.
+     * @dev Returns the symbol of the token.
      */
-    function _transferOwnership(address newOwner) internal virtual {
-        address oldOwner = _owner;
-        _owner = newOwner;
-        emit OwnershipTransferred(oldOwner, newOwner);
+    function symbol() external view returns (string memory);
+
+    /**
+     * @dev Returns the decimals places of the token.
+     */
+    function decimals() external view returns (uint8);
+}
+
+
+// File @openzeppelin/contracts/utils/Context.sol@v5.7.0
+
+// Original license: SPDX_License_Identifier: MIT
+// OpenZeppelin Contracts (last updated v5.0.1) (utils/Context.sol)
+
+/**
+ * @dev Provides information about the current execution context, including the
+ * sender of the transaction and its data. While these are generally available
+ * via msg.sender and msg.data, they should not be accessed in such a direct
+ * manner, since when dealing with meta-transactions the account sending and
+ * paying for execution may not be the actual sender (as far as an application
+ * is concerned).
+ *
+ * This contract is only required for intermediate, library-like contracts.
+ */
+abstract contract Context {
+    function _msgSender() internal view virtual returns (address) {
+        return msg.sender;
+    }
+
+    function _msgData() internal view virtual returns (bytes calldata) {
+        return msg.data;
+    }
+
+    function _contextSuffixLength() internal view virtual returns (uint256) {
+        return 0;
     }
 }
 
 
-// File @openzeppelin/contracts/interfaces/draft-IERC6093.sol@v5.1.0
+// File @openzeppelin/contracts/interfaces/draft-IERC6093.sol@v5.7.0
 
 // Original license: SPDX_License_Identifier: MIT
-// OpenZeppelin Contracts (last updated v5.1.0) (interfaces/draft-IERC6093.sol)
-pragma solidity ^0.8.20;
+// OpenZeppelin Contracts (last updated v5.5.0) (interfaces/draft-IERC6093.sol)
 
 /**
  * @dev Standard ERC-20 Errors
@@ -194,7 +200,7 @@ interface IERC20Errors {
  */
 interface IERC721Errors {
     /**
-     * @dev Indicates that an address can't be an owner. For example, `address(0)` is a forbidden owner in ERC-20.
+     * @dev Indicates that an address can't be an owner. For example, `address(0)` is a forbidden owner in ERC-721.
      * Used in balance queries.
      * @param owner Address of the current owner of a token.
      */
@@ -298,129 +304,13 @@ interface IERC1155Errors {
      * @param valuesLength Length of the array of token amounts
      */
     error ERC1155InvalidArrayLength(uint256 idsLength, uint256 valuesLength);
-}
-
-
-// File @openzeppelin/contracts/token/ERC20/IERC20.sol@v5.1.0
-
-// Original license: SPDX_License_Identifier: MIT
-// OpenZeppelin Contracts (last updated v5.1.0) (token/ERC20/IERC20.sol)
-
-pragma solidity ^0.8.20;
-
-/**
- * @dev Interface of the ERC-20 standard as defined in the ERC.
- */
-interface IERC20 {
-    /**
-     * @dev Emitted when `value` tokens are moved from one account (`from`) to
-     * another (`to`).
-     *
-     * Note that `value` may be zero.
-     */
-    event Transfer(address indexed from, address indexed to, uint256 value);
-
-    /**
-     * @dev Emitted when the allowance of a `spender` for an `owner` is set by
-     * a call to {approve}. `value` is the new allowance.
-     */
-    event Approval(address indexed owner, address indexed spender, uint256 value);
-
-    /**
-     * @dev Returns the value of tokens in existence.
-     */
-    function totalSupply() external view returns (uint256);
-
-    /**
-     * @dev Returns the value of tokens owned by `account`.
-     */
-    function balanceOf(address account) external view returns (uint256);
-
-    /**
-     * @dev Moves a `value` amount of tokens from the caller's account to `to`.
-     *
-     * Returns a boolean value indicating whether the operation succeeded.
-     *
-     * Emits a {Transfer} event.
-     */
-    function transfer(address to, uint256 value) external returns (bool);
-
-    /**
-     * @dev Returns the remaining number of tokens that `spender` will be
-     * allowed to spend on behalf of `owner` through {transferFrom}. This is
-     * zero by default.
-     *
-     * This value changes when {approve} or {transferFrom} are called.
-     */
-    function allowance(address owner, address spender) external view returns (uint256);
-
-    /**
-     * @dev Sets a `value` amount of tokens as the allowance of `spender` over the
-     * caller's tokens.
-     *
-     * Returns a boolean value indicating whether the operation succeeded.
-     *
-     * IMPORTANT: Beware that changing an allowance with this method brings the risk
-     * that someone may use both the old and the new allowance by unfortunate
-     * transaction ordering. One possible solution to mitigate this race
-     * condition is to first reduce the spender's allowance to 0 and set the
-     * desired value afterwards:
-     * https://github.com/ethereum/EIPs/issues/20#issuecomment-263524729
-     *
-     * Emits an {Approval} event.
-     */
-    function approve(address spender, uint256 value) external returns (bool);
-
-    /**
-     * @dev Moves a `value` amount of tokens from `from` to `to` using the
-     * allowance mechanism. `value` is then deducted from the caller's
-     * allowance.
-     *
-     * Returns a boolean value indicating whether the operation succeeded.
-     *
-     * Emits a {Transfer} event.
-     */
-    function transferFrom(address from, address to, uint256 value) external returns (bool);
-}
-
-
-// File @openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol@v5.1.0
-
-// Original license: SPDX_License_Identifier: MIT
-// OpenZeppelin Contracts (last updated v5.1.0) (token/ERC20/extensions/IERC20Metadata.sol)
-
-pragma solidity ^0.8.20;
-
-/**
- * @dev Interface for the optional metadata functions from the ERC-20 standard.
- */
-interface IERC20Metadata is IERC20 {
-    /**
-     * @dev Returns the name of the token.
-     */
-    function name() external view returns (string memory);
-
-    /**
-     * @dev Returns the symbol of the token.
-     */
-    function symbol() external view returns (string memory);
-
-    /**
-     * @dev Returns the decimals places of the token.
-     */
-    function decimals() external view returns (uint8);
-}
-
-
-// File @openzeppelin/contracts/token/ERC20/ERC20.sol@v5.1.0
-
-// Original license: SPDX_License_Identifier: MIT
-// OpenZeppelin Contracts (last updated v5.1.0) (token/ERC20/ERC20.sol)
-
-pragma solidity ^0.8.20;
+}
 
 
+// File @openzeppelin/contracts/token/ERC20/ERC20.sol@v5.7.0
 
+// Original license: SPDX_License_Identifier: MIT
+// OpenZeppelin Contracts (last updated v5.5.0) (token/ERC20/ERC20.sol)
 
 /**
  * @dev Implementation of the {IERC20} interface.
@@ -453,8 +343,7 @@ abstract contract ERC20 is Context, IERC20, IERC20Metadata, IERC20Errors {
     /**
      * @dev Sets the values for {name} and {symbol}.
      *
-     * All two of these values are immutable: they can only be set once during
-     * construction.
+     * Both values are immutable: they can only be set once during construction.
      */
     constructor(string memory name_, string memory symbol_) {
         _name = name_;
@@ -493,16 +382,12 @@ abstract contract ERC20 is Context, IERC20, IERC20Metadata, IERC20Errors {
         return 18;
     }
 
-    /**
-     * @dev See {IERC20-totalSupply}.
-     */
+    /// @inheritdoc IERC20
     function totalSupply() public view virtual returns (uint256) {
         return _totalSupply;
     }
 
-    /**
-     * @dev See {IERC20-balanceOf}.
-     */
+    /// @inheritdoc IERC20
     function balanceOf(address account) public view virtual returns (uint256) {
         return _balances[account];
     }
@@ -521,9 +406,7 @@ abstract contract ERC20 is Context, IERC20, IERC20Metadata, IERC20Errors {
         return true;
     }
 
-    /**
-     * @dev See {IERC20-allowance}.
-     */
+    /// @inheritdoc IERC20
     function allowance(address owner, address spender) public view virtual returns (uint256) {
         return _allowances[owner][spender];
     }
@@ -655,7 +538,7 @@ abstract contract ERC20 is Context, IERC20, IERC20Metadata, IERC20Errors {
     }
 
     /**
-     * @dev Sets `value` as the allowance of `spender` over the `owner` s tokens.
+     * @dev Sets `value` as the allowance of `spender` over the `owner`'s tokens.
      *
      * This internal function is equivalent to `approve`, and can be used to
      * e.g. set automatic allowances for certain subsystems, etc.
@@ -677,10 +560,10 @@ abstract contract ERC20 is Context, IERC20, IERC20Metadata, IERC20Errors {
      * @dev Variant of {_approve} with an optional flag to enable or disable the {Approval} event.
      *
      * By default (when calling {_approve}) the flag is set to true. On the other hand, approval changes made by
-     * `_spendAllowance` during the `transferFrom` operation set the flag to false. This saves gas by not emitting any
+     * `_spendAllowance` during the `transferFrom` operation sets the flag to false. This saves gas by not emitting any
      * `Approval` event during `transferFrom` operations.
      *
-     * Anyone who wishes to continue emitting `Approval` events on the`transferFrom` operation can force the flag to
+     * Anyone who wishes to continue emitting `Approval` events on the `transferFrom` operation can force the flag to
      * true using the following override:
      *
      * ```solidity
@@ -705,7 +588,7 @@ abstract contract ERC20 is Context, IERC20, IERC20Metadata, IERC20Errors {
     }
 
     /**
-     * @dev Updates `owner` s allowance for `spender` based on spent `value`.
+     * @dev Updates `owner`'s allowance for `spender` based on spent `value`.
      *
      * Does not update the allowance value in case of infinite allowance.
      * Revert if not enough allowance is available.
@@ -714,7 +597,7 @@ abstract contract ERC20 is Context, IERC20, IERC20Metadata, IERC20Errors {
      */
     function _spendAllowance(address owner, address spender, uint256 value) internal virtual {
         uint256 currentAllowance = allowance(owner, spender);
-        if (currentAllowance != type(uint256).max) {
+        if (currentAllowance < type(uint256).max) {
             if (currentAllowance < value) {
                 revert ERC20InsufficientAllowance(spender, currentAllowance, value);
             }
@@ -726,12 +609,10 @@ abstract contract ERC20 is Context, IERC20, IERC20Metadata, IERC20Errors {
 }
 
 
-// File @openzeppelin/contracts/utils/Pausable.sol@v5.1.0
+// File @openzeppelin/contracts/utils/Pausable.sol@v5.7.0
 
 // Original license: SPDX_License_Identifier: MIT
-// OpenZeppelin Contracts (last updated v5.0.0) (utils/Pausable.sol)
-
-pragma solidity ^0.8.20;
+// OpenZeppelin Contracts (last updated v5.3.0) (utils/Pausable.sol)
 
 /**
  * @dev Contract module which allows children to implement an emergency stop
@@ -765,13 +646,6 @@ abstract contract Pausable is Context {
      */
     error ExpectedPause();
 
-    /**
-     * @dev Initializes the contract in unpaused state.
-     */
-    constructor() {
-        _paused = false;
-    }
-
     /**
      * @dev Modifier to make a function callable only when the contract is not paused.
      *
@@ -847,12 +721,10 @@ abstract contract Pausable is Context {
 }
 
 
-// File @openzeppelin/contracts/utils/cryptography/ECDSA.sol@v5.1.0
+// File @openzeppelin/contracts/utils/cryptography/ECDSA.sol@v5.7.0
 
 // Original license: SPDX_License_Identifier: MIT
-// OpenZeppelin Contracts (last updated v5.1.0) (utils/cryptography/ECDSA.sol)
-
-pragma solidity ^0.8.20;
+// OpenZeppelin Contracts (last updated v5.7.0) (utils/cryptography/ECDSA.sol)
 
 /**
  * @dev Elliptic Curve Digital Signature Algorithm (ECDSA) operations.
@@ -869,7 +741,7 @@ library ECDSA {
     }
 
     /**
-     * @dev The signature derives the `address(0)`.
+     * @dev The signature is invalid.
      */
     error ECDSAInvalidSignature();
 
@@ -894,6 +766,10 @@ library ECDSA {
      * this function rejects them by requiring the `s` value to be in the lower
      * half order, and the `v` value to be either 27 or 28.
      *
+     * NOTE: This function only supports 65-byte signatures. ERC-2098 short signatures are rejected. This restriction
+     * is DEPRECATED and will be removed in v6.0. Developers SHOULD NOT use signatures as unique identifiers; use hash
+     * invalidation or nonces for replay protection.
+     *
      * IMPORTANT: `hash` _must_ be the result of a hash operation for the
      * verification to be secure: it is possible to craft signatures that
      * recover to arbitrary addresses for non-hashed data. A safe way to ensure
@@ -901,6 +777,7 @@ library ECDSA {
      * be too long), and then calling {MessageHashUtils-toEthSignedMessageHash} on it.
      *
      * Documentation for signature generation:
+     *
      * - with https://web3js.readthedocs.io/en/v1.3.4/web3-eth-accounts.html#sign[Web3.js]
      * - with https://docs.ethers.io/v5/api/signer/#Signer-signMessage[ethers]
      */
@@ -925,6 +802,30 @@ library ECDSA {
         }
     }
 
+    /**
+     * @dev Variant of {tryRecover} that takes a signature in calldata
+     */
+    function tryRecoverCalldata(
+        bytes32 hash,
+        bytes calldata signature
+    ) internal pure returns (address recovered, RecoverError err, bytes32 errArg) {
+        if (signature.length == 65) {
+            bytes32 r;
+            bytes32 s;
+            uint8 v;
+            // ecrecover takes the signature parameters, calldata slices would work here, but are
+            // significantly more expensive (length check) than using calldataload in assembly.
+            assembly ("memory-safe") {
+                r := calldataload(signature.offset)
+                s := calldataload(add(signature.offset, 0x20))
+                v := byte(0, calldataload(add(signature.offset, 0x40)))
+            }
+            return tryRecover(hash, v, r, s);
+        } else {
+            return (address(0), RecoverError.InvalidSignatureLength, bytes32(signature.length));
+        }
+    }
+
     /**
      * @dev Returns the address that signed a hashed message (`hash`) with
      * `signature`. This address can then be used for verification purposes.
@@ -933,6 +834,10 @@ library ECDSA {
      * this function rejects them by requiring the `s` value to be in the lower
      * half order, and the `v` value to be either 27 or 28.
      *
+     * NOTE: This function only supports 65-byte signatures. ERC-2098 short signatures are rejected. This restriction
+     * is DEPRECATED and will be removed in v6.0. Developers SHOULD NOT use signatures as unique identifiers; use hash
+     * invalidation or nonces for replay protection.
+     *
      * IMPORTANT: `hash` _must_ be the result of a hash operation for the
      * verification to be secure: it is possible to craft signatures that
      * recover to arbitrary addresses for non-hashed data. A safe way to ensure
@@ -940,8 +845,17 @@ library ECDSA {
      * be too long), and then calling {MessageHashUtils-toEthSignedMessageHash} on it.
      */
     function recover(bytes32 hash, bytes memory signature) internal pure returns (address) {
-        (address recovered, RecoverError error, bytes32 errorArg) = tryRecover(hash, signature);
-        _throwError(error, errorArg);
+        (address recovered, RecoverError err, bytes32 errorArg) = tryRecover(hash, signature);
+        _throwError(err, errorArg);
+        return recovered;
+    }
+
+    /**
+     * @dev Variant of {recover} that takes a signature in calldata
+     */
+    function recoverCalldata(bytes32 hash, bytes calldata signature) internal pure returns (address) {
+        (address recovered, RecoverError err, bytes32 errorArg) = tryRecoverCalldata(hash, signature);
+        _throwError(err, errorArg);
         return recovered;
     }
 
@@ -964,11 +878,11 @@ library ECDSA {
     }
 
     /**
-     * @dev Overload of {ECDSA-recover} that receives the `r and `vs` short-signature fields separately.
+     * @dev Overload of {ECDSA-recover} that receives the `r` and `vs` short-signature fields separately.
      */
     function recover(bytes32 hash, bytes32 r, bytes32 vs) internal pure returns (address) {
-        (address recovered, RecoverError error, bytes32 errorArg) = tryRecover(hash, r, vs);
-        _throwError(error, errorArg);
+        (address recovered, RecoverError err, bytes32 errorArg) = tryRecover(hash, r, vs);
+        _throwError(err, errorArg);
         return recovered;
     }
 
@@ -1009,34 +923,239 @@ library ECDSA {
      * `r` and `s` signature fields separately.
      */
     function recover(bytes32 hash, uint8 v, bytes32 r, bytes32 s) internal pure returns (address) {
-        (address recovered, RecoverError error, bytes32 errorArg) = tryRecover(hash, v, r, s);
-        _throwError(error, errorArg);
+        (address recovered, RecoverError err, bytes32 errorArg) = tryRecover(hash, v, r, s);
+        _throwError(err, errorArg);
         return recovered;
     }
 
+    /**
+     * @dev Parse a signature into its `v`, `r` and `s` components. Supports 65-byte and 64-byte (ERC-2098)
+     * formats. Returns (0,0,0) for invalid signatures.
+     *
+     * For 64-byte signatures, `v` is automatically normalized to 27 or 28.
+     * For 65-byte signatures, `v` is returned as-is and MUST already be 27 or 28 for use with ecrecover.
+     *
+     * Consider validating the result before use, or use {tryRecover}/{recover} which perform full validation.
+     */
+    function parse(bytes memory signature) internal pure returns (uint8 v, bytes32 r, bytes32 s) {
+        assembly ("memory-safe") {
+            // Check the signature length
+            switch mload(signature)
+            // - case 65: r,s,v signature (standard)
+            case 65 {
+                r := mload(add(signature, 0x20))
+                s := mload(add(signature, 0x40))
+                v := byte(0, mload(add(signature, 0x60)))
+            }
+            // - case 64: r,vs signature (cf https://eips.ethereum.org/EIPS/eip-2098)
+            case 64 {
+                let vs := mload(add(signature, 0x40))
+                r := mload(add(signature, 0x20))
+                s := and(vs, shr(1, not(0)))
+                v := add(shr(255, vs), 27)
+            }
+            default {
+                r := 0
+                s := 0
+                v := 0
+            }
+        }
+    }
+
+    /**
+     * @dev Variant of {parse} that takes a signature in calldata
+     */
+    function parseCalldata(bytes calldata signature) internal pure returns (uint8 v, bytes32 r, bytes32 s) {
+        assembly ("memory-safe") {
+            // Check the signature length
+            switch signature.length
+            // - case 65: r,s,v signature (standard)
+            case 65 {
+                r := calldataload(signature.offset)
+                s := calldataload(add(signature.offset, 0x20))
+                v := byte(0, calldataload(add(signature.offset, 0x40)))
+            }
+            // - case 64: r,vs signature (cf https://eips.ethereum.org/EIPS/eip-2098)
+            case 64 {
+                let vs := calldataload(add(signature.offset, 0x20))
+                r := calldataload(signature.offset)
+                s := and(vs, shr(1, not(0)))
+                v := add(shr(255, vs), 27)
+            }
+            default {
+                r := 0
+                s := 0
+                v := 0
+            }
+        }
+    }
+
     /**
      * @dev Optionally reverts with the corresponding custom error according to the `error` argument provided.
      */
-    function _throwError(RecoverError error, bytes32 errorArg) private pure {
-        if (error == RecoverError.NoError) {
+    function _throwError(RecoverError err, bytes32 errorArg) private pure {
+        if (err == RecoverError.NoError) {
             return; // no error: do nothing
-        } else if (error == RecoverError.InvalidSignature) {
+        } else if (err == RecoverError.InvalidSignature) {
             revert ECDSAInvalidSignature();
-        } else if (error == RecoverError.InvalidSignatureLength) {
+        } else if (err == RecoverError.InvalidSignatureLength) {
             revert ECDSAInvalidSignatureLength(uint256(errorArg));
-        } else if (error == RecoverError.InvalidSignatureS) {
+        } else if (err == RecoverError.InvalidSignatureS) {
             revert ECDSAInvalidSignatureS(errorArg);
         }
     }
 }
 
 
-// File @openzeppelin/contracts/utils/ReentrancyGuard.sol@v5.1.0
+// File @openzeppelin/contracts/utils/StorageSlot.sol@v5.7.0
 
 // Original license: SPDX_License_Identifier: MIT
-// OpenZeppelin Contracts (last updated v5.1.0) (utils/ReentrancyGuard.sol)
+// OpenZeppelin Contracts (last updated v5.1.0) (utils/StorageSlot.sol)
+// This file was procedurally generated from scripts/generate/templates/StorageSlot.js.
 
-pragma solidity ^0.8.20;
+/**
+ * @dev Library for reading and writing primitive types to specific storage slots.
+ *
+ * Storage slots are often used to avoid storage conflict when dealing with upgradeable contracts.
+ * This library helps with reading and writing to such slots without the need for inline assembly.
+ *
+ * The functions in this library return Slot structs that contain a `value` member that can be used to read or write.
+ *
+ * Example usage to set ERC-1967 implementation slot:
+ * ```solidity
+ * contract ERC1967 {
+ *     // Define the slot. Alternatively, use the SlotDerivation library to derive the slot.
+ *     bytes32 internal constant _IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+ *
+ *     function _getImplementation() internal view returns (address) {
+ *         return StorageSlot.getAddressSlot(_IMPLEMENTATION_SLOT).value;
+ *     }
+ *
+ *     function _setImplementation(address newImplementation) internal {
+ *         require(newImplementation.code.length > 0);
+ *         StorageSlot.getAddressSlot(_IMPLEMENTATION_SLOT).value = newImplementation;
+ *     }
+ * }
+ * ```
+ *
+ * TIP: Consider using this library along with {SlotDerivation}.
+ */
+library StorageSlot {
+    struct AddressSlot {
+        address value;
+    }
+
+    struct BooleanSlot {
+        bool value;
+    }
+
+    struct Bytes32Slot {
+        bytes32 value;
+    }
+
+    struct Uint256Slot {
+        uint256 value;
+    }
+
+    struct Int256Slot {
+        int256 value;
+    }
+
+    struct StringSlot {
+        string value;
+    }
+
+    struct BytesSlot {
+        bytes value;
+    }
+
+    /**
+     * @dev Returns an `AddressSlot` with member `value` located at `slot`.
+     */
+    function getAddressSlot(bytes32 slot) internal pure returns (AddressSlot storage r) {
+        assembly ("memory-safe") {
+            r.slot := slot
+        }
+    }
+
+    /**
+     * @dev Returns a `BooleanSlot` with member `value` located at `slot`.
+     */
+    function getBooleanSlot(bytes32 slot) internal pure returns (BooleanSlot storage r) {
+        assembly ("memory-safe") {
+            r.slot := slot
+        }
+    }
+
+    /**
+     * @dev Returns a `Bytes32Slot` with member `value` located at `slot`.
+     */
+    function getBytes32Slot(bytes32 slot) internal pure returns (Bytes32Slot storage r) {
+        assembly ("memory-safe") {
+            r.slot := slot
+        }
+    }
+
+    /**
+     * @dev Returns a `Uint256Slot` with member `value` located at `slot`.
+     */
+    function getUint256Slot(bytes32 slot) internal pure returns (Uint256Slot storage r) {
+        assembly ("memory-safe") {
+            r.slot := slot
+        }
+    }
+
+    /**
+     * @dev Returns a `Int256Slot` with member `value` located at `slot`.
+     */
+    function getInt256Slot(bytes32 slot) internal pure returns (Int256Slot storage r) {
+        assembly ("memory-safe") {
+            r.slot := slot
+        }
+    }
+
+    /**
+     * @dev Returns a `StringSlot` with member `value` located at `slot`.
+     */
+    function getStringSlot(bytes32 slot) internal pure returns (StringSlot storage r) {
+        assembly ("memory-safe") {
+            r.slot := slot
+        }
+    }
+
+    /**
+     * @dev Returns an `StringSlot` representation of the string storage pointer `store`.
+     */
+    function getStringSlot(string storage store) internal pure returns (StringSlot storage r) {
+        assembly ("memory-safe") {
+            r.slot := store.slot
+        }
+    }
+
+    /**
+     * @dev Returns a `BytesSlot` with member `value` located at `slot`.
+     */
+    function getBytesSlot(bytes32 slot) internal pure returns (BytesSlot storage r) {
+        assembly ("memory-safe") {
+            r.slot := slot
+        }
+    }
+
+    /**
+     * @dev Returns an `BytesSlot` representation of the bytes storage pointer `store`.
+     */
+    function getBytesSlot(bytes storage store) internal pure returns (BytesSlot storage r) {
+        assembly ("memory-safe") {
+            r.slot := store.slot
+        }
+    }
+}
+
+
+// File @openzeppelin/contracts/utils/ReentrancyGuard.sol@v5.7.0
+
+// Original license: SPDX_License_Identifier: MIT
+// OpenZeppelin Contracts (last updated v5.5.0) (utils/ReentrancyGuard.sol)
 
 /**
  * @dev Contract module that helps prevent reentrant calls to a function.
@@ -1056,8 +1175,19 @@ pragma solidity ^0.8.20;
  * TIP: If you would like to learn more about reentrancy and alternative ways
  * to protect against it, check out our blog post
  * https://blog.openzeppelin.com/reentrancy-after-istanbul/[Reentrancy After Istanbul].
+ *
+ * IMPORTANT: Deprecated. This storage-based reentrancy guard will be removed and replaced
+ * by the {ReentrancyGuardTransient} variant in v6.0.
+ *
+ * @custom:stateless
  */
 abstract contract ReentrancyGuard {
+    using StorageSlot for bytes32;
+
+    // keccak256(abi.encode(uint256(keccak256("openzeppelin.storage.ReentrancyGuard")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant REENTRANCY_GUARD_STORAGE =
+        0x9b779b17422d0df92223018b32b4d1fa46e071723d6817e2486d003becc55f00;
+
     // Booleans are more expensive than uint256 or any type that takes up a full
     // word because each write operation emits an extra SLOAD to first read the
     // slot's contents, replace the bits taken up by the boolean, and then write
@@ -1072,52 +1202,171 @@ abstract contract ReentrancyGuard {
     uint256 private constant NOT_ENTERED = 1;
     uint256 private constant ENTERED = 2;
 
-    uint256 private _status;
+    /**
+     * @dev Unauthorized reentrant call.
+     */
+    error ReentrancyGuardReentrantCall();
+
+    constructor() {
+        _reentrancyGuardStorageSlot().getUint256Slot().value = NOT_ENTERED;
+    }
+
+    /**
+     * @dev Prevents a contract from calling itself, directly or indirectly.
+     * Calling a `nonReentrant` function from another `nonReentrant`
+     * function is not supported. It is possible to prevent this from happening
+     * by making the `nonReentrant` function external, and making it call a
+     * `private` function that does the actual work.
+     */
+    modifier nonReentrant() {
+        _nonReentrantBefore();
+        _;
+        _nonReentrantAfter();
+    }
+
+    /**
+     * @dev A `view` only version of {nonReentrant}. Use to block view functions
+     * from being called, preventing reading from inconsistent contract state.
+     *
+     * CAUTION: This is a "view" modifier and does not change the reentrancy
+     * status. Use it only on view functions. For payable or non-payable functions,
+     * use the standard {nonReentrant} modifier instead.
+     */
+    modifier nonReentrantView() {
+        _nonReentrantBeforeView();
+        _;
+    }
+
+    function _nonReentrantBeforeView() private view {
+        if (_reentrancyGuardEntered()) {
+            revert ReentrancyGuardReentrantCall();
+        }
+    }
+
+    function _nonReentrantBefore() private {
+        // On the first call to nonReentrant, _status will be NOT_ENTERED
+        _nonReentrantBeforeView();
+
+        // Any calls to nonReentrant after this point will fail
+        _reentrancyGuardStorageSlot().getUint256Slot().value = ENTERED;
+    }
+
+    function _nonReentrantAfter() private {
+        // By storing the original value once again, a refund is triggered (see
+        // https://eips.ethereum.org/EIPS/eip-2200)
+        _reentrancyGuardStorageSlot().getUint256Slot().value = NOT_ENTERED;
+    }
+
+    /**
+     * @dev Returns true if the reentrancy guard is currently set to "entered", which indicates there is a
+     * `nonReentrant` function in the call stack.
+     */
+    function _reentrancyGuardEntered() internal view returns (bool) {
+        return _reentrancyGuardStorageSlot().getUint256Slot().value == ENTERED;
+    }
+
+    function _reentrancyGuardStorageSlot() internal pure virtual returns (bytes32) {
+        return REENTRANCY_GUARD_STORAGE;
+    }
+}
+
+
+// File @openzeppelin/contracts/access/Ownable.sol@v5.7.0
+
+// Original license: SPDX_License_Identifier: MIT
+// OpenZeppelin Contracts (last updated v5.0.0) (access/Ownable.sol)
+
+/**
+ * @dev Contract module which provides a basic access control mechanism, where
+ * there is an account (an owner) that can be granted exclusive access to
+ * specific functions.
+ *
+ * The initial owner is set to the address provided by the deployer. This can
+ * later be changed with {transferOwnership}.
+ *
+ * This module is used through inheritance. It will make available the modifier
+ * `onlyOwner`, which can be applied to your functions to restrict their use to
+ * the owner.
+ */
+abstract contract Ownable is Context {
+    address private _owner;
+
+    /**
+     * @dev The caller account is not authorized to perform an operation.
+     */
+    error OwnableUnauthorizedAccount(address account);
+
+    /**
+     * @dev The owner is not a valid owner account. (eg. `address(0)`)
+     */
+    error OwnableInvalidOwner(address owner);
+
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    /**
+     * @dev Initializes the contract setting the address provided by the deployer as the initial owner.
+     */
+    constructor(address initialOwner) {
+        if (initialOwner == address(0)) {
+            revert OwnableInvalidOwner(address(0));
+        }
+        _transferOwnership(initialOwner);
+    }
+
+    /**
+     * @dev Throws if called by any account other than the owner.
+     */
+    modifier onlyOwner() {
+        _checkOwner();
+        _;
+    }
+
+    /**
+     * @dev Returns the address of the current owner.
+     */
+    function owner() public view virtual returns (address) {
+        return _owner;
+    }
+
+    /**
+     * @dev Throws if the sender is not the owner.
+     */
+    function _checkOwner() internal view virtual {
+        if (owner() != _msgSender()) {
+            revert OwnableUnauthorizedAccount(_msgSender());
+        }
+    }
 
     /**
-     * @dev Unauthorized reentrant call.
+     * @dev Leaves the contract without owner. It will not be possible to call
+     * `onlyOwner` functions. Can only be called by the current owner.
+     *
+     * NOTE: Renouncing ownership will leave the contract without an owner,
+     * thereby disabling any functionality that is only available to the owner.
      */
-    error ReentrancyGuardReentrantCall();
-
-    constructor() {
-        _status = NOT_ENTERED;
+    function renounceOwnership() public virtual onlyOwner {
+        _transferOwnership(address(0));
     }
 
     /**
-     * @dev Prevents a contract from calling itself, directly or indirectly.
-     * Calling a `nonReentrant` function from another `nonReentrant`
-     * function is not supported. It is possible to prevent this from happening
-     * by making the `nonReentrant` function external, and making it call a
-     * `private` function that does the actual work.
+     * @dev Transfers ownership of the contract to a new account (`newOwner`).
+     * Can only be called by the current owner.
      */
-    modifier nonReentrant() {
-        _nonReentrantBefore();
-        _;
-        _nonReentrantAfter();
-    }
-
-    function _nonReentrantBefore() private {
-        // On the first call to nonReentrant, _status will be NOT_ENTERED
-        if (_status == ENTERED) {
-            revert ReentrancyGuardReentrantCall();
+    function transferOwnership(address newOwner) public virtual onlyOwner {
+        if (newOwner == address(0)) {
+            revert OwnableInvalidOwner(address(0));
         }
-
-        // Any calls to nonReentrant after this point will fail
-        _status = ENTERED;
-    }
-
-    function _nonReentrantAfter() private {
-        // By storing the original value once again, a refund is triggered (see
-        // https://eips.ethereum.org/EIPS/eip-2200)
-        _status = NOT_ENTERED;
+        _transferOwnership(newOwner);
     }
 
     /**
-     * @dev Returns true if the reentrancy guard is currently set to "entered", which indicates there is a
-     * `nonReentrant` function in the call stack.
+     * @dev Transfers ownership of the contract to a new account (`newOwner`).
+     * Internal function without access restriction.
      */
-    function _reentrancyGuardEntered() internal view returns (bool) {
-        return _status == ENTERED;
+    function _transferOwnership(address newOwner) internal virtual {
+        address oldOwner = _owner;
+        _owner = newOwner;
+        emit OwnershipTransferred(oldOwner, newOwner);
     }
 }
 
@@ -1125,11 +1374,6 @@ abstract contract ReentrancyGuard {
 // File contracts/Liberdus.sol
 
 // Original license: SPDX_License_Identifier: MIT
-pragma solidity ^0.8.20;
-
-
-
-
 
 contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
     using ECDSA for bytes32;
@@ -1143,7 +1387,14 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         SetBridgeInCaller,
         SetBridgeInLimits,
         UpdateSigner,
-        DistributeTokens
+        DistributeTokens,
+        DistributeTokensBatch,
+        SetSupportedChain,
+        SetExecutionDelay,
+        AddSigner,
+        RemoveSigner,
+        SetRequiredSignatures,
+        SweepToTreasury
     }
 
     struct Operation {
@@ -1154,11 +1405,45 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         uint256 numSignatures;
         bool executed;
         uint256 deadline;
+        bool cancelled;
+        // Set when quorum is reached on a delayed operation type
+        uint256 executableAt;
         mapping(address => bool) signatures;
+        // Signers that approved cancelling the operation while it was queued,
+        // per time it was queued; approvals lapse when it leaves the queue
+        uint256 timesQueued;
+        mapping(uint256 => mapping(address => bool)) cancelApprovals;
+    }
+
+    // Read-only copy of an Operation for getOperation, with the signature
+    // status of each current signer in the same order as `signers`
+    struct OperationView {
+        bytes32 operationId;
+        OperationType opType;
+        address target;
+        uint256 value;
+        bytes data;
+        uint256 numSignatures;
+        bool executed;
+        bool cancelled;
+        bool expired;
+        uint256 deadline;
+        uint256 executableAt;
+        address[] signers;
+        bool[] signed;
     }
 
+    // Signers approve operations as EIP-712 typed data, so wallets can show
+    // what is being approved instead of an opaque hash
+    bytes32 public constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant OPERATION_TYPEHASH =
+        keccak256("Operation(bytes32 operationId,uint8 opType,address target,uint256 value,bytes data)");
+
     mapping(bytes32 => Operation) public operations;
     uint256 public operationCount;
+    // Operation ids in request order; operationIds[i] was request number i
+    bytes32[] private operationIds;
 
     bool public isPreLaunch = true;
     uint256 public lastMintTime;
@@ -1166,14 +1451,43 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
     uint256 public constant MAX_SUPPLY = 210_000_000 * 10**18;
     uint256 public constant MINT_AMOUNT = 3_000_000 * 10**18;
     uint256 public constant OPERATION_DEADLINE = 3 days;
+    uint256 public constant MAX_BATCH_SIZE = 200;
+    uint256 public constant MAX_EXECUTION_DELAY = 30 days;
+
+    // Time between quorum and execution, per operation type. Zero executes
+    // on the signature that reaches quorum.
+    mapping(OperationType => uint256) public executionDelays;
 
     address public bridgeInCaller;
     uint256 public maxBridgeInAmount = 10_000 * 10**18;
-    uint256 public bridgeInCooldown = 1 minutes;
-    uint256 public lastBridgeInTime;
-
-    address[4] public signers;
-    uint256 public constant REQUIRED_SIGNATURES = 3;
+    // Total that may be bridged in during any bridgeInWindowDuration, measured
+    // as a rolling window. Amounts are tallied in buckets of 1/BRIDGE_IN_BUCKETS
+    // of the window; a bucket counts until a full window has passed since it
+    // ended, so every amount counts for at least one window after its mint.
+    uint256 public bridgeInWindowLimit = 100_000 * 10**18;
+    uint256 public bridgeInWindowDuration = 1 days;
+    uint256 public constant BRIDGE_IN_BUCKETS = 24;
+
+    struct BridgeInBucket {
+        uint64 end;
+        uint192 amount;
+    }
+
+    // One spare slot, so the bucket being filled never overwrites one that
+    // still counts
+    BridgeInBucket[BRIDGE_IN_BUCKETS + 1] private bridgeInBuckets;
+    mapping(bytes32 => bool) private processedBridgeIns;
+    mapping(uint256 => bool) public supportedChains;
+
+    // Every change to the supply by its source; see getSupplyBreakdown
+    uint256 private totalMinted;
+    uint256 private totalBridgedIn;
+    uint256 private totalBridgedOut;
+    uint256 private totalBurned;
+
+    address[] public signers;
+    uint256 public requiredSignatures;
+    uint256 public constant MAX_SIGNERS = 20;
     uint256 public immutable chainId;
 
     // Defining events for the contract
@@ -1196,6 +1510,39 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         uint256 timestamp
     );
 
+    event SignatureRevoked(
+        bytes32 indexed operationId,
+        address indexed signer,
+        uint256 currentSignatures,
+        uint256 timestamp
+    );
+
+    event CancellationApproved(
+        bytes32 indexed operationId,
+        address indexed signer,
+        uint256 currentApprovals,
+        uint256 requiredApprovals,
+        uint256 timestamp
+    );
+
+    event OperationCancelled(
+        bytes32 indexed operationId,
+        address indexed cancelledBy,
+        uint256 timestamp
+    );
+
+    event OperationQueued(
+        bytes32 indexed operationId,
+        OperationType indexed opType,
+        uint256 executableAt
+    );
+
+    event OperationRequeued(
+        bytes32 indexed operationId,
+        uint256 currentSignatures,
+        uint256 deadline
+    );
+
     event OperationExecuted(
         bytes32 indexed operationId,
         OperationType indexed opType
@@ -1231,7 +1578,22 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
     event BridgeInLimitsUpdated(
         bytes32 indexed operationId,
         uint256 newMaxAmount,
-        uint256 newCooldown,
+        uint256 newWindowLimit,
+        uint256 newWindowDuration,
+        uint256 timestamp
+    );
+
+    event ExecutionDelayUpdated(
+        bytes32 indexed operationId,
+        OperationType indexed opType,
+        uint256 delay,
+        uint256 timestamp
+    );
+
+    event SupportedChainUpdated(
+        bytes32 indexed operationId,
+        uint256 indexed chainId,
+        bool supported,
         uint256 timestamp
     );
 
@@ -1239,14 +1601,14 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         address indexed from,
         uint256 amount,
         address indexed targetAddress,
-        uint256 indexed chainId,
+        uint256 indexed destinationChainId,
         uint256 timestamp
     );
 
     event BridgedIn(
         address indexed to,
         uint256 amount,
-        uint256 indexed chainId,
+        uint256 indexed sourceChainId,
         bytes32 indexed txId,
         uint256 timestamp
     );
@@ -1258,6 +1620,25 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         uint256 timestamp
     );
 
+    event SignerAdded(
+        bytes32 indexed operationId,
+        address indexed signer,
+        uint256 timestamp
+    );
+
+    event SignerRemoved(
+        bytes32 indexed operationId,
+        address indexed signer,
+        uint256 timestamp
+    );
+
+    event RequiredSignaturesUpdated(
+        bytes32 indexed operationId,
+        uint256 oldRequiredSignatures,
+        uint256 newRequiredSignatures,
+        uint256 timestamp
+    );
+
     event TokensDistributed(
         bytes32 indexed operationId,
         address indexed recipient,
@@ -1265,6 +1646,13 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         uint256 timestamp
     );
 
+    event TreasurySwept(
+        bytes32 indexed operationId,
+        address indexed treasury,
+        uint256 amount,
+        uint256 timestamp
+    );
+
     modifier onlySigner() {
         require(isSigner(msg.sender), "Not a signer");
         _;
@@ -1275,7 +1663,12 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         _;
     }
 
-    constructor(address[4] memory _signers, uint256 _chainId) ERC20("Liberdus", "LIB") Ownable(msg.sender) {
+    constructor(
+        address[] memory _signers,
+        uint256 _requiredSignatures,
+        uint256 _chainId
+    ) ERC20("Liberdus", "LIB") Ownable(msg.sender) {
+        require(_signers.length <= MAX_SIGNERS, "Too many signers");
         // Verify that all signer addresses are valid and unique
         for (uint i = 0; i < _signers.length; i++) {
             require(_signers[i] != address(0), "Invalid signer address");
@@ -1283,9 +1676,21 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
                 require(_signers[i] != _signers[j], "Duplicate signer address");
             }
         }
+        require(_requiredSignatures > 0, "Required signatures must be greater than zero");
+        require(_requiredSignatures <= _signers.length, "Required signatures exceed signer count");
 
         signers = _signers;
+        requiredSignatures = _requiredSignatures;
         chainId = _chainId;
+
+        executionDelays[OperationType.PostLaunch] = 2 days;
+        executionDelays[OperationType.UpdateSigner] = 2 days;
+        executionDelays[OperationType.SetBridgeInCaller] = 2 days;
+        executionDelays[OperationType.SetExecutionDelay] = 2 days;
+        executionDelays[OperationType.AddSigner] = 2 days;
+        executionDelays[OperationType.RemoveSigner] = 2 days;
+        executionDelays[OperationType.SetRequiredSignatures] = 2 days;
+        executionDelays[OperationType.SweepToTreasury] = 2 days;
     }
 
     function requestOperation(
@@ -1296,16 +1701,20 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
     ) public returns (bytes32) {
         require(isSigner(msg.sender) || owner() == msg.sender, "Not authorized to request operation");
 
-        if (opType == OperationType.UpdateSigner) {
-            address oldSigner = target;
-            address newSigner = address(uint160(value));
-            require(isSigner(oldSigner), "Old signer not found");
-            require(!isSigner(newSigner), "New signer already exists");
-            require(oldSigner != msg.sender, "Cannot request to replace self");
-        }
+        _validateRequest(opType, target, value, data);
 
         uint256 deadline = block.timestamp + OPERATION_DEADLINE;
-        bytes32 operationId = keccak256(abi.encodePacked(operationCount++, opType, target, value, data, chainId));
+        // Fixed-width encoding with data hashed, so no two requests can collide,
+        // and bound to this deployment so copies on one chain never share ids
+        bytes32 operationId = keccak256(abi.encode(
+            address(this),
+            block.chainid,
+            operationCount++,
+            opType,
+            target,
+            value,
+            keccak256(data)
+        ));
         Operation storage op = operations[operationId];
         op.opType = opType;
         op.target = target;
@@ -1314,6 +1723,7 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         op.executed = false;
         op.numSignatures = 0;
         op.deadline = deadline;
+        operationIds.push(operationId);
 
         emit OperationRequested(
             operationId,
@@ -1328,48 +1738,251 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         return operationId;
     }
 
+    // Rejects payloads that could never execute, so signers don't collect
+    // signatures for them. Checks that depend on state which can change before
+    // execution, like the contract balance, are left to the executors.
+    function _validateRequest(
+        OperationType opType,
+        address target,
+        uint256 value,
+        bytes memory data
+    ) internal view {
+        if (opType == OperationType.Mint ||
+            opType == OperationType.PostLaunch ||
+            opType == OperationType.Pause ||
+            opType == OperationType.Unpause) {
+            require(value == 0, "Unexpected value");
+            require(data.length == 0, "Unexpected data");
+        } else if (opType == OperationType.Burn) {
+            require(value > 0, "Cannot burn zero tokens");
+            require(data.length == 0, "Unexpected data");
+        } else if (opType == OperationType.SetBridgeInCaller) {
+            require(target != address(0), "Invalid bridge-in caller");
+            require(value == 0, "Unexpected value");
+            require(data.length == 0, "Unexpected data");
+        } else if (opType == OperationType.SetBridgeInLimits) {
+            require(data.length == 64, "Invalid data length");
+            (uint256 windowLimit, uint256 windowDuration) = abi.decode(data, (uint256, uint256));
+            require(value > 0, "Max amount must be greater than zero");
+            require(windowLimit >= value, "Window limit below max amount");
+            require(windowDuration > 0, "Window duration must be greater than zero");
+        } else if (opType == OperationType.UpdateSigner) {
+            address oldSigner = target;
+            require(value <= type(uint160).max, "Invalid signer address");
+            address newSigner = address(uint160(value));
+            require(newSigner != address(0), "Invalid signer address");
+            require(data.length == 0, "Unexpected data");
+            require(isSigner(oldSigner), "Old signer not found");
+            require(!isSigner(newSigner), "New signer already exists");
+            require(oldSigner != msg.sender, "Cannot request to replace self");
+        } else if (opType == OperationType.DistributeTokens) {
+            require(target != address(0), "Invalid recipient");
+            require(value > 0, "Cannot distribute zero tokens");
+            require(data.length == 0, "Unexpected data");
+        } else if (opType == OperationType.DistributeTokensBatch) {
+            (address[] memory recipients, uint256[] memory amounts) = abi.decode(data, (address[], uint256[]));
+            require(recipients.length > 0, "Empty batch");
+            require(recipients.length <= MAX_BATCH_SIZE, "Batch too large");
+            require(recipients.length == amounts.length, "Recipients and amounts length mismatch");
+            uint256 total = 0;
+            address previous = address(0);
+            for (uint i = 0; i < recipients.length; i++) {
+                require(recipients[i] > previous, "Recipients must be unique and in ascending order");
+                require(amounts[i] > 0, "Cannot distribute zero tokens");
+                previous = recipients[i];
+                total += amounts[i];
+            }
+            require(total == value, "Batch total does not match value");
+        } else if (opType == OperationType.SetSupportedChain) {
+            require(data.length == 32, "Invalid data length");
+            abi.decode(data, (bool));
+            require(value != 0, "Invalid chain ID");
+            require(value != chainId, "Cannot bridge to own chain");
+        } else if (opType == OperationType.SetExecutionDelay) {
+            require(data.length == 32, "Invalid data length");
+            require(abi.decode(data, (OperationType)) != OperationType.Pause, "Pause cannot be delayed");
+            require(value <= MAX_EXECUTION_DELAY, "Delay too long");
+        } else if (opType == OperationType.AddSigner) {
+            require(target != address(0), "Invalid signer address");
+            require(value == 0, "Unexpected value");
+            require(data.length == 0, "Unexpected data");
+            require(!isSigner(target), "New signer already exists");
+        } else if (opType == OperationType.RemoveSigner) {
+            require(value == 0, "Unexpected value");
+            require(data.length == 0, "Unexpected data");
+            require(isSigner(target), "Old signer not found");
+            require(target != msg.sender, "Cannot request to remove self");
+            require(signers.length - 1 >= requiredSignatures, "Removal would make quorum impossible");
+        } else if (opType == OperationType.SetRequiredSignatures) {
+            require(value > 0, "Required signatures must be greater than zero");
+            require(value <= signers.length, "Required signatures exceed signer count");
+            require(data.length == 0, "Unexpected data");
+        } else if (opType == OperationType.SweepToTreasury) {
+            require(target != address(0) && target != address(this), "Invalid treasury");
+            require(value == 0, "Unexpected value");
+            require(data.length == 0, "Unexpected data");
+        }
+    }
+
     function submitSignature(bytes32 operationId, bytes memory signature) public {
         require(isSigner(msg.sender), "Only signers can submit signatures");
         Operation storage op = operations[operationId];
         require(!op.executed, "Operation already executed");
+        require(!op.cancelled, "Operation cancelled");
         require(!op.signatures[msg.sender], "Signature already submitted");
+        _requeueBelowQuorum(operationId);
         require(block.timestamp <= op.deadline, "Operation deadline passed");
 
-        bytes32 messageHash = getOperationHash(operationId);
-        // Add Ethereum Signed Message prefix
-        bytes32 prefixedHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
-        address signer = ECDSA.recover(prefixedHash, signature);
+        address signer = ECDSA.recover(getOperationHash(operationId), signature);
 
         require(signer == msg.sender, "Signature signer must be message sender");
 
-        if (op.opType == OperationType.UpdateSigner) {
-            require(isSigner(signer) || signer == owner(), "Invalid signature for UpdateSigner");
+        _addSignature(operationId, signer);
+        _checkQuorum(operationId);
+    }
+
+    /// @notice Submits signatures collected from signers off-chain. Anyone may
+    /// relay them; each must recover to a distinct current signer that has not
+    /// signed yet. Executes the operation in the same call when it reaches
+    /// quorum and its type has no execution delay.
+    function submitSignatures(bytes32 operationId, bytes[] calldata signatures) public {
+        Operation storage op = operations[operationId];
+        require(op.deadline != 0, "Operation not found");
+        require(!op.executed, "Operation already executed");
+        require(!op.cancelled, "Operation cancelled");
+        _requeueBelowQuorum(operationId);
+        require(block.timestamp <= op.deadline, "Operation deadline passed");
+        require(signatures.length > 0, "No signatures");
+
+        bytes32 digest = getOperationHash(operationId);
+        for (uint i = 0; i < signatures.length; i++) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            require(!op.signatures[signer], "Signature already submitted");
+            _addSignature(operationId, signer);
+        }
+        _checkQuorum(operationId);
+    }
+
+    function _addSignature(bytes32 operationId, address signer) internal {
+        Operation storage op = operations[operationId];
+        require(isSigner(signer), "Invalid signature");
+        if (op.opType == OperationType.UpdateSigner || op.opType == OperationType.RemoveSigner) {
             require(signer != op.target, "Signer being replaced cannot approve");
+        }
+        require(op.executableAt == 0, "Enough signatures already");
+
+        op.signatures[signer] = true;
+        op.numSignatures = _countApprovals(op.signatures);
+
+        emit SignatureSubmitted(operationId, signer, op.numSignatures, requiredSignatures, block.timestamp);
+    }
+
+    // Executes an operation that has reached quorum, or queues it when its
+    // type has an execution delay
+    function _checkQuorum(bytes32 operationId) internal {
+        Operation storage op = operations[operationId];
+        if (op.numSignatures < requiredSignatures) {
+            return;
+        }
+        uint256 delay = executionDelays[op.opType];
+        if (delay == 0) {
+            _executeOperation(operationId);
         } else {
-            require(isSigner(signer), "Invalid signature");
+            op.executableAt = block.timestamp + delay;
+            emit OperationQueued(operationId, op.opType, op.executableAt);
         }
+    }
 
-        require(op.numSignatures < REQUIRED_SIGNATURES, "Enough signatures already");
+    // A queued operation whose signatures no longer reach quorum, e.g. because
+    // a signer was removed during the delay, goes back to pending with a fresh
+    // signing deadline, so it can be signed and queued again
+    function _requeueBelowQuorum(bytes32 operationId) internal returns (bool) {
+        Operation storage op = operations[operationId];
+        op.numSignatures = _countApprovals(op.signatures);
+        if (op.executableAt == 0 || op.numSignatures >= requiredSignatures) {
+            return false;
+        }
+        op.executableAt = 0;
+        op.deadline = block.timestamp + OPERATION_DEADLINE;
+        op.timesQueued++;
+        emit OperationRequeued(operationId, op.numSignatures, op.deadline);
+        return true;
+    }
 
-        op.signatures[signer] = true;
-        op.numSignatures++;
+    /// @notice Executes a queued operation once its delay has passed. Anyone
+    /// can call it; the signers already approved the operation. If signers
+    /// removed during the delay leave it short of quorum, it goes back to
+    /// pending instead.
+    function executeOperation(bytes32 operationId) public {
+        Operation storage op = operations[operationId];
+        require(op.executableAt != 0, "Operation not queued");
+        require(block.timestamp >= op.executableAt, "Execution delay not passed");
+        if (!_requeueBelowQuorum(operationId)) {
+            _executeOperation(operationId);
+        }
+    }
+
+    /// @notice Withdraws the caller's signature from an operation that has not
+    /// executed yet. The signer may sign again later while it is still open.
+    function revokeSignature(bytes32 operationId) public onlySigner {
+        Operation storage op = operations[operationId];
+        require(op.deadline != 0, "Operation not found");
+        require(!op.executed, "Operation already executed");
+        require(!op.cancelled, "Operation cancelled");
+        require(op.signatures[msg.sender], "Signature not submitted");
+
+        op.signatures[msg.sender] = false;
+        // A queued operation that drops below quorum goes back to pending
+        _requeueBelowQuorum(operationId);
+
+        emit SignatureRevoked(operationId, msg.sender, op.numSignatures, block.timestamp);
+    }
 
-        emit SignatureSubmitted(operationId, signer, op.numSignatures, REQUIRED_SIGNATURES, block.timestamp);
+    /// @notice Cancels an operation that has not executed, so it can never
+    /// execute. Any signer may cancel a pending operation, except the signer an
+    /// UpdateSigner operation would replace. A queued operation has reached
+    /// quorum, so cancelling it takes as many signers' approvals as executing it.
+    function cancelOperation(bytes32 operationId) public onlySigner {
+        Operation storage op = operations[operationId];
+        require(op.deadline != 0, "Operation not found");
+        require(!op.executed, "Operation already executed");
+        require(!op.cancelled, "Operation already cancelled");
+        if (op.opType == OperationType.UpdateSigner || op.opType == OperationType.RemoveSigner) {
+            require(msg.sender != op.target, "Signer being replaced cannot cancel");
+        }
 
-        if (op.numSignatures == REQUIRED_SIGNATURES) {
-            executeOperation(operationId);
+        _requeueBelowQuorum(operationId);
+        if (op.executableAt != 0) {
+            mapping(address => bool) storage cancelApprovals = op.cancelApprovals[op.timesQueued];
+            require(!cancelApprovals[msg.sender], "Cancellation already approved");
+            cancelApprovals[msg.sender] = true;
+            uint256 approvals = _countApprovals(cancelApprovals);
+            emit CancellationApproved(operationId, msg.sender, approvals, requiredSignatures, block.timestamp);
+            if (approvals < requiredSignatures) {
+                return;
+            }
         }
+
+        op.cancelled = true;
+
+        emit OperationCancelled(operationId, msg.sender, block.timestamp);
     }
 
-    function executeOperation(bytes32 operationId) internal nonReentrant {
+    function _executeOperation(bytes32 operationId) internal nonReentrant {
         Operation storage op = operations[operationId];
         require(!op.executed, "Operation already executed");
+        require(!op.cancelled, "Operation cancelled");
         
         // Mark as executed before making any external calls
         op.executed = true;
 
+        // The payload was checked by _validateRequest when it was requested;
+        // executors only recheck state that may have changed since
+
         if (op.opType == OperationType.DistributeTokens) {
             _executeDistribution(operationId);
+        } else if (op.opType == OperationType.DistributeTokensBatch) {
+            _executeBatchDistribution(operationId);
         } else if (op.opType == OperationType.UpdateSigner) {
             _executeUpdateSigner(operationId, op.target, address(uint160(op.value)));
         } else if (op.opType == OperationType.Mint) {
@@ -1385,7 +1998,20 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         } else if (op.opType == OperationType.SetBridgeInCaller) {
             _executeSetBridgeInCaller(operationId, op.target);
         } else if (op.opType == OperationType.SetBridgeInLimits) {
-            _executeSetBridgeInLimits(operationId, op.value, abi.decode(op.data, (uint256)));
+            (uint256 windowLimit, uint256 windowDuration) = abi.decode(op.data, (uint256, uint256));
+            _executeSetBridgeInLimits(operationId, op.value, windowLimit, windowDuration);
+        } else if (op.opType == OperationType.SetSupportedChain) {
+            _executeSetSupportedChain(operationId, op.value, abi.decode(op.data, (bool)));
+        } else if (op.opType == OperationType.SetExecutionDelay) {
+            _executeSetExecutionDelay(operationId, abi.decode(op.data, (OperationType)), op.value);
+        } else if (op.opType == OperationType.AddSigner) {
+            _executeAddSigner(operationId, op.target);
+        } else if (op.opType == OperationType.RemoveSigner) {
+            _executeRemoveSigner(operationId, op.target);
+        } else if (op.opType == OperationType.SetRequiredSignatures) {
+            _executeSetRequiredSignatures(operationId, op.value);
+        } else if (op.opType == OperationType.SweepToTreasury) {
+            _executeSweepToTreasury(operationId, op.target);
         } else {
             revert("Unknown operation type");
         }
@@ -1395,7 +2021,6 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
 
     function _executeDistribution(bytes32 operationId) internal {
         Operation storage op = operations[operationId];
-        require(op.value > 0, "Cannot distribute zero tokens");
         require(balanceOf(address(this)) >= op.value, "Insufficient contract balance");
 
         _transfer(address(this), op.target, op.value);
@@ -1408,6 +2033,20 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         );
     }
 
+    // data is abi.encode(address[] recipients, uint256[] amounts) and value is the
+    // batch total. Recipients must be strictly ascending, which rules out
+    // duplicates without an O(n^2) scan; _validateRequest checks all of that.
+    function _executeBatchDistribution(bytes32 operationId) internal {
+        Operation storage op = operations[operationId];
+        (address[] memory recipients, uint256[] memory amounts) = abi.decode(op.data, (address[], uint256[]));
+        require(balanceOf(address(this)) >= op.value, "Insufficient contract balance");
+
+        for (uint i = 0; i < recipients.length; i++) {
+            _transfer(address(this), recipients[i], amounts[i]);
+            emit TokensDistributed(operationId, recipients[i], amounts[i], block.timestamp);
+        }
+    }
+
     function _executeMint(bytes32 operationId) internal {
         if (lastMintTime != 0) {
             require(block.timestamp >= lastMintTime + MINT_INTERVAL, "Mint interval not reached");
@@ -1417,6 +2056,7 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
 
         // Mint to contract address instead of target
         _mint(address(this), MINT_AMOUNT);
+        totalMinted += MINT_AMOUNT;
         lastMintTime = block.timestamp;
 
         emit MintExecuted(
@@ -1428,12 +2068,12 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         );
     }
 
+    // Allowed after launch too, so tokens never allocated can be retired
     function _executeBurn(bytes32 operationId, uint256 amount) internal {
-        require(amount > 0, "Cannot burn zero tokens");
         require(balanceOf(address(this)) >= amount, "Insufficient contract balance to burn");
-        require(isPreLaunch, "Burn is not available in after-launch");
 
         _burn(address(this), amount);  // Burn from contract's balance
+        totalBurned += amount;
 
         emit BurnExecuted(
             operationId,
@@ -1443,6 +2083,15 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         );
     }
 
+    // Moves whatever the contract still holds to the treasury once launched
+    function _executeSweepToTreasury(bytes32 operationId, address treasury) internal {
+        require(!isPreLaunch, "Sweep is only available post-launch");
+        uint256 amount = balanceOf(address(this));
+        require(amount > 0, "Nothing to sweep");
+        _transfer(address(this), treasury, amount);
+        emit TreasurySwept(operationId, treasury, amount, block.timestamp);
+    }
+
     function _executePostLaunch(bytes32 operationId) internal {
         require(isPreLaunch, "Already in post-launch mode");
         isPreLaunch = false;
@@ -1454,7 +2103,6 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
     }
 
     function _executeSetBridgeInCaller(bytes32 operationId, address newCaller) internal {
-        require(newCaller != address(0), "Invalid bridge-in caller");
         require(newCaller != bridgeInCaller, "Bridge-in caller already set");
         bridgeInCaller = newCaller;
         emit BridgeInCallerUpdated(
@@ -1464,15 +2112,43 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         );
     }
 
-    function _executeSetBridgeInLimits(bytes32 operationId, uint256 newMaxAmount, uint256 newCooldown) internal {
-        require(newMaxAmount > 0, "Max amount must be greater than zero");
-        require(newCooldown > 0, "Cooldown must be greater than zero");
+    function _executeSetBridgeInLimits(
+        bytes32 operationId,
+        uint256 newMaxAmount,
+        uint256 newWindowLimit,
+        uint256 newWindowDuration
+    ) internal {
         maxBridgeInAmount = newMaxAmount;
-        bridgeInCooldown = newCooldown;
+        bridgeInWindowLimit = newWindowLimit;
+        bridgeInWindowDuration = newWindowDuration;
         emit BridgeInLimitsUpdated(
             operationId,
             newMaxAmount,
-            newCooldown,
+            newWindowLimit,
+            newWindowDuration,
+            block.timestamp
+        );
+    }
+
+    // value is the delay and data is abi.encode(uint8 opType). Pause always
+    // executes immediately so the signers can stop the token without waiting.
+    function _executeSetExecutionDelay(bytes32 operationId, OperationType opType, uint256 delay) internal {
+        executionDelays[opType] = delay;
+        emit ExecutionDelayUpdated(
+            operationId,
+            opType,
+            delay,
+            block.timestamp
+        );
+    }
+
+    function _executeSetSupportedChain(bytes32 operationId, uint256 peerChainId, bool supported) internal {
+        require(supportedChains[peerChainId] != supported, "Chain support unchanged");
+        supportedChains[peerChainId] = supported;
+        emit SupportedChainUpdated(
+            operationId,
+            peerChainId,
+            supported,
             block.timestamp
         );
     }
@@ -1495,25 +2171,108 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         );
     }
 
-    function bridgeOut(uint256 amount, address targetAddress, uint256 _chainId) public whenNotPaused {
+    function _executeAddSigner(bytes32 operationId, address newSigner) internal {
+        require(!isSigner(newSigner), "New signer already exists");
+        require(signers.length < MAX_SIGNERS, "Too many signers");
+        signers.push(newSigner);
+        emit SignerAdded(operationId, newSigner, block.timestamp);
+    }
+
+    function _executeRemoveSigner(bytes32 operationId, address oldSigner) internal {
+        require(isSigner(oldSigner), "Old signer not found");
+        require(signers.length - 1 >= requiredSignatures, "Removal would make quorum impossible");
+        // Keeps the order of the remaining signers
+        uint i = 0;
+        while (signers[i] != oldSigner) {
+            i++;
+        }
+        for (; i < signers.length - 1; i++) {
+            signers[i] = signers[i + 1];
+        }
+        signers.pop();
+        emit SignerRemoved(operationId, oldSigner, block.timestamp);
+    }
+
+    function _executeSetRequiredSignatures(bytes32 operationId, uint256 newRequiredSignatures) internal {
+        require(newRequiredSignatures <= signers.length, "Required signatures exceed signer count");
+        require(newRequiredSignatures != requiredSignatures, "Required signatures unchanged");
+        uint256 oldRequiredSignatures = requiredSignatures;
+        requiredSignatures = newRequiredSignatures;
+        emit RequiredSignaturesUpdated(
+            operationId,
+            oldRequiredSignatures,
+            newRequiredSignatures,
+            block.timestamp
+        );
+    }
+
+    function bridgeOut(uint256 amount, address targetAddress, uint256 destinationChainId) public whenNotPaused {
         require(!isPreLaunch, "Bridge out not available in pre-launch");
-        require(_chainId == chainId, "Invalid chain ID");
+        require(supportedChains[destinationChainId], "Unsupported destination chain");
         require(amount > 0, "Cannot bridge out zero tokens");
         require(amount <= balanceOf(msg.sender), "Insufficient balance");
         _burn(msg.sender, amount);
-        emit BridgedOut(msg.sender, amount, targetAddress, _chainId, block.timestamp);
+        totalBridgedOut += amount;
+        emit BridgedOut(msg.sender, amount, targetAddress, destinationChainId, block.timestamp);
     }
 
-    function bridgeIn(address to, uint256 amount, uint256 _chainId, bytes32 txId) public onlyBridgeInCaller whenNotPaused {
+    function bridgeIn(address to, uint256 amount, uint256 sourceChainId, bytes32 txId) public onlyBridgeInCaller whenNotPaused {
         require(!isPreLaunch, "Bridge in not available in pre-launch");
-        require(_chainId == chainId, "Invalid chain ID");
+        require(supportedChains[sourceChainId], "Unsupported source chain");
         require(amount > 0, "Cannot bridge in zero tokens");
         require(amount <= maxBridgeInAmount, "Amount exceeds bridge-in limit");
-        require(block.timestamp >= lastBridgeInTime + bridgeInCooldown, "Bridge-in cooldown not met");
+        require(txId != bytes32(0), "Invalid txId");
+        require(!processedBridgeIns[txId], "Bridge-in txId already processed");
 
+        (uint256 remaining, ) = getBridgeInCapacity();
+        require(amount <= remaining, "Bridge-in window limit exceeded");
+        _recordBridgeIn(amount);
+
+        processedBridgeIns[txId] = true;
         _mint(to, amount);
-        lastBridgeInTime = block.timestamp;
-        emit BridgedIn(to, amount, _chainId, txId, block.timestamp);
+        totalBridgedIn += amount;
+        emit BridgedIn(to, amount, sourceChainId, txId, block.timestamp);
+    }
+
+    function _recordBridgeIn(uint256 amount) internal {
+        uint256 size = (bridgeInWindowDuration + BRIDGE_IN_BUCKETS - 1) / BRIDGE_IN_BUCKETS;
+        uint256 end = (block.timestamp / size + 1) * size;
+        BridgeInBucket storage bucket = bridgeInBuckets[(block.timestamp / size) % (BRIDGE_IN_BUCKETS + 1)];
+        if (bucket.end != end && bucket.end + bridgeInWindowDuration <= block.timestamp) {
+            bucket.amount = 0;
+        }
+        // A bucket that still counts but was sized for a different window
+        // duration is folded in, which only makes it count for longer
+        if (bucket.end < end) {
+            bucket.end = uint64(end);
+        }
+        bucket.amount += uint192(amount);
+    }
+
+    /// @notice Supply changes by source. minted + bridgedIn - bridgedOut - burned
+    /// always equals totalSupply(); unallocated is what the contract still holds.
+    function getSupplyBreakdown() public view returns (
+        uint256 minted,
+        uint256 bridgedIn,
+        uint256 bridgedOut,
+        uint256 burned,
+        uint256 unallocated
+    ) {
+        return (totalMinted, totalBridgedIn, totalBridgedOut, totalBurned, balanceOf(address(this)));
+    }
+
+    function getSigners() public view returns (address[] memory) {
+        return signers;
+    }
+
+    // Only approvals from current signers count, so a removed or replaced
+    // signer's earlier signatures drop out of every open operation
+    function _countApprovals(mapping(address => bool) storage approvals) internal view returns (uint256 count) {
+        for (uint i = 0; i < signers.length; i++) {
+            if (approvals[signers[i]]) {
+                count++;
+            }
+        }
     }
 
     function isSigner(address account) public view returns (bool) {
@@ -1526,9 +2285,31 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
     }
 
     // --------- HELPER FUNCTIONS ---------
+    /// @notice EIP-712 digest a signer signs to approve an operation. The
+    /// domain binds it to this contract and the chain it is deployed on.
     function getOperationHash(bytes32 operationId) public view returns (bytes32) {
         Operation storage op = operations[operationId];
-        return keccak256(abi.encodePacked(operationId, op.opType, op.target, op.value, op.data, chainId));
+        bytes32 structHash = keccak256(abi.encode(
+            OPERATION_TYPEHASH,
+            operationId,
+            op.opType,
+            op.target,
+            op.value,
+            keccak256(op.data)
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+    }
+
+    // Computed on every call rather than cached, so it always reflects the
+    // chain the contract is running on
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes(name())),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
     }
 
     // Override transfer function to check for pause
@@ -1553,8 +2334,81 @@ contract Liberdus is ERC20, Pausable, ReentrancyGuard, Ownable {
         return MAX_SUPPLY - totalSupply();
     }
 
+    /// @notice Amount that can be bridged in now without exceeding the rolling
+    /// window limit, and the next time an earlier bridge-in stops counting and
+    /// capacity grows. increasesAt is 0 when nothing counts against the window.
+    function getBridgeInCapacity() public view returns (uint256 remaining, uint256 increasesAt) {
+        uint256 used;
+        for (uint i = 0; i <= BRIDGE_IN_BUCKETS; i++) {
+            BridgeInBucket storage bucket = bridgeInBuckets[i];
+            uint256 expiresAt = bucket.end + bridgeInWindowDuration;
+            if (bucket.amount == 0 || expiresAt <= block.timestamp) {
+                continue;
+            }
+            used += bucket.amount;
+            if (increasesAt == 0 || expiresAt < increasesAt) {
+                increasesAt = expiresAt;
+            }
+        }
+        remaining = used >= bridgeInWindowLimit ? 0 : bridgeInWindowLimit - used;
+    }
+
+    function isBridgeInProcessed(bytes32 txId) public view returns (bool) {
+        return processedBridgeIns[txId];
+    }
+
+    // The deadline only limits signature collection; a queued operation
+    // stays executable after it
     function isOperationExpired(bytes32 operationId) public view returns (bool) {
-        return block.timestamp > operations[operationId].deadline;
+        Operation storage op = operations[operationId];
+        return op.executableAt == 0 && block.timestamp > op.deadline;
+    }
+
+    function hasSigned(bytes32 operationId, address signer) public view returns (bool) {
+        return operations[operationId].signatures[signer];
+    }
+
+    /// @notice Full state of an operation, including which of the current
+    /// signers have signed it. Reverts for an unknown operationId.
+    function getOperation(bytes32 operationId) public view returns (OperationView memory view_) {
+        Operation storage op = operations[operationId];
+        require(op.deadline != 0, "Operation not found");
+
+        view_.operationId = operationId;
+        view_.opType = op.opType;
+        view_.target = op.target;
+        view_.value = op.value;
+        view_.data = op.data;
+        view_.numSignatures = _countApprovals(op.signatures);
+        view_.executed = op.executed;
+        view_.cancelled = op.cancelled;
+        view_.expired = !op.executed && !op.cancelled && op.executableAt == 0 && block.timestamp > op.deadline;
+        view_.deadline = op.deadline;
+        view_.executableAt = op.executableAt;
+        view_.signers = new address[](signers.length);
+        view_.signed = new bool[](signers.length);
+        for (uint i = 0; i < signers.length; i++) {
+            view_.signers[i] = signers[i];
+            view_.signed[i] = op.signatures[signers[i]];
+        }
+    }
+
+    function getOperationIdAt(uint256 index) public view returns (bytes32) {
+        require(index < operationIds.length, "Index out of range");
+        return operationIds[index];
+    }
+
+    /// @notice Up to `limit` operation ids in request order, starting at
+    /// `offset`. Returns fewer once the end of the list is reached.
+    function getOperationIds(uint256 offset, uint256 limit) public view returns (bytes32[] memory ids) {
+        if (offset >= operationIds.length) {
+            return ids;
+        }
+        uint256 count = operationIds.length - offset < limit ? operationIds.length - offset : limit;
+        ids = new bytes32[](count);
+        for (uint i = 0; i < count; i++) {
+            ids[i] = operationIds[offset + i];
+        }
     }
 
     /// @dev Overrides the _update function to add pause functionality to all token movements.
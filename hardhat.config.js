@@ -2,14 +2,45 @@ require("@nomicfoundation/hardhat-ethers");
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
 
-// Define signer addresses for production networks
+// Define signer addresses for production networks. SIGNERS takes a
+// comma-separated list of any length; otherwise SIGNER_1..SIGNER_4 are used.
 const SIGNER_1 = process.env.SIGNER_1 || "0x1111111111111111111111111111111111111111";
 const SIGNER_2 = process.env.SIGNER_2 || "0x2222222222222222222222222222222222222222";
 const SIGNER_3 = process.env.SIGNER_3 || "0x3333333333333333333333333333333333333333";
 const SIGNER_4 = process.env.SIGNER_4 || "0x4444444444444444444444444444444444444444";
+const SIGNERS = process.env.SIGNERS
+  ? process.env.SIGNERS.split(",").map((address) => address.trim())
+  : [SIGNER_1, SIGNER_2, SIGNER_3, SIGNER_4];
+const REQUIRED_SIGNATURES = Number(process.env.REQUIRED_SIGNATURES || 3);
+
+// These are hardhat default accounts. Safe to use for local testing.
+const LOCAL_ACCOUNTS = [
+  "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80",
+  "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d",
+  "0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a",
+  "0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6",
+  "0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a",
+  "0x8b3a350cf5c34c9194ca85829a2df0ec3153be0318b5e2d3348e872092edffba",
+  "0x92db14e403b83dfe3df233f83dfa3a0d7096f21ca9b0d6d6b8d88b2b4ec1564e"
+];
 
 module.exports = {
-  solidity: "0.8.20",
+  solidity: {
+    version: "0.8.20",
+    settings: {
+      // Liberdus needs the optimizer to fit the 24576 byte (EIP-170) limit on
+      // deployed code. Deployed size measured with solc 0.8.20:
+      //   when DistributeTokensBatch was added: 24929 bytes unoptimized, 13492 at runs 200
+      //   now: 45255 unoptimized; 23941 at runs 1, 24500 at runs 200, 26737 at runs 1000
+      // Runs 200 keeps calls cheaper than runs 1 and still fits. Changing these
+      // settings changes the bytecode, so explorer verification must use the
+      // same settings, and test/liberdus.test.js fails once the limit is exceeded.
+      optimizer: {
+        enabled: true,
+        runs: 200
+      }
+    }
+  },
   defaultNetwork: "localhost",
   networks: {
     hardhat: {
@@ -18,19 +49,16 @@ module.exports = {
         mnemonic: process.env.MNEMONIC || "test test test test test test test test test test test junk",
       },
     },
+    // LOCALHOST_URL points the scripts at another node, e.g. the one the
+    // end-to-end distribution tests serve on a random port
     localhost: {
-      url: "http://127.0.0.1:8545",
-      accounts: [
-        // These are hardhat default accounts. Safe to use for local testing.
-        "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80",
-        "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d",
-        "0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a",
-        "0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6",
-        "0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a",
-        "0x8b3a350cf5c34c9194ca85829a2df0ec3153be0318b5e2d3348e872092edffba",
-        "0x92db14e403b83dfe3df233f83dfa3a0d7096f21ca9b0d6d6b8d88b2b4ec1564e"
-
-      ].filter((key) => key !== undefined),
+      url: process.env.LOCALHOST_URL || "http://127.0.0.1:8545",
+      accounts: LOCAL_ACCOUNTS,
+    },
+    // Second local node, `npx hardhat node --port 8546`, for bridge testing
+    localhost2: {
+      url: "http://127.0.0.1:8546",
+      accounts: LOCAL_ACCOUNTS,
     },
     polygon: {
       url: process.env.POLYGON_URL || "https://polygon-rpc.com",
@@ -59,10 +87,14 @@ module.exports = {
       default: 0
     },
     signers: {
-      mainnet: [SIGNER_1, SIGNER_2, SIGNER_3, SIGNER_4],
-      polygon: [SIGNER_1, SIGNER_2, SIGNER_3, SIGNER_4],
-      mumbai: [SIGNER_1, SIGNER_2, SIGNER_3, SIGNER_4],
-      amoy: [SIGNER_1, SIGNER_2, SIGNER_3, SIGNER_4],
+      mainnet: SIGNERS,
+      polygon: SIGNERS,
+      mumbai: SIGNERS,
+      amoy: SIGNERS,
+    },
+    // Signatures needed to execute an operation, per network
+    requiredSignatures: {
+      default: REQUIRED_SIGNATURES,
     }
   }
 };
@@ -0,0 +1,125 @@
+const { ethers } = require('ethers');
+const { parseCommandLine, loadHardhat, getNetworkProvider, getNetworkWallet, resolveTokenAddress, sleep, runMain } = require('./lib/cli');
+const {
+  DEFAULT_CONFIRMATIONS,
+  openRelayerState,
+  scanBridgedOut,
+  recoverRelayerState,
+  relayTransfers
+} = require('./lib/bridge');
+const { defaultStartBlock } = require('./lib/deployments');
+
+const USAGE = `Usage: node scripts/bridge-relayer.js --source <network> --destination <network> [options]
+
+Follows BridgedOut to the destination's chain on the source deployment and
+calls bridgeIn on the destination for every transfer once it has enough
+confirmations. Each side must list the other with set-supported-chain. Transfers
+above maxBridgeInAmount are split, and mints wait for room in the
+destination's bridge-in window.
+Everything relayed is recorded in the state file, and every txId is checked
+with isBridgeInProcessed before it is sent, so a restart never mints twice.
+
+Options:
+  --source <network>             Hardhat network to watch for BridgedOut
+  --destination <network>        Hardhat network to call bridgeIn on
+  --source-token <address>       Liberdus address on the source network
+                                 (defaults to deployments/<source>.json)
+  --destination-token <address>  Liberdus address on the destination network
+                                 (defaults to deployments/<destination>.json)
+  --account <index>              Destination account that is the bridgeInCaller (default 0)
+  --state <file>                 Relayer state (default ./bridge-relayer-state.json)
+  --confirmations <number>       Source confirmations to wait for (default ${DEFAULT_CONFIRMATIONS})
+  --from-block <number>          First source block to scan for a new state file
+                                 (default: the current confirmed block)
+  --poll-interval <seconds>      Time between scans (default 15)
+  --once                         Scan and relay once, then exit
+`;
+
+const OPTIONS = {
+  source: { type: 'string' },
+  destination: { type: 'string' },
+  'source-token': { type: 'string' },
+  'destination-token': { type: 'string' },
+  state: { type: 'string', default: './bridge-relayer-state.json' },
+  confirmations: { type: 'string', default: String(DEFAULT_CONFIRMATIONS) },
+  'from-block': { type: 'string' },
+  'poll-interval': { type: 'string', default: '15' },
+  once: { type: 'boolean', default: false }
+};
+
+async function connectToken(abi, tokenFlag, runner, network) {
+  const address = resolveTokenAddress(tokenFlag, network);
+  if (!ethers.isAddress(address)) {
+    throw new Error(`Invalid token address for ${network}: ${address}`);
+  }
+  if (await runner.provider.getCode(address) === '0x') {
+    throw new Error(`No contract found at ${address} on network ${network}`);
+  }
+  return new ethers.Contract(address, abi, runner);
+}
+
+async function main() {
+  const { values } = parseCommandLine(OPTIONS);
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  for (const name of ['source', 'destination']) {
+    if (!values[name]) {
+      throw new Error(`Missing required argument --${name}. Run with --help for usage.`);
+    }
+  }
+
+  const hre = loadHardhat();
+  const { abi } = await hre.artifacts.readArtifact('Liberdus');
+  const relayer = getNetworkWallet(hre, values.destination, values.account);
+  const sourceProvider = getNetworkProvider(hre, values.source);
+  const source = await connectToken(abi, values['source-token'], sourceProvider, values.source);
+  const destination = await connectToken(abi, values['destination-token'], relayer, values.destination);
+
+  const caller = await destination.bridgeInCaller();
+  if (caller !== relayer.address) {
+    throw new Error(`Account ${relayer.address} is not the bridgeInCaller (${caller}) on ${values.destination}`);
+  }
+
+  const confirmations = Number(values.confirmations);
+  const startBlock = values['from-block'] !== undefined
+    ? Number(values['from-block'])
+    : Math.max(await sourceProvider.getBlockNumber() - confirmations, 0);
+  const destinationAddress = await destination.getAddress();
+  const state = openRelayerState(values.state, {
+    source: `${values.source}:${await source.getAddress()}`,
+    destination: `${values.destination}:${destinationAddress}`,
+    startBlock,
+    destinationStartBlock: defaultStartBlock(values.destination, destinationAddress)
+  });
+
+  console.log(`Relaying ${state.data.source} -> ${state.data.destination} as ${relayer.address}`);
+  console.log(`Resuming after source block ${state.data.lastScannedBlock} with ${state.unfinished().length} unfinished transfers`);
+  await recoverRelayerState(destination, relayer.address, state);
+
+  for (;;) {
+    try {
+      const queued = await scanBridgedOut(source, destination, state, { confirmations });
+      queued.forEach((key) => {
+        const transfer = state.get(key);
+        console.log(`Queued ${ethers.formatUnits(transfer.amount, 18)} to ${transfer.to} from ${key} in ${transfer.parts.length} part(s)`);
+      });
+      await relayTransfers(source, destination, relayer, state, {
+        onUpdate: (key, index, hash) => console.log(`  ${key} part ${index + 1}: bridgeIn ${hash}`)
+      });
+    } catch (error) {
+      if (values.once) {
+        throw error;
+      }
+      console.error(`Relay failed, retrying after the poll interval: ${error.message}`);
+    }
+
+    if (values.once) {
+      return;
+    }
+    await sleep(Number(values['poll-interval']) * 1000);
+  }
+}
+
+runMain(main);
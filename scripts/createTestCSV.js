@@ -0,0 +1,78 @@
+const fs = require('fs');
+const { parseCommandLine, loadHardhat, getAccount, writeJson, runMain } = require('./lib/cli');
+const { readRegistry } = require('./lib/deployments');
+const { generateDistributionList, toCsv } = require('./lib/testcsv');
+
+const USAGE = `Usage: node scripts/createTestCSV.js [options]
+
+Writes a distribution list for rehearsing distribute.js: --count random valid
+rows, and with --tricky a set of rows it has to handle, valid or not: bad
+checksums, lower/upper-case and duplicate addresses, too many decimals, the
+smallest unit, zero and malformed amounts, the zero address, the sender's own
+address, contract addresses, and quoted or padded cells. The same seed always
+gives the same list.
+
+With --network, the sender defaults to the --account address and the contract
+rows to every deployment recorded for the network.
+
+Options:
+  --network <name>           Network whose account and deployments to use
+  --account <index>          Index of the sending account (default 0)
+  --out <file>               CSV to write (default ./test-distribution-list.csv)
+  --expected <file>          Also write each row's expected outcome as JSON
+  --count <number>           Valid random rows (default 10)
+  --seed <text>              Seed for addresses and amounts (default liberdus)
+  --decimals <number>        Token decimals the amounts are for (default 18)
+  --tricky                   Append the edge-case rows
+  --sender <address>         Address of the self-address row
+  --contracts <addresses>    Comma-separated addresses of the contract rows
+`;
+
+const OPTIONS = {
+  out: { type: 'string', default: './test-distribution-list.csv' },
+  expected: { type: 'string' },
+  count: { type: 'string', default: '10' },
+  seed: { type: 'string', default: 'liberdus' },
+  decimals: { type: 'string', default: '18' },
+  tricky: { type: 'boolean', default: false },
+  sender: { type: 'string' },
+  contracts: { type: 'string' }
+};
+
+async function main() {
+  const { values } = parseCommandLine(OPTIONS);
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const count = Number(values.count);
+  const decimals = Number(values.decimals);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`--count must be a positive integer, got ${values.count}`);
+  }
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255) {
+    throw new Error(`--decimals must be an integer from 0 to 255, got ${values.decimals}`);
+  }
+
+  let sender = values.sender;
+  let contracts = values.contracts ? values.contracts.split(',').map((address) => address.trim()) : [];
+  if (values.network) {
+    const hre = loadHardhat(values.network);
+    sender = sender || (await getAccount(hre, values.account)).address;
+    if (!values.contracts) {
+      contracts = Object.values(readRegistry(hre.network.name).contracts).map(({ address }) => address);
+    }
+  }
+
+  const rows = generateDistributionList({ count, seed: values.seed, decimals, tricky: values.tricky, sender, contracts });
+  fs.writeFileSync(values.out, toCsv(rows));
+  if (values.expected) {
+    writeJson(values.expected, rows.map(({ line, name, expected }) => ({ line, name, expected })));
+  }
+
+  const invalid = rows.filter(({ expected }) => expected).length;
+  console.log(`Wrote ${rows.length} rows to ${values.out} (${rows.length - invalid} valid, ${invalid} expected to fail)`);
+}
+
+runMain(main);
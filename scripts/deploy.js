@@ -1,25 +1,32 @@
 const hre = require("hardhat");
+const { EPHEMERAL_NETWORKS, checkRedeploy, buildManifest, recordDeployment } = require("./lib/deployments");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost", "localhost2"];
 
 async function main() {
   // Get all signers
-  const [deployer, signer1, signer2, signer3] = await hre.ethers.getSigners();
+  const accounts = await hre.ethers.getSigners();
+  const deployer = accounts[0];
 
   console.log("Deploying contracts with the account:", deployer.address);
   console.log("Account balance:", (await deployer.provider.getBalance(deployer.address)).toString());
 
-  // Get chainId from the network
-  const chainId = (await hre.ethers.provider.getNetwork()).chainId;
+  // Get chainId from the network. Local nodes all report the same chainId, so
+  // CHAIN_ID can give a second local deployment its own identity for bridging.
+  let chainId = (await hre.ethers.provider.getNetwork()).chainId;
+  if (process.env.CHAIN_ID && LOCAL_NETWORKS.includes(hre.network.name)) {
+    chainId = BigInt(process.env.CHAIN_ID);
+  }
 
   // Determine which signers to use based on the network
   let signers;
-  if (hre.network.name === "hardhat" || hre.network.name === "localhost") {
-    // Use local hardhat accounts for testing
-    signers = [
-      deployer.address,
-      signer1.address,
-      signer2.address,
-      signer3.address
-    ];
+  if (LOCAL_NETWORKS.includes(hre.network.name)) {
+    // Use the first SIGNER_COUNT (default 4) local accounts for testing
+    const count = Number(process.env.SIGNER_COUNT || 4);
+    if (count < 1 || count > accounts.length) {
+      throw new Error(`SIGNER_COUNT must be between 1 and ${accounts.length}`);
+    }
+    signers = accounts.slice(0, count).map((account) => account.address);
   } else {
     // Use configured signers for production networks
     signers = hre.config.namedAccounts.signers[hre.network.name];
@@ -28,11 +35,24 @@ async function main() {
     }
   }
 
+  const thresholds = hre.config.namedAccounts.requiredSignatures;
+  const requiredSignatures = thresholds[hre.network.name] ?? thresholds.default;
+  if (!Number.isInteger(requiredSignatures) || requiredSignatures < 1 || requiredSignatures > signers.length) {
+    throw new Error(`Required signatures must be between 1 and ${signers.length}, got ${requiredSignatures}`);
+  }
+
+  // Refuse before spending any gas if a live deployment would be replaced
+  const record = !EPHEMERAL_NETWORKS.includes(hre.network.name);
+  if (record) {
+    await checkRedeploy(hre.ethers.provider, hre.network.name, "Liberdus", { force: process.env.REDEPLOY === "1" });
+  }
+
   console.log("Using chainId:", chainId);
   console.log("Using signers:", signers);
+  console.log("Required signatures:", requiredSignatures);
 
   const LiberdusToken = await hre.ethers.getContractFactory("Liberdus");
-  const liberdusToken = await LiberdusToken.deploy(signers, chainId);
+  const liberdusToken = await LiberdusToken.deploy(signers, requiredSignatures, chainId);
 
   await liberdusToken.waitForDeployment();
 
@@ -42,15 +62,24 @@ async function main() {
     console.log(`- Signer ${index + 1}:`, signer);
   });
 
+  if (record) {
+    const manifest = await buildManifest(hre, liberdusToken, {
+      contractName: "Liberdus",
+      constructorArgs: [signers, requiredSignatures, chainId.toString()],
+      extra: { signers, requiredSignatures, configuredChainId: chainId.toString() }
+    });
+    console.log("Recorded deployment in", recordDeployment(hre.network.name, manifest));
+  }
+
   // Verify the contract on block explorer if not on local network
-  if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
+  if (!LOCAL_NETWORKS.includes(hre.network.name)) {
     console.log("Waiting for block confirmations...");
     await liberdusToken.deploymentTransaction().wait(6);
 
     console.log("Verifying contract...");
     await hre.run("verify:verify", {
       address: await liberdusToken.getAddress(),
-      constructorArguments: [signers, chainId],
+      constructorArguments: [signers, requiredSignatures, chainId],
     });
   }
 }
@@ -0,0 +1,67 @@
+const { ethers } = require('ethers');
+const { parseCommandLine, loadHardhat, getAccount, runMain } = require('./lib/cli');
+const { EPHEMERAL_NETWORKS, checkRedeploy, buildManifest, recordDeployment } = require('./lib/deployments');
+
+const USAGE = `Usage: node scripts/deployTestToken.js --network <name> [options]
+
+Deploys TestToken, a plain mintable ERC20 for rehearsing distributions, and
+records it in deployments/<network>.json under "TestToken", next to Liberdus.
+The whole supply goes to the deploying account. Run distribute.js against it
+with --contract TestToken.
+
+Options:
+  --network <name>           Hardhat network to deploy to (e.g. localhost)
+  --account <index>          Index of the local account to deploy from (default 0)
+  --name <name>              Token name (default "Test Token")
+  --symbol <symbol>          Token symbol (default TEST)
+  --decimals <number>        Token decimals (default 18)
+  --supply <tokens>          Supply minted to the deployer (default 1000000)
+
+Set REDEPLOY=1 to replace a TestToken already recorded on the network.
+`;
+
+const OPTIONS = {
+  name: { type: 'string', default: 'Test Token' },
+  symbol: { type: 'string', default: 'TEST' },
+  decimals: { type: 'string', default: '18' },
+  supply: { type: 'string', default: '1000000' }
+};
+
+async function main() {
+  const { values } = parseCommandLine(OPTIONS);
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const decimals = Number(values.decimals);
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255) {
+    throw new Error(`--decimals must be an integer from 0 to 255, got ${values.decimals}`);
+  }
+  const supply = ethers.parseUnits(values.supply, decimals);
+
+  const hre = loadHardhat(values.network);
+  const deployer = await getAccount(hre, values.account);
+  const record = !EPHEMERAL_NETWORKS.includes(hre.network.name);
+  if (record) {
+    await checkRedeploy(hre.ethers.provider, hre.network.name, 'TestToken', { force: process.env.REDEPLOY === '1' });
+  }
+
+  const constructorArgs = [values.name, values.symbol, decimals, supply];
+  const TestToken = await hre.ethers.getContractFactory('TestToken', deployer);
+  const token = await TestToken.deploy(...constructorArgs);
+  await token.waitForDeployment();
+  console.log(`TestToken ${values.symbol} deployed to ${await token.getAddress()}`);
+  console.log(`Minted ${values.supply} ${values.symbol} to ${deployer.address}`);
+
+  if (record) {
+    const manifest = await buildManifest(hre, token, {
+      contractName: 'TestToken',
+      constructorArgs,
+      extra: { symbol: values.symbol, decimals }
+    });
+    console.log(`Recorded deployment in ${recordDeployment(hre.network.name, manifest)}`);
+  }
+}
+
+runMain(main);
@@ -1,7 +1,62 @@
-const fs = require('fs');
-const path = require('path');
-const { parse } = require('csv-parse/sync');
-const { ethers } = require('hardhat');
+const { ethers } = require('ethers');
+const { parseCommandLine, loadHardhat, getAccount, resolveTokenAddress, getToken, writeJson, runMain } = require('./lib/cli');
+const {
+  loadDistributionList,
+  validateDistribution,
+  findContractRecipients,
+  openJournal,
+  recoverJournal,
+  sendDistribution,
+  reconcileDistribution,
+  recoverDistributionOperations,
+  trackDistributionOperations,
+  requestDistributionOperations,
+  pendingOperationIds,
+  summarizeOperations
+} = require('./lib/distribution');
+const { exportBundle } = require('./lib/bundle');
+
+const USAGE = `Usage: node scripts/distribute.js [options]
+
+Sends ERC20 transfers for every row of a CSV with name,address,amount columns.
+Progress is journaled per row, so an interrupted run picks up where it stopped.
+
+With --multisig, each row instead becomes a Liberdus DistributeTokens operation
+paid from the contract balance, and a signing bundle is written for the signers.
+Run the same command again to track which operations have executed.
+
+Options:
+  --network <name>           Hardhat network to use
+  --token <address>          Token address (defaults to deployments/<network>.json)
+  --contract <name>          Registry entry used when --token is not given
+                             (default Liberdus, TestToken for a rehearsal)
+  --account <index>          Index of the local account to send from (default 0)
+  --csv <file>               Distribution list (default ./distribution-list.csv)
+  --journal <file>           Run journal (default ./distribution-journal.json,
+                             ./distribution-multisig-journal.json with --multisig)
+  --report <file>            Reconciliation report (default ./distribution-report.json)
+  --concurrency <number>     Transactions awaiting confirmation at once (default 5)
+  --dry-run                  Validate the list and print the plan without sending
+  --allow-contracts          Accept recipients that are contracts
+  --reconcile                Only compare the list with on-chain Transfer events
+  --multisig                 File DistributeTokens operations instead of transfers
+  --bundle <file>            Signing bundle for --multisig (default ./distribution-bundle.json)
+  --track                    With --multisig, only track execution, request nothing
+`;
+
+const OPTIONS = {
+  csv: { type: 'string', default: './distribution-list.csv' },
+  journal: { type: 'string' },
+  report: { type: 'string', default: './distribution-report.json' },
+  concurrency: { type: 'string', default: '5' },
+  contract: { type: 'string', default: 'Liberdus' },
+  'dry-run': { type: 'boolean', default: false },
+  'allow-contracts': { type: 'boolean', default: false },
+  reconcile: { type: 'boolean', default: false },
+  multisig: { type: 'boolean', default: false },
+  bundle: { type: 'string', default: './distribution-bundle.json' },
+  track: { type: 'boolean', default: false }
+};
 
 // Updated ABI to include Transfer event
 const ERC20_ABI = [
@@ -46,172 +101,188 @@ async function validateContract(address, signer) {
   }
 }
 
-async function checkRecentTransfer(token, signer, toAddress, amount, minimumWaitTime) {
-  try {
-    // Get current block
-    const currentBlock = await ethers.provider.getBlockNumber();
-
-    // Calculate blocks to look back (assuming 2.5s per block for Polygon, add extra blocks for safety)
-    const blocksToLookBack = Math.ceil((minimumWaitTime / 2500) * 2);
-    const fromBlock = Math.max(0, currentBlock - blocksToLookBack);
-
-    // Create filter for Transfer events
-    const filter = token.filters.Transfer(signer.address, toAddress);
-
-    // Get past events
-    const events = await token.queryFilter(filter, fromBlock, currentBlock);
-
-    // Check each event
-    for (const event of events) {
-      if (event.args.value === amount) {
-        const eventBlock = await event.getBlock();
-        const eventTimestamp = eventBlock.timestamp * 1000; // Convert to milliseconds
-        const timeDiff = Date.now() - eventTimestamp;
-
-        if (timeDiff < minimumWaitTime) {
-          const minutesAgo = Math.floor(timeDiff / (1000 * 60));
-          return {
-            recentTransferFound: true,
-            minutesAgo,
-            txHash: event.transactionHash
-          };
-        }
-      }
+function printPlan(plan, journal, decimals, symbol) {
+  console.log('Distribution plan:');
+  for (const entry of plan.entries) {
+    const status = (journal.get(entry.rowId) || {}).status || 'new';
+    console.log(`  line ${entry.line}: ${entry.amount} ${symbol} to ${entry.name} (${entry.address}) [${status}]`);
+  }
+  console.log(`Rows: ${plan.entries.length} valid, ${plan.errors.length} errors`);
+  console.log(`Total: ${ethers.formatUnits(plan.total, decimals)} ${symbol}`);
+  console.log(`Still to send: ${ethers.formatUnits(plan.remaining, decimals)} ${symbol}`);
+
+  if (plan.errors.length > 0) {
+    console.log('\nErrors:');
+    plan.errors.forEach(({ line, name, error }) => {
+      console.log(line ? `  line ${line} (${name}): ${error}` : `  ${error}`);
+    });
+  }
+}
+
+function printReport(report) {
+  const { summary } = report;
+  console.log(`\nReconciliation (blocks ${report.fromBlock}-${report.toBlock}):`);
+  console.log(`  ok: ${summary.ok}, missing: ${summary.missing}, mismatch: ${summary.mismatch}, unexpected: ${summary.unexpected}`);
+  report.rows
+    .filter((row) => row.status !== 'ok')
+    .forEach((row) => console.log(`  line ${row.line} (${row.name}, ${row.address}): ${row.status}`));
+  report.unexpected.forEach((transfer) => {
+    console.log(`  unexpected transfer of ${transfer.value} to ${transfer.to} in ${transfer.txHash}`);
+  });
+}
+
+function printOperationReport({ summary, rows }) {
+  console.log('\nOperations:');
+  console.log(`  executed: ${summary.executed}, awaiting signatures: ${summary.requested}, expired: ${summary.expired}, cancelled: ${summary.cancelled}, not requested: ${summary.missing}`);
+  rows
+    .filter((row) => row.status !== 'executed')
+    .forEach((row) => console.log(`  line ${row.line} (${row.name}, ${row.address}): ${row.status} ${row.operationId || ''}`));
+}
+
+// Requests one DistributeTokens operation per row from the contract balance
+// and writes a bundle so every signer can approve the whole batch at once.
+async function distributeWithMultisig(hre, values, requester) {
+  const token = await getToken(hre, values.token, requester);
+  const tokenAddress = await token.getAddress();
+  const decimals = Number(await token.decimals());
+  const symbol = await token.symbol();
+
+  const rows = loadDistributionList(values.csv);
+  const journal = openJournal(values.journal || './distribution-multisig-journal.json', {
+    token: tokenAddress,
+    sender: tokenAddress,
+    chainId: (await hre.ethers.provider.getNetwork()).chainId,
+    startBlock: await hre.ethers.provider.getBlockNumber()
+  });
+
+  if (!values['dry-run']) {
+    const { entries } = validateDistribution(rows, { decimals, sender: tokenAddress });
+    await recoverDistributionOperations(token, requester.address, entries, journal);
+    await trackDistributionOperations(token, entries, journal);
+  }
+
+  const balance = await token.balanceOf(tokenAddress);
+  console.log(`Contract balance: ${ethers.formatUnits(balance, decimals)} ${symbol}`);
+  const plan = validateDistribution(rows, { decimals, sender: tokenAddress, balance, settled: journal.settled() });
+  if (!values['allow-contracts']) {
+    plan.errors.push(...await findContractRecipients(hre.ethers.provider, plan.entries));
+  }
+  printPlan(plan, journal, decimals, symbol);
+
+  if (values['dry-run']) {
+    if (plan.errors.length > 0) {
+      throw new Error('Dry run found errors, nothing was requested');
     }
+    console.log('\nDry run only, nothing was requested');
+    return;
+  }
+  if (plan.errors.length > 0) {
+    throw new Error('Fix the errors above before requesting operations');
+  }
 
-    return { recentTransferFound: false };
-  } catch (error) {
-    console.error('Error checking recent transfers:', error);
-    return { recentTransferFound: false };
+  if (!values.track) {
+    console.log(`\nRequesting operations from ${requester.address}...`);
+    await requestDistributionOperations(token, plan.entries, journal, {
+      onUpdate: (entry, status, operationId) => console.log(`  line ${entry.line}: ${status} ${operationId}`)
+    });
+  }
+
+  const report = summarizeOperations(plan.entries, journal);
+  writeJson(values.report, report);
+  printOperationReport(report);
+
+  const pending = pendingOperationIds(plan.entries, journal);
+  if (pending.length > 0) {
+    const bundle = await exportBundle(token, pending);
+    writeJson(values.bundle, bundle);
+    console.log(`\nSigning bundle with ${pending.length} operations written to ${values.bundle}`);
+    console.log('Approve it with `multisig.js approve` or `multisig.js sign-offline`, then run this again to track execution.');
   }
 }
 
 async function main() {
-  try {
-    if (!fs.existsSync('./token-config.json')) {
-      throw new Error('token-config.json not found. Please deploy the token first.');
-    }
-    const tokenConfig = JSON.parse(fs.readFileSync('./token-config.json', 'utf8'));
-
-    const CONFIG = {
-      tokenAddress: tokenConfig.tokenAddress,
-      csvPath: "./distribution-list.csv",
-      outputPath: "./distribution-records.json",
-      minimumWaitTime: 10 * 60 * 1000, // 10 minutes in milliseconds
-    };
-
-    let distributionRecords = {};
-    if (fs.existsSync(CONFIG.outputPath)) {
-      distributionRecords = JSON.parse(fs.readFileSync(CONFIG.outputPath, 'utf8'));
+  const { values } = parseCommandLine(OPTIONS);
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const hre = loadHardhat(values.network);
+  const signer = await getAccount(hre, values.account);
+  if (values.multisig) {
+    if (values.contract !== 'Liberdus') {
+      throw new Error('--multisig pays from the Liberdus contract balance, --contract does not apply');
     }
+    return distributeWithMultisig(hre, values, signer);
+  }
+  const tokenAddress = resolveTokenAddress(values.token, hre.network.name, values.contract);
+
+  console.log(`Signer address: ${signer.address}`);
+  console.log(`Token address: ${tokenAddress}`);
+
+  console.log('\nValidating token contract...');
+  const token = await validateContract(tokenAddress, signer);
+  const decimals = Number(await token.decimals());
+  const symbol = await token.symbol();
+  const chainId = (await hre.ethers.provider.getNetwork()).chainId;
+
+  const rows = loadDistributionList(values.csv);
+  const journal = openJournal(values.journal || './distribution-journal.json', {
+    token: tokenAddress,
+    sender: signer.address,
+    chainId,
+    startBlock: await hre.ethers.provider.getBlockNumber()
+  });
 
-    const fileContent = fs.readFileSync(CONFIG.csvPath, 'utf8');
-    const records = parse(fileContent, {
-      columns: true,
-      skip_empty_lines: true
-    });
+  // Settle anything an interrupted run left in flight before planning
+  if (!values['dry-run']) {
+    const { entries } = validateDistribution(rows, { decimals, sender: signer.address });
+    await recoverJournal(token, signer, entries, journal);
+  }
 
-    const [signer] = await ethers.getSigners();
-    console.log('Starting distribution process...');
-    console.log(`Signer address: ${signer.address}`);
-    console.log(`Token address: ${CONFIG.tokenAddress}`);
-
-    console.log('\nValidating token contract...');
-    const token = await validateContract(CONFIG.tokenAddress, signer);
-    const decimals = await token.decimals();
-    const symbol = await token.symbol();
-
-    const initialBalance = await token.balanceOf(signer.address);
-    console.log(`Initial token balance: ${ethers.formatUnits(initialBalance, decimals)} ${symbol}`);
-
-    for (const record of records) {
-      const { name, address, amount } = record;
-
-      if (address.toLowerCase() === signer.address.toLowerCase()) {
-        console.log(`Skipping ${name} (${address}): Cannot send to self`);
-        continue;
-      }
-
-      if (!ethers.isAddress(address)) {
-        console.log(`Invalid address for ${name}, skipping...`);
-        continue;
-      }
-
-      // Check local records first to avoid duplicate distributions
-      if (distributionRecords[address]) {
-        const lastDistribution = new Date(distributionRecords[address].timestamp);
-        const timeDiff = Date.now() - lastDistribution.getTime();
-
-        if (timeDiff < CONFIG.minimumWaitTime) {
-          console.log(`Skipping ${name} (${address}): Distribution attempted too soon (${Math.floor(timeDiff/1000/60)} minutes ago)`);
-          continue;
-        }
-      }
-
-      try {
-        const tokenAmount = ethers.parseUnits(amount.toString(), decimals);
-
-        // Check for recent on-chain transfers to avoid duplicate distributions
-        const recentTransfer = await checkRecentTransfer(
-          token,
-          signer,
-          address,
-          tokenAmount,
-          CONFIG.minimumWaitTime
-        );
-
-        if (recentTransfer.recentTransferFound) {
-          console.log(`Skipping ${name} (${address}): Found recent on-chain transfer ${recentTransfer.minutesAgo} minutes ago`);
-          console.log(`Previous transaction: ${recentTransfer.txHash}`);
-          continue;
-        }
-
-        const balance = await token.balanceOf(signer.address);
-        if (balance < tokenAmount) {
-          throw new Error('Insufficient token balance');
-        }
-
-        console.log(`Sending ${amount} ${symbol} to ${name} (${address})...`);
-        const tx = await token.transfer(address, tokenAmount);
-        await tx.wait();
-
-        distributionRecords[address] = {
-          name,
-          amount,
-          txHash: tx.hash,
-          timestamp: new Date().toISOString(),
-          blockNumber: tx.blockNumber
-        };
-
-        fs.writeFileSync(
-          CONFIG.outputPath,
-          JSON.stringify(distributionRecords, null, 2)
-        );
-
-        console.log(`✓ Sent ${amount} ${symbol} to ${name}`);
-        console.log(`Transaction hash: ${tx.hash}`);
-
-        const recipientBalance = await token.balanceOf(address);
-        console.log(`Recipient's new balance: ${ethers.formatUnits(recipientBalance, decimals)} ${symbol}\n`);
-
-      } catch (error) {
-        console.error(`Error sending tokens to ${name} (${address}):`, error.message);
-      }
+  const plan = validateDistribution(rows, {
+    decimals,
+    sender: signer.address,
+    balance: await token.balanceOf(signer.address),
+    settled: journal.settled()
+  });
+  if (!values['allow-contracts']) {
+    plan.errors.push(...await findContractRecipients(hre.ethers.provider, plan.entries));
+  }
+  printPlan(plan, journal, decimals, symbol);
+
+  if (values['dry-run']) {
+    if (plan.errors.length > 0) {
+      throw new Error('Dry run found errors, nothing was sent');
     }
+    console.log('\nDry run only, nothing was sent');
+    return;
+  }
+  if (plan.errors.length > 0) {
+    throw new Error('Fix the errors above before distributing');
+  }
+
+  if (!values.reconcile) {
+    console.log('\nSending...');
+    const failures = await sendDistribution(token, signer, plan.entries, journal, {
+      concurrency: Number(values.concurrency),
+      onUpdate: (entry, status, hash) => console.log(`  line ${entry.line}: ${status} ${hash}`)
+    });
+    failures.forEach(({ entry, error }) => {
+      console.error(`  line ${entry.line} (${entry.address}) failed: ${error.shortMessage || error.message}`);
+    });
+  }
 
-    const finalBalance = await token.balanceOf(signer.address);
-    console.log(`Final token balance: ${ethers.formatUnits(finalBalance, decimals)} ${symbol}`);
-    console.log('Distribution process completed');
+  const report = await reconcileDistribution(token, signer, plan.entries, journal);
+  writeJson(values.report, report);
+  printReport(report);
+  console.log(`Report written to ${values.report}`);
 
-  } catch (error) {
-    console.error('Error in distribution script:', error);
-    process.exit(1);
+  const finalBalance = await token.balanceOf(signer.address);
+  console.log(`Final token balance: ${ethers.formatUnits(finalBalance, decimals)} ${symbol}`);
+  if (report.summary.missing > 0 || report.summary.mismatch > 0) {
+    throw new Error('Distribution incomplete, run again to resume');
   }
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+runMain(main);
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { parseCommandLine, loadHardhat, getToken, writeJson, runMain } = require('./lib/cli');
+const { TOKEN_DECIMALS } = require('./lib/operations');
+const {
+  simulatedEmission,
+  readEmission,
+  planEmission,
+  findSupplyTarget,
+  findExpiringMints,
+  formatTime,
+  planToRecords,
+  planToCsv
+} = require('./lib/emission');
+
+const USAGE = `Usage: node scripts/emission.js [options]
+
+Projects the remaining mint schedule of a Liberdus deployment from
+MINT_INTERVAL, MINT_AMOUNT, MAX_SUPPLY and its getNextMintTime, with every mint at
+the earliest time the contract allows. Warns about pending Mint operations that
+will expire before the next mint is allowed.
+
+Options:
+  --network <name>           Hardhat network to read from (e.g. localhost)
+  --token <address>          Liberdus address (defaults to deployments/<network>.json)
+  --simulate                 Plan a fresh deployment without connecting to one
+  --start <date>             With --simulate, time of the first mint (default now)
+  --target <tokens>          Also print when the supply first reaches this amount
+  --out <file>               Export the plan as .csv or .json
+`;
+
+const OPTIONS = {
+  simulate: { type: 'boolean', default: false },
+  start: { type: 'string' },
+  target: { type: 'string' },
+  out: { type: 'string' }
+};
+
+function parseStart(value) {
+  const time = value === undefined ? Date.now() : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date for --start: ${value}`);
+  }
+  return BigInt(Math.floor(time / 1000));
+}
+
+function exportPlan(out, steps) {
+  const extension = path.extname(out).toLowerCase();
+  if (extension === '.csv') {
+    fs.writeFileSync(out, planToCsv(steps));
+  } else if (extension === '.json') {
+    writeJson(out, planToRecords(steps));
+  } else {
+    throw new Error(`--out must end in .csv or .json, got ${out}`);
+  }
+}
+
+async function main() {
+  const { values } = parseCommandLine(OPTIONS);
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  let emission;
+  let warnings = [];
+  if (values.simulate) {
+    emission = simulatedEmission(parseStart(values.start));
+  } else {
+    if (values.start) {
+      throw new Error('--start only applies with --simulate');
+    }
+    const hre = loadHardhat(values.network);
+    const token = await getToken(hre, values.token);
+    emission = await readEmission(token);
+    warnings = await findExpiringMints(token, emission);
+  }
+
+  const format = (units) => ethers.formatUnits(units, TOKEN_DECIMALS);
+  console.log(`Supply:        ${format(emission.totalSupply)} of ${format(emission.maxSupply)}`);
+  console.log(`Last mint:     ${emission.lastMintTime === 0n ? 'never' : formatTime(emission.lastMintTime)}`);
+
+  const steps = planEmission(emission);
+  if (!emission.isPreLaunch) {
+    console.log('Post-launch: no further mints are possible');
+  } else if (steps.length === 0) {
+    console.log('Max supply reached: no further mints are possible');
+  } else {
+    console.log(`Next mint:     ${formatTime(steps[0].time)}${!values.simulate && steps[0].time <= emission.now ? ' (allowed now)' : ''}`);
+    console.log(`Final mint:    ${formatTime(steps[steps.length - 1].time)}`);
+    console.log(`\n${steps.length} mints remaining:`);
+    steps.forEach((step) => {
+      console.log(`  ${String(step.step).padStart(3)}  ${formatTime(step.time)}  ${format(step.supplyAfter)}`);
+    });
+  }
+
+  if (values.target) {
+    const target = ethers.parseUnits(values.target, TOKEN_DECIMALS);
+    const reached = findSupplyTarget(steps, target);
+    if (emission.totalSupply >= target) {
+      console.log(`\nSupply is already at or above ${values.target}`);
+    } else if (reached) {
+      console.log(`\nSupply reaches ${values.target} at mint ${reached.step}, no earlier than ${formatTime(reached.time)}`);
+    } else {
+      console.log(`\nSupply never reaches ${values.target} through minting`);
+    }
+  }
+
+  warnings.forEach(({ operationId, deadline, opensAt }) => {
+    console.warn(`\nWarning: Mint operation ${operationId} expires ${formatTime(deadline)}, before the next mint is allowed at ${formatTime(opensAt)}`);
+  });
+
+  if (values.out) {
+    exportPlan(values.out, steps);
+    console.log(`\nWrote ${steps.length} mints to ${values.out}`);
+  }
+}
+
+runMain(main);
@@ -1,108 +1,100 @@
 const fs = require('fs');
 const path = require('path');
+const { parseCommandLine, loadHardhat, runMain } = require('./lib/cli');
+const { flatten, compareFlattenedBytecode } = require('./lib/flatten');
+
+const USAGE = `Usage: node scripts/flatten.js [<contract>...] [options]
+
+Flattens a contract under contracts/ and everything it imports into a single
+source, e.g. for block explorer verification. Imports are resolved the way
+the compiler resolves them, Hardhat remappings included; comments are kept,
+the SPDX header and pragmas appear once at the top, and every file is marked
+with where it came from. The output is checked to compile to the same
+bytecode as the original build.
+
+<contract> is a name (Liberdus) or a path (contracts/Liberdus.sol) and
+defaults to Liberdus.
+
+Options:
+  --all                      Flatten every compiled file under contracts/
+  --out <file>               Output file for a single contract
+                             (default flattened/<Name>.flat.sol)
+  --check                    Don't write anything; fail if a committed
+                             flattened file is missing or out of date
+  --skip-bytecode            Don't compile the output to compare bytecode
+`;
+
+const OPTIONS = {
+  all: { type: 'boolean', default: false },
+  out: { type: 'string' },
+  check: { type: 'boolean', default: false },
+  'skip-bytecode': { type: 'boolean', default: false }
+};
+
+const FLATTENED_DIR = 'flattened';
+
+function toSourceName(contract) {
+  const sourceName = contract.endsWith('.sol') ? contract : `contracts/${contract}.sol`;
+  return path.posix.normalize(sourceName.split(path.sep).join('/'));
+}
 
-async function flattenContract() {
-  const nodeModulesPath = path.resolve(__dirname, '../node_modules');
-  const sourcesPath = path.resolve(__dirname, '../contracts');
-  
-  const processedFiles = new Set();
-  let flattenedContent = '';
-  const licenses = new Set();
-  const pragmas = new Set();
-
-  function readFileContent(filePath) {
-    try {
-      return fs.readFileSync(filePath, 'utf8');
-    } catch (error) {
-      console.error(`Error reading file ${filePath}:`, error);
-      return null;
-    }
-  }
-
-  function processFile(filePath) {
-    if (processedFiles.has(filePath)) {
-      return '';
-    }
+async function projectSources(hre) {
+  const { TASK_COMPILE } = require('hardhat/builtin-tasks/task-names');
+  await hre.run(TASK_COMPILE, { quiet: true });
+  const names = await hre.artifacts.getAllFullyQualifiedNames();
+  return [...new Set(names.map((name) => name.split(':')[0]))]
+    .filter((sourceName) => sourceName.startsWith('contracts/'))
+    .sort();
+}
 
-    let content = '';
-    const fileContent = readFileContent(filePath);
-    if (!fileContent) return '';
+async function main() {
+  const { values, positionals } = parseCommandLine(OPTIONS);
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
 
-    processedFiles.add(filePath);
+  const hre = loadHardhat(values.network);
+  const { TASK_COMPILE_GET_REMAPPINGS } = require('hardhat/builtin-tasks/task-names');
+  const remappings = Object.entries(await hre.run(TASK_COMPILE_GET_REMAPPINGS)).map(([from, to]) => `${from}=${to}`);
 
-    const lines = fileContent.split('\n');
-    for (const line of lines) {
-      // Collect SPDX license identifiers
-      if (line.includes('SPDX-License-Identifier:')) {
-        licenses.add(line.trim());
-        continue;
-      }
+  const entries = values.all ? await projectSources(hre) : (positionals.length > 0 ? positionals : ['Liberdus']).map(toSourceName);
+  if (values.out && entries.length !== 1) {
+    throw new Error('--out can only be used with a single contract');
+  }
 
-      // Collect pragma statements
-      if (line.trim().startsWith('pragma')) {
-        pragmas.add(line.trim() + ';');  // Add semicolon to pragma
-        continue;
-      }
+  let outdated = 0;
+  for (const entry of entries) {
+    const output = values.out || path.join(FLATTENED_DIR, path.basename(entry).replace(/\.sol$/, '.flat.sol'));
+    const flattened = flatten(entry, { root: hre.config.paths.root, remappings });
 
-      // Process imports
-      if (line.trim().startsWith('import')) {
-        const importMatch = line.match(/["']([^"']+)["']/);
-        if (importMatch) {
-          const importPath = importMatch[1];
-          let fullPath;
-          
-          if (importPath.startsWith('@openzeppelin')) {
-            fullPath = path.join(nodeModulesPath, importPath);
-          } else {
-            fullPath = path.join(path.dirname(filePath), importPath);
-          }
-          
-          content += processFile(fullPath);
-        }
-        continue;
+    if (!values['skip-bytecode']) {
+      const { match, differences } = await compareFlattenedBytecode(hre, entry, flattened);
+      if (!match) {
+        differences.forEach((difference) => console.log(`  ${difference}`));
+        throw new Error(`Flattened ${entry} does not compile to the original bytecode`);
       }
+    }
 
-      // Add other lines if they're not empty or comments
-      const trimmedLine = line.trim();
-      if (trimmedLine && !trimmedLine.startsWith('//')) {
-        content += line + '\n';
+    if (values.check) {
+      const committed = fs.existsSync(output) ? fs.readFileSync(output, 'utf8') : null;
+      if (committed === flattened.content) {
+        console.log(`${output} is up to date`);
+      } else {
+        outdated++;
+        console.log(`${output} is ${committed === null ? 'missing' : 'out of date'}`);
       }
+      continue;
     }
 
-    return content;
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, flattened.content);
+    console.log(`Flattened ${entry} (${flattened.sourceNames.length} files) to ${output}`);
   }
 
-  // Process main contract
-  const mainContractPath = path.join(sourcesPath, 'Liberdus.sol');
-  const flattenedCode = processFile(mainContractPath);
-
-  // Combine everything
-  let output = '';
-  
-  // Add SPDX license
-  if (licenses.size > 0) {
-    output += Array.from(licenses)[0] + '\n';
+  if (outdated > 0) {
+    throw new Error(`${outdated} flattened file(s) need regenerating, run node scripts/flatten.js without --check`);
   }
-  
-  // Add pragma statements
-  if (pragmas.size > 0) {
-    output += Array.from(pragmas).join('\n') + '\n';
-  }
-
-  // Add a blank line after pragmas
-  output += '\n';
-
-  // Add flattened code
-  output += flattenedCode;
-
-  // Write to file
-  fs.writeFileSync('Liberdus.flat.sol', output);
-  console.log('Created flattened contract: Liberdus.flat.sol');
 }
 
-flattenContract()
-  .then(() => process.exit(0))
-  .catch(error => {
-    console.error(error);
-    process.exit(1);
-  });
\ No newline at end of file
+runMain(main);
@@ -0,0 +1,97 @@
+const { parseCommandLine, loadHardhat, getToken, sleep, runMain } = require('./lib/cli');
+const { defaultStartBlock } = require('./lib/deployments');
+const { DEFAULT_BLOCK_RANGE } = require('./lib/events');
+const { openIndexStore, syncIndex, queryOperations, createApiServer } = require('./lib/indexer');
+
+const USAGE = `Usage: node scripts/indexer.js [options]
+
+Indexes the multisig operations of a Liberdus deployment into a local store
+and serves them as JSON. Chain reorganisations are detected on every poll and
+the affected blocks are indexed again.
+
+Endpoints:
+  GET /status                       Indexed block, signers and threshold
+  GET /operations                   All operations (?status=pending|queued|executed|expired|cancelled, ?signer=<address>)
+  GET /operations/pending           Pending operations, closest deadline first
+  GET /operations/queued            Approved operations waiting for their execution delay
+  GET /operations/executed          Executed operations
+  GET /operations/expired           Operations that expired unexecuted
+  GET /operations/cancelled         Operations a signer cancelled
+  GET /operations/<operationId>     One operation with per-signer status
+  GET /signers/<address>/pending    Pending operations that signer has not signed
+
+Options:
+  --network <name>           Hardhat network to index (e.g. localhost)
+  --token <address>          Liberdus address (defaults to deployments/<network>.json)
+  --store <file>             Index store (default ./operation-index.json)
+  --from-block <number>      First block to index for a new store (default the
+                             recorded deployment block, else 0)
+  --block-range <number>     Blocks per eth_getLogs request (default ${DEFAULT_BLOCK_RANGE})
+  --poll-interval <seconds>  Time between syncs (default 15)
+  --host <host>              Address to listen on (default 127.0.0.1)
+  --port <port>              Port to listen on (default 3000)
+  --once                     Sync once, print a summary and exit
+`;
+
+const OPTIONS = {
+  store: { type: 'string', default: './operation-index.json' },
+  'from-block': { type: 'string' },
+  'block-range': { type: 'string', default: String(DEFAULT_BLOCK_RANGE) },
+  'poll-interval': { type: 'string', default: '15' },
+  host: { type: 'string', default: '127.0.0.1' },
+  port: { type: 'string', default: '3000' },
+  once: { type: 'boolean', default: false }
+};
+
+async function sync(token, store, blockRange) {
+  const { reorged, added, lastIndexedBlock } = await syncIndex(token, store, { blockRange });
+  if (reorged > 0) {
+    console.log(`Reorg detected, rolled back ${reorged} blocks`);
+  }
+  if (added > 0 || reorged > 0) {
+    console.log(`Indexed up to block ${lastIndexedBlock}, ${added} new events`);
+  }
+}
+
+async function main() {
+  const { values } = parseCommandLine(OPTIONS);
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const hre = loadHardhat(values.network);
+  const token = await getToken(hre, values.token);
+  const contract = await token.getAddress();
+  const store = openIndexStore(values.store, {
+    contract,
+    chainId: (await hre.ethers.provider.getNetwork()).chainId,
+    startBlock: values['from-block'] === undefined ? defaultStartBlock(hre.network.name, contract) : Number(values['from-block'])
+  });
+  const blockRange = Number(values['block-range']);
+
+  console.log(`Indexing ${store.data.contract} on ${hre.network.name} from block ${store.data.lastIndexedBlock + 1}`);
+  await sync(token, store, blockRange);
+
+  if (values.once) {
+    for (const status of ['pending', 'queued', 'executed', 'expired', 'cancelled']) {
+      console.log(`${status}: ${queryOperations(store.data, { status }).length}`);
+    }
+    return;
+  }
+
+  const server = createApiServer(store);
+  await new Promise((resolve) => server.listen(Number(values.port), values.host, resolve));
+  console.log(`Serving on http://${values.host}:${server.address().port}`);
+
+  for (;;) {
+    await sleep(Number(values['poll-interval']) * 1000);
+    try {
+      await sync(token, store, blockRange);
+    } catch (error) {
+      console.error(`Sync failed, retrying after the poll interval: ${error.message}`);
+    }
+  }
+}
+
+runMain(main);
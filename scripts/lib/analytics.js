@@ -0,0 +1,212 @@
+const { ethers } = require('ethers');
+const { DEFAULT_BLOCK_RANGE } = require('./events');
+const { REORG_DEPTH, openEventStore, toPlainArgs, rollbackReorg } = require('./indexer');
+const { TOKEN_DECIMALS } = require('./operations');
+
+const STORE_VERSION = 1;
+
+// Transfer carries every balance change; the others say why supply moved
+const ANALYTICS_EVENTS = [
+  'Transfer',
+  'MintExecuted',
+  'BurnExecuted',
+  'BridgedIn',
+  'BridgedOut',
+  'TokensDistributed'
+];
+
+// An event store like the operation index, which also records where the scan
+// started. startBlock has to be at or before the deployment for balances to
+// be complete.
+function openAnalyticsStore(storePath, { contract, chainId, startBlock }) {
+  return openEventStore(storePath, {
+    name: 'analytics store',
+    version: STORE_VERSION,
+    contract,
+    chainId,
+    startBlock,
+    fields: { startBlock }
+  });
+}
+
+// Scans up to `toBlock` (default the chain head) one block range at a time,
+// saving the store after each range so an interrupted scan resumes from the
+// last range it finished. Returns what changed.
+async function syncAnalytics(token, store, { blockRange = DEFAULT_BLOCK_RANGE, toBlock, onProgress = () => {} } = {}) {
+  const provider = token.runner.provider;
+  const { data } = store;
+  const reorged = await rollbackReorg(provider, store);
+
+  const head = await provider.getBlock(toBlock === undefined ? 'latest' : toBlock);
+  const address = await token.getAddress();
+  const topics = [ANALYTICS_EVENTS.map((name) => token.interface.getEvent(name).topicHash)];
+  let added = 0;
+
+  for (let start = data.lastIndexedBlock + 1; start <= head.number; start += blockRange) {
+    const end = Math.min(start + blockRange - 1, head.number);
+    const logs = await provider.getLogs({ address, topics, fromBlock: start, toBlock: end });
+    for (const log of logs) {
+      const parsed = token.interface.parseLog(log);
+      data.events.push({
+        name: parsed.name,
+        args: toPlainArgs(parsed),
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index
+      });
+      data.blocks[log.blockNumber] = log.blockHash;
+    }
+    added += logs.length;
+    data.lastIndexedBlock = end;
+    store.save();
+    onProgress(end, head.number);
+  }
+
+  data.blocks[head.number] = head.hash;
+  for (const number of Object.keys(data.blocks).map(Number)) {
+    if (number <= head.number - REORG_DEPTH) {
+      delete data.blocks[number];
+    }
+  }
+  store.save();
+  return { reorged, added, lastIndexedBlock: data.lastIndexedBlock };
+}
+
+function addTo(map, key, amount) {
+  const entry = map.get(key) || { amount: 0n, count: 0 };
+  map.set(key, { amount: entry.amount + amount, count: entry.count + 1 });
+}
+
+const format = (units) => ethers.formatUnits(units, TOKEN_DECIMALS);
+
+// Rebuilds balances, supply, bridge flows per chain and distributions per
+// operation from the stored events up to and including `block`
+function buildSnapshot(data, { block = data.lastIndexedBlock } = {}) {
+  if (block > data.lastIndexedBlock) {
+    throw new Error(`Block ${block} is past the last scanned block ${data.lastIndexedBlock}, sync first`);
+  }
+  if (block < data.startBlock) {
+    throw new Error(`Block ${block} is before the store's start block ${data.startBlock}`);
+  }
+
+  const balances = new Map();
+  const supply = { totalSupply: 0n, minted: 0n, burned: 0n, bridgedIn: 0n, bridgedOut: 0n };
+  const bridgedIn = new Map();
+  const bridgedOut = new Map();
+  const distributions = new Map();
+
+  for (const event of data.events) {
+    if (event.blockNumber > block) {
+      break;
+    }
+    const { args } = event;
+    switch (event.name) {
+      case 'Transfer': {
+        const value = BigInt(args.value);
+        if (args.from === ethers.ZeroAddress) {
+          supply.totalSupply += value;
+        } else {
+          balances.set(args.from, (balances.get(args.from) || 0n) - value);
+        }
+        if (args.to === ethers.ZeroAddress) {
+          supply.totalSupply -= value;
+        } else {
+          balances.set(args.to, (balances.get(args.to) || 0n) + value);
+        }
+        break;
+      }
+      case 'MintExecuted':
+        supply.minted += BigInt(args.amount);
+        break;
+      case 'BurnExecuted':
+        supply.burned += BigInt(args.amount);
+        break;
+      case 'BridgedIn':
+        supply.bridgedIn += BigInt(args.amount);
+        addTo(bridgedIn, args.sourceChainId, BigInt(args.amount));
+        break;
+      case 'BridgedOut':
+        supply.bridgedOut += BigInt(args.amount);
+        addTo(bridgedOut, args.destinationChainId, BigInt(args.amount));
+        break;
+      case 'TokensDistributed': {
+        const distribution = distributions.get(args.operationId) || {
+          operationId: args.operationId,
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash,
+          recipients: 0,
+          amount: 0n
+        };
+        distribution.recipients++;
+        distribution.amount += BigInt(args.amount);
+        distributions.set(args.operationId, distribution);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  const unallocated = balances.get(data.contract) || 0n;
+  const holders = [...balances]
+    .filter(([, balance]) => balance > 0n)
+    .sort(([a, x], [b, y]) => (x === y ? a.localeCompare(b) : (y > x ? 1 : -1)))
+    .map(([address, balance]) => ({ address, balance, isContract: address === data.contract }));
+
+  return {
+    contract: data.contract,
+    chainId: data.chainId,
+    block,
+    supply: { ...supply, unallocated, circulating: supply.totalSupply - unallocated },
+    bridgedIn: Object.fromEntries(bridgedIn),
+    bridgedOut: Object.fromEntries(bridgedOut),
+    distributions: [...distributions.values()],
+    holders
+  };
+}
+
+// The snapshot with token amounts as decimal strings, for JSON export
+function snapshotToRecords(snapshot) {
+  const flows = (byChain) => Object.fromEntries(Object.entries(byChain)
+    .map(([chainId, { amount, count }]) => [chainId, { amount: format(amount), count }]));
+  return {
+    ...snapshot,
+    supply: Object.fromEntries(Object.entries(snapshot.supply).map(([key, value]) => [key, format(value)])),
+    bridgedIn: flows(snapshot.bridgedIn),
+    bridgedOut: flows(snapshot.bridgedOut),
+    distributions: snapshot.distributions.map((distribution) => ({ ...distribution, amount: format(distribution.amount) })),
+    holders: snapshot.holders.map((holder) => ({ ...holder, balance: format(holder.balance) }))
+  };
+}
+
+// Holders as a distribute.js list (name,address,amount, plus the share of
+// circulating supply, which distribute.js ignores). The contract's own
+// balance is left out. `scale` multiplies every balance, e.g. 0.1 for a 10%
+// airdrop to current holders; rows below `minBalance` (before scaling) or in
+// `exclude` are dropped.
+function snapshotToDistributionCsv(snapshot, { scale = '1', minBalance = '0', exclude = [] } = {}) {
+  const factor = ethers.parseUnits(scale, TOKEN_DECIMALS);
+  const minimum = ethers.parseUnits(minBalance, TOKEN_DECIMALS);
+  const excluded = new Set(exclude.map((address) => ethers.getAddress(address)));
+  const { circulating } = snapshot.supply;
+
+  const lines = snapshot.holders
+    .filter(({ address, balance, isContract }) => !isContract && !excluded.has(address) && balance >= minimum)
+    .map(({ address, balance }) => ({ address, balance, amount: balance * factor / 10n ** BigInt(TOKEN_DECIMALS) }))
+    .filter(({ amount }) => amount > 0n)
+    .map(({ address, balance, amount }, index) => {
+      const share = circulating > 0n ? (Number(balance * 1000000n / circulating) / 10000).toFixed(4) : '0.0000';
+      return `holder ${index + 1},${address},${format(amount)},${share}%`;
+    });
+  return ['name,address,amount,share', ...lines].join('\n') + '\n';
+}
+
+module.exports = {
+  ANALYTICS_EVENTS,
+  openAnalyticsStore,
+  syncAnalytics,
+  buildSnapshot,
+  snapshotToRecords,
+  snapshotToDistributionCsv
+};
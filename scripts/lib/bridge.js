@@ -0,0 +1,324 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { readJson, writeJson, sleep } = require('./cli');
+const { queryFilterInChunks } = require('./events');
+const { TOKEN_DECIMALS } = require('./operations');
+
+const STATE_VERSION = 1;
+const DEFAULT_CONFIRMATIONS = 12;
+// maxBridgeInAmount as set by the constructor, in effect until the first
+// SetBridgeInLimits
+const INITIAL_MAX_BRIDGE_IN_AMOUNT = ethers.parseUnits('10000', TOKEN_DECIMALS);
+
+// The state file is the relayer's processed-set: every BridgedOut it has seen,
+// keyed by source transaction and log index, with the bridgeIn parts it planned
+// for it and how far each of them got. It also keeps every maxBridgeInAmount
+// the destination has had, as far as its blocks have been read.
+function openRelayerState(statePath, { source, destination, startBlock, destinationStartBlock = 0 }) {
+  let data;
+  if (fs.existsSync(statePath)) {
+    data = readJson(statePath);
+    if (data.version !== STATE_VERSION) {
+      throw new Error(`Unsupported relayer state version ${data.version} in ${statePath}`);
+    }
+    if (data.source !== source || data.destination !== destination) {
+      throw new Error(`Relayer state ${statePath} belongs to ${data.source} -> ${data.destination}`);
+    }
+  } else {
+    data = {
+      version: STATE_VERSION,
+      source,
+      destination,
+      lastScannedBlock: startBlock - 1,
+      transfers: {}
+    };
+  }
+  if (!data.bridgeInLimits) {
+    data.bridgeInLimits = {
+      lastScannedBlock: destinationStartBlock - 1,
+      maxAmounts: [INITIAL_MAX_BRIDGE_IN_AMOUNT.toString()]
+    };
+  }
+
+  const save = () => writeJson(statePath, data);
+  return {
+    data,
+    get(key) {
+      return data.transfers[key];
+    },
+    add(key, transfer) {
+      data.transfers[key] = transfer;
+      save();
+    },
+    update(key, fields) {
+      data.transfers[key] = { ...data.transfers[key], ...fields };
+      save();
+    },
+    updatePart(key, index, fields) {
+      const part = data.transfers[key].parts[index];
+      data.transfers[key].parts[index] = { ...part, ...fields, updatedAt: new Date().toISOString() };
+      save();
+    },
+    setLastScannedBlock(blockNumber) {
+      data.lastScannedBlock = blockNumber;
+      save();
+    },
+    setBridgeInLimits(limits) {
+      data.bridgeInLimits = limits;
+      save();
+    },
+    unfinished() {
+      return Object.keys(data.transfers).filter((key) => data.transfers[key].status !== 'done');
+    }
+  };
+}
+
+// Each part mints the tokens from `offset` to `offset + amount` of its
+// transfer, and its txId commits to both, so a txId always stands for the same
+// tokens however the transfer is split. A first BridgedOut in a transaction
+// that goes out in a single part uses the source transaction hash itself.
+function bridgeTxId(txHash, eventIndex, offset, amount, total) {
+  if (eventIndex === 0 && offset === 0n && amount === total) {
+    return txHash;
+  }
+  return ethers.solidityPackedKeccak256(
+    ['bytes32', 'uint256', 'uint256', 'uint256'],
+    [txHash, eventIndex, offset, amount]
+  );
+}
+
+function splitAmount(amount, maxAmount) {
+  const parts = [];
+  for (let remaining = amount; remaining > 0n; remaining -= parts[parts.length - 1]) {
+    parts.push(remaining < maxAmount ? remaining : maxAmount);
+  }
+  return parts;
+}
+
+function planParts(transfer, offset, amounts) {
+  const total = BigInt(transfer.amount);
+  return amounts.map((amount) => {
+    const part = {
+      txId: bridgeTxId(transfer.txHash, transfer.eventIndex, offset, amount, total),
+      offset: offset.toString(),
+      amount: amount.toString(),
+      status: 'pending'
+    };
+    offset += amount;
+    return part;
+  });
+}
+
+// Every maxBridgeInAmount the destination has had: the constructor's and each
+// BridgeInLimitsUpdated. Only blocks after the ones already read are queried.
+async function listMaxBridgeInAmounts(destination, state, blockRange) {
+  const head = await destination.runner.provider.getBlockNumber();
+  const { lastScannedBlock, maxAmounts } = state.data.bridgeInLimits;
+  const events = await queryFilterInChunks(destination, destination.filters.BridgeInLimitsUpdated(), lastScannedBlock + 1, head, blockRange);
+  const amounts = new Set([...maxAmounts, ...events.map((event) => event.args.newMaxAmount.toString())]);
+  state.setBridgeInLimits({ lastScannedBlock: head, maxAmounts: [...amounts] });
+  // The current limit as well, which covers an update in a block that a reorg
+  // replaced after it was read
+  return [...new Set([...amounts, (await destination.maxBridgeInAmount()).toString()])].map(BigInt);
+}
+
+// The leading parts of a transfer that the destination has already minted,
+// e.g. by a run whose state file was lost. Parts are minted in order, and
+// every part was cut at the lesser of what was left and the maxBridgeInAmount
+// of the time, so each of those is tried at every offset.
+async function findMintedParts(destination, transfer, maxAmounts) {
+  const total = BigInt(transfer.amount);
+  const parts = [];
+  let offset = 0n;
+  while (offset < total) {
+    const left = total - offset;
+    let minted = null;
+    for (const amount of new Set(maxAmounts.map((max) => (left < max ? left : max)))) {
+      const [part] = planParts(transfer, offset, [amount]);
+      if (await destination.isBridgeInProcessed(part.txId)) {
+        minted = { ...part, status: 'done' };
+        break;
+      }
+    }
+    if (!minted) {
+      break;
+    }
+    parts.push(minted);
+    offset += BigInt(minted.amount);
+  }
+  return parts;
+}
+
+// Queues every BridgedOut to the destination's chain that has the required
+// number of confirmations and has not been seen before. Returns the keys of
+// the newly queued transfers.
+async function scanBridgedOut(source, destination, state, { confirmations = DEFAULT_CONFIRMATIONS, blockRange } = {}) {
+  const head = await source.runner.provider.getBlockNumber();
+  const fromBlock = state.data.lastScannedBlock + 1;
+  const toBlock = head - confirmations;
+  if (toBlock < fromBlock) {
+    return [];
+  }
+
+  const filter = source.filters.BridgedOut(null, null, null, await destination.getChainId());
+  const events = await queryFilterInChunks(source, filter, fromBlock, toBlock, blockRange);
+  const maxAmount = await destination.maxBridgeInAmount();
+  const maxAmounts = events.length > 0 ? await listMaxBridgeInAmounts(destination, state, blockRange) : [];
+  const queued = [];
+  const indexInTx = new Map();
+
+  for (const event of events) {
+    const eventIndex = indexInTx.get(event.transactionHash) || 0;
+    indexInTx.set(event.transactionHash, eventIndex + 1);
+
+    const key = `${event.transactionHash}:${event.index}`;
+    if (state.get(key)) {
+      continue;
+    }
+    const transfer = {
+      txHash: event.transactionHash,
+      eventIndex,
+      blockNumber: event.blockNumber,
+      from: event.args.from,
+      to: event.args.targetAddress,
+      amount: event.args.amount.toString(),
+      status: 'queued'
+    };
+    const minted = await findMintedParts(destination, transfer, maxAmounts);
+    const offset = minted.reduce((sum, part) => sum + BigInt(part.amount), 0n);
+    state.add(key, {
+      ...transfer,
+      parts: [...minted, ...planParts(transfer, offset, splitAmount(event.args.amount - offset, maxAmount))]
+    });
+    queued.push(key);
+  }
+
+  state.setLastScannedBlock(toBlock);
+  return queued;
+}
+
+// Settles parts left in flight by an interrupted run. A part only goes back to
+// pending when its transaction is gone and the destination has not processed
+// its txId.
+async function recoverRelayerState(destination, relayer, state) {
+  const provider = destination.runner.provider;
+  const confirmedNonce = await provider.getTransactionCount(relayer, 'latest');
+  const pendingNonce = await provider.getTransactionCount(relayer, 'pending');
+
+  for (const key of state.unfinished()) {
+    const parts = state.get(key).parts;
+    for (let index = 0; index < parts.length; index++) {
+      const part = parts[index];
+      if (part.status !== 'sending' && part.status !== 'sent') {
+        continue;
+      }
+
+      if (part.hash) {
+        const tx = await provider.getTransaction(part.hash);
+        const receipt = tx && await tx.wait().catch(() => null);
+        if (receipt && receipt.status === 1) {
+          state.updatePart(key, index, { status: 'done', blockNumber: receipt.blockNumber });
+          continue;
+        }
+      }
+
+      if (part.nonce !== null && part.nonce >= confirmedNonce && part.nonce < pendingNonce) {
+        throw new Error(`Nonce ${part.nonce} for ${key} is still pending, run again once it has been mined`);
+      }
+      state.updatePart(key, index, await destination.isBridgeInProcessed(part.txId)
+        ? { status: 'done' }
+        : { status: 'pending', nonce: null, hash: null });
+    }
+  }
+}
+
+// Waits until the destination's rolling bridge-in window has room for
+// `amount`. `waitUntil` receives the next time capacity grows and the current
+// time. An idle chain mines no blocks to move its clock, so the wall clock
+// counts too.
+async function waitForCapacity(destination, amount, waitUntil) {
+  const provider = destination.runner.provider;
+  for (;;) {
+    const [remaining, increasesAt] = await destination.getBridgeInCapacity();
+    if (amount <= remaining) {
+      return;
+    }
+    if (increasesAt === 0n) {
+      throw new Error(`Amount ${amount} is above the destination's bridge-in window limit`);
+    }
+    const { timestamp } = await provider.getBlock('latest');
+    await waitUntil(increasesAt, BigInt(Math.max(timestamp, Math.floor(Date.now() / 1000))));
+  }
+}
+
+async function sleepUntil(until, now) {
+  const seconds = until > now ? Number(until - now) : 0;
+  await sleep(Math.max(seconds, 1) * 1000);
+}
+
+// Re-plans the parts that were never broadcast when maxBridgeInAmount was
+// lowered after the transfer was queued. Parts go out in order, so the pending
+// ones are the tail of the transfer.
+function resplitPending(state, key, maxAmount) {
+  const transfer = state.get(key);
+  const sentParts = transfer.parts.filter((part) => part.status !== 'pending');
+  const pending = transfer.parts.filter((part) => part.status === 'pending');
+  if (pending.every((part) => BigInt(part.amount) <= maxAmount)) {
+    return;
+  }
+  const offset = sentParts.reduce((sum, part) => sum + BigInt(part.amount), 0n);
+  state.update(key, {
+    parts: [...sentParts, ...planParts(transfer, offset, splitAmount(BigInt(transfer.amount) - offset, maxAmount))]
+  });
+}
+
+// Calls bridgeIn for every pending part, one at a time, waiting for the
+// destination's rolling window whenever it has no room.
+async function relayTransfers(source, destination, relayer, state, { waitUntil = sleepUntil, onUpdate = () => {} } = {}) {
+  const provider = destination.runner.provider;
+  const sourceChainId = await source.getChainId();
+
+  for (const key of state.unfinished()) {
+    resplitPending(state, key, await destination.maxBridgeInAmount());
+
+    const { parts, to } = state.get(key);
+    for (let index = 0; index < parts.length; index++) {
+      const part = state.get(key).parts[index];
+      if (part.status === 'done') {
+        continue;
+      }
+      // Minted already, e.g. by a run whose state file was lost
+      if (await destination.isBridgeInProcessed(part.txId)) {
+        state.updatePart(key, index, { status: 'done' });
+        continue;
+      }
+
+      await waitForCapacity(destination, BigInt(part.amount), waitUntil);
+      const nonce = await provider.getTransactionCount(relayer, 'pending');
+      state.updatePart(key, index, { status: 'sending', nonce, hash: null });
+
+      let receipt;
+      try {
+        const tx = await destination.connect(relayer).bridgeIn(to, BigInt(part.amount), sourceChainId, part.txId, { nonce });
+        state.updatePart(key, index, { status: 'sent', hash: tx.hash });
+        receipt = await tx.wait();
+      } catch (error) {
+        state.updatePart(key, index, { status: 'pending', nonce: null, hash: null, lastError: error.shortMessage || error.message });
+        throw new Error(`bridgeIn for ${key} part ${index + 1}/${parts.length} failed: ${error.shortMessage || error.message}`);
+      }
+      state.updatePart(key, index, { status: 'done', blockNumber: receipt.blockNumber });
+      onUpdate(key, index, receipt.hash);
+    }
+    state.update(key, { status: 'done' });
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIRMATIONS,
+  openRelayerState,
+  bridgeTxId,
+  splitAmount,
+  scanBridgedOut,
+  recoverRelayerState,
+  relayTransfers
+};
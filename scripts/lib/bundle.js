@@ -0,0 +1,328 @@
+const { ethers } = require('ethers');
+const {
+  operationName,
+  buildTypedOperation,
+  computeOperationHash,
+  recoverOperationSigner,
+  getSignerAddresses
+} = require('./operations');
+
+// Version 2 carries EIP-712 digests; version 1 bundles used EIP-191 ones
+const BUNDLE_VERSION = 2;
+const DEFAULT_GAS_LIMIT = 300000n;
+
+// Only the function the offline signers pre-sign is needed, so they don't
+// need the compiled artifacts on the air-gapped machine.
+const SUBMIT_INTERFACE = new ethers.Interface([
+  'function submitSignature(bytes32 operationId, bytes signature)'
+]);
+
+function checkVersion(file, kind) {
+  if (file.version !== BUNDLE_VERSION) {
+    throw new Error(`Unsupported ${kind} version ${file.version}, expected ${BUNDLE_VERSION}`);
+  }
+}
+
+function typedOperation(bundle, operation) {
+  return { ...operation, chainId: bundle.chainId, contract: bundle.contract };
+}
+
+function digestOf(bundle, operation) {
+  return computeOperationHash(typedOperation(bundle, operation));
+}
+
+// EIP-1559 fees where the network has them, otherwise a legacy gas price
+function feeFields(feeData, network) {
+  if (feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null) {
+    return {
+      maxFeePerGas: feeData.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.toString()
+    };
+  }
+  if (feeData.gasPrice === null) {
+    throw new Error(`Network ${network.name} (chainId ${network.chainId}) reported neither EIP-1559 fees nor a gas price`);
+  }
+  return { gasPrice: feeData.gasPrice.toString() };
+}
+
+// Reads pending operations from the chain and packages everything an offline
+// signer needs: the payload, the digest, and the nonce/fee fields for the
+// submitSignature transaction they will pre-sign. Both the EIP-712 domain and
+// the transactions use the network's chainId, whatever chainId the contract
+// was configured with for bridging.
+async function exportBundle(token, operationIds, { gasLimit = DEFAULT_GAS_LIMIT } = {}) {
+  const provider = token.runner.provider;
+  const [network, signers, feeData] = await Promise.all([
+    provider.getNetwork(),
+    getSignerAddresses(token),
+    provider.getFeeData()
+  ]);
+
+  const bundle = {
+    version: BUNDLE_VERSION,
+    contract: await token.getAddress(),
+    chainId: network.chainId.toString(),
+    signers,
+    operations: [],
+    transaction: { gasLimit: gasLimit.toString(), ...feeFields(feeData, network), nonces: {} }
+  };
+
+  for (const operationId of operationIds) {
+    const op = await token.operations(operationId);
+    if (op.deadline === 0n) {
+      throw new Error(`Operation ${operationId} not found`);
+    }
+    if (op.executed) {
+      throw new Error(`Operation ${operationId} already executed`);
+    }
+    if (op.cancelled) {
+      throw new Error(`Operation ${operationId} was cancelled`);
+    }
+
+    const operation = {
+      operationId,
+      opType: Number(op.opType),
+      opName: operationName(op.opType),
+      target: op.target,
+      value: op.value.toString(),
+      data: op.data,
+      deadline: op.deadline.toString()
+    };
+    operation.digest = digestOf(bundle, operation);
+    if (operation.digest !== await token.getOperationHash(operationId)) {
+      throw new Error(`Local digest for ${operationId} does not match getOperationHash`);
+    }
+    bundle.operations.push(operation);
+  }
+
+  for (const signer of signers) {
+    bundle.transaction.nonces[signer] = await provider.getTransactionCount(signer, 'pending');
+  }
+  return bundle;
+}
+
+// Runs on the air-gapped machine. Recomputes every digest from the payload
+// rather than trusting the one in the bundle, so a tampered bundle can't get a
+// signature over something other than what is displayed.
+async function signBundle(bundle, wallet, { nonce } = {}) {
+  checkVersion(bundle, 'bundle');
+  const signer = bundle.signers.find((address) => address.toLowerCase() === wallet.address.toLowerCase());
+  if (!signer) {
+    throw new Error(`${wallet.address} is not one of the signers in this bundle`);
+  }
+
+  const firstNonce = nonce !== undefined ? Number(nonce) : bundle.transaction.nonces[signer];
+  if (firstNonce === undefined) {
+    throw new Error(`No nonce for ${signer} in bundle, pass one explicitly`);
+  }
+
+  const signatures = [];
+  for (const [index, operation] of bundle.operations.entries()) {
+    const digest = digestOf(bundle, operation);
+    if (digest !== operation.digest) {
+      throw new Error(`Digest mismatch for ${operation.operationId}: the bundle payload has been modified`);
+    }
+
+    const { domain, types, message } = buildTypedOperation(typedOperation(bundle, operation));
+    const signature = await wallet.signTypedData(domain, types, message);
+    const fees = bundle.transaction.gasPrice !== undefined
+      ? { type: 0, gasPrice: BigInt(bundle.transaction.gasPrice) }
+      : {
+        type: 2,
+        maxFeePerGas: BigInt(bundle.transaction.maxFeePerGas),
+        maxPriorityFeePerGas: BigInt(bundle.transaction.maxPriorityFeePerGas)
+      };
+    const transaction = await wallet.signTransaction({
+      ...fees,
+      chainId: BigInt(bundle.chainId),
+      to: bundle.contract,
+      nonce: firstNonce + index,
+      gasLimit: BigInt(bundle.transaction.gasLimit),
+      value: 0n,
+      data: SUBMIT_INTERFACE.encodeFunctionData('submitSignature', [operation.operationId, signature])
+    });
+    signatures.push({ operationId: operation.operationId, digest, signature, transaction });
+  }
+
+  return {
+    version: BUNDLE_VERSION,
+    contract: bundle.contract,
+    chainId: bundle.chainId,
+    signer,
+    signatures
+  };
+}
+
+// Online counterpart of signBundle for signers with a connected wallet. The
+// whole bundle is checked against the chain first, then the signer's
+// signature is submitted for every operation that can still take it.
+async function approveBundle(token, signer, bundle) {
+  checkVersion(bundle, 'bundle');
+  const contract = await token.getAddress();
+  if (bundle.contract.toLowerCase() !== contract.toLowerCase()) {
+    throw new Error(`Bundle is for contract ${bundle.contract}, not ${contract}`);
+  }
+  for (const operation of bundle.operations) {
+    if (digestOf(bundle, operation) !== operation.digest ||
+        operation.digest !== await token.getOperationHash(operation.operationId)) {
+      throw new Error(`Bundle payload for ${operation.operationId} does not match the on-chain operation`);
+    }
+  }
+
+  const results = [];
+  for (const operation of bundle.operations) {
+    const { domain, types, message } = buildTypedOperation(typedOperation(bundle, operation));
+    const signature = await signer.signTypedData(domain, types, message);
+    try {
+      await token.connect(signer).submitSignature.staticCall(operation.operationId, signature);
+    } catch (error) {
+      results.push({ operationId: operation.operationId, skipped: error.reason || error.shortMessage || error.message });
+      continue;
+    }
+    const tx = await token.connect(signer).submitSignature(operation.operationId, signature);
+    await tx.wait();
+    results.push({ operationId: operation.operationId, hash: tx.hash });
+  }
+  return results;
+}
+
+// Checks every signature file against the bundle and the live contract
+// without sending anything. Returns the list of problems, empty if all good.
+async function verifySignatures(token, bundle, signatureFiles) {
+  checkVersion(bundle, 'bundle');
+  const provider = token.runner.provider;
+  const contract = await token.getAddress();
+  const [network, signers, required] = await Promise.all([
+    provider.getNetwork(),
+    getSignerAddresses(token),
+    token.requiredSignatures()
+  ]);
+
+  const problems = [];
+  if (bundle.contract.toLowerCase() !== contract.toLowerCase()) {
+    problems.push(`Bundle is for contract ${bundle.contract}, not ${contract}`);
+  }
+  if (BigInt(bundle.chainId) !== network.chainId) {
+    problems.push(`Bundle is for chainId ${bundle.chainId}, not network chainId ${network.chainId}`);
+  }
+
+  const operations = new Map(bundle.operations.map((operation) => [operation.operationId, operation]));
+  for (const operation of bundle.operations) {
+    if (digestOf(bundle, operation) !== operation.digest) {
+      problems.push(`Bundle payload for ${operation.operationId} does not match its digest`);
+    } else if (operation.digest !== await token.getOperationHash(operation.operationId)) {
+      problems.push(`Bundle payload for ${operation.operationId} does not match the on-chain operation`);
+    }
+  }
+
+  const isSigner = (address) => signers.some((signer) => signer.toLowerCase() === address.toLowerCase());
+  const seenSigners = new Set();
+  const pendingCounts = new Map();
+
+  for (const file of signatureFiles) {
+    checkVersion(file, 'signature file');
+    const label = `Signature file from ${file.signer}`;
+    if (seenSigners.has(file.signer.toLowerCase())) {
+      problems.push(`${label} was given more than once`);
+      continue;
+    }
+    seenSigners.add(file.signer.toLowerCase());
+    if (file.contract.toLowerCase() !== bundle.contract.toLowerCase() || file.chainId !== bundle.chainId) {
+      problems.push(`${label} is for ${file.contract} on chainId ${file.chainId}`);
+      continue;
+    }
+    if (!isSigner(file.signer)) {
+      problems.push(`${label}: ${file.signer} is not a signer of ${contract}`);
+      continue;
+    }
+
+    for (const entry of file.signatures) {
+      const operation = operations.get(entry.operationId);
+      if (!operation) {
+        problems.push(`${label}: unknown operation ${entry.operationId}`);
+        continue;
+      }
+
+      const recovered = recoverOperationSigner(typedOperation(bundle, operation), entry.signature);
+      if (recovered.toLowerCase() !== file.signer.toLowerCase()) {
+        problems.push(`${label}: signature for ${entry.operationId} recovers to ${recovered}`);
+        continue;
+      }
+
+      const tx = ethers.Transaction.from(entry.transaction);
+      const expectedData = SUBMIT_INTERFACE.encodeFunctionData('submitSignature', [entry.operationId, entry.signature]);
+      if (tx.from.toLowerCase() !== file.signer.toLowerCase() ||
+          tx.to.toLowerCase() !== bundle.contract.toLowerCase() ||
+          tx.chainId !== BigInt(bundle.chainId) ||
+          tx.data !== expectedData) {
+        problems.push(`${label}: transaction for ${entry.operationId} does not submit that signature to ${bundle.contract}`);
+        continue;
+      }
+
+      try {
+        await provider.call({ from: tx.from, to: tx.to, data: tx.data });
+      } catch (error) {
+        problems.push(`${label}: submitSignature for ${entry.operationId} would revert (${error.shortMessage || error.message})`);
+      }
+      pendingCounts.set(entry.operationId, (pendingCounts.get(entry.operationId) || 0n) + 1n);
+    }
+  }
+
+  // Signatures past the threshold would revert once the operation executes
+  for (const [operationId, count] of pendingCounts) {
+    const { numSignatures } = await token.getOperation(operationId);
+    if (numSignatures + count > required) {
+      problems.push(`Operation ${operationId} needs ${required - numSignatures} more signatures but ${count} were given`);
+    }
+  }
+
+  return problems;
+}
+
+// Broadcasts the pre-signed transactions once everything has verified. Each
+// signer's transactions go out in nonce order. With `batch`, the connected
+// account instead relays each operation's signatures in one submitSignatures
+// call, so the signers' nonces and fees don't matter.
+async function relaySignatures(token, bundle, signatureFiles, { batch = false } = {}) {
+  const problems = await verifySignatures(token, bundle, signatureFiles);
+  if (problems.length > 0) {
+    throw new Error(`Refusing to broadcast:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  const results = [];
+  if (batch) {
+    const collected = new Map();
+    for (const file of signatureFiles) {
+      for (const entry of file.signatures) {
+        const entries = collected.get(entry.operationId) || [];
+        entries.push({ signer: file.signer, signature: entry.signature });
+        collected.set(entry.operationId, entries);
+      }
+    }
+    for (const [operationId, entries] of collected) {
+      const tx = await token.submitSignatures(operationId, entries.map((entry) => entry.signature));
+      const receipt = await tx.wait();
+      entries.forEach(({ signer }) => results.push({ operationId, signer, hash: receipt.hash }));
+    }
+    return results;
+  }
+
+  const provider = token.runner.provider;
+  for (const file of signatureFiles) {
+    for (const entry of file.signatures) {
+      const response = await provider.broadcastTransaction(entry.transaction);
+      const receipt = await response.wait();
+      results.push({ operationId: entry.operationId, signer: file.signer, hash: receipt.hash });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  BUNDLE_VERSION,
+  exportBundle,
+  signBundle,
+  approveBundle,
+  verifySignatures,
+  relaySignatures
+};
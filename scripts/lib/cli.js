@@ -0,0 +1,121 @@
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+const { getDeployment, registryPath } = require('./deployments');
+const { readJson, stringifyJson, writeJson } = require('./json');
+
+// Options shared by every script that talks to a deployment
+const COMMON_OPTIONS = {
+  network: { type: 'string' },
+  token: { type: 'string' },
+  account: { type: 'string', default: '0' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+function parseCommandLine(options, argv = process.argv.slice(2)) {
+  return parseArgs({
+    args: argv,
+    options: { ...COMMON_OPTIONS, ...options },
+    allowPositionals: true,
+    strict: true
+  });
+}
+
+// Hardhat picks its network from HARDHAT_NETWORK when it is required from a
+// plain node script, so the flag has to be applied before the first require.
+function loadHardhat(network) {
+  if (network) {
+    process.env.HARDHAT_NETWORK = network;
+  }
+  return require('hardhat');
+}
+
+async function getAccount(hre, index) {
+  const accounts = await hre.ethers.getSigners();
+  const account = accounts[Number(index)];
+  if (!account) {
+    throw new Error(`No account at index ${index} on network ${hre.network.name}`);
+  }
+  return account;
+}
+
+// For scripts that talk to more than one network at once: connects to any
+// network in hardhat.config.js, independently of the one Hardhat was loaded with.
+function getNetworkProvider(hre, name) {
+  const config = hre.config.networks[name];
+  if (!config) {
+    throw new Error(`Unknown network ${name}`);
+  }
+  if (!config.url) {
+    throw new Error(`Network ${name} has no RPC url, start a node and use it through localhost instead`);
+  }
+  return new ethers.JsonRpcProvider(config.url);
+}
+
+function getNetworkWallet(hre, name, index) {
+  const provider = getNetworkProvider(hre, name);
+  const { accounts } = hre.config.networks[name];
+  let wallet;
+  if (Array.isArray(accounts)) {
+    if (!accounts[Number(index)]) {
+      throw new Error(`No account at index ${index} on network ${name}`);
+    }
+    wallet = new ethers.Wallet(accounts[Number(index)]);
+  } else if (accounts && accounts.mnemonic) {
+    const path = `${accounts.path}/${accounts.initialIndex + Number(index)}`;
+    wallet = ethers.HDNodeWallet.fromPhrase(accounts.mnemonic, accounts.passphrase, path);
+  } else {
+    throw new Error(`Network ${name} has no local accounts configured`);
+  }
+  return wallet.connect(provider);
+}
+
+// --token wins; otherwise the network's entry in the deployments/ registry
+function resolveTokenAddress(tokenFlag, network, contractName = 'Liberdus') {
+  if (tokenFlag) {
+    return tokenFlag;
+  }
+  const deployment = network && getDeployment(network, contractName);
+  if (!deployment) {
+    throw new Error(`No --token given and no ${contractName} deployment recorded for network ${network || 'hardhat'} in ${registryPath(network || 'hardhat')}. Deploy it first.`);
+  }
+  return deployment.address;
+}
+
+async function getToken(hre, tokenFlag, account) {
+  const address = resolveTokenAddress(tokenFlag, hre.network.name);
+  if (!hre.ethers.isAddress(address)) {
+    throw new Error(`Invalid token address: ${address}`);
+  }
+  if (await hre.ethers.provider.getCode(address) === '0x') {
+    throw new Error(`No contract found at ${address} on network ${hre.network.name}`);
+  }
+  return hre.ethers.getContractAt('Liberdus', address, account);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function runMain(main) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error.message || error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  parseCommandLine,
+  loadHardhat,
+  getAccount,
+  getNetworkProvider,
+  getNetworkWallet,
+  resolveTokenAddress,
+  getToken,
+  readJson,
+  stringifyJson,
+  writeJson,
+  sleep,
+  runMain
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { readJson, writeJson } = require('./json');
+
+const REGISTRY_VERSION = 1;
+// deployments/ in the repository, wherever the scripts are run from
+const DEFAULT_REGISTRY_DIR = process.env.DEPLOYMENTS_DIR || path.join(__dirname, '..', '..', 'deployments');
+// The in-process network is gone when the command exits, so nothing it
+// deploys is worth recording
+const EPHEMERAL_NETWORKS = ['hardhat'];
+
+function registryPath(network, dir = DEFAULT_REGISTRY_DIR) {
+  if (!/^[\w.-]+$/.test(network)) {
+    throw new Error(`Invalid network name: ${network}`);
+  }
+  return path.join(dir, `${network}.json`);
+}
+
+// One file per network: the current deployment of each contract, plus every
+// deployment it replaced
+function readRegistry(network, { dir } = {}) {
+  const file = registryPath(network, dir);
+  if (!fs.existsSync(file)) {
+    return { version: REGISTRY_VERSION, network, contracts: {}, history: [] };
+  }
+  const registry = readJson(file);
+  if (registry.version !== REGISTRY_VERSION) {
+    throw new Error(`Unsupported deployment registry version ${registry.version} in ${file}`);
+  }
+  return registry;
+}
+
+function getDeployment(network, contractName = 'Liberdus', { dir } = {}) {
+  return readRegistry(network, { dir }).contracts[contractName] || null;
+}
+
+// Where event scans of a contract start by default: its recorded deployment
+// block, or 0 when the registry doesn't have it
+function defaultStartBlock(network, address, { dir } = {}) {
+  const deployment = getDeployment(network, 'Liberdus', { dir });
+  return deployment && deployment.address === address ? deployment.blockNumber : 0;
+}
+
+// An entry is live while its address still holds the bytecode it recorded. A
+// restarted local node, for example, leaves entries that are not.
+async function isLiveDeployment(provider, deployment) {
+  const code = await provider.getCode(deployment.address);
+  return code !== '0x' && ethers.keccak256(code) === deployment.bytecodeHash;
+}
+
+// Throws unless `contractName` may be deployed again on this network
+async function checkRedeploy(provider, network, contractName, { dir, force = false } = {}) {
+  const current = getDeployment(network, contractName, { dir });
+  if (current && !force && await isLiveDeployment(provider, current)) {
+    throw new Error(
+      `${contractName} is already deployed on ${network} at ${current.address} ` +
+      `(${registryPath(network, dir)}). Set REDEPLOY=1 to replace it; the old entry is kept in its history.`
+    );
+  }
+  return current;
+}
+
+// Everything needed to identify and verify a deployment later
+async function buildManifest(hre, contract, { contractName, constructorArgs, extra = {} }) {
+  const address = await contract.getAddress();
+  const tx = contract.deploymentTransaction();
+  const receipt = await tx.wait();
+  const [network, code, block] = await Promise.all([
+    hre.ethers.provider.getNetwork(),
+    hre.ethers.provider.getCode(address),
+    hre.ethers.provider.getBlock(receipt.blockNumber)
+  ]);
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${contractName}`);
+  const { optimizer, evmVersion } = buildInfo.input.settings;
+
+  return {
+    contractName,
+    address,
+    chainId: network.chainId.toString(),
+    constructorArgs,
+    ...extra,
+    deployer: tx.from,
+    transactionHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    deployedAt: new Date(block.timestamp * 1000).toISOString(),
+    compiler: {
+      version: buildInfo.solcLongVersion,
+      optimizer,
+      evmVersion: evmVersion || 'default'
+    },
+    bytecodeHash: ethers.keccak256(code)
+  };
+}
+
+function recordDeployment(network, manifest, { dir } = {}) {
+  const registry = readRegistry(network, { dir });
+  const previous = registry.contracts[manifest.contractName];
+  if (previous) {
+    registry.history.push({ ...previous, replacedAt: manifest.deployedAt });
+  }
+  registry.chainId = manifest.chainId;
+  registry.contracts[manifest.contractName] = manifest;
+
+  const file = registryPath(network, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  writeJson(file, registry);
+  return file;
+}
+
+module.exports = {
+  REGISTRY_VERSION,
+  DEFAULT_REGISTRY_DIR,
+  EPHEMERAL_NETWORKS,
+  registryPath,
+  readRegistry,
+  getDeployment,
+  defaultStartBlock,
+  isLiveDeployment,
+  checkRedeploy,
+  buildManifest,
+  recordDeployment
+};
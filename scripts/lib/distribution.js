@@ -0,0 +1,469 @@
+const fs = require('fs');
+const { parse } = require('csv-parse/sync');
+const { ethers } = require('ethers');
+const { readJson, writeJson } = require('./cli');
+const { queryFilterInChunks } = require('./events');
+const { OperationType, MAX_BATCH_SIZE, TOKEN_DECIMALS, requestOperation, buildBatchDistribution } = require('./operations');
+
+const JOURNAL_VERSION = 1;
+// Row statuses that mean the tokens have reached the recipient
+const SETTLED_STATUSES = ['confirmed', 'executed'];
+const HEX_ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+const DECIMAL_AMOUNT = /^\d+(\.\d+)?$/;
+
+function loadDistributionList(csvPath) {
+  const records = parse(fs.readFileSync(csvPath, 'utf8'), {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true
+  });
+  // Header is line 1, so the first record is line 2
+  return records.map((record, index) => ({ line: index + 2, ...record }));
+}
+
+// The row id only depends on what is paid to whom, so reordering the CSV or
+// renaming a recipient doesn't make a confirmed row look new.
+function rowIdFor(address, units) {
+  return ethers.id(`${address}:${units}`);
+}
+
+function validateRow(row, decimals) {
+  const address = (row.address || '').trim();
+  const amount = (row.amount || '').trim();
+
+  if (!HEX_ADDRESS.test(address)) {
+    return { error: `invalid address "${address}"` };
+  }
+  if (!ethers.isAddress(address)) {
+    return { error: `bad checksum for ${address}` };
+  }
+  if (!DECIMAL_AMOUNT.test(amount)) {
+    return { error: `invalid amount "${amount}"` };
+  }
+  const fraction = amount.split('.')[1] || '';
+  if (fraction.length > decimals) {
+    return { error: `amount ${amount} has more than ${decimals} decimal places` };
+  }
+  const units = ethers.parseUnits(amount, decimals);
+  if (units === 0n) {
+    return { error: 'amount is zero' };
+  }
+
+  return { address: ethers.getAddress(address), amount, units };
+}
+
+// Checks every row and returns the plan. Nothing is sent unless errors is
+// empty, so a single bad row blocks the whole run. Rows in `settled` were
+// already paid by an earlier run and don't count against the balance.
+function validateDistribution(rows, { decimals, sender, balance, settled = new Set() }) {
+  const entries = [];
+  const errors = [];
+  const seen = new Map();
+  let total = 0n;
+  let remaining = 0n;
+
+  for (const row of rows) {
+    const result = validateRow(row, decimals);
+    if (result.error) {
+      errors.push({ line: row.line, name: row.name, error: result.error });
+      continue;
+    }
+    if (result.address === ethers.ZeroAddress) {
+      errors.push({ line: row.line, name: row.name, error: 'recipient is the zero address' });
+      continue;
+    }
+    if (sender && result.address === ethers.getAddress(sender)) {
+      errors.push({ line: row.line, name: row.name, error: 'recipient is the sender' });
+      continue;
+    }
+    if (seen.has(result.address)) {
+      errors.push({ line: row.line, name: row.name, error: `duplicate of line ${seen.get(result.address)}` });
+      continue;
+    }
+
+    const rowId = rowIdFor(result.address, result.units);
+    seen.set(result.address, row.line);
+    total += result.units;
+    if (!settled.has(rowId)) {
+      remaining += result.units;
+    }
+    entries.push({
+      rowId,
+      line: row.line,
+      name: row.name,
+      address: result.address,
+      amount: result.amount,
+      units: result.units
+    });
+  }
+
+  if (balance !== undefined && remaining > balance) {
+    errors.push({
+      line: null,
+      error: `remaining total ${ethers.formatUnits(remaining, decimals)} exceeds sender balance ${ethers.formatUnits(balance, decimals)}`
+    });
+  }
+
+  return { entries, errors, total, remaining };
+}
+
+// One DistributeTokensBatch operation that pays every row of a list from the
+// contract's balance. Refuses the list if any row is invalid or it has more
+// rows than a batch takes.
+function buildBatchFromList(rows, { contract, balance }) {
+  const plan = validateDistribution(rows, { decimals: TOKEN_DECIMALS, sender: contract, balance });
+  if (plan.errors.length > 0) {
+    const details = plan.errors.map(({ line, name, error }) => (line ? `  line ${line} (${name}): ${error}` : `  ${error}`));
+    throw new Error(`The list has errors, nothing was requested:\n${details.join('\n')}`);
+  }
+  if (plan.entries.length === 0) {
+    throw new Error('The list has no rows');
+  }
+  if (plan.entries.length > MAX_BATCH_SIZE) {
+    throw new Error(`The list has ${plan.entries.length} rows but a batch takes at most ${MAX_BATCH_SIZE}; split it or use distribute.js --multisig`);
+  }
+  return { operation: buildBatchDistribution(plan.entries), plan };
+}
+
+// Tokens sent to a contract are usually stuck there, so recipients with code
+// are reported as errors in the same form validateDistribution uses
+async function findContractRecipients(provider, entries) {
+  const errors = [];
+  for (const entry of entries) {
+    if ((await provider.getCode(entry.address)) !== '0x') {
+      errors.push({ line: entry.line, name: entry.name, error: 'recipient is a contract' });
+    }
+  }
+  return errors;
+}
+
+function openJournal(journalPath, { token, sender, chainId, startBlock }) {
+  let data;
+  if (fs.existsSync(journalPath)) {
+    data = readJson(journalPath);
+    if (data.version !== JOURNAL_VERSION) {
+      throw new Error(`Unsupported journal version ${data.version} in ${journalPath}`);
+    }
+    if (data.token !== token || data.sender !== sender || data.chainId !== chainId.toString()) {
+      throw new Error(`Journal ${journalPath} belongs to token ${data.token} from ${data.sender} on chainId ${data.chainId}`);
+    }
+  } else {
+    data = { version: JOURNAL_VERSION, token, sender, chainId: chainId.toString(), startBlock, rows: {} };
+  }
+
+  return {
+    data,
+    get(rowId) {
+      return data.rows[rowId];
+    },
+    settled() {
+      return new Set(Object.keys(data.rows).filter((rowId) => SETTLED_STATUSES.includes(data.rows[rowId].status)));
+    },
+    update(rowId, fields) {
+      data.rows[rowId] = { ...data.rows[rowId], ...fields, updatedAt: new Date().toISOString() };
+      writeJson(journalPath, data);
+    }
+  };
+}
+
+async function findTransfer(token, sender, entry, fromBlock) {
+  const events = await queryFilterInChunks(
+    token,
+    token.filters.Transfer(sender, entry.address),
+    fromBlock,
+    await token.runner.provider.getBlockNumber()
+  );
+  return events.find((event) => event.args.value === entry.units);
+}
+
+// Settles rows left in flight by an interrupted run. A row is only reset for
+// sending again when its transaction is gone and no matching Transfer exists.
+async function recoverJournal(token, sender, entries, journal) {
+  const provider = token.runner.provider;
+  const confirmedNonce = await provider.getTransactionCount(sender, 'latest');
+  const pendingNonce = await provider.getTransactionCount(sender, 'pending');
+
+  for (const entry of entries) {
+    const record = journal.get(entry.rowId);
+    if (!record || record.status === 'confirmed' || record.status === 'pending') {
+      continue;
+    }
+
+    if (record.txHash) {
+      const receipt = await provider.getTransactionReceipt(record.txHash);
+      if (receipt) {
+        journal.update(entry.rowId, receipt.status === 1
+          ? { status: 'confirmed', blockNumber: receipt.blockNumber }
+          : { status: 'pending', nonce: null, txHash: null, lastError: `reverted in ${record.txHash}` });
+        continue;
+      }
+      const tx = await provider.getTransaction(record.txHash);
+      if (tx) {
+        const mined = await tx.wait();
+        journal.update(entry.rowId, { status: 'confirmed', blockNumber: mined.blockNumber });
+        continue;
+      }
+    }
+
+    if (record.nonce !== null && record.nonce >= confirmedNonce && record.nonce < pendingNonce) {
+      throw new Error(`Nonce ${record.nonce} for line ${entry.line} is still pending, run again once it has been mined`);
+    }
+    if (record.nonce !== null && record.nonce < confirmedNonce) {
+      const transfer = await findTransfer(token, sender, entry, journal.data.startBlock);
+      if (transfer) {
+        journal.update(entry.rowId, {
+          status: 'confirmed',
+          txHash: transfer.transactionHash,
+          blockNumber: transfer.blockNumber
+        });
+        continue;
+      }
+    }
+    journal.update(entry.rowId, { status: 'pending', nonce: null, txHash: null });
+  }
+}
+
+// Assigns nonces locally and keeps up to `concurrency` transfers waiting for
+// confirmation. Broadcasts are sequential, so a failed send never leaves a gap
+// below a transaction that is already out.
+async function sendDistribution(token, sender, entries, journal, { concurrency = 5, onUpdate = () => {} } = {}) {
+  const provider = token.runner.provider;
+  const todo = entries.filter((entry) => (journal.get(entry.rowId) || {}).status !== 'confirmed');
+  let nonce = await provider.getTransactionCount(sender, 'pending');
+  const inFlight = new Set();
+  const failures = [];
+
+  for (const entry of todo) {
+    while (inFlight.size >= concurrency) {
+      await Promise.race(inFlight);
+    }
+
+    journal.update(entry.rowId, {
+      line: entry.line,
+      address: entry.address,
+      amount: entry.amount,
+      status: 'sending',
+      nonce,
+      txHash: null
+    });
+
+    let tx;
+    try {
+      tx = await token.connect(sender).transfer(entry.address, entry.units, { nonce });
+    } catch (error) {
+      journal.update(entry.rowId, { status: 'pending', nonce: null, lastError: error.message });
+      failures.push({ entry, error });
+      break;
+    }
+    nonce++;
+    journal.update(entry.rowId, { status: 'sent', txHash: tx.hash });
+    onUpdate(entry, 'sent', tx.hash);
+
+    const confirmation = tx.wait()
+      .then((receipt) => {
+        journal.update(entry.rowId, { status: 'confirmed', blockNumber: receipt.blockNumber });
+        onUpdate(entry, 'confirmed', tx.hash);
+      })
+      .catch((error) => {
+        journal.update(entry.rowId, { status: 'failed', lastError: error.message });
+        failures.push({ entry, error });
+      })
+      .finally(() => inFlight.delete(confirmation));
+    inFlight.add(confirmation);
+  }
+
+  await Promise.all(inFlight);
+  return failures;
+}
+
+// Compares the CSV with the Transfer events the sender emitted since the
+// journal was started.
+async function reconcileDistribution(token, sender, entries, journal) {
+  const provider = token.runner.provider;
+  const toBlock = await provider.getBlockNumber();
+  const events = await queryFilterInChunks(token, token.filters.Transfer(sender), journal.data.startBlock, toBlock);
+  const unmatched = new Set(events);
+
+  const rows = entries.map((entry) => {
+    const record = journal.get(entry.rowId) || {};
+    const toRecipient = events.filter((event) => event.args.to === entry.address);
+    const match = toRecipient.find((event) => event.transactionHash === record.txHash && event.args.value === entry.units) ||
+      toRecipient.find((event) => unmatched.has(event) && event.args.value === entry.units);
+
+    if (match) {
+      unmatched.delete(match);
+      return { line: entry.line, name: entry.name, address: entry.address, amount: entry.amount, status: 'ok', txHash: match.transactionHash };
+    }
+    if (toRecipient.length > 0) {
+      return {
+        line: entry.line,
+        name: entry.name,
+        address: entry.address,
+        amount: entry.amount,
+        status: 'mismatch',
+        onChain: toRecipient.map((event) => ({ value: event.args.value, txHash: event.transactionHash }))
+      };
+    }
+    return { line: entry.line, name: entry.name, address: entry.address, amount: entry.amount, status: 'missing' };
+  });
+
+  const unexpected = [...unmatched]
+    .filter((event) => !entries.some((entry) => entry.address === event.args.to))
+    .map((event) => ({ to: event.args.to, value: event.args.value, txHash: event.transactionHash }));
+
+  const count = (status) => rows.filter((row) => row.status === status).length;
+  return {
+    fromBlock: journal.data.startBlock,
+    toBlock,
+    summary: { ok: count('ok'), missing: count('missing'), mismatch: count('mismatch'), unexpected: unexpected.length },
+    rows,
+    unexpected
+  };
+}
+
+// Multisig mode: each row becomes a DistributeTokens operation paid from the
+// contract balance. The journal stores the operation id instead of a nonce.
+
+// Adopts DistributeTokens operations this requester filed for unsettled rows
+// that never made it into the journal, e.g. because the run died right after
+// requestOperation was mined.
+async function recoverDistributionOperations(token, requester, entries, journal) {
+  const known = new Set(Object.values(journal.data.rows).map((record) => record.operationId));
+  const events = await queryFilterInChunks(
+    token,
+    token.filters.OperationRequested(null, OperationType.DistributeTokens, requester),
+    journal.data.startBlock,
+    await token.runner.provider.getBlockNumber()
+  );
+
+  for (const event of events) {
+    if (known.has(event.args.operationId)) {
+      continue;
+    }
+    const entry = entries.find((candidate) => {
+      const record = journal.get(candidate.rowId);
+      return (!record || !record.operationId) &&
+        candidate.address === event.args.target &&
+        candidate.units === event.args.value;
+    });
+    if (entry) {
+      journal.update(entry.rowId, {
+        line: entry.line,
+        address: entry.address,
+        amount: entry.amount,
+        status: 'requested',
+        operationId: event.args.operationId,
+        deadline: event.args.deadline
+      });
+    }
+  }
+}
+
+// Marks rows whose operation has executed, using TokensDistributed, and rows
+// whose operation expired unexecuted so they get requested again. A cancelled
+// operation is left cancelled: a signer stopped it on purpose, so the row is
+// not requested again until the list is fixed and its journal entry removed.
+async function trackDistributionOperations(token, entries, journal) {
+  const events = await queryFilterInChunks(
+    token,
+    token.filters.TokensDistributed(),
+    journal.data.startBlock,
+    await token.runner.provider.getBlockNumber()
+  );
+  const executed = new Map(events.map((event) => [event.args.operationId, event]));
+
+  for (const entry of entries) {
+    const record = journal.get(entry.rowId);
+    if (!record || record.status !== 'requested') {
+      continue;
+    }
+    const event = executed.get(record.operationId);
+    if (event) {
+      journal.update(entry.rowId, { status: 'executed', txHash: event.transactionHash, blockNumber: event.blockNumber });
+      continue;
+    }
+    const { cancelled, expired } = await token.getOperation(record.operationId);
+    if (cancelled) {
+      journal.update(entry.rowId, { status: 'cancelled' });
+    } else if (expired) {
+      journal.update(entry.rowId, { status: 'expired' });
+    }
+  }
+}
+
+async function requestDistributionOperations(token, entries, journal, { onUpdate = () => {} } = {}) {
+  for (const entry of entries) {
+    const record = journal.get(entry.rowId);
+    if (record && record.status !== 'expired') {
+      continue;
+    }
+
+    const { operationId, receipt } = await requestOperation(token, {
+      opType: OperationType.DistributeTokens,
+      target: entry.address,
+      value: entry.units,
+      data: '0x'
+    });
+    const { deadline } = await token.operations(operationId);
+    journal.update(entry.rowId, {
+      line: entry.line,
+      address: entry.address,
+      amount: entry.amount,
+      status: 'requested',
+      operationId,
+      deadline,
+      requestTxHash: receipt.hash
+    });
+    onUpdate(entry, 'requested', operationId);
+  }
+}
+
+function pendingOperationIds(entries, journal) {
+  return entries
+    .map((entry) => journal.get(entry.rowId))
+    .filter((record) => record && record.status === 'requested')
+    .map((record) => record.operationId);
+}
+
+function summarizeOperations(entries, journal) {
+  const rows = entries.map((entry) => {
+    const record = journal.get(entry.rowId) || {};
+    return {
+      line: entry.line,
+      name: entry.name,
+      address: entry.address,
+      amount: entry.amount,
+      status: record.status || 'missing',
+      operationId: record.operationId,
+      txHash: record.txHash
+    };
+  });
+  const count = (status) => rows.filter((row) => row.status === status).length;
+  return {
+    summary: {
+      executed: count('executed'),
+      requested: count('requested'),
+      expired: count('expired'),
+      cancelled: count('cancelled'),
+      missing: count('missing')
+    },
+    rows
+  };
+}
+
+module.exports = {
+  loadDistributionList,
+  rowIdFor,
+  validateDistribution,
+  buildBatchFromList,
+  findContractRecipients,
+  openJournal,
+  recoverJournal,
+  sendDistribution,
+  reconcileDistribution,
+  recoverDistributionOperations,
+  trackDistributionOperations,
+  requestDistributionOperations,
+  pendingOperationIds,
+  summarizeOperations
+};
@@ -0,0 +1,178 @@
+const { ethers } = require('ethers');
+const { OPERATION_NAMES, TOKEN_DECIMALS } = require('./operations');
+
+// Fields an expected-config file may set. Token amounts are written in whole
+// tokens, everything else as the contract returns it; fields left out of the
+// file are not checked.
+const CONFIG_FIELDS = {
+  owner: { read: (token) => token.owner(), kind: 'address' },
+  signers: { read: (token) => token.getSigners(), kind: 'addresses' },
+  requiredSignatures: { read: (token) => token.requiredSignatures(), kind: 'number' },
+  chainId: { read: (token) => token.chainId(), kind: 'number' },
+  bridgeInCaller: { read: (token) => token.bridgeInCaller(), kind: 'address' },
+  maxBridgeInAmount: { read: (token) => token.maxBridgeInAmount(), kind: 'tokens' },
+  bridgeInWindowLimit: { read: (token) => token.bridgeInWindowLimit(), kind: 'tokens' },
+  bridgeInWindowDuration: { read: (token) => token.bridgeInWindowDuration(), kind: 'number' },
+  isPreLaunch: { read: (token) => token.isPreLaunch(), kind: 'boolean' },
+  paused: { read: (token) => token.paused(), kind: 'boolean' }
+};
+// Maps keyed by chain ID or OperationType name
+const CONFIG_MAPS = {
+  supportedChains: { read: (token, chain) => token.supportedChains(chain), kind: 'boolean' },
+  executionDelays: { read: (token, name) => token.executionDelays(operationType(name)), kind: 'number' }
+};
+
+function operationType(name) {
+  const index = OPERATION_NAMES.indexOf(name);
+  if (index === -1) {
+    throw new Error(`Unknown operation type in executionDelays: ${name}`);
+  }
+  return index;
+}
+
+// Brings expected and on-chain values to one comparable string form
+function normalize(value, kind) {
+  switch (kind) {
+    case 'address':
+      return ethers.getAddress(String(value));
+    case 'addresses':
+      return [...value].map((address) => ethers.getAddress(address)).join(',');
+    case 'tokens': {
+      const units = typeof value === 'bigint' ? value : ethers.parseUnits(String(value), TOKEN_DECIMALS);
+      return ethers.formatUnits(units, TOKEN_DECIMALS);
+    }
+    case 'number':
+      return BigInt(value).toString();
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw new Error(`Expected true or false, got ${JSON.stringify(value)}`);
+      }
+      return String(value);
+    default:
+      throw new Error(`Unknown field kind ${kind}`);
+  }
+}
+
+function compareField(field, kind, expected, actual) {
+  let want;
+  try {
+    want = normalize(expected, kind);
+  } catch (error) {
+    return { field, expected, actual: null, error: `invalid expected value: ${error.message}` };
+  }
+  const have = normalize(actual, kind);
+  return want === have ? null : { field, expected: want, actual: have };
+}
+
+// Compares every field of `expected` with the deployment and returns the
+// differences, empty when the deployment matches
+async function checkConfig(token, expected) {
+  const drift = [];
+  for (const [field, want] of Object.entries(expected)) {
+    if (CONFIG_FIELDS[field]) {
+      const { read, kind } = CONFIG_FIELDS[field];
+      const difference = compareField(field, kind, want, await read(token));
+      if (difference) {
+        drift.push(difference);
+      }
+    } else if (CONFIG_MAPS[field]) {
+      const { read, kind } = CONFIG_MAPS[field];
+      for (const [key, value] of Object.entries(want)) {
+        const difference = compareField(`${field}.${key}`, kind, value, await read(token, key));
+        if (difference) {
+          drift.push(difference);
+        }
+      }
+    } else {
+      drift.push({ field, expected: want, actual: null, error: 'unknown field' });
+    }
+  }
+  return drift;
+}
+
+// How a value read from the chain is written to an expected-config file
+function toConfigValue(value, kind) {
+  switch (kind) {
+    case 'addresses':
+      return value.map((address) => ethers.getAddress(address));
+    case 'number':
+      return Number(value);
+    case 'boolean':
+      return value;
+    default:
+      return normalize(value, kind);
+  }
+}
+
+// The deployment's current state as an expected-config file, for --init.
+// supportedChains can't be enumerated on chain, so it starts out empty.
+async function readConfig(token) {
+  const config = {};
+  for (const [field, { read, kind }] of Object.entries(CONFIG_FIELDS)) {
+    config[field] = toConfigValue(await read(token), kind);
+  }
+  config.supportedChains = {};
+  config.executionDelays = {};
+  for (const name of OPERATION_NAMES) {
+    config.executionDelays[name] = Number(await token.executionDelays(operationType(name)));
+  }
+  return config;
+}
+
+// Zeroes the byte ranges solc fills in at deployment, so the runtime code of
+// any deployment can be compared with the compiled artifact
+function maskImmutables(code, immutableReferences) {
+  const bytes = ethers.getBytes(code);
+  for (const references of Object.values(immutableReferences || {})) {
+    for (const { start, length } of references) {
+      bytes.fill(0, start, start + length);
+    }
+  }
+  return bytes;
+}
+
+// The CBOR metadata solc appends ends with its own two-byte length
+function stripMetadata(bytes) {
+  if (bytes.length < 2) {
+    return bytes;
+  }
+  const length = (bytes[bytes.length - 2] << 8) + bytes[bytes.length - 1];
+  return length + 2 <= bytes.length ? bytes.slice(0, bytes.length - length - 2) : bytes;
+}
+
+async function readCompiledRuntime(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${contractName}`);
+  const { deployedBytecode } = buildInfo.output.contracts[artifact.sourceName][contractName].evm;
+  return { bytecode: artifact.deployedBytecode, immutableReferences: deployedBytecode.immutableReferences };
+}
+
+// 'match' when the code is identical apart from immutables, 'metadata' when
+// only the appended metadata hash differs (e.g. a comment changed), and
+// 'mismatch' otherwise
+async function compareBytecode(hre, address, contractName = 'Liberdus') {
+  const { bytecode, immutableReferences } = await readCompiledRuntime(hre, contractName);
+  const onChain = await hre.ethers.provider.getCode(address);
+  if (onChain === '0x') {
+    return { result: 'mismatch', reason: `no contract at ${address}` };
+  }
+  const deployed = maskImmutables(onChain, immutableReferences);
+  const compiled = maskImmutables(bytecode, immutableReferences);
+  if (ethers.hexlify(deployed) === ethers.hexlify(compiled)) {
+    return { result: 'match' };
+  }
+  if (ethers.hexlify(stripMetadata(deployed)) === ethers.hexlify(stripMetadata(compiled))) {
+    return { result: 'metadata', reason: 'only the metadata hash differs' };
+  }
+  return { result: 'mismatch', reason: `runtime code differs from the compiled ${contractName} (${deployed.length} bytes on chain, ${compiled.length} compiled)` };
+}
+
+module.exports = {
+  CONFIG_FIELDS,
+  CONFIG_MAPS,
+  checkConfig,
+  readConfig,
+  maskImmutables,
+  stripMetadata,
+  compareBytecode
+};
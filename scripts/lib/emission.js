@@ -0,0 +1,124 @@
+const { ethers } = require('ethers');
+const { OperationType, TOKEN_DECIMALS, listOperationIds } = require('./operations');
+
+// Mirror the constants in contracts/Liberdus.sol, for simulating an emission
+// without a deployment
+const MINT_INTERVAL = 3n * 7n * 86400n + 6n * 86400n + 9n * 3600n;
+const MINT_AMOUNT = ethers.parseUnits('3000000', TOKEN_DECIMALS);
+const MAX_SUPPLY = ethers.parseUnits('210000000', TOKEN_DECIMALS);
+
+// The emission parameters of a deployment that hasn't minted yet. `now` is the
+// time the first mint is assumed to happen.
+function simulatedEmission(now) {
+  return {
+    mintInterval: MINT_INTERVAL,
+    mintAmount: MINT_AMOUNT,
+    maxSupply: MAX_SUPPLY,
+    lastMintTime: 0n,
+    nextMintTime: MINT_INTERVAL,
+    totalSupply: 0n,
+    isPreLaunch: true,
+    now: BigInt(now)
+  };
+}
+
+async function readEmission(token) {
+  const [mintInterval, mintAmount, maxSupply, lastMintTime, nextMintTime, remaining, isPreLaunch, block] = await Promise.all([
+    token.MINT_INTERVAL(),
+    token.MINT_AMOUNT(),
+    token.MAX_SUPPLY(),
+    token.lastMintTime(),
+    token.getNextMintTime(),
+    token.getRemainingSupply(),
+    token.isPreLaunch(),
+    token.runner.provider.getBlock('latest')
+  ]);
+  return {
+    mintInterval,
+    mintAmount,
+    maxSupply,
+    lastMintTime,
+    nextMintTime,
+    totalSupply: maxSupply - remaining,
+    isPreLaunch,
+    now: BigInt(block.timestamp)
+  };
+}
+
+// Every mint still possible, each at the earliest time the contract allows
+// it. A mint needs the interval since the last one and room under the cap,
+// and none happen after launch.
+function planEmission({ mintInterval, mintAmount, maxSupply, lastMintTime, nextMintTime, totalSupply, isPreLaunch, now }) {
+  const steps = [];
+  if (!isPreLaunch) {
+    return steps;
+  }
+  let time = lastMintTime === 0n ? now : nextMintTime;
+  if (time < now) {
+    time = now;
+  }
+  let supply = totalSupply;
+  while (supply + mintAmount <= maxSupply) {
+    supply += mintAmount;
+    steps.push({ step: steps.length + 1, time, amount: mintAmount, supplyAfter: supply });
+    time += mintInterval;
+  }
+  return steps;
+}
+
+// The first planned mint that brings the supply to at least `target`
+function findSupplyTarget(steps, target) {
+  return steps.find((step) => step.supplyAfter >= target) || null;
+}
+
+// Pending Mint operations whose signing deadline passes before the next mint
+// is allowed. Executing them is certain to fail, since they expire first or
+// revert with "Mint interval not reached" if quorum is reached early.
+async function findExpiringMints(token, { lastMintTime, nextMintTime }) {
+  const opensAt = lastMintTime === 0n ? 0n : nextMintTime;
+  const warnings = [];
+  for (const operationId of await listOperationIds(token)) {
+    const op = await token.getOperation(operationId);
+    if (Number(op.opType) !== OperationType.Mint || op.executed || op.cancelled || op.expired || op.executableAt > 0n) {
+      continue;
+    }
+    if (op.deadline < opensAt) {
+      warnings.push({ operationId, deadline: op.deadline, opensAt });
+    }
+  }
+  return warnings;
+}
+
+function formatTime(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString();
+}
+
+function planToRecords(steps) {
+  return steps.map((step) => ({
+    step: step.step,
+    timestamp: step.time.toString(),
+    date: formatTime(step.time),
+    amount: ethers.formatUnits(step.amount, TOKEN_DECIMALS),
+    supplyAfter: ethers.formatUnits(step.supplyAfter, TOKEN_DECIMALS)
+  }));
+}
+
+function planToCsv(steps) {
+  const records = planToRecords(steps);
+  const columns = ['step', 'timestamp', 'date', 'amount', 'supplyAfter'];
+  return [columns.join(','), ...records.map((record) => columns.map((column) => record[column]).join(','))].join('\n') + '\n';
+}
+
+module.exports = {
+  MINT_INTERVAL,
+  MINT_AMOUNT,
+  MAX_SUPPLY,
+  simulatedEmission,
+  readEmission,
+  planEmission,
+  findSupplyTarget,
+  findExpiringMints,
+  formatTime,
+  planToRecords,
+  planToCsv
+};
@@ -0,0 +1,17 @@
+const DEFAULT_BLOCK_RANGE = 5000;
+
+// Public RPCs cap the block range of eth_getLogs, so long scans are split
+// into fixed-size windows.
+async function queryFilterInChunks(contract, filter, fromBlock, toBlock, blockRange = DEFAULT_BLOCK_RANGE) {
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += blockRange) {
+    const end = Math.min(start + blockRange - 1, toBlock);
+    events.push(...await contract.queryFilter(filter, start, end));
+  }
+  return events;
+}
+
+module.exports = {
+  DEFAULT_BLOCK_RANGE,
+  queryFilterInChunks
+};
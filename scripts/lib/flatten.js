@@ -0,0 +1,478 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { stripMetadata } = require('./drift');
+
+const SPDX_MARKER = 'SPDX-License-Identifier:';
+// What a file's own license comment becomes, so the output keeps a single
+// SPDX header (solc rejects a source with more than one)
+const ORIGINAL_LICENSE = 'Original license: SPDX_License_Identifier:';
+
+const isIdentifierChar = (char) => /[\w$]/.test(char || '');
+
+// Index just past the comment or string literal starting at `i`, or `i` when
+// there is none there
+function skipCommentOrString(source, i) {
+  if (source.startsWith('//', i)) {
+    const end = source.indexOf('\n', i);
+    return end === -1 ? source.length : end;
+  }
+  if (source.startsWith('/*', i)) {
+    const end = source.indexOf('*/', i + 2);
+    if (end === -1) {
+      throw new Error('Unterminated block comment');
+    }
+    return end + 2;
+  }
+  const quote = source[i];
+  if (quote === '"' || quote === '\'') {
+    let j = i + 1;
+    while (j < source.length && source[j] !== quote) {
+      if (source[j] === '\n') {
+        throw new Error('Unterminated string literal');
+      }
+      j += source[j] === '\\' ? 2 : 1;
+    }
+    return j + 1;
+  }
+  return i;
+}
+
+// Splits a source into its top-level import and pragma directives and its
+// comments. Anything inside a comment, a string or braces is left alone.
+function scanSource(source) {
+  const directives = [];
+  const comments = [];
+  let depth = 0;
+  let i = 0;
+  while (i < source.length) {
+    const next = skipCommentOrString(source, i);
+    if (next !== i) {
+      if (source[i] === '/') {
+        comments.push({ start: i, end: next });
+      }
+      i = next;
+      continue;
+    }
+    const char = source[i];
+    if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+    } else if (depth === 0 && !isIdentifierChar(source[i - 1])) {
+      const keyword = ['import', 'pragma'].find((word) => source.startsWith(word, i) && !isIdentifierChar(source[i + word.length]));
+      if (keyword) {
+        let j = i + keyword.length;
+        while (j < source.length && source[j] !== ';') {
+          j = skipCommentOrString(source, j) === j ? j + 1 : skipCommentOrString(source, j);
+        }
+        if (j >= source.length) {
+          throw new Error(`Unterminated ${keyword} directive`);
+        }
+        directives.push({ kind: keyword, start: i, end: j + 1, text: source.slice(i, j + 1) });
+        i = j + 1;
+        continue;
+      }
+    }
+    i++;
+  }
+  return { directives, comments };
+}
+
+const STRING = '("(?:[^"\\\\]|\\\\.)*"|\'(?:[^\'\\\\]|\\\\.)*\')';
+const IDENTIFIER = '([A-Za-z_$][\\w$]*)';
+const IMPORT_FORMS = [
+  // import "path"; and import "path" as Unit;
+  { pattern: new RegExp(`^import\\s*${STRING}(?:\\s+as\\s+${IDENTIFIER})?\\s*;$`), read: (m) => ({ path: m[1], unitAlias: m[2] || null, symbols: null }) },
+  // import * as Unit from "path";
+  { pattern: new RegExp(`^import\\s*\\*\\s*as\\s+${IDENTIFIER}\\s+from\\s*${STRING}\\s*;$`), read: (m) => ({ path: m[2], unitAlias: m[1], symbols: null }) },
+  // import {A, B as C} from "path";
+  { pattern: new RegExp(`^import\\s*\\{([^}]*)\\}\\s*from\\s*${STRING}\\s*;$`), read: (m) => ({ path: m[2], unitAlias: null, symbols: parseSymbols(m[1]) }) }
+];
+
+function parseSymbols(list) {
+  return list.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+    const match = entry.match(new RegExp(`^${IDENTIFIER}(?:\\s+as\\s+${IDENTIFIER})?$`));
+    if (!match) {
+      throw new Error(`Invalid import symbol "${entry}"`);
+    }
+    return { name: match[1], alias: match[2] || null };
+  });
+}
+
+function stripComments(text) {
+  let out = '';
+  let i = 0;
+  while (i < text.length) {
+    const next = skipCommentOrString(text, i);
+    if (next !== i && text[i] === '/') {
+      out += ' ';
+    } else {
+      out += text.slice(i, next === i ? i + 1 : next);
+    }
+    i = next === i ? i + 1 : next;
+  }
+  return out.replace(/\s+/g, ' ').trim();
+}
+
+// { path, unitAlias, symbols } for any form of import directive
+function parseImport(text) {
+  const directive = stripComments(text).replace(/\s*;$/, ';');
+  for (const { pattern, read } of IMPORT_FORMS) {
+    const match = directive.match(pattern);
+    if (match) {
+      const parsed = read(match);
+      return { ...parsed, path: parsed.path.slice(1, -1) };
+    }
+  }
+  throw new Error(`Unsupported import directive: ${directive}`);
+}
+
+// Remappings in solc's `context:prefix=target` form
+function parseRemapping(remapping) {
+  const match = remapping.match(/^(?:([^:=]*):)?([^=]+)=(.*)$/);
+  if (!match) {
+    throw new Error(`Invalid remapping "${remapping}"`);
+  }
+  return { context: match[1] || '', prefix: match[2], target: match[3] };
+}
+
+// The source unit name an import refers to, the way solc resolves it:
+// relative paths against the importing file, then the remapping with the
+// longest context and then the longest prefix
+function resolveImport(importPath, fromSourceName, remappings = []) {
+  let sourceName = importPath;
+  if (importPath.startsWith('./') || importPath.startsWith('../')) {
+    sourceName = path.posix.normalize(path.posix.join(path.posix.dirname(fromSourceName), importPath));
+    if (sourceName.startsWith('../')) {
+      throw new Error(`Import "${importPath}" in ${fromSourceName} leaves the project`);
+    }
+  }
+  const best = remappings.map(parseRemapping)
+    .filter(({ context, prefix }) => fromSourceName.startsWith(context) && sourceName.startsWith(prefix))
+    .sort((a, b) => b.context.length - a.context.length || b.prefix.length - a.prefix.length)[0];
+  return best ? best.target + sourceName.slice(best.prefix.length) : sourceName;
+}
+
+// Project files first, then installed packages, the same lookup Hardhat uses
+function locateSource(sourceName, root) {
+  const projectFile = path.join(root, sourceName);
+  if (fs.existsSync(projectFile)) {
+    return { file: projectFile, label: sourceName };
+  }
+  const parts = sourceName.split('/');
+  const packageName = parts[0].startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  const packageDir = path.join(root, 'node_modules', packageName);
+  const file = path.join(root, 'node_modules', sourceName);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Source ${sourceName} not found in the project or node_modules`);
+  }
+  const { version } = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+  return { file, label: `${sourceName}@v${version}` };
+}
+
+// Identifiers outside comments, strings and directives, each marked when it
+// is a member access (follows a dot)
+function findIdentifiers(source, directives) {
+  const identifiers = [];
+  const directiveEnds = new Map(directives.map(({ start, end }) => [start, end]));
+  let i = 0;
+  while (i < source.length) {
+    if (directiveEnds.has(i)) {
+      i = directiveEnds.get(i);
+      continue;
+    }
+    const next = skipCommentOrString(source, i);
+    if (next !== i) {
+      i = next;
+      continue;
+    }
+    if (/[A-Za-z_$]/.test(source[i]) && !isIdentifierChar(source[i - 1])) {
+      let end = i + 1;
+      while (isIdentifierChar(source[end])) {
+        end++;
+      }
+      let before = i - 1;
+      while (/\s/.test(source[before] || '')) {
+        before--;
+      }
+      identifiers.push({ name: source.slice(i, end), start: i, end, member: source[before] === '.' });
+      i = end;
+      continue;
+    }
+    i++;
+  }
+  return identifiers;
+}
+
+// What a name in a source's scope stands for once everything is in one file:
+// a symbol under its original name, or a unit imported `as` an alias
+function lookupName(scopes, sourceName, name) {
+  return (scopes.get(sourceName) || new Map()).get(name) || { global: name };
+}
+
+// The names a source sees differently from the flattened file: aliased
+// symbols and units, plus whatever it gets through an import of a file that
+// has them
+function buildScope(scopes, imports) {
+  const scope = new Map();
+  for (const { parsed, sourceName } of imports) {
+    if (parsed.unitAlias) {
+      scope.set(parsed.unitAlias, { unit: sourceName });
+    } else if (parsed.symbols) {
+      for (const { name, alias } of parsed.symbols) {
+        const entry = lookupName(scopes, sourceName, name);
+        if (entry.unit || entry.global !== (alias || name)) {
+          scope.set(alias || name, entry);
+        }
+      }
+    } else {
+      for (const [name, entry] of scopes.get(sourceName) || []) {
+        scope.set(name, entry);
+      }
+    }
+  }
+  return scope;
+}
+
+// Edits renaming aliased symbols to their original names and turning
+// `Unit.Name` into `Name`. A rename that collides with another declaration
+// changes what compiles, which the bytecode comparison reports.
+function aliasEdits(sourceName, content, scan, scopes) {
+  const scope = scopes.get(sourceName);
+  if (scope.size === 0) {
+    return [];
+  }
+  const identifiers = findIdentifiers(content, scan.directives);
+  const edits = [];
+  for (let i = 0; i < identifiers.length; i++) {
+    const { name, start, end, member } = identifiers[i];
+    let entry = member ? null : scope.get(name);
+    if (!entry) {
+      continue;
+    }
+    let last = end;
+    while (entry.unit) {
+      const next = identifiers[i + 1];
+      if (!next || !next.member || content.slice(last, next.start).trim() !== '.') {
+        throw new Error(`${sourceName} uses ${name} other than as ${name}.<name>; can't flatten it`);
+      }
+      entry = lookupName(scopes, entry.unit, next.name);
+      last = next.end;
+      i++;
+    }
+    edits.push({ start, end: last, replacement: entry.global });
+  }
+  return edits;
+}
+
+// Every source the entry file depends on, dependencies first and otherwise in
+// import order, so base contracts always precede the contracts using them
+function collectSources(entry, { root, remappings }) {
+  const ordered = [];
+  const visited = new Set();
+  const scopes = new Map();
+
+  function visit(sourceName) {
+    if (visited.has(sourceName)) {
+      return;
+    }
+    visited.add(sourceName);
+    const { file, label } = locateSource(sourceName, root);
+    const content = fs.readFileSync(file, 'utf8').replace(/\r\n/g, '\n');
+    let scan;
+    try {
+      scan = scanSource(content);
+    } catch (error) {
+      throw new Error(`${sourceName}: ${error.message}`);
+    }
+    const imports = scan.directives.filter(({ kind }) => kind === 'import').map((directive) => {
+      const parsed = parseImport(directive.text);
+      return { parsed, sourceName: resolveImport(parsed.path, sourceName, remappings) };
+    });
+    imports.forEach((imported) => visit(imported.sourceName));
+    // An alias only exists in the importing file's scope, so the code using
+    // it is rewritten to the names the flattened file has
+    scopes.set(sourceName, buildScope(scopes, imports));
+    ordered.push({ sourceName, label, content, scan, renames: aliasEdits(sourceName, content, scan, scopes) });
+  }
+
+  visit(entry);
+  return ordered;
+}
+
+// Applies non-overlapping { start, end, replacement } edits back to front. A
+// removal that leaves its line empty takes the line with it.
+function applyEdits(content, edits) {
+  let out = content;
+  for (const { start, end, replacement } of [...edits].sort((a, b) => b.start - a.start)) {
+    const lineStart = out.lastIndexOf('\n', start - 1) + 1;
+    const lineEnd = out.indexOf('\n', end);
+    const before = out.slice(lineStart, start);
+    const after = out.slice(end, lineEnd === -1 ? out.length : lineEnd);
+    if (!replacement && !before.trim() && !after.trim()) {
+      let next = lineEnd === -1 ? out.length : lineEnd + 1;
+      // Don't leave two blank lines where the directive sat between them
+      const previousLine = out.slice(out.lastIndexOf('\n', lineStart - 2) + 1, lineStart);
+      const nextLineEnd = out.indexOf('\n', next);
+      if (lineStart > 0 && !previousLine.trim() && nextLineEnd !== -1 && !out.slice(next, nextLineEnd).trim()) {
+        next = nextLineEnd + 1;
+      }
+      out = out.slice(0, lineStart) + out.slice(next);
+    } else {
+      out = out.slice(0, start) + replacement + out.slice(end);
+    }
+  }
+  return out;
+}
+
+function readLicense(content, comments) {
+  for (const { start, end } of comments) {
+    const comment = content.slice(start, end);
+    const index = comment.indexOf(SPDX_MARKER);
+    if (index !== -1) {
+      return comment.slice(index + SPDX_MARKER.length).split(/\*\/|\n/)[0].trim();
+    }
+  }
+  return null;
+}
+
+// One SPDX expression covering every license in the output
+function combineLicenses(licenses) {
+  const distinct = [...new Set(licenses.filter(Boolean))];
+  if (distinct.length <= 1) {
+    return distinct[0] || null;
+  }
+  return distinct.map((license) => (/\s(AND|OR|WITH)\s/.test(license) ? `(${license})` : license)).join(' AND ');
+}
+
+function normalizePragma(text) {
+  return stripComments(text).replace(/\s*;$/, ';');
+}
+
+// Pragmas are hoisted to the top of the output once each. Version pragmas all
+// have to hold, so distinct ones are kept side by side; the ABI coder can't
+// differ between files that end up in one source.
+function mergePragmas(sources) {
+  const solidity = [];
+  const other = [];
+  const abicoders = new Map();
+  for (const { sourceName, scan } of sources) {
+    for (const { kind, text } of scan.directives) {
+      if (kind !== 'pragma') {
+        continue;
+      }
+      const pragma = normalizePragma(text);
+      const list = /^pragma solidity\b/.test(pragma) ? solidity : other;
+      if (!list.includes(pragma)) {
+        list.push(pragma);
+      }
+      const abicoder = pragma.match(/^pragma abicoder (\w+);$/);
+      if (abicoder) {
+        abicoders.set(abicoder[1], sourceName);
+      }
+    }
+  }
+  if (abicoders.size > 1) {
+    const users = [...abicoders].map(([version, sourceName]) => `${sourceName} uses ${version}`).join(', ');
+    throw new Error(`Conflicting ABI coder pragmas: ${users}`);
+  }
+  return [...solidity, ...other];
+}
+
+// Flattens `entry` (a source name such as contracts/Liberdus.sol) and
+// everything it imports into one source. Comments are kept, each file is
+// marked with its origin, and the output only depends on the sources, so the
+// same tree always gives the same text. Returns the source and the names of
+// the files in it.
+function flatten(entry, { root = process.cwd(), remappings = [] } = {}) {
+  const sources = collectSources(entry, { root, remappings });
+  const license = combineLicenses(sources.map(({ content, scan }) => readLicense(content, scan.comments)));
+  const header = [`// Sources flattened with scripts/flatten.js from ${entry}`, ''];
+  if (license) {
+    header.push(`// ${SPDX_MARKER} ${license}`);
+  }
+  header.push(...mergePragmas(sources));
+
+  const files = sources.map(({ label, content, scan, renames }) => {
+    const licenseEdits = scan.comments
+      .map(({ start, end }) => ({ start, end, replacement: content.slice(start, end).split(SPDX_MARKER).join(ORIGINAL_LICENSE) }))
+      .filter(({ start, end, replacement }) => replacement !== content.slice(start, end));
+    const directiveEdits = scan.directives.map(({ start, end }) => ({ start, end, replacement: '' }));
+    const body = applyEdits(content, [...licenseEdits, ...directiveEdits, ...renames]).trim();
+    return `// File ${label}\n\n${body}\n`;
+  });
+  return {
+    content: `${header.join('\n')}\n\n${files.join('\n\n')}`,
+    sourceNames: sources.map(({ sourceName }) => sourceName)
+  };
+}
+
+// Compiles a flattened source with the compiler and settings of the original
+// build and compares the bytecode of every contract in it. The metadata hash
+// covers the source text, so it is the one part left out.
+async function compareFlattenedBytecode(hre, entry, { content, sourceNames }) {
+  const {
+    TASK_COMPILE,
+    TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD,
+    TASK_COMPILE_SOLIDITY_RUN_SOLC,
+    TASK_COMPILE_SOLIDITY_RUN_SOLCJS
+  } = require('hardhat/builtin-tasks/task-names');
+
+  await hre.run(TASK_COMPILE, { quiet: true });
+  const names = (await hre.artifacts.getAllFullyQualifiedNames()).filter((name) => name.startsWith(`${entry}:`));
+  if (names.length === 0) {
+    throw new Error(`No compiled contracts found for ${entry}`);
+  }
+  const buildInfo = await hre.artifacts.getBuildInfo(names[0]);
+  const flatName = path.posix.basename(entry).replace(/\.sol$/, '.flat.sol');
+  const input = {
+    language: 'Solidity',
+    sources: { [flatName]: { content } },
+    settings: {
+      ...buildInfo.input.settings,
+      outputSelection: { '*': { '*': ['evm.bytecode.object', 'evm.deployedBytecode.object'] } }
+    }
+  };
+  const build = await hre.run(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, { quiet: true, solcVersion: buildInfo.solcVersion });
+  const output = build.isSolcJs
+    ? await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLCJS, { input, solcJsPath: build.compilerPath })
+    : await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLC, { input, solcPath: build.compilerPath, solcVersion: buildInfo.solcVersion });
+  const errors = (output.errors || []).filter(({ severity }) => severity === 'error');
+  if (errors.length > 0) {
+    return { match: false, differences: errors.map(({ formattedMessage, message }) => (formattedMessage || message).trim()) };
+  }
+
+  const differences = [];
+  const compiled = output.contracts[flatName] || {};
+  for (const sourceName of sourceNames) {
+    for (const [name, { evm }] of Object.entries(buildInfo.output.contracts[sourceName] || {})) {
+      const flat = compiled[name];
+      if (!flat) {
+        differences.push(`${name} is missing from the flattened source`);
+      } else if (withoutMetadata(evm) !== withoutMetadata(flat.evm)) {
+        differences.push(`${name} (${sourceName}) compiles to different bytecode`);
+      }
+    }
+  }
+  return { match: differences.length === 0, differences };
+}
+
+// Creation and runtime code with the runtime's metadata (which the creation
+// code embeds) cut out of both
+function withoutMetadata(evm) {
+  const runtime = `0x${evm.deployedBytecode.object}`;
+  const code = ethers.hexlify(stripMetadata(ethers.getBytes(runtime))).slice(2);
+  const metadata = runtime.slice(2 + code.length);
+  const creation = metadata ? evm.bytecode.object.split(metadata).join('') : evm.bytecode.object;
+  return `${creation}:${code}`;
+}
+
+module.exports = {
+  scanSource,
+  parseImport,
+  resolveImport,
+  combineLicenses,
+  flatten,
+  compareFlattenedBytecode
+};
@@ -0,0 +1,347 @@
+const fs = require('fs');
+const http = require('http');
+const { readJson, writeJson, stringifyJson } = require('./cli');
+const { DEFAULT_BLOCK_RANGE } = require('./events');
+const { operationName, getSignerAddresses } = require('./operations');
+
+const STORE_VERSION = 1;
+// Block hashes kept for reorg detection; a deeper reorg than this is treated
+// as one that reaches back to the oldest block still tracked.
+const REORG_DEPTH = 64;
+
+// Events that carry the operation lifecycle, plus the type-specific events
+// emitted when an operation executes. All of them lead with operationId.
+const INDEXED_EVENTS = [
+  'OperationRequested',
+  'SignatureSubmitted',
+  'SignatureRevoked',
+  'CancellationApproved',
+  'OperationCancelled',
+  'OperationQueued',
+  'OperationRequeued',
+  'OperationExecuted',
+  'MintExecuted',
+  'BurnExecuted',
+  'LaunchStateChanged',
+  'BridgeInCallerUpdated',
+  'BridgeInLimitsUpdated',
+  'SignerUpdated',
+  'SignerAdded',
+  'SignerRemoved',
+  'RequiredSignaturesUpdated',
+  'TokensDistributed',
+  'TreasurySwept',
+  'SupportedChainUpdated',
+  'ExecutionDelayUpdated'
+];
+
+// An event store is the list of raw events from one contract on one chain,
+// the hashes of recent blocks and the last block scanned, so it can resume a
+// scan and roll back a reorg with rollbackReorg. `fields` are the extra fields
+// of a new store; `name` labels it in errors.
+function openEventStore(storePath, { name, version, contract, chainId, startBlock, fields = {} }) {
+  let data;
+  if (fs.existsSync(storePath)) {
+    data = readJson(storePath);
+    if (data.version !== version) {
+      throw new Error(`Unsupported ${name} version ${data.version} in ${storePath}`);
+    }
+    if (data.contract !== contract || data.chainId !== chainId.toString()) {
+      throw new Error(`The ${name} ${storePath} belongs to ${data.contract} on chainId ${data.chainId}`);
+    }
+  } else {
+    data = {
+      version,
+      contract,
+      chainId: chainId.toString(),
+      lastIndexedBlock: startBlock - 1,
+      ...fields,
+      blocks: {},
+      events: []
+    };
+  }
+
+  return {
+    data,
+    save() {
+      writeJson(storePath, data);
+    }
+  };
+}
+
+// Operation state is always derived from the events, so rolling back a reorg
+// is just dropping the events above the common ancestor.
+function openIndexStore(storePath, { contract, chainId, startBlock }) {
+  return openEventStore(storePath, {
+    name: 'index store',
+    version: STORE_VERSION,
+    contract,
+    chainId,
+    startBlock,
+    fields: { headTimestamp: 0, signers: [], requiredSignatures: 0 }
+  });
+}
+
+// Event arguments by name, with integers as strings so they survive JSON
+function toPlainArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+  return args;
+}
+
+// Walks back from the newest tracked block until a stored hash matches the
+// chain, then drops everything above that block. Returns the number of blocks
+// rolled back.
+async function rollbackReorg(provider, store) {
+  const { data } = store;
+  const tracked = Object.keys(data.blocks).map(Number).sort((a, b) => b - a);
+  let ancestor = null;
+  for (const number of tracked) {
+    const block = await provider.getBlock(number);
+    if (block && block.hash === data.blocks[number]) {
+      ancestor = number;
+      break;
+    }
+  }
+  if (tracked.length === 0 || ancestor === tracked[0]) {
+    return 0;
+  }
+
+  const rollbackTo = ancestor === null ? tracked[tracked.length - 1] - 1 : ancestor;
+  const depth = data.lastIndexedBlock - rollbackTo;
+  data.events = data.events.filter((event) => event.blockNumber <= rollbackTo);
+  for (const number of tracked) {
+    if (number > rollbackTo) {
+      delete data.blocks[number];
+    }
+  }
+  data.lastIndexedBlock = rollbackTo;
+  store.save();
+  return depth;
+}
+
+// Brings the store up to the chain head. Returns what changed, so a caller
+// can log reorgs and new events.
+async function syncIndex(token, store, { blockRange = DEFAULT_BLOCK_RANGE } = {}) {
+  const provider = token.runner.provider;
+  const { data } = store;
+  const reorged = await rollbackReorg(provider, store);
+
+  const head = await provider.getBlock('latest');
+  const address = await token.getAddress();
+  const topics = [INDEXED_EVENTS.map((name) => token.interface.getEvent(name).topicHash)];
+  let added = 0;
+
+  for (let start = data.lastIndexedBlock + 1; start <= head.number; start += blockRange) {
+    const end = Math.min(start + blockRange - 1, head.number);
+    const logs = await provider.getLogs({ address, topics, fromBlock: start, toBlock: end });
+    for (const log of logs) {
+      const parsed = token.interface.parseLog(log);
+      data.events.push({
+        name: parsed.name,
+        args: toPlainArgs(parsed),
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index
+      });
+      added++;
+    }
+  }
+
+  // Only the head and blocks with events are fetched for their hashes
+  data.blocks[head.number] = head.hash;
+  for (const event of data.events.slice(data.events.length - added)) {
+    data.blocks[event.blockNumber] = event.blockHash;
+  }
+  for (const number of Object.keys(data.blocks).map(Number)) {
+    if (number <= head.number - REORG_DEPTH) {
+      delete data.blocks[number];
+    }
+  }
+
+  data.lastIndexedBlock = head.number;
+  data.headTimestamp = head.timestamp;
+  data.signers = await getSignerAddresses(token);
+  data.requiredSignatures = Number(await token.requiredSignatures());
+  store.save();
+  return { reorged, added, lastIndexedBlock: head.number };
+}
+
+function eventLocation(event) {
+  return { blockNumber: event.blockNumber, transactionHash: event.transactionHash };
+}
+
+function countSignatures(operation, signers) {
+  const signedBy = new Set(operation.signatures.map((signature) => signature.signer));
+  return signers.filter((signer) => signedBy.has(signer)).length;
+}
+
+// Folds the stored events into one record per operation
+function buildOperations(data) {
+  const operations = new Map();
+
+  for (const event of data.events) {
+    const { operationId } = event.args;
+    if (event.name === 'OperationRequested') {
+      operations.set(operationId, {
+        operationId,
+        opType: operationName(event.args.opType),
+        requester: event.args.requester,
+        target: event.args.target,
+        value: event.args.value,
+        data: event.args.data,
+        deadline: Number(event.args.deadline),
+        requested: eventLocation(event),
+        signatures: [],
+        queued: null,
+        cancelApprovals: [],
+        executed: null,
+        cancelled: null,
+        effects: []
+      });
+      continue;
+    }
+
+    const operation = operations.get(operationId);
+    if (!operation) {
+      continue;
+    }
+    if (event.name === 'SignatureSubmitted') {
+      operation.signatures.push({ signer: event.args.signer, ...eventLocation(event) });
+    } else if (event.name === 'SignatureRevoked') {
+      operation.signatures = operation.signatures.filter((signature) => signature.signer !== event.args.signer);
+    } else if (event.name === 'OperationQueued') {
+      operation.queued = { executableAt: Number(event.args.executableAt), ...eventLocation(event) };
+    } else if (event.name === 'OperationRequeued') {
+      // Lost quorum while queued; back to pending with a new deadline, and
+      // cancel approvals given while it was queued no longer count
+      operation.queued = null;
+      operation.deadline = Number(event.args.deadline);
+      operation.cancelApprovals = [];
+    } else if (event.name === 'CancellationApproved') {
+      operation.cancelApprovals.push({ signer: event.args.signer, ...eventLocation(event) });
+    } else if (event.name === 'OperationCancelled') {
+      operation.cancelled = { by: event.args.cancelledBy, ...eventLocation(event) };
+    } else if (event.name === 'OperationExecuted') {
+      operation.executed = eventLocation(event);
+    } else {
+      const args = { ...event.args };
+      delete args.operationId;
+      operation.effects.push({ event: event.name, args, ...eventLocation(event) });
+    }
+  }
+
+  return [...operations.values()].map((operation) => {
+    const signedBy = new Set(operation.signatures.map((signature) => signature.signer));
+    let status = 'pending';
+    if (operation.executed) {
+      status = 'executed';
+    } else if (operation.cancelled) {
+      status = 'cancelled';
+    } else if (operation.queued) {
+      status = 'queued';
+    } else if (data.headTimestamp > operation.deadline) {
+      status = 'expired';
+    }
+    return {
+      ...operation,
+      status,
+      expiresIn: status === 'pending' ? operation.deadline - data.headTimestamp : null,
+      // Like the contract, only signatures from current signers count
+      numSignatures: countSignatures(operation, data.signers),
+      requiredSignatures: data.requiredSignatures,
+      signers: data.signers.map((signer) => ({ signer, signed: signedBy.has(signer) }))
+    };
+  });
+}
+
+function queryOperations(data, { status, signer } = {}) {
+  let operations = buildOperations(data);
+  if (status) {
+    operations = operations.filter((operation) => operation.status === status);
+  }
+  if (signer) {
+    const address = signer.toLowerCase();
+    operations = operations.filter((operation) =>
+      operation.signers.some((entry) => entry.signer.toLowerCase() === address && !entry.signed));
+  }
+  // Pending operations closest to their deadline come first, and queued ones
+  // in the order they become executable
+  if (status === 'pending') {
+    return operations.sort((a, b) => a.deadline - b.deadline);
+  }
+  if (status === 'queued') {
+    return operations.sort((a, b) => a.queued.executableAt - b.queued.executableAt);
+  }
+  return operations.sort((a, b) => b.requested.blockNumber - a.requested.blockNumber);
+}
+
+const STATUSES = ['pending', 'queued', 'executed', 'expired', 'cancelled'];
+
+// Routes:
+//   GET /status                       indexer progress and the signer set
+//   GET /operations[?status=&signer=] all operations, optionally filtered
+//   GET /operations/pending|queued|executed|expired|cancelled
+//   GET /operations/<operationId>
+//   GET /signers/<address>/pending    pending operations still missing that signer
+function createApiServer(store) {
+  return http.createServer((req, res) => {
+    const send = (statusCode, body) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(stringifyJson(body));
+    };
+    if (req.method !== 'GET') {
+      return send(405, { error: 'Method not allowed' });
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+    const { data } = store;
+
+    if (parts.length === 1 && parts[0] === 'status') {
+      return send(200, {
+        contract: data.contract,
+        chainId: data.chainId,
+        lastIndexedBlock: data.lastIndexedBlock,
+        headTimestamp: data.headTimestamp,
+        signers: data.signers,
+        requiredSignatures: data.requiredSignatures
+      });
+    }
+    if (parts[0] === 'operations' && parts.length === 1) {
+      const status = url.searchParams.get('status') || undefined;
+      if (status && !STATUSES.includes(status)) {
+        return send(400, { error: `status must be one of ${STATUSES.join(', ')}` });
+      }
+      return send(200, queryOperations(data, { status, signer: url.searchParams.get('signer') || undefined }));
+    }
+    if (parts[0] === 'operations' && parts.length === 2) {
+      if (STATUSES.includes(parts[1])) {
+        return send(200, queryOperations(data, { status: parts[1] }));
+      }
+      const operation = buildOperations(data).find((candidate) => candidate.operationId === parts[1].toLowerCase());
+      return operation ? send(200, operation) : send(404, { error: `Operation ${parts[1]} not found` });
+    }
+    if (parts[0] === 'signers' && parts.length === 3 && parts[2] === 'pending') {
+      return send(200, queryOperations(data, { status: 'pending', signer: parts[1] }));
+    }
+    return send(404, { error: `No route for ${url.pathname}` });
+  });
+}
+
+module.exports = {
+  REORG_DEPTH,
+  INDEXED_EVENTS,
+  openEventStore,
+  openIndexStore,
+  toPlainArgs,
+  rollbackReorg,
+  syncIndex,
+  buildOperations,
+  queryOperations,
+  createApiServer
+};
@@ -0,0 +1,20 @@
+const fs = require('fs');
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// BigInts are written as decimal strings so the output stays plain JSON
+function stringifyJson(data) {
+  return JSON.stringify(data, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2);
+}
+
+function writeJson(filePath, data) {
+  fs.writeFileSync(filePath, stringifyJson(data) + '\n');
+}
+
+module.exports = {
+  readJson,
+  stringifyJson,
+  writeJson
+};
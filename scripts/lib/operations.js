@@ -0,0 +1,482 @@
+const { ethers } = require('ethers');
+
+// Mirrors the OperationType enum in contracts/Liberdus.sol
+const OperationType = {
+  Mint: 0,
+  Burn: 1,
+  PostLaunch: 2,
+  Pause: 3,
+  Unpause: 4,
+  SetBridgeInCaller: 5,
+  SetBridgeInLimits: 6,
+  UpdateSigner: 7,
+  DistributeTokens: 8,
+  DistributeTokensBatch: 9,
+  SetSupportedChain: 10,
+  SetExecutionDelay: 11,
+  AddSigner: 12,
+  RemoveSigner: 13,
+  SetRequiredSignatures: 14,
+  SweepToTreasury: 15
+};
+
+const OPERATION_NAMES = Object.keys(OperationType);
+
+const TOKEN_DECIMALS = 18;
+const OPERATION_PAGE_SIZE = 100;
+
+function operationName(opType) {
+  return OPERATION_NAMES[Number(opType)] || `Unknown(${opType})`;
+}
+
+function requireArg(args, name) {
+  if (args[name] === undefined || args[name] === '') {
+    throw new Error(`Missing required argument --${name}`);
+  }
+  return args[name];
+}
+
+function parseAddress(value, name) {
+  if (!ethers.isAddress(value)) {
+    throw new Error(`Invalid address for --${name}: ${value}`);
+  }
+  return ethers.getAddress(value);
+}
+
+function parseTokenAmount(value, name) {
+  let amount;
+  try {
+    amount = ethers.parseUnits(String(value), TOKEN_DECIMALS);
+  } catch (error) {
+    throw new Error(`Invalid token amount for --${name}: ${value}`);
+  }
+  if (amount <= 0n) {
+    throw new Error(`--${name} must be greater than zero`);
+  }
+  return amount;
+}
+
+function parseSeconds(value, name) {
+  if (!/^\d+$/.test(String(value)) || BigInt(value) === 0n) {
+    throw new Error(`--${name} must be a positive number of seconds`);
+  }
+  return BigInt(value);
+}
+
+function parseChainId(value, name) {
+  if (!/^\d+$/.test(String(value)) || BigInt(value) === 0n) {
+    throw new Error(`--${name} must be a positive chain ID`);
+  }
+  return BigInt(value);
+}
+
+function parseThreshold(value, name) {
+  if (!/^\d+$/.test(String(value)) || BigInt(value) === 0n) {
+    throw new Error(`--${name} must be a positive number of signatures`);
+  }
+  return BigInt(value);
+}
+
+function parseDelay(value, name) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`--${name} must be a number of seconds`);
+  }
+  return BigInt(value);
+}
+
+// Accepts an OperationType name in any case, e.g. PostLaunch or postlaunch
+function parseOperationType(value, name) {
+  const match = OPERATION_NAMES.find((opName) => opName.toLowerCase() === String(value).toLowerCase());
+  if (!match) {
+    throw new Error(`Invalid operation type for --${name}: ${value}. Expected one of: ${OPERATION_NAMES.join(', ')}`);
+  }
+  return OperationType[match];
+}
+
+function noPayload(opType) {
+  return () => ({ opType, target: ethers.ZeroAddress, value: 0n, data: '0x' });
+}
+
+// Builds the (opType, target, value, data) tuple that requestOperation expects
+// from the typed command line arguments of each operation.
+const operationBuilders = {
+  'mint': noPayload(OperationType.Mint),
+  'burn': (args) => ({
+    opType: OperationType.Burn,
+    target: ethers.ZeroAddress,
+    value: parseTokenAmount(requireArg(args, 'amount'), 'amount'),
+    data: '0x'
+  }),
+  'post-launch': noPayload(OperationType.PostLaunch),
+  'pause': noPayload(OperationType.Pause),
+  'unpause': noPayload(OperationType.Unpause),
+  'set-bridge-in-caller': (args) => ({
+    opType: OperationType.SetBridgeInCaller,
+    target: parseAddress(requireArg(args, 'caller'), 'caller'),
+    value: 0n,
+    data: '0x'
+  }),
+  'set-bridge-limits': (args) => ({
+    opType: OperationType.SetBridgeInLimits,
+    target: ethers.ZeroAddress,
+    value: parseTokenAmount(requireArg(args, 'max'), 'max'),
+    data: ethers.AbiCoder.defaultAbiCoder().encode(
+      ['uint256', 'uint256'],
+      [
+        parseTokenAmount(requireArg(args, 'window-limit'), 'window-limit'),
+        parseSeconds(requireArg(args, 'window'), 'window')
+      ]
+    )
+  }),
+  'update-signer': (args) => ({
+    opType: OperationType.UpdateSigner,
+    target: parseAddress(requireArg(args, 'old'), 'old'),
+    value: BigInt(parseAddress(requireArg(args, 'new'), 'new')),
+    data: '0x'
+  }),
+  'add-signer': (args) => ({
+    opType: OperationType.AddSigner,
+    target: parseAddress(requireArg(args, 'signer'), 'signer'),
+    value: 0n,
+    data: '0x'
+  }),
+  'remove-signer': (args) => ({
+    opType: OperationType.RemoveSigner,
+    target: parseAddress(requireArg(args, 'signer'), 'signer'),
+    value: 0n,
+    data: '0x'
+  }),
+  'set-required-signatures': (args) => ({
+    opType: OperationType.SetRequiredSignatures,
+    target: ethers.ZeroAddress,
+    value: parseThreshold(requireArg(args, 'threshold'), 'threshold'),
+    data: '0x'
+  }),
+  'set-supported-chain': (args) => ({
+    opType: OperationType.SetSupportedChain,
+    target: ethers.ZeroAddress,
+    value: parseChainId(requireArg(args, 'chain'), 'chain'),
+    data: ethers.AbiCoder.defaultAbiCoder().encode(['bool'], [!args.remove])
+  }),
+  'set-execution-delay': (args) => ({
+    opType: OperationType.SetExecutionDelay,
+    target: ethers.ZeroAddress,
+    value: parseDelay(requireArg(args, 'delay'), 'delay'),
+    data: ethers.AbiCoder.defaultAbiCoder().encode(
+      ['uint8'],
+      [parseOperationType(requireArg(args, 'operation'), 'operation')]
+    )
+  }),
+  'sweep-to-treasury': (args) => ({
+    opType: OperationType.SweepToTreasury,
+    target: parseAddress(requireArg(args, 'treasury'), 'treasury'),
+    value: 0n,
+    data: '0x'
+  }),
+  'distribute': (args) => ({
+    opType: OperationType.DistributeTokens,
+    target: parseAddress(requireArg(args, 'to'), 'to'),
+    value: parseTokenAmount(requireArg(args, 'amount'), 'amount'),
+    data: '0x'
+  })
+};
+
+// Encodes a DistributeTokensBatch operation from { address, units } entries.
+// The contract requires strictly ascending recipients, so they are sorted here.
+function buildBatchDistribution(entries) {
+  const sorted = entries
+    .map(({ address, units }) => ({ address: ethers.getAddress(address), units: BigInt(units) }))
+    .sort((a, b) => (BigInt(a.address) < BigInt(b.address) ? -1 : 1));
+  return validateOperation({
+    opType: OperationType.DistributeTokensBatch,
+    target: ethers.ZeroAddress,
+    value: sorted.reduce((total, entry) => total + entry.units, 0n),
+    data: ethers.AbiCoder.defaultAbiCoder().encode(
+      ['address[]', 'uint256[]'],
+      [sorted.map(entry => entry.address), sorted.map(entry => entry.units)]
+    )
+  });
+}
+
+// Limits mirrored from Liberdus.sol
+const MAX_BATCH_SIZE = 200;
+const MAX_EXECUTION_DELAY = 30n * 24n * 60n * 60n;
+
+// The same shape checks requestOperation makes on chain, with the same
+// messages, so a malformed payload fails before it is sent. Checks against
+// the signer set are left to the contract. chainId is the contract's
+// configured chain ID, used to reject adding it as a supported chain.
+function validateOperation({ opType, target, value, data }, { chainId } = {}) {
+  const amount = BigInt(value);
+  const isEmpty = ethers.dataLength(data) === 0;
+  const check = (condition, message) => {
+    if (!condition) {
+      throw new Error(`${operationName(opType)}: ${message}`);
+    }
+  };
+  const decodePayload = (types, payload, length) => {
+    check(length === undefined || ethers.dataLength(payload) === length, 'Invalid data length');
+    try {
+      return ethers.AbiCoder.defaultAbiCoder().decode(types, payload);
+    } catch (error) {
+      throw new Error(`${operationName(opType)}: Malformed data`);
+    }
+  };
+
+  switch (Number(opType)) {
+    case OperationType.Mint:
+    case OperationType.PostLaunch:
+    case OperationType.Pause:
+    case OperationType.Unpause:
+      check(amount === 0n, 'Unexpected value');
+      check(isEmpty, 'Unexpected data');
+      break;
+    case OperationType.Burn:
+      check(amount > 0n, 'Cannot burn zero tokens');
+      check(isEmpty, 'Unexpected data');
+      break;
+    case OperationType.SetBridgeInCaller:
+      check(target !== ethers.ZeroAddress, 'Invalid bridge-in caller');
+      check(amount === 0n, 'Unexpected value');
+      check(isEmpty, 'Unexpected data');
+      break;
+    case OperationType.SetBridgeInLimits: {
+      const [windowLimit, windowDuration] = decodePayload(['uint256', 'uint256'], data, 64);
+      check(amount > 0n, 'Max amount must be greater than zero');
+      check(windowLimit >= amount, 'Window limit below max amount');
+      check(windowDuration > 0n, 'Window duration must be greater than zero');
+      break;
+    }
+    case OperationType.UpdateSigner:
+      check(amount > 0n && amount < 2n ** 160n, 'Invalid signer address');
+      check(isEmpty, 'Unexpected data');
+      break;
+    case OperationType.DistributeTokens:
+      check(target !== ethers.ZeroAddress, 'Invalid recipient');
+      check(amount > 0n, 'Cannot distribute zero tokens');
+      check(isEmpty, 'Unexpected data');
+      break;
+    case OperationType.DistributeTokensBatch: {
+      const [recipients, amounts] = decodePayload(['address[]', 'uint256[]'], data);
+      check(recipients.length > 0, 'Empty batch');
+      check(recipients.length <= MAX_BATCH_SIZE, 'Batch too large');
+      check(recipients.length === amounts.length, 'Recipients and amounts length mismatch');
+      let previous = 0n;
+      for (let i = 0; i < recipients.length; i++) {
+        check(BigInt(recipients[i]) > previous, 'Recipients must be unique and in ascending order');
+        check(amounts[i] > 0n, 'Cannot distribute zero tokens');
+        previous = BigInt(recipients[i]);
+      }
+      check(amounts.reduce((total, units) => total + units, 0n) === amount, 'Batch total does not match value');
+      break;
+    }
+    case OperationType.SetSupportedChain: {
+      const [supported] = decodePayload(['uint256'], data, 32);
+      check(supported <= 1n, 'Malformed data');
+      check(amount !== 0n, 'Invalid chain ID');
+      check(chainId === undefined || amount !== BigInt(chainId), 'Cannot bridge to own chain');
+      break;
+    }
+    case OperationType.SetExecutionDelay: {
+      const [delayed] = decodePayload(['uint256'], data, 32);
+      check(delayed < BigInt(OPERATION_NAMES.length), 'Malformed data');
+      check(Number(delayed) !== OperationType.Pause, 'Pause cannot be delayed');
+      check(amount <= MAX_EXECUTION_DELAY, 'Delay too long');
+      break;
+    }
+    case OperationType.AddSigner:
+      check(target !== ethers.ZeroAddress, 'Invalid signer address');
+      check(amount === 0n, 'Unexpected value');
+      check(isEmpty, 'Unexpected data');
+      break;
+    case OperationType.RemoveSigner:
+      check(amount === 0n, 'Unexpected value');
+      check(isEmpty, 'Unexpected data');
+      break;
+    case OperationType.SetRequiredSignatures:
+      check(amount > 0n, 'Required signatures must be greater than zero');
+      check(isEmpty, 'Unexpected data');
+      break;
+    case OperationType.SweepToTreasury:
+      check(target !== ethers.ZeroAddress, 'Invalid treasury');
+      check(amount === 0n, 'Unexpected value');
+      check(isEmpty, 'Unexpected data');
+      break;
+    default:
+      throw new Error(`Unknown operation type ${opType}`);
+  }
+  return { opType, target, value, data };
+}
+
+function buildOperation(command, args = {}) {
+  const builder = operationBuilders[command];
+  if (!builder) {
+    throw new Error(`Unknown operation "${command}". Expected one of: ${Object.keys(operationBuilders).join(', ')}`);
+  }
+  return validateOperation(builder(args));
+}
+
+function getOperationIdFromReceipt(token, receipt) {
+  for (const log of receipt.logs) {
+    const parsed = token.interface.parseLog(log);
+    if (parsed && parsed.name === 'OperationRequested') {
+      return parsed.args.operationId;
+    }
+  }
+  throw new Error(`No OperationRequested event in transaction ${receipt.hash}`);
+}
+
+async function requestOperation(token, operation) {
+  validateOperation(operation, { chainId: await token.chainId() });
+  const tx = await token.requestOperation(operation.opType, operation.target, operation.value, operation.data);
+  const receipt = await tx.wait();
+  return { operationId: getOperationIdFromReceipt(token, receipt), receipt };
+}
+
+async function listOperationIds(token) {
+  const ids = [];
+  for (;;) {
+    const page = await token.getOperationIds(ids.length, OPERATION_PAGE_SIZE);
+    ids.push(...page);
+    if (page.length < OPERATION_PAGE_SIZE) {
+      return ids;
+    }
+  }
+}
+
+// Same id requestOperation assigns. `index` is the operation's position in
+// getOperationIds, i.e. operationCount when it was requested, and chainId is
+// the chain the contract runs on.
+function computeOperationId({ contract, chainId, index, opType, target, value, data }) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+    ['address', 'uint256', 'uint256', 'uint8', 'address', 'uint256', 'bytes32'],
+    [contract, chainId, index, opType, target, value, ethers.keccak256(data)]
+  ));
+}
+
+// EIP-712 types matching OPERATION_TYPEHASH in Liberdus.sol
+const OPERATION_TYPES = {
+  Operation: [
+    { name: 'operationId', type: 'bytes32' },
+    { name: 'opType', type: 'uint8' },
+    { name: 'target', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+// chainId is the chain the contract runs on, which is what the contract's
+// DOMAIN_SEPARATOR uses, not its configured bridge chainId.
+function operationDomain({ chainId, contract }) {
+  return { name: 'Liberdus', version: '1', chainId: BigInt(chainId), verifyingContract: ethers.getAddress(contract) };
+}
+
+// The { domain, types, primaryType, message } payload for signTypedData and
+// for wallets that take eth_signTypedData_v4 JSON
+function buildTypedOperation({ operationId, opType, target, value, data, chainId, contract }) {
+  return {
+    domain: operationDomain({ chainId, contract }),
+    types: OPERATION_TYPES,
+    primaryType: 'Operation',
+    message: { operationId, opType: Number(opType), target, value: BigInt(value), data }
+  };
+}
+
+// Same digest as Liberdus.getOperationHash, so it can be computed and checked
+// without a node
+function computeOperationHash(operation) {
+  const { domain, types, message } = buildTypedOperation(operation);
+  return ethers.TypedDataEncoder.hash(domain, types, message);
+}
+
+function recoverOperationSigner(operation, signature) {
+  const { domain, types, message } = buildTypedOperation(operation);
+  return ethers.verifyTypedData(domain, types, message, signature);
+}
+
+// Reads an operation's payload from the chain and builds its typed data
+async function getTypedOperation(token, operationId) {
+  const [op, network, contract] = await Promise.all([
+    token.operations(operationId),
+    token.runner.provider.getNetwork(),
+    token.getAddress()
+  ]);
+  if (op.deadline === 0n) {
+    throw new Error(`Operation ${operationId} not found`);
+  }
+  return buildTypedOperation({
+    operationId,
+    opType: op.opType,
+    target: op.target,
+    value: op.value,
+    data: op.data,
+    chainId: network.chainId,
+    contract
+  });
+}
+
+async function signOperation(token, signer, operationId) {
+  const { domain, types, message } = await getTypedOperation(token, operationId);
+  return signer.signTypedData(domain, types, message);
+}
+
+async function getSignerAddresses(token) {
+  return [...await token.getSigners()];
+}
+
+// Reads everything from the getOperation view, so no event scan is needed to
+// find out who has signed
+async function getOperationStatus(token, operationId) {
+  let op;
+  try {
+    op = await token.getOperation(operationId);
+  } catch (error) {
+    if ((error.shortMessage || error.message).includes('Operation not found')) {
+      throw new Error(`Operation ${operationId} not found`);
+    }
+    throw error;
+  }
+
+  return {
+    operationId,
+    opType: operationName(op.opType),
+    target: op.target,
+    value: op.value,
+    data: op.data,
+    numSignatures: op.numSignatures,
+    requiredSignatures: await token.requiredSignatures(),
+    signers: op.signers.map((signer, i) => ({ signer, signed: op.signed[i] })),
+    signedBy: op.signers.filter((signer, i) => op.signed[i]),
+    deadline: op.deadline,
+    executableAt: op.executableAt,
+    queued: op.executableAt !== 0n && !op.executed && !op.cancelled,
+    executed: op.executed,
+    cancelled: op.cancelled,
+    expired: op.expired
+  };
+}
+
+module.exports = {
+  OperationType,
+  OPERATION_NAMES,
+  TOKEN_DECIMALS,
+  MAX_BATCH_SIZE,
+  operationName,
+  operationBuilders,
+  buildOperation,
+  buildBatchDistribution,
+  validateOperation,
+  getOperationIdFromReceipt,
+  requestOperation,
+  listOperationIds,
+  computeOperationId,
+  OPERATION_TYPES,
+  operationDomain,
+  buildTypedOperation,
+  computeOperationHash,
+  recoverOperationSigner,
+  getTypedOperation,
+  signOperation,
+  getSignerAddresses,
+  getOperationStatus
+};
@@ -0,0 +1,93 @@
+const { ethers } = require('ethers');
+
+// Deterministic pseudo-random bytes, so a seed always gives the same list
+function randomBytes(seed, ...labels) {
+  return ethers.getBytes(ethers.id([seed, ...labels].join(':')));
+}
+
+function randomAddress(seed, index) {
+  for (let attempt = 0; ; attempt++) {
+    const address = ethers.getAddress(ethers.hexlify(randomBytes(seed, 'address', index, attempt).slice(0, 20)));
+    // Bad-checksum rows flip the case of one letter, which needs two letters
+    // to leave a mixed-case (so checksummed) address
+    if ((address.slice(2).match(/[a-fA-F]/g) || []).length >= 2) {
+      return address;
+    }
+  }
+}
+
+// 1 to 500 tokens with up to two decimal places
+function randomAmount(seed, index, decimals) {
+  const bytes = randomBytes(seed, 'amount', index);
+  const whole = 1 + ((bytes[0] << 8) + bytes[1]) % 500;
+  const places = Math.min(bytes[2] % 3, decimals);
+  const fraction = places === 0 ? '' : `.${String((bytes[3] % 99) + 1).padStart(2, '0').slice(0, places)}`;
+  return `${whole}${fraction}`;
+}
+
+function flipFirstLetter(address) {
+  const index = address.slice(2).search(/[a-fA-F]/) + 2;
+  const char = address[index];
+  const flipped = char === char.toLowerCase() ? char.toUpperCase() : char.toLowerCase();
+  return address.slice(0, index) + flipped + address.slice(index + 1);
+}
+
+// Rows distribute.js has to get right. `expected` is the error it reports for
+// the row, or null when the row is valid; {line} is filled in afterwards.
+function trickyRows(seed, { decimals, sender, contracts, firstLine }) {
+  const first = randomAddress(seed, 'tricky-first');
+  const rows = [
+    { name: 'lowercase address', address: first.toLowerCase(), amount: '1', expected: null },
+    { name: 'bad checksum', address: flipFirstLetter(randomAddress(seed, 'tricky-checksum')), amount: '1', expected: 'bad checksum for {address}' },
+    { name: 'duplicate', address: first, amount: '2', expected: `duplicate of line ${firstLine}` },
+    { name: 'duplicate in upper case', address: `0x${first.slice(2).toUpperCase()}`, amount: '3', expected: `duplicate of line ${firstLine}` },
+    { name: 'too many decimals', address: randomAddress(seed, 'tricky-decimals'), amount: `1.${'1'.repeat(decimals + 1)}`, expected: `amount {amount} has more than ${decimals} decimal places` },
+    { name: 'zero address', address: ethers.ZeroAddress, amount: '1', expected: 'recipient is the zero address' },
+    { name: 'zero amount', address: randomAddress(seed, 'tricky-zero'), amount: '0.0', expected: 'amount is zero' },
+    { name: 'scientific notation', address: randomAddress(seed, 'tricky-scientific'), amount: '1e3', expected: 'invalid amount "1e3"' },
+    { name: 'short address', address: randomAddress(seed, 'tricky-short').slice(0, 41), amount: '1', expected: 'invalid address "{address}"' },
+    { name: 'Doe, "Jane"', address: randomAddress(seed, 'tricky-quoted'), amount: '4.5', expected: null },
+    { name: 'padded cells', address: ` ${randomAddress(seed, 'tricky-padded')} `, amount: ' 6 ', expected: null }
+  ];
+  if (decimals > 0) {
+    rows.push({ name: 'smallest unit', address: randomAddress(seed, 'tricky-unit'), amount: `0.${'0'.repeat(decimals - 1)}1`, expected: null });
+  }
+  if (sender) {
+    rows.push({ name: 'self address', address: ethers.getAddress(sender), amount: '1', expected: 'recipient is the sender' });
+  }
+  contracts.forEach((address, index) => {
+    rows.push({ name: `contract ${index + 1}`, address: ethers.getAddress(address), amount: '1', expected: 'recipient is a contract' });
+  });
+  return rows;
+}
+
+// A distribution list of `count` valid random rows, followed with `tricky` by
+// every edge case from trickyRows. Rows carry the CSV line they end up on.
+function generateDistributionList({ count = 10, seed = 'liberdus', decimals = 18, tricky = false, sender, contracts = [] } = {}) {
+  const rows = [];
+  for (let index = 0; index < count; index++) {
+    rows.push({ name: `Recipient ${index + 1}`, address: randomAddress(seed, index), amount: randomAmount(seed, index, decimals), expected: null });
+  }
+  if (tricky) {
+    rows.push(...trickyRows(seed, { decimals, sender, contracts, firstLine: count + 2 }));
+  }
+  return rows.map((row, index) => ({
+    line: index + 2,
+    ...row,
+    expected: row.expected && row.expected.replace('{address}', row.address.trim()).replace('{amount}', row.amount.trim())
+  }));
+}
+
+function csvField(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function toCsv(rows) {
+  const lines = rows.map(({ name, address, amount }) => [name, address, amount].map(csvField).join(','));
+  return ['name,address,amount', ...lines].join('\n') + '\n';
+}
+
+module.exports = {
+  generateDistributionList,
+  toCsv
+};
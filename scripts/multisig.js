@@ -0,0 +1,300 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { parseCommandLine, loadHardhat, getAccount, getToken, readJson, writeJson, runMain } = require('./lib/cli');
+const {
+  operationBuilders,
+  buildOperation,
+  requestOperation,
+  signOperation,
+  getTypedOperation,
+  getOperationStatus,
+  TOKEN_DECIMALS
+} = require('./lib/operations');
+const { exportBundle, signBundle, approveBundle, verifySignatures, relaySignatures } = require('./lib/bundle');
+const { loadDistributionList, buildBatchFromList } = require('./lib/distribution');
+
+const USAGE = `Usage: node scripts/multisig.js <command> [options]
+
+Commands:
+  request <operation>        Request a multisig operation
+  sign <operationId>         Sign a pending operation as EIP-712 typed data and print the signature
+  typed-data <operationId>   Print the eth_signTypedData_v4 payload for an external wallet
+  submit <operationId>       Submit a signature (signs with --account unless --signature is given)
+  status <operationId>       Show signatures, deadline and execution state
+  execute <operationId>      Execute a queued operation once its delay has passed
+  revoke <operationId>       Withdraw the --account signer's signature
+  cancel <operationId>       Cancel an operation so it can never execute; a queued
+                             one needs the same number of signers as executing it
+
+Offline signing:
+  export <operationId...>    Write pending operations to a signing bundle (--out)
+  approve <bundle>           Sign and submit every operation in a bundle with --account
+  sign-offline <bundle>      Sign a bundle without a node (--out), key from
+                             SIGNER_PRIVATE_KEY or --keystore + KEYSTORE_PASSWORD
+  relay <bundle> <sigs...>   Verify signature files and broadcast them
+                             (--dry-run to only verify, --batch to relay every
+                             operation's signatures in one call from --account)
+
+Operations:
+  ${[...Object.keys(operationBuilders), 'distribute-batch'].join(', ')}
+
+Operation arguments:
+  --amount <tokens>          burn, distribute
+  --to <address>             distribute
+  --csv <file>               distribute-batch, a distribute.js list (name,address,amount)
+                             of at most 200 rows, paid in one operation
+  --caller <address>         set-bridge-in-caller
+  --max <tokens>             set-bridge-limits
+  --window-limit <tokens>    set-bridge-limits, total per rolling window
+  --window <seconds>         set-bridge-limits, window duration
+  --chain <chainId>          set-supported-chain
+  --remove                   set-supported-chain, remove the chain instead of adding it
+  --old <address>            update-signer
+  --new <address>            update-signer
+  --signer <address>         add-signer, remove-signer
+  --threshold <number>       set-required-signatures
+  --treasury <address>       sweep-to-treasury
+  --operation <type>         set-execution-delay, OperationType name (e.g. PostLaunch)
+  --delay <seconds>          set-execution-delay, 0 to execute on quorum
+
+Options:
+  --network <name>           Hardhat network to use (e.g. localhost)
+  --token <address>          Liberdus address (defaults to deployments/<network>.json)
+  --account <index>          Index of the local account to send from (default 0)
+  --signature <hex>          Signature to submit instead of signing locally
+  --out <file>               Output file for export and sign-offline
+  --keystore <file>          Encrypted JSON keystore for sign-offline
+  --nonce <number>           First nonce for sign-offline (defaults to the bundle)
+  --gas-limit <number>       Gas limit for pre-signed transactions in export
+  --dry-run                  Verify signature files without broadcasting
+  --batch                    Relay with submitSignatures instead of the pre-signed transactions
+`;
+
+const OPTIONS = {
+  amount: { type: 'string' },
+  to: { type: 'string' },
+  csv: { type: 'string' },
+  caller: { type: 'string' },
+  max: { type: 'string' },
+  'window-limit': { type: 'string' },
+  window: { type: 'string' },
+  chain: { type: 'string' },
+  remove: { type: 'boolean', default: false },
+  old: { type: 'string' },
+  new: { type: 'string' },
+  signer: { type: 'string' },
+  threshold: { type: 'string' },
+  treasury: { type: 'string' },
+  operation: { type: 'string' },
+  delay: { type: 'string' },
+  signature: { type: 'string' },
+  out: { type: 'string' },
+  keystore: { type: 'string' },
+  nonce: { type: 'string' },
+  'gas-limit': { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  batch: { type: 'boolean', default: false }
+};
+
+function loadOfflineWallet(keystorePath) {
+  if (keystorePath) {
+    if (!process.env.KEYSTORE_PASSWORD) {
+      throw new Error('KEYSTORE_PASSWORD must be set to decrypt the keystore');
+    }
+    return ethers.Wallet.fromEncryptedJsonSync(fs.readFileSync(keystorePath, 'utf8'), process.env.KEYSTORE_PASSWORD);
+  }
+  if (!process.env.SIGNER_PRIVATE_KEY) {
+    throw new Error('Set SIGNER_PRIVATE_KEY or pass --keystore to sign offline');
+  }
+  return new ethers.Wallet(process.env.SIGNER_PRIVATE_KEY);
+}
+
+async function buildBatchFromCsv(token, csvPath) {
+  if (!csvPath) {
+    throw new Error('Missing required argument --csv');
+  }
+  const contract = await token.getAddress();
+  const { operation, plan } = buildBatchFromList(loadDistributionList(csvPath), {
+    contract,
+    balance: await token.balanceOf(contract)
+  });
+  console.log(`Batch of ${plan.entries.length} recipients, ${ethers.formatUnits(plan.total, TOKEN_DECIMALS)} tokens in total`);
+  return operation;
+}
+
+function requireOut(values) {
+  if (!values.out) {
+    throw new Error('Missing required argument --out');
+  }
+  return values.out;
+}
+
+// Never touches a provider, so it can run on a machine without network access
+async function signOffline(bundlePath, values) {
+  const bundle = readJson(bundlePath);
+  const out = requireOut(values);
+  const wallet = loadOfflineWallet(values.keystore);
+
+  console.log(`Signing as ${wallet.address} for ${bundle.contract} on chainId ${bundle.chainId}:`);
+  bundle.operations.forEach((operation) => {
+    console.log(`  - ${operation.opName} ${operation.operationId}`);
+    console.log(`    target ${operation.target}, value ${operation.value}, data ${operation.data}`);
+  });
+
+  const signatureFile = await signBundle(bundle, wallet, { nonce: values.nonce });
+  writeJson(out, signatureFile);
+  console.log(`Wrote ${signatureFile.signatures.length} signatures to ${out}`);
+}
+
+function printStatus(status) {
+  console.log(`Operation:   ${status.operationId}`);
+  console.log(`Type:        ${status.opType}`);
+  console.log(`Target:      ${status.target}`);
+  console.log(`Value:       ${status.value} (${ethers.formatUnits(status.value, TOKEN_DECIMALS)} tokens)`);
+  console.log(`Data:        ${status.data}`);
+  console.log(`Signatures:  ${status.numSignatures}/${status.requiredSignatures}`);
+  status.signers.forEach(({ signer, signed }) => console.log(`  ${signed ? '[x]' : '[ ]'} ${signer}`));
+  console.log(`Deadline:    ${new Date(Number(status.deadline) * 1000).toISOString()}`);
+  if (status.queued) {
+    console.log(`Executable:  ${new Date(Number(status.executableAt) * 1000).toISOString()}`);
+  }
+  console.log(`Executed:    ${status.executed}`);
+  console.log(`Cancelled:   ${status.cancelled}`);
+  console.log(`Expired:     ${status.expired}`);
+}
+
+async function main() {
+  const { values, positionals } = parseCommandLine(OPTIONS);
+  const [command, subject, ...rest] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!subject) {
+    throw new Error(`Missing argument for "${command}". Run with --help for usage.`);
+  }
+  if (command === 'sign-offline') {
+    return signOffline(subject, values);
+  }
+
+  const hre = loadHardhat(values.network);
+  const operationIds = command === 'export' ? [subject, ...rest] : [subject];
+  if (!['request', 'relay', 'approve'].includes(command)) {
+    const invalid = operationIds.find((operationId) => !hre.ethers.isHexString(operationId, 32));
+    if (invalid) {
+      throw new Error(`Invalid operation ID: ${invalid}`);
+    }
+  }
+
+  const account = await getAccount(hre, values.account);
+  const token = await getToken(hre, values.token, account);
+
+  switch (command) {
+    case 'request': {
+      const operation = subject === 'distribute-batch'
+        ? await buildBatchFromCsv(token, values.csv)
+        : buildOperation(subject, values);
+      const { operationId, receipt } = await requestOperation(token, operation);
+      console.log(`Requested ${subject} from ${account.address}`);
+      console.log(`Transaction: ${receipt.hash}`);
+      console.log(`Operation ID: ${operationId}`);
+      break;
+    }
+    case 'sign': {
+      const signature = await signOperation(token, account, subject);
+      console.log(signature);
+      break;
+    }
+    case 'typed-data': {
+      const { domain, types, message } = await getTypedOperation(token, subject);
+      console.log(JSON.stringify(ethers.TypedDataEncoder.getPayload(domain, types, message), null, 2));
+      break;
+    }
+    case 'submit': {
+      const signature = values.signature || await signOperation(token, account, subject);
+      const tx = await token.submitSignature(subject, signature);
+      await tx.wait();
+      console.log(`Signature from ${account.address} submitted in ${tx.hash}`);
+      printStatus(await getOperationStatus(token, subject));
+      break;
+    }
+    case 'status': {
+      printStatus(await getOperationStatus(token, subject));
+      break;
+    }
+    case 'execute': {
+      const tx = await token.executeOperation(subject);
+      const receipt = await tx.wait();
+      // Signers removed during the delay can leave it short of quorum
+      const events = receipt.logs.map((log) => token.interface.parseLog(log)).filter(Boolean);
+      if (events.some((event) => event.name === 'OperationRequeued')) {
+        console.log(`Operation no longer has enough signatures and is pending again (${tx.hash})`);
+        printStatus(await getOperationStatus(token, subject));
+      } else {
+        console.log(`Operation executed by ${account.address} in ${tx.hash}`);
+      }
+      break;
+    }
+    case 'revoke': {
+      const tx = await token.revokeSignature(subject);
+      await tx.wait();
+      console.log(`Signature from ${account.address} revoked in ${tx.hash}`);
+      printStatus(await getOperationStatus(token, subject));
+      break;
+    }
+    case 'cancel': {
+      const tx = await token.cancelOperation(subject);
+      const receipt = await tx.wait();
+      // A queued operation is only cancelled once enough signers approve
+      const approval = receipt.logs.map((log) => token.interface.parseLog(log)).find((log) => log && log.name === 'CancellationApproved');
+      if (approval && approval.args.currentApprovals < approval.args.requiredApprovals) {
+        console.log(`Cancellation approved by ${account.address} in ${tx.hash} (${approval.args.currentApprovals}/${approval.args.requiredApprovals})`);
+      } else {
+        console.log(`Operation cancelled by ${account.address} in ${tx.hash}`);
+      }
+      break;
+    }
+    case 'export': {
+      const out = requireOut(values);
+      const options = values['gas-limit'] ? { gasLimit: BigInt(values['gas-limit']) } : {};
+      const bundle = await exportBundle(token, operationIds, options);
+      writeJson(out, bundle);
+      console.log(`Exported ${bundle.operations.length} operations to ${out}`);
+      break;
+    }
+    case 'approve': {
+      const results = await approveBundle(token, account, readJson(subject));
+      results.forEach(({ operationId, hash, skipped }) => {
+        console.log(skipped ? `Skipped ${operationId}: ${skipped}` : `Signed ${operationId} in ${hash}`);
+      });
+      break;
+    }
+    case 'relay': {
+      if (rest.length === 0) {
+        throw new Error('Pass at least one signature file after the bundle');
+      }
+      const bundle = readJson(subject);
+      const signatureFiles = rest.map(readJson);
+
+      if (values['dry-run']) {
+        const problems = await verifySignatures(token, bundle, signatureFiles);
+        if (problems.length > 0) {
+          throw new Error(`Verification failed:\n  - ${problems.join('\n  - ')}`);
+        }
+        console.log(`All ${signatureFiles.length} signature files verified`);
+        break;
+      }
+
+      const results = await relaySignatures(token, bundle, signatureFiles, { batch: values.batch });
+      results.forEach(({ operationId, signer, hash }) => {
+        console.log(`Submitted ${signer} for ${operationId} in ${hash}`);
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Run with --help for usage.`);
+  }
+}
+
+runMain(main);
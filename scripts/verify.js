@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCommandLine, loadHardhat, getToken, readJson, writeJson, runMain } = require('./lib/cli');
+const { DEFAULT_REGISTRY_DIR } = require('./lib/deployments');
+const { checkConfig, readConfig, compareBytecode } = require('./lib/drift');
+
+const USAGE = `Usage: node scripts/verify.js --network <name> [options]
+
+Compares a Liberdus deployment with an expected-config file and reports every
+field that drifted. Exits with a non-zero code on any drift, so it can gate a
+deployment pipeline.
+
+The config is JSON with any of these fields; fields left out are not checked:
+  owner, signers (in order), requiredSignatures, chainId, bridgeInCaller,
+  maxBridgeInAmount and bridgeInWindowLimit (in tokens), bridgeInWindowDuration,
+  isPreLaunch, paused, supportedChains ({ "<chainId>": true }) and
+  executionDelays ({ "<OperationType>": <seconds> })
+
+Options:
+  --network <name>           Hardhat network of the deployment
+  --token <address>          Liberdus address (defaults to deployments/<network>.json)
+  --config <file>            Expected config (default deployments/<network>.expected.json)
+  --bytecode                 Also compare the runtime code with the compiled artifact
+  --ignore-metadata          With --bytecode, accept code that only differs from
+                             the artifact in its metadata hash
+  --init                     Write the deployment's current state to --config and exit
+`;
+
+const OPTIONS = {
+  config: { type: 'string' },
+  bytecode: { type: 'boolean', default: false },
+  'ignore-metadata': { type: 'boolean', default: false },
+  init: { type: 'boolean', default: false }
+};
+
+async function main() {
+  const { values } = parseCommandLine(OPTIONS);
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const hre = loadHardhat(values.network);
+  const token = await getToken(hre, values.token);
+  const address = await token.getAddress();
+  const configPath = values.config || path.join(DEFAULT_REGISTRY_DIR, `${hre.network.name}.expected.json`);
+
+  if (values.init) {
+    if (fs.existsSync(configPath)) {
+      throw new Error(`${configPath} already exists, remove it first to write a new one`);
+    }
+    writeJson(configPath, await readConfig(token));
+    console.log(`Wrote the current config of ${address} to ${configPath}`);
+    return;
+  }
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Expected config ${configPath} not found. Write one, or start from the deployment with --init.`);
+  }
+
+  console.log(`Checking ${address} on ${hre.network.name} against ${configPath}`);
+  const drift = await checkConfig(token, readJson(configPath));
+  drift.forEach(({ field, expected, actual, error }) => {
+    if (error) {
+      console.log(`  ${field}: ${error}`);
+    } else {
+      console.log(`  ${field}: expected ${expected}, found ${actual}`);
+    }
+  });
+
+  let bytecodeDrift = false;
+  if (values.bytecode) {
+    const { result, reason } = await compareBytecode(hre, address);
+    if (result === 'match') {
+      console.log('  bytecode: matches the compiled Liberdus');
+    } else if (result === 'metadata' && values['ignore-metadata']) {
+      console.log(`  bytecode: ${reason}, ignored with --ignore-metadata`);
+    } else {
+      bytecodeDrift = true;
+      console.log(`  bytecode: ${reason}`);
+    }
+  }
+
+  if (drift.length > 0 || bytecodeDrift) {
+    throw new Error(`Deployment drifted from ${configPath}`);
+  }
+  console.log('No drift');
+}
+
+runMain(main);
@@ -0,0 +1,147 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { buildBatchDistribution } = require("../scripts/lib/operations");
+const { loadDistributionList, validateDistribution } = require("../scripts/lib/distribution");
+const {
+  openAnalyticsStore,
+  syncAnalytics,
+  buildSnapshot,
+  snapshotToRecords,
+  snapshotToDistributionCsv
+} = require("../scripts/lib/analytics");
+const { deployLiberdus, executeOperation } = require("./helpers");
+
+describe("Supply and holder analytics", function () {
+  let liberdus;
+  let signers;
+  let holders;
+  let relayer;
+  let dir;
+  let startBlock;
+  let distributedBlock;
+
+  async function execute(command, args) {
+    return executeOperation(liberdus, command === "distribute-batch" ? buildBatchDistribution(args) : command, args);
+  }
+
+  async function openStore(name = "store.json") {
+    return openAnalyticsStore(path.join(dir, name), {
+      contract: await liberdus.getAddress(),
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      startBlock
+    });
+  }
+
+  beforeEach(async function () {
+    const accounts = await ethers.getSigners();
+    holders = accounts.slice(5, 8);
+    relayer = accounts[8];
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "analytics-"));
+
+    ({ token: liberdus, signers } = await deployLiberdus());
+    startBlock = (await liberdus.deploymentTransaction().wait()).blockNumber;
+
+    await execute("mint");
+    await execute("distribute", { to: holders[0].address, amount: "1000" });
+    distributedBlock = await ethers.provider.getBlockNumber();
+    await execute("distribute-batch", [
+      { address: holders[1].address, units: ethers.parseEther("300") },
+      { address: holders[2].address, units: ethers.parseEther("200") }
+    ]);
+    await liberdus.connect(holders[0]).transfer(holders[1].address, ethers.parseEther("100"));
+    await execute("burn", { amount: "10" });
+
+    await execute("post-launch");
+    await execute("set-supported-chain", { chain: "137" });
+    await execute("set-bridge-in-caller", { caller: relayer.address });
+    await liberdus.connect(holders[0]).bridgeOut(ethers.parseEther("50"), holders[0].address, 137);
+    await liberdus.connect(relayer).bridgeIn(holders[2].address, ethers.parseEther("20"), 137, ethers.id("polygon-tx-1"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should rebuild balances, supply, bridge flows and distributions", async function () {
+    const store = await openStore();
+    await syncAnalytics(liberdus, store, { blockRange: 3 });
+    const snapshot = buildSnapshot(store.data);
+
+    for (const { address, balance } of snapshot.holders) {
+      expect(balance).to.equal(await liberdus.balanceOf(address));
+    }
+    expect(snapshot.holders.map(h => h.address)).to.have.members([await liberdus.getAddress(), ...holders.map(h => h.address)]);
+
+    const { supply } = snapshot;
+    expect(supply.totalSupply).to.equal(await liberdus.totalSupply());
+    expect(supply.totalSupply).to.equal(supply.minted + supply.bridgedIn - supply.burned - supply.bridgedOut);
+    expect(supply.unallocated).to.equal(await liberdus.balanceOf(await liberdus.getAddress()));
+    expect(snapshot.bridgedIn).to.deep.equal({ "137": { amount: ethers.parseEther("20"), count: 1 } });
+    expect(snapshot.bridgedOut).to.deep.equal({ "137": { amount: ethers.parseEther("50"), count: 1 } });
+    expect(snapshot.distributions.map(d => [d.recipients, d.amount])).to.deep.equal([
+      [1, ethers.parseEther("1000")],
+      [2, ethers.parseEther("500")]
+    ]);
+
+    const records = snapshotToRecords(snapshot);
+    expect(records.supply.bridgedOut).to.equal("50.0");
+    expect(records.holders.find(h => h.address === holders[1].address).balance).to.equal("400.0");
+  });
+
+  it("Should rebuild the state at an earlier block", async function () {
+    const store = await openStore();
+    await syncAnalytics(liberdus, store);
+    const snapshot = buildSnapshot(store.data, { block: distributedBlock });
+
+    expect(snapshot.supply.totalSupply).to.equal(await liberdus.totalSupply({ blockTag: distributedBlock }));
+    expect(snapshot.holders.find(h => h.address === holders[0].address).balance).to.equal(ethers.parseEther("1000"));
+    expect(snapshot.holders.map(h => h.address)).not.to.include(holders[1].address);
+    expect(snapshot.distributions).to.have.length(1);
+
+    expect(() => buildSnapshot(store.data, { block: store.data.lastIndexedBlock + 1 })).to.throw("past the last scanned block");
+    expect(() => buildSnapshot(store.data, { block: startBlock - 1 })).to.throw("before the store's start block");
+  });
+
+  it("Should resume an interrupted scan from its checkpoint", async function () {
+    const full = await openStore("full.json");
+    await syncAnalytics(liberdus, full, { blockRange: 4 });
+
+    const partial = await openStore();
+    await syncAnalytics(liberdus, partial, { blockRange: 4, toBlock: distributedBlock });
+    expect(partial.data.lastIndexedBlock).to.equal(distributedBlock);
+
+    // A new process reading the saved store only scans what is left
+    const resumed = await openStore();
+    expect(resumed.data.lastIndexedBlock).to.equal(distributedBlock);
+    const { added } = await syncAnalytics(liberdus, resumed, { blockRange: 4 });
+    expect(added).to.be.greaterThan(0);
+    expect(resumed.data.events).to.deep.equal(full.data.events);
+    expect((await syncAnalytics(liberdus, resumed)).added).to.equal(0);
+
+    // A store only ever resumes for the contract and chain it was started for
+    expect(() => openAnalyticsStore(path.join(dir, "store.json"), { contract: holders[0].address, chainId: 1337n, startBlock }))
+      .to.throw("The analytics store");
+  });
+
+  it("Should export holders as a distribution list", async function () {
+    const store = await openStore();
+    await syncAnalytics(liberdus, store);
+    const snapshot = buildSnapshot(store.data);
+
+    const csvPath = path.join(dir, "holders.csv");
+    fs.writeFileSync(csvPath, snapshotToDistributionCsv(snapshot, { scale: "0.5", exclude: [holders[2].address] }));
+    const rows = loadDistributionList(csvPath);
+    expect(rows.map(r => [r.address, r.amount])).to.deep.equal([
+      [holders[0].address, "425.0"],
+      [holders[1].address, "200.0"]
+    ]);
+    expect(rows[0].share).to.match(/^\d+\.\d{4}%$/);
+
+    const plan = validateDistribution(rows, { decimals: 18, sender: signers[0].address });
+    expect(plan.errors).to.deep.equal([]);
+    expect(plan.total).to.equal(ethers.parseEther("625"));
+  });
+});
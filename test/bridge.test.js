@@ -0,0 +1,226 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const {
+  openRelayerState,
+  bridgeTxId,
+  splitAmount,
+  scanBridgedOut,
+  recoverRelayerState,
+  relayTransfers
+} = require("../scripts/lib/bridge");
+const { deployLiberdus, executeOperation: execute } = require("./helpers");
+
+describe("Bridge relayer", function () {
+  let source;
+  let destination;
+  let user;
+  let relayer;
+  let statePath;
+
+  async function openState() {
+    return openRelayerState(statePath, {
+      source: await source.getAddress(),
+      destination: await destination.getAddress(),
+      startBlock: await ethers.provider.getBlockNumber()
+    });
+  }
+
+  async function mine(blocks) {
+    await network.provider.send("hardhat_mine", [ethers.toQuantity(blocks)]);
+  }
+
+  // Stands in for the wall clock while the relayer waits for window capacity
+  async function advanceTo(timestamp) {
+    await network.provider.send("evm_setNextBlockTimestamp", [ethers.toQuantity(timestamp)]);
+    await network.provider.send("evm_mine");
+  }
+
+  beforeEach(async function () {
+    const accounts = await ethers.getSigners();
+    user = accounts[5];
+    relayer = accounts[6];
+    statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "relayer-")), "state.json");
+
+    const chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+    // Both deployments live on the in-process network; the relayer only ever
+    // sees them as two contracts, exactly as it would with two nodes.
+    ({ token: source } = await deployLiberdus({ chainId }));
+    ({ token: destination } = await deployLiberdus({ chainId: chainId + 1n }));
+
+    await execute(source, "mint");
+    await execute(source, "distribute", { to: user.address, amount: "50000" });
+    await execute(source, "post-launch");
+    await execute(source, "set-supported-chain", { chain: (chainId + 1n).toString() });
+    await execute(destination, "post-launch");
+    await execute(destination, "set-supported-chain", { chain: chainId.toString() });
+    await execute(destination, "set-bridge-in-caller", { caller: relayer.address });
+  });
+
+  it("Should split amounts by the bridge-in limit", async function () {
+    expect(splitAmount(25n, 10n)).to.deep.equal([10n, 10n, 5n]);
+    expect(splitAmount(20n, 10n)).to.deep.equal([10n, 10n]);
+    expect(splitAmount(3n, 10n)).to.deep.equal([3n]);
+  });
+
+  it("Should relay a BridgedOut only after the required confirmations", async function () {
+    const state = await openState();
+    const amount = ethers.parseUnits("1000", 18);
+    const tx = await source.connect(user).bridgeOut(amount, user.address, await destination.getChainId());
+
+    expect(await scanBridgedOut(source, destination, state, { confirmations: 3 })).to.have.length(0);
+    await mine(3);
+    const queued = await scanBridgedOut(source, destination, state, { confirmations: 3 });
+    expect(queued).to.have.length(1);
+
+    await relayTransfers(source, destination, relayer, state);
+    expect(await destination.balanceOf(user.address)).to.equal(amount);
+
+    const [event] = await destination.queryFilter(destination.filters.BridgedIn());
+    expect(event.args.txId).to.equal(tx.hash);
+    expect(state.get(queued[0]).status).to.equal("done");
+  });
+
+  it("Should never mint twice across restarts", async function () {
+    const amount = ethers.parseUnits("1000", 18);
+    await source.connect(user).bridgeOut(amount, user.address, await destination.getChainId());
+    await source.connect(user).bridgeOut(amount, user.address, await destination.getChainId());
+
+    const state = await openState();
+    state.setLastScannedBlock(0);
+    const [first, second] = await scanBridgedOut(source, destination, state, { confirmations: 0 });
+
+    // The first transfer was minted but the relayer died before recording it
+    const part = state.get(first).parts[0];
+    state.updatePart(first, 0, { status: "sending", nonce: await ethers.provider.getTransactionCount(relayer.address), hash: null });
+    await destination.connect(relayer).bridgeIn(user.address, amount, await source.getChainId(), part.txId);
+
+    const restarted = await openState();
+    await recoverRelayerState(destination, relayer.address, restarted);
+    expect(restarted.get(first).parts[0].status).to.equal("done");
+    expect(await destination.isBridgeInProcessed(part.txId)).to.be.true;
+
+    // Scanning the same blocks again must not queue anything new
+    restarted.setLastScannedBlock(0);
+    expect(await scanBridgedOut(source, destination, restarted, { confirmations: 0 })).to.have.length(0);
+
+    await relayTransfers(source, destination, relayer, restarted);
+    expect(restarted.get(second).status).to.equal("done");
+    expect(await destination.balanceOf(user.address)).to.equal(amount * 2n);
+    expect(await destination.queryFilter(destination.filters.BridgedIn())).to.have.length(2);
+  });
+
+  it("Should split transfers above the limit and wait for the window to have room", async function () {
+    const maxAmount = ethers.parseUnits("4000", 18);
+    await execute(destination, "set-bridge-limits", { max: "4000", "window-limit": "8000", window: "3600" });
+
+    const amount = ethers.parseUnits("10000", 18);
+    const tx = await source.connect(user).bridgeOut(amount, user.address, await destination.getChainId());
+    const state = await openState();
+    state.setLastScannedBlock(0);
+    const [key] = await scanBridgedOut(source, destination, state, { confirmations: 0 });
+
+    const waits = [];
+    await relayTransfers(source, destination, relayer, state, {
+      waitUntil: async (increasesAt) => {
+        waits.push(increasesAt);
+        await advanceTo(increasesAt);
+      }
+    });
+
+    const events = await destination.queryFilter(destination.filters.BridgedIn());
+    expect(events.map(e => e.args.amount)).to.deep.equal([maxAmount, maxAmount, ethers.parseUnits("2000", 18)]);
+    expect(events.map(e => e.args.txId)).to.deep.equal([0n, 4000n, 8000n].map((offset, i) =>
+      bridgeTxId(tx.hash, 0, ethers.parseUnits(offset.toString(), 18), events[i].args.amount, amount)));
+    expect(events[0].args.txId).not.to.equal(tx.hash);
+
+    // Only the third part had to wait, until the first part was a window
+    // old, give or take the contract's 150 second buckets
+    const firstMint = BigInt((await events[0].getBlock()).timestamp);
+    expect(waits).to.have.length(1);
+    expect(waits[0] - firstMint).to.be.within(3600n, 3750n);
+    expect(BigInt((await events[2].getBlock()).timestamp) - firstMint).to.be.at.least(3600n);
+    expect(await destination.balanceOf(user.address)).to.equal(amount);
+    expect(state.get(key).status).to.equal("done");
+  });
+
+  it("Should mint exactly the bridged-out amount when the limit changes mid-transfer", async function () {
+    const amount = ethers.parseUnits("10000", 18);
+    const units = (...amounts) => amounts.map(a => ethers.parseUnits(a, 18).toString());
+
+    // Mints the first planned part of a new transfer and lowers the limit
+    // before the relayer gets to the rest
+    async function bridgeOutAndMintFirstPart(state, max, lowered) {
+      await execute(destination, "set-bridge-limits", { max, "window-limit": "100000", window: "3600" });
+      await source.connect(user).bridgeOut(amount, user.address, await destination.getChainId());
+      const [key] = await scanBridgedOut(source, destination, state, { confirmations: 0 });
+      const [part] = state.get(key).parts;
+      await destination.connect(relayer).bridgeIn(user.address, BigInt(part.amount), await source.getChainId(), part.txId);
+      state.updatePart(key, 0, { status: "done" });
+      await execute(destination, "set-bridge-limits", { max: lowered, "window-limit": "100000", window: "3600" });
+      return key;
+    }
+
+    // Re-planned from the state file
+    const state = await openState();
+    const first = await bridgeOutAndMintFirstPart(state, "4000", "3000");
+    await relayTransfers(source, destination, relayer, state);
+    expect(state.get(first).parts.map(part => part.amount)).to.deep.equal(units("4000", "3000", "3000"));
+
+    // Re-planned from the chain alone, after the state file is lost
+    const second = await bridgeOutAndMintFirstPart(state, "6000", "2500");
+    fs.unlinkSync(statePath);
+    const fresh = await openState();
+    fresh.setLastScannedBlock(0);
+    await scanBridgedOut(source, destination, fresh, { confirmations: 0 });
+    // Every limit the destination has had, read from its events and kept
+    expect(fresh.data.bridgeInLimits).to.deep.equal({
+      lastScannedBlock: await ethers.provider.getBlockNumber(),
+      maxAmounts: units("10000", "4000", "3000", "6000", "2500")
+    });
+    expect(fresh.get(first).parts.map(part => part.status)).to.deep.equal(["done", "done", "done"]);
+    expect(fresh.get(second).parts.map(part => [part.amount, part.status])).to.deep.equal([
+      [units("6000")[0], "done"],
+      [units("2500")[0], "pending"],
+      [units("1500")[0], "pending"]
+    ]);
+    await relayTransfers(source, destination, relayer, fresh);
+
+    const events = await destination.queryFilter(destination.filters.BridgedIn());
+    expect(events.reduce((sum, e) => sum + e.args.amount, 0n)).to.equal(amount * 2n);
+    expect(new Set(events.map(e => e.args.txId)).size).to.equal(events.length);
+    expect(await destination.balanceOf(user.address)).to.equal(amount * 2n);
+  });
+
+  it("Should not mint again after losing its state file", async function () {
+    const amount = ethers.parseUnits("1000", 18);
+    await source.connect(user).bridgeOut(amount, user.address, await destination.getChainId());
+
+    const state = await openState();
+    state.setLastScannedBlock(0);
+    await scanBridgedOut(source, destination, state, { confirmations: 0 });
+    await relayTransfers(source, destination, relayer, state);
+
+    fs.unlinkSync(statePath);
+    const fresh = await openState();
+    fresh.setLastScannedBlock(0);
+    const [key] = await scanBridgedOut(source, destination, fresh, { confirmations: 0 });
+    await relayTransfers(source, destination, relayer, fresh);
+
+    expect(fresh.get(key).status).to.equal("done");
+    expect(await destination.balanceOf(user.address)).to.equal(amount);
+    expect(await destination.queryFilter(destination.filters.BridgedIn())).to.have.length(1);
+  });
+
+  it("Should ignore transfers bound for other chains", async function () {
+    const otherChainId = (await destination.getChainId()) + 1n;
+    await execute(source, "set-supported-chain", { chain: otherChainId.toString() });
+    await source.connect(user).bridgeOut(ethers.parseUnits("1000", 18), user.address, otherChainId);
+
+    const state = await openState();
+    state.setLastScannedBlock(0);
+    expect(await scanBridgedOut(source, destination, state, { confirmations: 0 })).to.have.length(0);
+  });
+});
@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { buildOperation, requestOperation, computeOperationHash } = require("../scripts/lib/operations");
+const { exportBundle, signBundle, verifySignatures, relaySignatures } = require("../scripts/lib/bundle");
+
+describe("Offline signing bundles", function () {
+  let liberdus;
+  let wallets;
+  let operationId;
+
+  // Offline signers hold raw keys rather than node-managed accounts
+  function walletAt(index) {
+    const { mnemonic } = network.config.accounts;
+    return ethers.HDNodeWallet.fromPhrase(mnemonic, undefined, `m/44'/60'/0'/0/${index}`);
+  }
+
+  beforeEach(async function () {
+    const accounts = await ethers.getSigners();
+    wallets = [0, 1, 2, 3, 5].map(walletAt);
+
+    const chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+    const LiberdusToken = await ethers.getContractFactory("Liberdus");
+    liberdus = await LiberdusToken.deploy(accounts.slice(0, 4).map(a => a.address), 3, chainId);
+    await liberdus.waitForDeployment();
+
+    ({ operationId } = await requestOperation(liberdus, buildOperation("pause")));
+  });
+
+  it("Should compute the operation digest locally", async function () {
+    const bundle = await exportBundle(liberdus, [operationId]);
+    const [operation] = bundle.operations;
+
+    expect(operation.opName).to.equal("Pause");
+    expect(computeOperationHash({ ...operation, chainId: bundle.chainId, contract: bundle.contract }))
+      .to.equal(await liberdus.getOperationHash(operationId));
+  });
+
+  it("Should relay offline signatures and execute the operation", async function () {
+    const bundle = await exportBundle(liberdus, [operationId]);
+    const files = [];
+    for (const wallet of wallets.slice(1, 4)) {
+      files.push(await signBundle(bundle, wallet));
+    }
+
+    expect(await verifySignatures(liberdus, bundle, files)).to.deep.equal([]);
+    const results = await relaySignatures(liberdus, bundle, files);
+
+    expect(results).to.have.length(3);
+    expect(await liberdus.paused()).to.be.true;
+  });
+
+  it("Should fall back to legacy transactions on networks without EIP-1559 fees", async function () {
+    // Stands in for a network whose blocks have no base fee
+    const provider = liberdus.runner.provider;
+    const { gasPrice } = await provider.getFeeData();
+    const original = provider.getFeeData;
+    provider.getFeeData = async () => new ethers.FeeData(gasPrice, null, null);
+    let bundle;
+    try {
+      bundle = await exportBundle(liberdus, [operationId]);
+      provider.getFeeData = async () => new ethers.FeeData(null, null, null);
+      await expect(exportBundle(liberdus, [operationId])).to.be.rejectedWith("chainId 1337) reported neither EIP-1559 fees nor a gas price");
+    } finally {
+      provider.getFeeData = original;
+    }
+    expect(bundle.transaction.gasPrice).to.equal(gasPrice.toString());
+    expect(bundle.transaction).not.to.have.property("maxFeePerGas");
+
+    const files = [];
+    for (const wallet of wallets.slice(1, 4)) {
+      files.push(await signBundle(bundle, wallet));
+    }
+    expect(ethers.Transaction.from(files[0].signatures[0].transaction).type).to.equal(0);
+    expect(await verifySignatures(liberdus, bundle, files)).to.deep.equal([]);
+    await relaySignatures(liberdus, bundle, files);
+    expect(await liberdus.paused()).to.be.true;
+  });
+
+  it("Should relay offline signatures in one call from any account", async function () {
+    const bundle = await exportBundle(liberdus, [operationId]);
+    const files = [];
+    for (const wallet of wallets.slice(1, 4)) {
+      files.push(await signBundle(bundle, wallet));
+    }
+
+    const relayer = (await ethers.getSigners())[6];
+    const nonce = await ethers.provider.getTransactionCount(wallets[1].address);
+    const results = await relaySignatures(liberdus.connect(relayer), bundle, files, { batch: true });
+
+    expect(new Set(results.map(r => r.hash)).size).to.equal(1);
+    expect(await liberdus.paused()).to.be.true;
+    // The signers' pre-signed transactions were never sent
+    expect(await ethers.provider.getTransactionCount(wallets[1].address)).to.equal(nonce);
+  });
+
+  it("Should reject signatures from non-signers", async function () {
+    const bundle = await exportBundle(liberdus, [operationId]);
+    await expect(signBundle(bundle, wallets[4])).to.be.rejectedWith("is not one of the signers");
+
+    // A bundle doctored to list the outsider still can't get past the relayer
+    const doctored = { ...bundle, signers: [...bundle.signers, wallets[4].address] };
+    doctored.transaction = { ...bundle.transaction, nonces: { ...bundle.transaction.nonces, [wallets[4].address]: 0 } };
+    const file = await signBundle(doctored, wallets[4]);
+
+    const problems = await verifySignatures(liberdus, bundle, [file]);
+    expect(problems.join()).to.contain("is not a signer");
+    await expect(relaySignatures(liberdus, bundle, [file])).to.be.rejectedWith("Refusing to broadcast");
+  });
+
+  it("Should sign for the network's chainId when the contract is configured with another", async function () {
+    // As deployed with a CHAIN_ID override, e.g. a second local chain for bridging
+    const accounts = await ethers.getSigners();
+    const LiberdusToken = await ethers.getContractFactory("Liberdus");
+    const token = await LiberdusToken.deploy(accounts.slice(0, 4).map(a => a.address), 3, 31338);
+    ({ operationId } = await requestOperation(token, buildOperation("pause")));
+
+    const bundle = await exportBundle(token, [operationId]);
+    expect(bundle.chainId).to.equal((await ethers.provider.getNetwork()).chainId.toString());
+    const files = [];
+    for (const wallet of wallets.slice(1, 4)) {
+      files.push(await signBundle(bundle, wallet));
+    }
+    expect(await verifySignatures(token, bundle, files)).to.deep.equal([]);
+    await relaySignatures(token, bundle, files);
+    expect(await token.paused()).to.be.true;
+  });
+
+  it("Should reject signatures for the wrong chainId", async function () {
+    const bundle = await exportBundle(liberdus, [operationId]);
+    const otherChain = { ...bundle, chainId: "1" };
+    otherChain.operations = bundle.operations.map(operation => ({
+      ...operation,
+      digest: computeOperationHash({ ...operation, chainId: 1n, contract: bundle.contract })
+    }));
+    const files = [await signBundle(otherChain, wallets[1])];
+
+    expect((await verifySignatures(liberdus, otherChain, files)).join()).to.contain("chainId");
+    expect((await verifySignatures(liberdus, bundle, files)).join()).to.contain("chainId 1");
+  });
+
+  it("Should reject a mutated payload before any gas is spent", async function () {
+    const bundle = await exportBundle(liberdus, [operationId]);
+    const files = [await signBundle(bundle, wallets[1]), await signBundle(bundle, wallets[2])];
+
+    const mutated = JSON.parse(JSON.stringify(bundle));
+    mutated.operations[0].target = wallets[4].address;
+    await expect(signBundle(mutated, wallets[3])).to.be.rejectedWith("Digest mismatch");
+
+    mutated.operations[0].digest = computeOperationHash({ ...mutated.operations[0], chainId: mutated.chainId, contract: mutated.contract });
+    const problems = await verifySignatures(liberdus, mutated, files);
+    expect(problems.join()).to.contain("does not match the on-chain operation");
+
+    await expect(relaySignatures(liberdus, mutated, files)).to.be.rejectedWith("Refusing to broadcast");
+    const operation = await liberdus.operations(operationId);
+    expect(operation.numSignatures).to.equal(0);
+  });
+});
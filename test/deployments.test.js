@@ -0,0 +1,83 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { resolveTokenAddress } = require("../scripts/lib/cli");
+const {
+  readRegistry,
+  getDeployment,
+  defaultStartBlock,
+  checkRedeploy,
+  buildManifest,
+  recordDeployment
+} = require("../scripts/lib/deployments");
+
+describe("Deployment registry", function () {
+  let signers;
+  let chainId;
+  let dir;
+
+  async function deploy() {
+    const LiberdusToken = await ethers.getContractFactory("Liberdus");
+    const token = await LiberdusToken.deploy(signers, 3, chainId);
+    await token.waitForDeployment();
+    return buildManifest(hre, token, {
+      contractName: "Liberdus",
+      constructorArgs: [signers, 3, chainId.toString()],
+      extra: { signers, requiredSignatures: 3 }
+    });
+  }
+
+  beforeEach(async function () {
+    signers = (await ethers.getSigners()).slice(0, 4).map(s => s.address);
+    chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+  });
+
+  it("Should record a manifest for the deployment", async function () {
+    const manifest = await deploy();
+    recordDeployment("testnet", manifest, { dir });
+
+    const recorded = getDeployment("testnet", "Liberdus", { dir });
+    expect(recorded.address).to.equal(manifest.address);
+    expect(recorded.chainId).to.equal(chainId.toString());
+    expect(recorded.signers).to.deep.equal(signers);
+    expect(recorded.deployer).to.equal(signers[0]);
+    expect(recorded.compiler.version).to.match(/^0\.8\.20/);
+    expect(recorded.bytecodeHash).to.equal(ethers.keccak256(await ethers.provider.getCode(manifest.address)));
+    expect(readRegistry("testnet", { dir }).history).to.deep.equal([]);
+
+    // Event scans of the recorded contract start at its deployment block
+    expect(defaultStartBlock("testnet", manifest.address, { dir })).to.equal(manifest.blockNumber);
+    expect(defaultStartBlock("testnet", signers[1], { dir })).to.equal(0);
+  });
+
+  it("Should refuse to replace a live deployment without the flag", async function () {
+    const first = await deploy();
+    recordDeployment("testnet", first, { dir });
+
+    await expect(checkRedeploy(ethers.provider, "testnet", "Liberdus", { dir }))
+      .to.be.rejectedWith("already deployed on testnet");
+    await checkRedeploy(ethers.provider, "testnet", "Liberdus", { dir, force: true });
+
+    const second = await deploy();
+    recordDeployment("testnet", second, { dir });
+    const registry = readRegistry("testnet", { dir });
+    expect(registry.contracts.Liberdus.address).to.equal(second.address);
+    expect(registry.history.map(entry => entry.address)).to.deep.equal([first.address]);
+  });
+
+  it("Should replace an entry whose contract is gone", async function () {
+    const manifest = await deploy();
+    recordDeployment("testnet", { ...manifest, address: ethers.Wallet.createRandom().address }, { dir });
+
+    expect((await checkRedeploy(ethers.provider, "testnet", "Liberdus", { dir })).contractName).to.equal("Liberdus");
+  });
+
+  it("Should resolve the token from --token before the registry", async function () {
+    expect(resolveTokenAddress(signers[1], "testnet")).to.equal(signers[1]);
+    expect(() => resolveTokenAddress(undefined, "no-such-network")).to.throw("no Liberdus deployment recorded for network no-such-network");
+  });
+});
@@ -0,0 +1,258 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { buildOperation, requestOperation } = require("../scripts/lib/operations");
+const {
+  validateDistribution,
+  buildBatchFromList,
+  openJournal,
+  recoverJournal,
+  sendDistribution,
+  reconcileDistribution,
+  recoverDistributionOperations,
+  trackDistributionOperations,
+  requestDistributionOperations,
+  pendingOperationIds,
+  summarizeOperations
+} = require("../scripts/lib/distribution");
+const { exportBundle, approveBundle } = require("../scripts/lib/bundle");
+const { deployLiberdus, executeOperation } = require("./helpers");
+
+describe("CSV distribution engine", function () {
+  let liberdus;
+  let owner;
+  let recipients;
+  let journalPath;
+
+  async function newJournal() {
+    return openJournal(journalPath, {
+      token: await liberdus.getAddress(),
+      sender: owner.address,
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      startBlock: await ethers.provider.getBlockNumber()
+    });
+  }
+
+  function rows(list) {
+    return list.map(([name, address, amount], index) => ({ line: index + 2, name, address, amount }));
+  }
+
+  beforeEach(async function () {
+    const accounts = await ethers.getSigners();
+    owner = accounts[0];
+    recipients = accounts.slice(5, 9);
+    journalPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "distribution-")), "journal.json");
+
+    ({ token: liberdus } = await deployLiberdus());
+
+    await executeOperation(liberdus, "mint");
+    await executeOperation(liberdus, "distribute", { to: owner.address, amount: "1000" });
+  });
+
+  it("Should reject every kind of bad row in validation", async function () {
+    // Flipping the case of one letter breaks the EIP-55 checksum
+    const address = recipients[1].address;
+    const i = address.slice(2).search(/[a-fA-F]/) + 2;
+    const flipped = address[i] === address[i].toLowerCase() ? address[i].toUpperCase() : address[i].toLowerCase();
+    const badChecksum = address.slice(0, i) + flipped + address.slice(i + 1);
+    const plan = validateDistribution(rows([
+      ["ok", recipients[0].address, "10"],
+      ["dup", recipients[0].address.toLowerCase(), "5"],
+      ["checksum", badChecksum, "1"],
+      ["zero", recipients[2].address, "0"],
+      ["precision", recipients[3].address, "0.0000000000000000001"],
+      ["self", owner.address, "1"],
+      ["garbage", "not-an-address", "1"]
+    ]), { decimals: 18, sender: owner.address, balance: ethers.parseUnits("5", 18) });
+
+    expect(plan.entries).to.have.length(1);
+    expect(plan.errors.map(e => e.error)).to.deep.equal([
+      "duplicate of line 2",
+      `bad checksum for ${badChecksum}`,
+      "amount is zero",
+      "amount 0.0000000000000000001 has more than 18 decimal places",
+      "recipient is the sender",
+      'invalid address "not-an-address"',
+      "remaining total 10.0 exceeds sender balance 5.0"
+    ]);
+  });
+
+  it("Should send every row and reconcile with Transfer events", async function () {
+    const journal = await newJournal();
+    const plan = validateDistribution(
+      rows(recipients.map((r, i) => [`r${i}`, r.address, `${i + 1}.5`])),
+      { decimals: 18, sender: owner.address }
+    );
+
+    const failures = await sendDistribution(liberdus, owner, plan.entries, journal, { concurrency: 2 });
+    expect(failures).to.deep.equal([]);
+
+    for (const [i, recipient] of recipients.entries()) {
+      expect(await liberdus.balanceOf(recipient.address)).to.equal(ethers.parseUnits(`${i + 1}.5`, 18));
+    }
+
+    const report = await reconcileDistribution(liberdus, owner, plan.entries, journal);
+    expect(report.summary).to.deep.equal({ ok: 4, missing: 0, mismatch: 0, unexpected: 0 });
+  });
+
+  it("Should resume an interrupted run without sending twice", async function () {
+    const journal = await newJournal();
+    const plan = validateDistribution(
+      rows(recipients.map((r, i) => [`r${i}`, r.address, "1"])),
+      { decimals: 18, sender: owner.address }
+    );
+
+    // The first row was broadcast but the run died before its hash was saved
+    const nonce = await ethers.provider.getTransactionCount(owner.address);
+    journal.update(plan.entries[0].rowId, { status: "sending", nonce, txHash: null });
+    await liberdus.transfer(recipients[0].address, ethers.parseUnits("1", 18));
+    // The second row was journaled but never broadcast
+    journal.update(plan.entries[1].rowId, { status: "sending", nonce: nonce + 1, txHash: null });
+
+    const resumed = await newJournal();
+    await recoverJournal(liberdus, owner, plan.entries, resumed);
+    expect(resumed.get(plan.entries[0].rowId).status).to.equal("confirmed");
+    expect(resumed.get(plan.entries[1].rowId).status).to.equal("pending");
+
+    await sendDistribution(liberdus, owner, plan.entries, resumed);
+    for (const recipient of recipients) {
+      expect(await liberdus.balanceOf(recipient.address)).to.equal(ethers.parseUnits("1", 18));
+    }
+  });
+
+  it("Should report missing and unexpected transfers", async function () {
+    const journal = await newJournal();
+    const plan = validateDistribution(
+      rows([["a", recipients[0].address, "1"], ["b", recipients[1].address, "2"], ["c", recipients[2].address, "3"]]),
+      { decimals: 18, sender: owner.address }
+    );
+
+    await liberdus.transfer(recipients[0].address, ethers.parseUnits("1", 18));
+    await liberdus.transfer(recipients[1].address, ethers.parseUnits("2.5", 18));
+    await liberdus.transfer(recipients[3].address, ethers.parseUnits("4", 18));
+
+    const report = await reconcileDistribution(liberdus, owner, plan.entries, journal);
+    expect(report.summary).to.deep.equal({ ok: 1, missing: 1, mismatch: 1, unexpected: 1 });
+    expect(report.unexpected[0].to).to.equal(recipients[3].address);
+  });
+
+  describe("multisig mode", function () {
+    let contractAddress;
+
+    async function multisigJournal() {
+      return openJournal(journalPath, {
+        token: contractAddress,
+        sender: contractAddress,
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        startBlock: await ethers.provider.getBlockNumber()
+      });
+    }
+
+    beforeEach(async function () {
+      contractAddress = await liberdus.getAddress();
+    });
+
+    it("Should refuse a plan larger than the contract balance", async function () {
+      const balance = await liberdus.balanceOf(contractAddress);
+      const plan = validateDistribution(
+        rows([["a", recipients[0].address, ethers.formatUnits(balance, 18)], ["b", recipients[1].address, "1"]]),
+        { decimals: 18, sender: contractAddress, balance }
+      );
+      expect(plan.errors.map(e => e.error).join()).to.contain("exceeds sender balance");
+    });
+
+    it("Should request one operation per row and track their execution", async function () {
+      const journal = await multisigJournal();
+      const plan = validateDistribution(
+        rows(recipients.map((r, i) => [`r${i}`, r.address, `${i + 1}`])),
+        { decimals: 18, sender: contractAddress, balance: await liberdus.balanceOf(contractAddress) }
+      );
+
+      await requestDistributionOperations(liberdus, plan.entries, journal);
+      const pending = pendingOperationIds(plan.entries, journal);
+      expect(pending).to.have.length(4);
+
+      // Every signer approves the whole batch from one bundle
+      const bundle = await exportBundle(liberdus, pending);
+      for (const signer of (await ethers.getSigners()).slice(1, 4)) {
+        const results = await approveBundle(liberdus, signer, bundle);
+        expect(results.every(r => r.hash)).to.be.true;
+      }
+
+      await trackDistributionOperations(liberdus, plan.entries, journal);
+      expect(summarizeOperations(plan.entries, journal).summary)
+        .to.deep.equal({ executed: 4, requested: 0, expired: 0, cancelled: 0, missing: 0 });
+      expect(await liberdus.balanceOf(recipients[3].address)).to.equal(ethers.parseUnits("4", 18));
+    });
+
+    it("Should pay a whole list in one batch operation", async function () {
+      const list = rows(recipients.map((r, i) => [`r${i}`, r.address, `${i + 1}.5`]));
+      const balance = await liberdus.balanceOf(contractAddress);
+      const { operation, plan } = buildBatchFromList(list, { contract: contractAddress, balance });
+      expect(plan.total).to.equal(ethers.parseUnits("12", 18));
+
+      await executeOperation(liberdus, operation);
+      for (const [i, recipient] of recipients.entries()) {
+        expect(await liberdus.balanceOf(recipient.address)).to.equal(ethers.parseUnits(`${i + 1}.5`, 18));
+      }
+
+      // Bad rows, the contract itself and oversized lists are refused before anything is requested
+      const bad = rows([["a", recipients[0].address, "1"], ["b", recipients[0].address, "2"], ["c", contractAddress, "1"]]);
+      expect(() => buildBatchFromList(bad, { contract: contractAddress, balance }))
+        .to.throw(/line 3 \(b\): duplicate of line 2\n  line 4 \(c\): recipient is the sender/);
+      const tooMany = rows(Array.from({ length: 201 }, (_, i) => [`r${i}`, ethers.getAddress(ethers.toBeHex(i + 1, 20)), "1"]));
+      expect(() => buildBatchFromList(tooMany, { contract: contractAddress, balance })).to.throw("has 201 rows but a batch takes at most 200");
+    });
+
+    it("Should adopt operations requested by an interrupted run", async function () {
+      const journal = await multisigJournal();
+      const plan = validateDistribution(
+        rows([["a", recipients[0].address, "5"], ["b", recipients[1].address, "6"]]),
+        { decimals: 18, sender: contractAddress }
+      );
+
+      // Requested on-chain, but never written to the journal
+      await requestOperation(liberdus, buildOperation("distribute", { to: recipients[1].address, amount: "6" }));
+
+      await recoverDistributionOperations(liberdus, owner.address, plan.entries, journal);
+      expect(journal.get(plan.entries[1].rowId).status).to.equal("requested");
+
+      await requestDistributionOperations(liberdus, plan.entries, journal);
+      expect(pendingOperationIds(plan.entries, journal)).to.have.length(2);
+      expect(await liberdus.operationCount()).to.equal(4n);
+    });
+
+    it("Should request expired operations again", async function () {
+      const journal = await multisigJournal();
+      const plan = validateDistribution(rows([["a", recipients[0].address, "5"]]), { decimals: 18, sender: contractAddress });
+      await requestDistributionOperations(liberdus, plan.entries, journal);
+      const [first] = pendingOperationIds(plan.entries, journal);
+
+      await network.provider.send("evm_increaseTime", [3 * 24 * 60 * 60 + 1]);
+      await network.provider.send("evm_mine");
+      await trackDistributionOperations(liberdus, plan.entries, journal);
+      expect(journal.get(plan.entries[0].rowId).status).to.equal("expired");
+
+      await requestDistributionOperations(liberdus, plan.entries, journal);
+      const [second] = pendingOperationIds(plan.entries, journal);
+      expect(second).to.not.equal(first);
+    });
+
+    it("Should not request cancelled operations again", async function () {
+      const journal = await multisigJournal();
+      const plan = validateDistribution(rows([["a", recipients[0].address, "5"]]), { decimals: 18, sender: contractAddress });
+      await requestDistributionOperations(liberdus, plan.entries, journal);
+      const [operationId] = pendingOperationIds(plan.entries, journal);
+
+      await liberdus.cancelOperation(operationId);
+      await trackDistributionOperations(liberdus, plan.entries, journal);
+      expect(journal.get(plan.entries[0].rowId).status).to.equal("cancelled");
+
+      await requestDistributionOperations(liberdus, plan.entries, journal);
+      expect(pendingOperationIds(plan.entries, journal)).to.have.length(0);
+      expect(summarizeOperations(plan.entries, journal).summary.cancelled).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { checkConfig, readConfig, compareBytecode } = require("../scripts/lib/drift");
+const { deployLiberdus, executeOperation } = require("./helpers");
+
+describe("Configuration drift checker", function () {
+  let liberdus;
+  let signers;
+  let chainId;
+
+  beforeEach(async function () {
+    ({ token: liberdus, signers, chainId } = await deployLiberdus());
+  });
+
+  it("Should find no drift against the deployment's own config", async function () {
+    const config = await readConfig(liberdus);
+    expect(config.signers).to.deep.equal(signers.map(s => s.address));
+    expect(config.maxBridgeInAmount).to.equal("10000.0");
+    expect(config.executionDelays.PostLaunch).to.equal(172800);
+
+    expect(await checkConfig(liberdus, config)).to.deep.equal([]);
+  });
+
+  it("Should report drift field by field", async function () {
+    await executeOperation(liberdus, "pause");
+
+    const drift = await checkConfig(liberdus, {
+      signers: [signers[1], signers[0], signers[2], signers[3]].map(s => s.address),
+      chainId: chainId.toString(),
+      maxBridgeInAmount: "10000",
+      paused: false,
+      supportedChains: { "137": true },
+      executionDelays: { Pause: 0 },
+      bridgeInCooldown: 60
+    });
+
+    expect(drift.map(d => d.field)).to.deep.equal(["signers", "paused", "supportedChains.137", "bridgeInCooldown"]);
+    expect(drift[1]).to.deep.equal({ field: "paused", expected: "false", actual: "true" });
+    expect(drift[3].error).to.equal("unknown field");
+  });
+
+  it("Should match deployed bytecode with immutables masked", async function () {
+    // A different configured chainId only changes an immutable
+    const { token: other } = await deployLiberdus({ chainId: chainId + 7n });
+
+    expect(await compareBytecode(hre, await liberdus.getAddress())).to.deep.equal({ result: "match" });
+    expect(await compareBytecode(hre, await other.getAddress())).to.deep.equal({ result: "match" });
+
+    const notLiberdus = await compareBytecode(hre, signers[0].address);
+    expect(notLiberdus.result).to.equal("mismatch");
+  });
+});
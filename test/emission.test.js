@@ -0,0 +1,78 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildOperation, requestOperation } = require("../scripts/lib/operations");
+const {
+  MINT_INTERVAL,
+  MINT_AMOUNT,
+  MAX_SUPPLY,
+  simulatedEmission,
+  readEmission,
+  planEmission,
+  findSupplyTarget,
+  findExpiringMints,
+  planToCsv
+} = require("../scripts/lib/emission");
+const { deployLiberdus, executeOperation } = require("./helpers");
+
+describe("Emission planner", function () {
+  let liberdus;
+
+  beforeEach(async function () {
+    ({ token: liberdus } = await deployLiberdus());
+  });
+
+  it("Should mirror the contract's emission constants", async function () {
+    expect(await liberdus.MINT_INTERVAL()).to.equal(MINT_INTERVAL);
+    expect(await liberdus.MINT_AMOUNT()).to.equal(MINT_AMOUNT);
+    expect(await liberdus.MAX_SUPPLY()).to.equal(MAX_SUPPLY);
+  });
+
+  it("Should plan all 70 mints of a fresh deployment", async function () {
+    const steps = planEmission(simulatedEmission(1000));
+
+    expect(steps).to.have.length(70);
+    expect(steps[0].time).to.equal(1000n);
+    expect(steps[1].time - steps[0].time).to.equal(MINT_INTERVAL);
+    expect(steps[69].supplyAfter).to.equal(MAX_SUPPLY);
+    expect(findSupplyTarget(steps, ethers.parseUnits("100000000", 18)).step).to.equal(34);
+    expect(findSupplyTarget(steps, MAX_SUPPLY + 1n)).to.be.null;
+
+    const [header, first] = planToCsv(steps).split("\n");
+    expect(header).to.equal("step,timestamp,date,amount,supplyAfter");
+    expect(first).to.equal("1,1000,1970-01-01T00:16:40.000Z,3000000.0,3000000.0");
+  });
+
+  it("Should plan from a deployment's last mint and stop after launch", async function () {
+    await executeOperation(liberdus, "mint");
+    const emission = await readEmission(liberdus);
+    const steps = planEmission(emission);
+
+    expect(emission.totalSupply).to.equal(MINT_AMOUNT);
+    expect(steps).to.have.length(69);
+    expect(emission.nextMintTime).to.equal(emission.lastMintTime + MINT_INTERVAL);
+    expect(steps[0].time).to.equal(emission.nextMintTime);
+    expect(steps[0].supplyAfter).to.equal(MINT_AMOUNT * 2n);
+
+    // Once the interval has passed, the next mint is allowed straight away
+    await time.increase(MINT_INTERVAL + 100n);
+    const later = await readEmission(liberdus);
+    expect(planEmission(later)[0].time).to.equal(later.now);
+
+    expect(planEmission({ ...later, isPreLaunch: false })).to.deep.equal([]);
+  });
+
+  it("Should warn about pending mints that expire before the interval opens", async function () {
+    await executeOperation(liberdus, "mint");
+    const { operationId } = await requestOperation(liberdus, buildOperation("mint"));
+
+    const warnings = await findExpiringMints(liberdus, await readEmission(liberdus));
+    expect(warnings.map(w => w.operationId)).to.deep.equal([operationId]);
+    expect(warnings[0].opensAt).to.equal(await liberdus.getNextMintTime());
+
+    // Requested close enough to the interval, the mint can still execute
+    await time.increase(MINT_INTERVAL - 2n * 86400n);
+    await requestOperation(liberdus, buildOperation("mint"));
+    expect(await findExpiringMints(liberdus, await readEmission(liberdus))).to.have.length(0);
+  });
+});
@@ -0,0 +1,181 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+  scanSource,
+  parseImport,
+  resolveImport,
+  combineLicenses,
+  flatten,
+  compareFlattenedBytecode
+} = require("../scripts/lib/flatten");
+
+describe("Flattener", function () {
+  let root;
+
+  function write(file, content) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  }
+
+  beforeEach(function () {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "flatten-"));
+    write("node_modules/@lib/math/package.json", JSON.stringify({ name: "@lib/math", version: "1.2.3" }));
+    write("node_modules/@lib/math/src/Math.sol", [
+      "// SPDX-License-Identifier: Apache-2.0",
+      "pragma solidity >=0.8.0;",
+      "",
+      "/// @notice Kept as is",
+      "library Math {",
+      "    function max(uint256 a, uint256 b) internal pure returns (uint256) {",
+      "        return a > b ? a : b;",
+      "    }",
+      "}",
+      ""
+    ].join("\n"));
+    write("contracts/Base.sol", [
+      "// SPDX-License-Identifier: MIT",
+      "pragma solidity ^0.8.20;",
+      "",
+      "import {Math} from \"math/Math.sol\";",
+      "",
+      "abstract contract Base {",
+      "    string internal constant NOTE = \"import './Nope.sol';\";",
+      "}",
+      ""
+    ].join("\n"));
+    write("contracts/Token.sol", [
+      "// SPDX-License-Identifier: MIT",
+      "pragma solidity ^0.8.20;",
+      "pragma abicoder v2;",
+      "",
+      "import \"./Base.sol\";",
+      "// import \"./Missing.sol\";",
+      "import {Math} from '@lib/math/src/Math.sol';",
+      "",
+      "contract Token is Base {",
+      "    /* pragma solidity 0.4.0; */",
+      "    function pick(uint256 a, uint256 b) external pure returns (uint256) {",
+      "        return Math.max(a, b);",
+      "    }",
+      "}",
+      ""
+    ].join("\n"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it("Should parse every import form", function () {
+    expect(parseImport("import \"./A.sol\";")).to.deep.equal({ path: "./A.sol", unitAlias: null, symbols: null });
+    expect(parseImport("import './A.sol' as A;")).to.deep.equal({ path: "./A.sol", unitAlias: "A", symbols: null });
+    expect(parseImport("import * as A from \"./A.sol\";")).to.deep.equal({ path: "./A.sol", unitAlias: "A", symbols: null });
+    expect(parseImport("import {\n  X,\n  Y as Z // renamed\n} from \"./A.sol\";")).to.deep.equal({
+      path: "./A.sol",
+      unitAlias: null,
+      symbols: [{ name: "X", alias: null }, { name: "Y", alias: "Z" }]
+    });
+    expect(() => parseImport("import A from \"./A.sol\";")).to.throw("Unsupported import directive");
+  });
+
+  it("Should only find top-level directives", function () {
+    const { directives } = scanSource(fs.readFileSync(path.join(root, "contracts/Token.sol"), "utf8"));
+    expect(directives.map(d => d.text)).to.deep.equal([
+      "pragma solidity ^0.8.20;",
+      "pragma abicoder v2;",
+      "import \"./Base.sol\";",
+      "import {Math} from '@lib/math/src/Math.sol';"
+    ]);
+  });
+
+  it("Should resolve relative imports and remappings like solc", function () {
+    const remappings = ["math/=@lib/math/src/", "contracts/:math/=@other/", "@lib/=@lib/"];
+    expect(resolveImport("../utils/A.sol", "contracts/token/T.sol")).to.equal("contracts/utils/A.sol");
+    expect(resolveImport("math/Math.sol", "test/T.sol", remappings)).to.equal("@lib/math/src/Math.sol");
+    expect(resolveImport("math/Math.sol", "contracts/T.sol", remappings)).to.equal("@other/Math.sol");
+    expect(() => resolveImport("../../A.sol", "contracts/T.sol")).to.throw("leaves the project");
+  });
+
+  it("Should flatten dependencies first with one header and every comment", function () {
+    const { content, sourceNames } = flatten("contracts/Token.sol", { root, remappings: ["math/=@lib/math/src/"] });
+
+    expect(sourceNames).to.deep.equal(["@lib/math/src/Math.sol", "contracts/Base.sol", "contracts/Token.sol"]);
+    expect(content.match(/SPDX-License-Identifier/g)).to.have.length(1);
+    expect(content).to.include("// SPDX-License-Identifier: Apache-2.0 AND MIT\npragma solidity >=0.8.0;\npragma solidity ^0.8.20;\npragma abicoder v2;\n");
+    expect(content).to.include("// File @lib/math/src/Math.sol@v1.2.3\n\n// Original license: SPDX_License_Identifier: Apache-2.0\n\n/// @notice Kept as is");
+    expect(content).to.include("// import \"./Missing.sol\";");
+    expect(content).to.include("/* pragma solidity 0.4.0; */");
+    expect(content).to.include("\"import './Nope.sol';\"");
+    expect(content).not.to.match(/^import /m);
+
+    expect(flatten("contracts/Token.sol", { root, remappings: ["math/=@lib/math/src/"] }).content).to.equal(content);
+  });
+
+  it("Should rewrite aliased imports to the names they refer to", function () {
+    write("contracts/Aliased.sol", [
+      "pragma solidity ^0.8.20;",
+      "",
+      "import {Math as M} from \"@lib/math/src/Math.sol\";",
+      "import * as MathUnit from \"@lib/math/src/Math.sol\";",
+      "import \"./Base.sol\" as BaseUnit;",
+      "",
+      "contract Aliased is BaseUnit.Base {",
+      "    // M.max stays as written in comments",
+      "    function pick(uint256 a) external pure returns (uint256) {",
+      "        return M.max(a, 1) + MathUnit . Math.max(a, 2);",
+      "    }",
+      "}",
+      ""
+    ].join("\n"));
+    // Names seen through an import of a file with aliases resolve the same way
+    write("contracts/User.sol", [
+      "pragma solidity ^0.8.20;",
+      "",
+      "import {M, Aliased as A} from \"./Aliased.sol\";",
+      "",
+      "contract User is A {",
+      "    uint256 public constant LARGER = M.max(1, 2);",
+      "}",
+      ""
+    ].join("\n"));
+
+    const { content } = flatten("contracts/User.sol", { root, remappings: ["math/=@lib/math/src/"] });
+    expect(content).to.include("contract Aliased is Base {");
+    expect(content).to.include("// M.max stays as written in comments");
+    expect(content).to.include("return Math.max(a, 1) + Math.max(a, 2);");
+    expect(content).to.include("contract User is Aliased {\n    uint256 public constant LARGER = Math.max(1, 2);");
+    expect(content).not.to.match(/MathUnit|BaseUnit/);
+  });
+
+  it("Should refuse what can't be flattened", function () {
+    write("contracts/Unit.sol", "pragma solidity ^0.8.20;\nimport \"./Base.sol\" as B;\nfunction f() pure returns (uint256) { return B; }\n");
+    expect(() => flatten("contracts/Unit.sol", { root, remappings: ["math/=@lib/math/src/"] })).to.throw("contracts/Unit.sol uses B other than as B.<name>");
+
+    write("contracts/V1.sol", "pragma solidity ^0.8.20;\npragma abicoder v1;\nimport \"./Token.sol\";\n");
+    expect(() => flatten("contracts/V1.sol", { root, remappings: ["math/=@lib/math/src/"] })).to.throw("Conflicting ABI coder pragmas");
+
+    expect(() => flatten("contracts/Nope.sol", { root })).to.throw("Source contracts/Nope.sol not found");
+  });
+
+  it("Should combine licenses into one SPDX expression", function () {
+    expect(combineLicenses(["MIT", null, "MIT"])).to.equal("MIT");
+    expect(combineLicenses(["MIT", "GPL-2.0-or-later OR MIT"])).to.equal("MIT AND (GPL-2.0-or-later OR MIT)");
+    expect(combineLicenses([null])).to.equal(null);
+  });
+
+  it("Should keep the committed Liberdus.flat.sol reproducible and equivalent", async function () {
+    this.timeout(120000);
+    const flattened = flatten("contracts/Liberdus.sol", { root: hre.config.paths.root });
+    expect(flattened.content).to.equal(fs.readFileSync(path.join(hre.config.paths.root, "flattened/Liberdus.flat.sol"), "utf8"));
+
+    expect(await compareFlattenedBytecode(hre, "contracts/Liberdus.sol", flattened)).to.deep.equal({ match: true, differences: [] });
+
+    const changed = { ...flattened, content: flattened.content.replace("MAX_SUPPLY = 210_000_000", "MAX_SUPPLY = 210_000_001") };
+    const { match, differences } = await compareFlattenedBytecode(hre, "contracts/Liberdus.sol", changed);
+    expect(match).to.equal(false);
+    expect(differences).to.deep.equal(["Liberdus (contracts/Liberdus.sol) compiles to different bytecode"]);
+  });
+});
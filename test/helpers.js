@@ -0,0 +1,37 @@
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildOperation, requestOperation, signOperation } = require("../scripts/lib/operations");
+
+// Deploys Liberdus with the first four accounts as signers and a threshold of
+// three, on the in-process network's chain id unless another is given
+async function deployLiberdus({ chainId } = {}) {
+  const signers = (await ethers.getSigners()).slice(0, 4);
+  if (chainId === undefined) {
+    chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+  }
+  const LiberdusToken = await ethers.getContractFactory("Liberdus");
+  const token = await LiberdusToken.deploy(signers.map(s => s.address), 3, chainId);
+  await token.waitForDeployment();
+  return { token, signers, chainId };
+}
+
+// Requests an operation and signs it with the first three signers. A
+// timelocked one is executed once its delay has passed. `operation` is a
+// multisig command for buildOperation or an operation that is already built.
+async function executeOperation(token, operation, args) {
+  const built = typeof operation === "string" ? buildOperation(operation, args) : operation;
+  const { operationId } = await requestOperation(token, built);
+  for (const signer of (await ethers.getSigners()).slice(0, 3)) {
+    await token.connect(signer).submitSignature(operationId, await signOperation(token, signer, operationId));
+  }
+  const { executableAt } = await token.getOperation(operationId);
+  if (executableAt > 0n) {
+    if (executableAt > BigInt(await time.latest())) {
+      await time.increaseTo(executableAt);
+    }
+    await token.executeOperation(operationId);
+  }
+  return operationId;
+}
+
+module.exports = { deployLiberdus, executeOperation };
@@ -0,0 +1,166 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { buildOperation, requestOperation, signOperation } = require("../scripts/lib/operations");
+const { openIndexStore, syncIndex, queryOperations, createApiServer } = require("../scripts/lib/indexer");
+const { deployLiberdus, executeOperation } = require("./helpers");
+
+describe("Operation indexer", function () {
+  let liberdus;
+  let signers;
+  let store;
+
+  async function request(command, args) {
+    const { operationId } = await requestOperation(liberdus, buildOperation(command, args));
+    return operationId;
+  }
+
+  async function sign(operationId, count) {
+    for (const signer of signers.slice(0, count)) {
+      await liberdus.connect(signer).submitSignature(operationId, await signOperation(liberdus, signer, operationId));
+    }
+  }
+
+  beforeEach(async function () {
+    const deployment = await deployLiberdus();
+    ({ token: liberdus, signers } = deployment);
+
+    const storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "index.json");
+    store = openIndexStore(storePath, {
+      contract: await liberdus.getAddress(),
+      chainId: deployment.chainId,
+      startBlock: (await liberdus.deploymentTransaction().wait()).blockNumber
+    });
+  });
+
+  it("Should report pending, executed and expired operations with per-signer status", async function () {
+    const expiring = await request("pause");
+    await network.provider.send("evm_increaseTime", [3 * 24 * 60 * 60 + 1]);
+    await network.provider.send("evm_mine");
+
+    const mint = await executeOperation(liberdus, "mint");
+    const pending = await request("distribute", { to: signers[3].address, amount: "10" });
+    await sign(pending, 2);
+
+    await syncIndex(liberdus, store);
+
+    const [executed] = queryOperations(store.data, { status: "executed" });
+    expect(executed.operationId).to.equal(mint);
+    expect(executed.effects.map(e => e.event)).to.deep.equal(["MintExecuted"]);
+
+    const [expired] = queryOperations(store.data, { status: "expired" });
+    expect(expired.operationId).to.equal(expiring);
+
+    const [open] = queryOperations(store.data, { status: "pending" });
+    expect(open.operationId).to.equal(pending);
+    expect(open.numSignatures).to.equal(2);
+    expect(open.expiresIn).to.be.greaterThan(0);
+    expect(open.signers.map(s => s.signed)).to.deep.equal([true, true, false, false]);
+
+    expect(queryOperations(store.data, { status: "pending", signer: signers[0].address })).to.have.length(0);
+    expect(queryOperations(store.data, { status: "pending", signer: signers[3].address })).to.have.length(1);
+  });
+
+  it("Should follow revoked signatures, cancelled and queued operations", async function () {
+    const revoked = await request("pause");
+    await sign(revoked, 2);
+    await liberdus.connect(signers[1]).revokeSignature(revoked);
+    const cancelled = await request("mint");
+    await liberdus.connect(signers[2]).cancelOperation(cancelled);
+    const queued = await request("post-launch");
+    await sign(queued, 3);
+    await liberdus.connect(signers[3]).cancelOperation(queued);
+
+    await syncIndex(liberdus, store);
+
+    const [open] = queryOperations(store.data, { status: "pending" });
+    expect(open.operationId).to.equal(revoked);
+    expect(open.signers.map(s => s.signed)).to.deep.equal([true, false, false, false]);
+
+    const [stopped] = queryOperations(store.data, { status: "cancelled" });
+    expect(stopped.operationId).to.equal(cancelled);
+    expect(stopped.cancelled.by).to.equal(signers[2].address);
+
+    const [waiting] = queryOperations(store.data, { status: "queued" });
+    expect(waiting.operationId).to.equal(queued);
+    expect(waiting.queued.executableAt).to.equal(Number((await liberdus.getOperation(queued)).executableAt));
+    expect(waiting.cancelApprovals.map(a => a.signer)).to.deep.equal([signers[3].address]);
+  });
+
+  it("Should keep an operation queued while a revoke leaves it at quorum and requeue it below", async function () {
+    // All four signatures land in one call, so the operation is queued with
+    // one more than the threshold of three
+    const operationId = await request("post-launch");
+    const signatures = [];
+    for (const signer of signers) {
+      signatures.push(await signOperation(liberdus, signer, operationId));
+    }
+    await liberdus.submitSignatures(operationId, signatures);
+    await liberdus.connect(signers[3]).revokeSignature(operationId);
+    expect((await liberdus.getOperation(operationId)).executableAt).to.be.greaterThan(0n);
+
+    await syncIndex(liberdus, store);
+    const [waiting] = queryOperations(store.data, { status: "queued" });
+    expect(waiting.operationId).to.equal(operationId);
+    expect(waiting.numSignatures).to.equal(3);
+
+    // The contract's OperationRequeued moves it back to pending with a fresh
+    // deadline and drops the cancel approvals given while it was queued
+    await liberdus.connect(signers[0]).cancelOperation(operationId);
+    await network.provider.send("evm_increaseTime", [3 * 24 * 60 * 60 + 1]);
+    await liberdus.connect(signers[2]).revokeSignature(operationId);
+    await syncIndex(liberdus, store);
+    expect(queryOperations(store.data, { status: "queued" })).to.have.length(0);
+    const [requeued] = queryOperations(store.data, { status: "pending" });
+    expect(requeued.operationId).to.equal(operationId);
+    expect(requeued.deadline).to.equal(Number((await liberdus.getOperation(operationId)).deadline));
+    expect(requeued.expiresIn).to.be.greaterThan(0);
+    expect(requeued.cancelApprovals).to.have.length(0);
+  });
+
+  it("Should roll back operations that a reorg removed", async function () {
+    const kept = await request("mint");
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    const orphaned = await request("pause");
+    await syncIndex(liberdus, store);
+    expect(queryOperations(store.data).map(o => o.operationId)).to.have.members([kept, orphaned]);
+
+    // Replace the blocks holding the pause request with a different branch
+    await network.provider.send("evm_revert", [snapshot]);
+    const replacement = await request("unpause");
+    await network.provider.send("evm_mine");
+
+    const { reorged } = await syncIndex(liberdus, store);
+    expect(reorged).to.be.greaterThan(0);
+    expect(queryOperations(store.data).map(o => o.operationId)).to.have.members([kept, replacement]);
+  });
+
+  it("Should serve operations over HTTP", async function () {
+    const operationId = await request("mint");
+    await sign(operationId, 1);
+    await syncIndex(liberdus, store);
+
+    const server = createApiServer(store);
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const pending = await (await fetch(`${base}/operations/pending`)).json();
+      expect(pending.map(o => o.operationId)).to.deep.equal([operationId]);
+
+      const operation = await (await fetch(`${base}/operations/${operationId}`)).json();
+      expect(operation.opType).to.equal("Mint");
+      expect(operation.signers[0]).to.deep.equal({ signer: signers[0].address, signed: true });
+
+      const awaiting = await (await fetch(`${base}/signers/${signers[1].address}/pending`)).json();
+      expect(awaiting).to.have.length(1);
+
+      expect((await fetch(`${base}/operations/${ethers.ZeroHash}`)).status).to.equal(404);
+      expect((await fetch(`${base}/operations?status=bogus`)).status).to.equal(400);
+    } finally {
+      server.close();
+    }
+  });
+});
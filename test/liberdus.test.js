@@ -1,5 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signOperation, buildTypedOperation, computeOperationHash, computeOperationId } = require("../scripts/lib/operations");
 const { ZeroAddress } = ethers;
 
 describe("LiberdusToken", function () {
@@ -13,6 +16,8 @@ describe("LiberdusToken", function () {
   let recipient;
   let bridgeInCaller;
   let signers;
+  let chainId;
+  let peerChainId;
 
   async function requestAndSignOperation(operationType, target, value, data) {
     const tx = await liberdus.requestOperation(operationType, target, value, data);
@@ -21,16 +26,40 @@ describe("LiberdusToken", function () {
     const operationRequestedEvent = receipt.logs.find(log => log.fragment.name === 'OperationRequested');
     const operationId = operationRequestedEvent.args.operationId;
 
-    // Modified to only get 3 signatures regardless of number of signers
-    for (let i = 0; i < 3; i++) {
-      const messageHash = await liberdus.getOperationHash(operationId);
-      const signature = await signers[i].signMessage(ethers.getBytes(messageHash));
-      await liberdus.connect(signers[i]).submitSignature(operationId, signature);
+    // Sign with just enough signers; the one an UpdateSigner or RemoveSigner
+    // targets cannot approve
+    const approvers = signers.filter(s => !((operationType === 7 || operationType === 13) && s.address === target))
+    const required = Number(await liberdus.requiredSignatures())
+    for (let i = 0; i < required; i++) {
+      const signature = await signOperation(liberdus, approvers[i], operationId);
+      await liberdus.connect(approvers[i]).submitSignature(operationId, signature);
+    }
+
+    // Delayed operation types are queued on quorum; wait out the delay and execute
+    const { executableAt } = await liberdus.getOperation(operationId)
+    if (executableAt > 0) {
+      await time.increaseTo(executableAt)
+      await liberdus.executeOperation(operationId)
     }
 
     return operationId
   }
 
+  // Deterministic, strictly ascending recipient addresses for batch tests
+  function batchRecipients(count) {
+    return Array.from({ length: count }, (_, i) => ethers.getAddress(ethers.dataSlice(ethers.id(`recipient${i}`), 12)))
+      .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1))
+  }
+
+  function encodeBatch(recipients, amounts) {
+    return ethers.AbiCoder.defaultAbiCoder().encode(['address[]', 'uint256[]'], [recipients, amounts])
+  }
+
+  async function setSupportedChain(peerChainId, supported) {
+    const data = ethers.AbiCoder.defaultAbiCoder().encode(['bool'], [supported])
+    return requestAndSignOperation(10, ZeroAddress, peerChainId, data)
+  }
+
   beforeEach(async function () {
     const accounts = await ethers.getSigners();
     // Modified to include signer4
@@ -39,10 +68,11 @@ describe("LiberdusToken", function () {
     signers = [owner, signer1, signer2, signer3]
 
     chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+    peerChainId = chainId + BigInt(1);
 
     const LiberdusToken = await ethers.getContractFactory("Liberdus");
     // Modified constructor call to include 4 signers
-    liberdus = await LiberdusToken.deploy([owner.address, signer1.address, signer2.address, signer3.address], chainId)
+    liberdus = await LiberdusToken.deploy([owner.address, signer1.address, signer2.address, signer3.address], 3, chainId)
     await liberdus.waitForDeployment();
   });
 
@@ -125,8 +155,7 @@ describe("LiberdusToken", function () {
     const operationRequestedEvent = receipt.logs.find(log => log.fragment.name === 'OperationRequested');
     const operationId = operationRequestedEvent.args.operationId;
 
-    const messageHash = await liberdus.getOperationHash(operationId);
-    const ownerSignature = await owner.signMessage(ethers.getBytes(messageHash));
+    const ownerSignature = await signOperation(liberdus, owner, operationId);
 
     await expect(
       liberdus.connect(signer1).submitSignature(operationId, ownerSignature)
@@ -137,6 +166,73 @@ describe("LiberdusToken", function () {
     expect(operation.numSignatures).to.equal(0);
   });
 
+  it('Should let anyone relay collected signatures and execute in the same call', async function () {
+    const tx = await liberdus.requestOperation(0, owner.address, 0, '0x')
+    const operationId = (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+
+    const signatures = []
+    for (const signer of [owner, signer1, signer2]) {
+      signatures.push(await signOperation(liberdus, signer, operationId))
+    }
+
+    await expect(liberdus.connect(recipient).submitSignatures(operationId, signatures))
+      .to.emit(liberdus, 'SignatureSubmitted').withArgs(operationId, signer2.address, 3, 3, anyValue)
+      .and.to.emit(liberdus, 'MintExecuted')
+
+    const operation = await liberdus.getOperation(operationId)
+    expect(operation.executed).to.be.true
+    expect(operation.signed).to.deep.equal([true, true, true, false])
+  })
+
+  it('Should prevent relayed signature replay across operations, chains and signer changes', async function () {
+    const request = async () => {
+      const tx = await liberdus.requestOperation(0, owner.address, 0, '0x')
+      return (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+    }
+    const operationId = await request()
+    const otherId = await request()
+    const contract = await liberdus.getAddress()
+
+    // The same signature twice in one batch, or after the signer submitted it
+    const ownerSignature = await signOperation(liberdus, owner, operationId)
+    await expect(
+      liberdus.connect(recipient).submitSignatures(operationId, [ownerSignature, ownerSignature])
+    ).to.be.revertedWith('Signature already submitted')
+    await liberdus.connect(owner).submitSignature(operationId, ownerSignature)
+    await expect(
+      liberdus.connect(recipient).submitSignatures(operationId, [ownerSignature])
+    ).to.be.revertedWith('Signature already submitted')
+
+    // A signature for another operation recovers to some other address
+    await expect(
+      liberdus.connect(recipient).submitSignatures(otherId, [ownerSignature])
+    ).to.be.revertedWith('Invalid signature')
+
+    // Signatures over this operation for another chain or another deployment
+    const otherDomains = [
+      { chainId: chainId + BigInt(1), contract },
+      { chainId, contract: recipient.address }
+    ]
+    for (const domain of otherDomains) {
+      const typed = buildTypedOperation({ operationId, opType: 0, target: owner.address, value: 0, data: '0x', ...domain })
+      const signature = await signer1.signTypedData(typed.domain, typed.types, typed.message)
+      await expect(
+        liberdus.connect(recipient).submitSignatures(operationId, [signature])
+      ).to.be.revertedWith('Invalid signature')
+    }
+
+    // A signature collected before its signer was removed
+    const staleSignature = await signOperation(liberdus, signer3, operationId)
+    await requestAndSignOperation(13, signer3.address, 0, '0x')
+    await expect(
+      liberdus.connect(recipient).submitSignatures(operationId, [staleSignature])
+    ).to.be.revertedWith('Invalid signature')
+
+    const operation = await liberdus.getOperation(operationId)
+    expect(operation.numSignatures).to.equal(1)
+    expect(operation.executed).to.be.false
+  })
+
   it("Should validate correct signer is submitting their own signature", async function () {
     const operationType = 0; // Mint operation
     const target = owner.address;
@@ -151,8 +247,7 @@ describe("LiberdusToken", function () {
 
     const signatures = [];
     for (let i = 0; i < 3; i++) { // Modified to only use 3 signatures
-      const messageHash = await liberdus.getOperationHash(operationId);
-      signatures[i] = await signers[i].signMessage(ethers.getBytes(messageHash));
+      signatures[i] = await signOperation(liberdus, signers[i], operationId);
     }
 
     await expect(
@@ -198,18 +293,23 @@ describe("LiberdusToken", function () {
     expect(await liberdus.isPreLaunch()).to.be.false;
   });
 
-  it("Should allow bridging in and out in post-launch mode with correct chain ID", async function () {
+  it("Should allow bridging in and out in post-launch mode with a supported peer chain", async function () {
     await requestAndSignOperation(2, ZeroAddress, 0, "0x");
     await requestAndSignOperation(5, bridgeInCaller.address, 0, "0x");
+    await setSupportedChain(peerChainId, true);
 
     const bridgeInAmount = ethers.parseUnits("1000", 18);
-    await liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, bridgeInAmount, chainId, ethers.id("testTxId"));
+    await expect(
+      liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, bridgeInAmount, peerChainId, ethers.id("testTxId"))
+    ).to.emit(liberdus, "BridgedIn").withArgs(recipient.address, bridgeInAmount, peerChainId, ethers.id("testTxId"), anyValue);
 
     let recipientBalance = await liberdus.balanceOf(recipient.address);
     expect(ethers.formatUnits(recipientBalance, 18)).to.equal("1000.0");
 
     const bridgeOutAmount = ethers.parseUnits("500", 18);
-    await liberdus.connect(recipient).bridgeOut(bridgeOutAmount, owner.address, chainId);
+    await expect(
+      liberdus.connect(recipient).bridgeOut(bridgeOutAmount, owner.address, peerChainId)
+    ).to.emit(liberdus, "BridgedOut").withArgs(recipient.address, bridgeOutAmount, owner.address, peerChainId, anyValue);
 
     recipientBalance = await liberdus.balanceOf(recipient.address);
     expect(ethers.formatUnits(recipientBalance, 18)).to.equal("500.0");
@@ -218,27 +318,148 @@ describe("LiberdusToken", function () {
     expect(ethers.formatUnits(totalSupplyAfterBridgeOut, 18)).to.equal("500.0");
   });
 
-  it("Should not allow bridging in with incorrect chain ID", async function () {
+  it('Should burn unallocated tokens after launch', async function () {
+    await requestAndSignOperation(0, owner.address, 0, '0x')
+    await requestAndSignOperation(2, ZeroAddress, 0, '0x')
+
+    const amount = ethers.parseUnits('1000000', 18)
+    await requestAndSignOperation(1, ZeroAddress, amount, '0x')
+
+    expect(await liberdus.balanceOf(await liberdus.getAddress())).to.equal(ethers.parseUnits('2000000', 18))
+    expect(await liberdus.totalSupply()).to.equal(ethers.parseUnits('2000000', 18))
+  })
+
+  it('Should sweep the contract balance to a treasury only after launch', async function () {
+    await requestAndSignOperation(0, owner.address, 0, '0x')
+    await expect(
+      requestAndSignOperation(15, recipient.address, 0, '0x')
+    ).to.be.revertedWith('Sweep is only available post-launch')
+    await expect(
+      liberdus.requestOperation(15, await liberdus.getAddress(), 0, '0x')
+    ).to.be.revertedWith('Invalid treasury')
+
+    await requestAndSignOperation(2, ZeroAddress, 0, '0x')
+    const balance = await liberdus.balanceOf(await liberdus.getAddress())
+    const operationId = await requestAndSignOperation(15, recipient.address, 0, '0x')
+
+    const [event] = await liberdus.queryFilter(liberdus.filters.TreasurySwept(operationId))
+    expect(event.args.amount).to.equal(balance)
+    expect(await liberdus.balanceOf(recipient.address)).to.equal(balance)
+    expect(await liberdus.balanceOf(await liberdus.getAddress())).to.equal(0)
+
+    await expect(
+      requestAndSignOperation(15, recipient.address, 0, '0x')
+    ).to.be.revertedWith('Nothing to sweep')
+  })
+
+  it('Should break the supply down by source in line with totalSupply', async function () {
+    const expectIdentity = async () => {
+      const { minted, bridgedIn, bridgedOut, burned, unallocated } = await liberdus.getSupplyBreakdown()
+      expect(minted + bridgedIn - bridgedOut - burned).to.equal(await liberdus.totalSupply())
+      expect(unallocated).to.equal(await liberdus.balanceOf(await liberdus.getAddress()))
+    }
+    await expectIdentity()
+
+    await requestAndSignOperation(0, owner.address, 0, '0x')
+    await requestAndSignOperation(1, ZeroAddress, ethers.parseUnits('1000', 18), '0x')
+    await requestAndSignOperation(8, recipient.address, ethers.parseUnits('5000', 18), '0x')
+    await expectIdentity()
+
+    await requestAndSignOperation(2, ZeroAddress, 0, '0x')
+    await requestAndSignOperation(5, bridgeInCaller.address, 0, '0x')
+    await setSupportedChain(peerChainId, true)
+    await liberdus.connect(bridgeInCaller).bridgeIn(signer4.address, ethers.parseUnits('700', 18), peerChainId, ethers.id('in'))
+    await liberdus.connect(recipient).bridgeOut(ethers.parseUnits('2000', 18), recipient.address, peerChainId)
+    await liberdus.connect(signer4).bridgeOut(ethers.parseUnits('100', 18), signer4.address, peerChainId)
+    await requestAndSignOperation(1, ZeroAddress, ethers.parseUnits('500', 18), '0x')
+    await requestAndSignOperation(15, owner.address, 0, '0x')
+    await expectIdentity()
+
+    const breakdown = await liberdus.getSupplyBreakdown()
+    expect(breakdown.minted).to.equal(ethers.parseUnits('3000000', 18))
+    expect(breakdown.bridgedIn).to.equal(ethers.parseUnits('700', 18))
+    expect(breakdown.bridgedOut).to.equal(ethers.parseUnits('2100', 18))
+    expect(breakdown.burned).to.equal(ethers.parseUnits('1500', 18))
+    expect(breakdown.unallocated).to.equal(0)
+  })
+
+  it("Should reject a bridge-in txId that was already processed", async function () {
     await requestAndSignOperation(2, ZeroAddress, 0, "0x");
     await requestAndSignOperation(5, bridgeInCaller.address, 0, "0x");
+    await setSupportedChain(peerChainId, true);
+
+    const txId = ethers.id("testTxId");
+    const amount = ethers.parseUnits("1000", 18);
+    expect(await liberdus.isBridgeInProcessed(txId)).to.be.false;
+
+    await liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, amount, peerChainId, txId);
+    expect(await liberdus.isBridgeInProcessed(txId)).to.be.true;
+
+    // Still rejected in a later window
+    await time.increase(24 * 60 * 60);
+    await expect(
+      liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, amount, peerChainId, txId)
+    ).to.be.revertedWith("Bridge-in txId already processed");
+    await expect(
+      liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, amount, peerChainId, ethers.ZeroHash)
+    ).to.be.revertedWith("Invalid txId");
+
+    expect(await liberdus.balanceOf(recipient.address)).to.equal(amount);
+  });
+
+  it("Should not allow bridging in from an unsupported source chain", async function () {
+    await requestAndSignOperation(2, ZeroAddress, 0, "0x");
+    await requestAndSignOperation(5, bridgeInCaller.address, 0, "0x");
+    await setSupportedChain(peerChainId, true);
 
     const bridgeInAmount = ethers.parseUnits("1000", 18);
-    const incorrectChainId = chainId + BigInt(1);
 
+    // The contract's own chain is never a valid source
     await expect(
-      liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, bridgeInAmount, incorrectChainId, ethers.id("testTxId"))
-    ).to.be.revertedWith("Invalid chain ID");
+      liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, bridgeInAmount, chainId, ethers.id("testTxId"))
+    ).to.be.revertedWith("Unsupported source chain");
+    await expect(
+      liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, bridgeInAmount, peerChainId + BigInt(1), ethers.id("testTxId"))
+    ).to.be.revertedWith("Unsupported source chain");
+
+    // Removing a peer closes the route again
+    await setSupportedChain(peerChainId, false);
+    await expect(
+      liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, bridgeInAmount, peerChainId, ethers.id("testTxId"))
+    ).to.be.revertedWith("Unsupported source chain");
   });
 
-  it("Should not allow bridging out with incorrect chain ID", async function () {
+  it("Should not allow bridging out to an unsupported destination chain", async function () {
+    await requestAndSignOperation(0, owner.address, 0, "0x");
+    await requestAndSignOperation(8, recipient.address, ethers.parseUnits("1000", 18), "0x");
     await requestAndSignOperation(2, ZeroAddress, 0, "0x");
+    await setSupportedChain(peerChainId, true);
 
     const bridgeOutAmount = ethers.parseUnits("500", 18);
-    const incorrectChainId = chainId + BigInt(1);
 
     await expect(
-      liberdus.connect(recipient).bridgeOut(bridgeOutAmount, owner.address, incorrectChainId)
-    ).to.be.revertedWith("Invalid chain ID");
+      liberdus.connect(recipient).bridgeOut(bridgeOutAmount, owner.address, chainId)
+    ).to.be.revertedWith("Unsupported destination chain");
+    await expect(
+      liberdus.connect(recipient).bridgeOut(bridgeOutAmount, owner.address, peerChainId + BigInt(1))
+    ).to.be.revertedWith("Unsupported destination chain");
+  });
+
+  it("Should manage the supported chain list through multisig operations", async function () {
+    expect(await liberdus.supportedChains(peerChainId)).to.be.false;
+
+    const operationId = await setSupportedChain(peerChainId, true);
+    expect(await liberdus.supportedChains(peerChainId)).to.be.true;
+    const [event] = await liberdus.queryFilter(liberdus.filters.SupportedChainUpdated(operationId));
+    expect(event.args.chainId).to.equal(peerChainId);
+    expect(event.args.supported).to.be.true;
+
+    await expect(setSupportedChain(peerChainId, true)).to.be.revertedWith("Chain support unchanged");
+    await expect(setSupportedChain(chainId, true)).to.be.revertedWith("Cannot bridge to own chain");
+    await expect(setSupportedChain(0, true)).to.be.revertedWith("Invalid chain ID");
+
+    await setSupportedChain(peerChainId, false);
+    expect(await liberdus.supportedChains(peerChainId)).to.be.false;
   });
 
   it("Should include chain ID in operation hash", async function () {
@@ -260,6 +481,7 @@ describe("LiberdusToken", function () {
     // Modified to use 4 signers in constructor
     const liberdusDifferentChain = await LiberdusTokenDifferentChain.deploy(
       [owner.address, signer1.address, signer2.address, signer3.address],
+      3,
       differentChainId
     )
     await liberdusDifferentChain.waitForDeployment();
@@ -293,8 +515,7 @@ describe("LiberdusToken", function () {
     await network.provider.send("evm_increaseTime", [3 * 24 * 60 * 60 + 1]);
     await network.provider.send("evm_mine");
 
-    const messageHash = await liberdus.getOperationHash(operationId);
-    const signature = await signers[0].signMessage(ethers.getBytes(messageHash));
+    const signature = await signOperation(liberdus, signers[0], operationId);
 
     await expect(
       liberdus.connect(signers[0]).submitSignature(operationId, signature)
@@ -313,8 +534,7 @@ describe("LiberdusToken", function () {
     await network.provider.send("evm_increaseTime", [3 * 24 * 60 * 60 - 60]); // 1 minute before deadline
     await network.provider.send("evm_mine");
 
-    const messageHash = await liberdus.getOperationHash(operationId);
-    const signature = await signers[0].signMessage(ethers.getBytes(messageHash));
+    const signature = await signOperation(liberdus, signers[0], operationId);
 
     await expect(
       liberdus.connect(signers[0]).submitSignature(operationId, signature)
@@ -363,35 +583,145 @@ describe("LiberdusToken", function () {
 
   it("Should set bridge in limits correctly", async function () {
     const newMaxAmount = ethers.parseUnits('20000', 18)
-    const newCooldown = BigInt(2 * 60)
+    const newWindowLimit = ethers.parseUnits('50000', 18)
+    const newWindowDuration = BigInt(60 * 60)
 
     const encodedData = ethers.AbiCoder.defaultAbiCoder().encode(
-      ['uint256'],
-      [newCooldown]
+      ['uint256', 'uint256'],
+      [newWindowLimit, newWindowDuration]
     );
 
     await requestAndSignOperation(6, ZeroAddress, newMaxAmount, encodedData);
 
     expect(await liberdus.maxBridgeInAmount()).to.equal(newMaxAmount);
-    expect(await liberdus.bridgeInCooldown()).to.equal(newCooldown);
+    expect(await liberdus.bridgeInWindowLimit()).to.equal(newWindowLimit);
+    expect(await liberdus.bridgeInWindowDuration()).to.equal(newWindowDuration);
     // Test the new limits
     await requestAndSignOperation(2, ZeroAddress, 0, "0x"); // Switch to post-launch
     await requestAndSignOperation(5, bridgeInCaller.address, 0, "0x"); // Set bridge caller
+    await setSupportedChain(peerChainId, true);
 
     // Try to bridge in more than the new limit
     const tooMuchAmount = ethers.parseUnits("20001", 18);
     await expect(
-      liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, tooMuchAmount, chainId, ethers.id("testTxId"))
+      liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, tooMuchAmount, peerChainId, ethers.id("testTxId"))
     ).to.be.revertedWith("Amount exceeds bridge-in limit");
 
-    // Bridge in valid amount
-    const validAmount = ethers.parseUnits("19999", 18);
-    await liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, validAmount, chainId, ethers.id("testTxId"));
+    // Several transfers in a row are fine while the window has room
+    const validAmount = ethers.parseUnits("20000", 18);
+    await liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, validAmount, peerChainId, ethers.id("testTxId"));
+    await liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, validAmount, peerChainId, ethers.id("testTxId2"));
+
+    await expect(
+      liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, validAmount, peerChainId, ethers.id("testTxId3"))
+    ).to.be.revertedWith("Bridge-in window limit exceeded");
+  });
+
+  it("Should reject bridge in limits with a window limit below the max amount", async function () {
+    const encodedData = ethers.AbiCoder.defaultAbiCoder().encode(
+      ['uint256', 'uint256'],
+      [ethers.parseUnits('1000', 18), 3600]
+    );
+    await expect(
+      requestAndSignOperation(6, ZeroAddress, ethers.parseUnits('2000', 18), encodedData)
+    ).to.be.revertedWith("Window limit below max amount");
 
-    // Try to bridge in again before cooldown
+    const zeroWindow = ethers.AbiCoder.defaultAbiCoder().encode(['uint256', 'uint256'], [ethers.parseUnits('1000', 18), 0]);
     await expect(
-      liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, validAmount, chainId, ethers.id("testTxId"))
-    ).to.be.revertedWith("Bridge-in cooldown not met");
+      requestAndSignOperation(6, ZeroAddress, ethers.parseUnits('1000', 18), zeroWindow)
+    ).to.be.revertedWith("Window duration must be greater than zero");
+  });
+
+  describe("Bridge-in rolling window", function () {
+    const windowLimit = ethers.parseUnits('25000', 18)
+    const windowDuration = 60 * 60
+    // The window is tallied in 24 buckets of 150 seconds
+    const bucketSize = 150n
+
+    const bridgeIn = (amount, id) =>
+      liberdus.connect(bridgeInCaller).bridgeIn(recipient.address, ethers.parseUnits(amount, 18), peerChainId, ethers.id(id))
+
+    // Moves the next block to the start of a bucket, so the bridge-ins that
+    // follow share one bucket
+    async function startOfBucket() {
+      const start = (BigInt(await time.latest()) / bucketSize + 2n) * bucketSize
+      await time.setNextBlockTimestamp(start)
+      return start
+    }
+
+    beforeEach(async function () {
+      const encodedData = ethers.AbiCoder.defaultAbiCoder().encode(['uint256', 'uint256'], [windowLimit, windowDuration]);
+      await requestAndSignOperation(6, ZeroAddress, ethers.parseUnits('10000', 18), encodedData);
+      await requestAndSignOperation(2, ZeroAddress, 0, "0x");
+      await requestAndSignOperation(5, bridgeInCaller.address, 0, "0x");
+      await setSupportedChain(peerChainId, true);
+    });
+
+    it("Should report capacity and restore it a window after each bridge-in", async function () {
+      // Nothing has been bridged in yet, so the whole limit is available
+      expect(await liberdus.getBridgeInCapacity()).to.deep.equal([windowLimit, 0n]);
+
+      const start = await startOfBucket()
+      await bridgeIn("10000", "a");
+      const firstExpiry = start + bucketSize + BigInt(windowDuration)
+      expect(await liberdus.getBridgeInCapacity()).to.deep.equal([ethers.parseUnits('15000', 18), firstExpiry]);
+
+      // Half a window later the first transfer still counts
+      await time.setNextBlockTimestamp(start + BigInt(windowDuration / 2));
+      await bridgeIn("10000", "b");
+      await expect(bridgeIn("10000", "c")).to.be.revertedWith("Bridge-in window limit exceeded");
+      await bridgeIn("5000", "c");
+      expect(await liberdus.getBridgeInCapacity()).to.deep.equal([0n, firstExpiry]);
+
+      // Only the first transfer's share comes back once it has aged out
+      await time.setNextBlockTimestamp(firstExpiry - 1n);
+      await expect(bridgeIn("1", "d")).to.be.revertedWith("Bridge-in window limit exceeded");
+      await time.increaseTo(firstExpiry);
+      const [remaining, increasesAt] = await liberdus.getBridgeInCapacity()
+      expect(remaining).to.equal(ethers.parseUnits('10000', 18));
+      await bridgeIn("10000", "d");
+      await expect(bridgeIn("1", "e")).to.be.revertedWith("Bridge-in window limit exceeded");
+
+      await time.increaseTo(increasesAt);
+      expect((await liberdus.getBridgeInCapacity())[0]).to.equal(ethers.parseUnits('15000', 18));
+      expect(await liberdus.balanceOf(recipient.address)).to.equal(ethers.parseUnits('35000', 18));
+    });
+
+    it("Should never let twice the limit through within one window duration", async function () {
+      // The full limit at the very end of a bucket, then a try at every point
+      // up to one window later
+      const start = await startOfBucket()
+      await time.setNextBlockTimestamp(start + bucketSize - 3n);
+      await bridgeIn("10000", "a");
+      await bridgeIn("10000", "b");
+      await bridgeIn("5000", "c");
+      const lastMint = start + bucketSize - 1n
+
+      for (const offset of [1n, bucketSize, BigInt(windowDuration) / 2n, BigInt(windowDuration) - 1n]) {
+        await time.setNextBlockTimestamp(lastMint + offset);
+        await expect(bridgeIn("1", `try-${offset}`)).to.be.revertedWith("Bridge-in window limit exceeded");
+      }
+
+      // The limit is only available again a full window after the first mint
+      const [, increasesAt] = await liberdus.getBridgeInCapacity()
+      expect(increasesAt - (start + bucketSize - 3n)).to.be.at.least(BigInt(windowDuration));
+      await time.increaseTo(increasesAt);
+      expect(await liberdus.getBridgeInCapacity()).to.deep.equal([windowLimit, 0n]);
+      await bridgeIn("10000", "d");
+    });
+
+    it("Should keep counting earlier bridge-ins when the window duration changes", async function () {
+      await startOfBucket()
+      await bridgeIn("10000", "a");
+      await bridgeIn("10000", "b");
+
+      // A shorter window with other bucket boundaries still sees both transfers
+      const encodedData = ethers.AbiCoder.defaultAbiCoder().encode(['uint256', 'uint256'], [windowLimit, 7 * 60]);
+      await requestAndSignOperation(6, ZeroAddress, ethers.parseUnits('10000', 18), encodedData);
+      expect((await liberdus.getBridgeInCapacity())[0]).to.equal(ethers.parseUnits('5000', 18));
+      await bridgeIn("5000", "c");
+      await expect(bridgeIn("1", "d")).to.be.revertedWith("Bridge-in window limit exceeded");
+    });
   });
 
   // Modified test to require 3 signatures for signer update
@@ -408,11 +738,16 @@ describe("LiberdusToken", function () {
     // Get three signatures (not including the signer being replaced)
     const signersToSign = signers.filter(s => s !== oldSigner).slice(0, 3)
     for (const signer of signersToSign) {
-      const messageHash = await liberdus.getOperationHash(operationId);
-      const signature = await signer.signMessage(ethers.getBytes(messageHash))
+      const signature = await signOperation(liberdus, signer, operationId)
       await liberdus.connect(signer).submitSignature(operationId, signature)
     }
 
+    // Queued behind the UpdateSigner delay
+    expect(await liberdus.isSigner(oldSigner.address)).to.be.true;
+    const { executableAt } = await liberdus.getOperation(operationId);
+    await time.increaseTo(executableAt);
+    await liberdus.connect(recipient).executeOperation(operationId);
+
     // Verify new signer is set
     expect(await liberdus.isSigner(newSigner.address)).to.be.true;
     expect(await liberdus.isSigner(oldSigner.address)).to.be.false;
@@ -422,7 +757,7 @@ describe("LiberdusToken", function () {
     const mintReceipt = await mintOp.wait();
     const mintOpId = mintReceipt.logs.find(log => log.fragment.name === 'OperationRequested').args.operationId;
 
-    const oldSignerSignature = await oldSigner.signMessage(ethers.getBytes(await liberdus.getOperationHash(mintOpId)));
+    const oldSignerSignature = await signOperation(liberdus, oldSigner, mintOpId);
     await expect(
       liberdus.connect(oldSigner).submitSignature(mintOpId, oldSignerSignature)
     ).to.be.revertedWith("Only signers can submit signatures");
@@ -441,8 +776,7 @@ describe("LiberdusToken", function () {
     // Submit only two signatures
     const signersToSign = signers.filter(s => s !== oldSigner).slice(0, 2)
     for (const signer of signersToSign) {
-      const messageHash = await liberdus.getOperationHash(operationId)
-      const signature = await signer.signMessage(ethers.getBytes(messageHash))
+      const signature = await signOperation(liberdus, signer, operationId)
       await liberdus.connect(signer).submitSignature(operationId, signature)
     }
 
@@ -461,8 +795,7 @@ describe("LiberdusToken", function () {
     const operationId = receipt.logs.find(log => log.fragment.name === 'OperationRequested').args.operationId;
 
     // Try to sign with the signer being replaced
-    const messageHash = await liberdus.getOperationHash(operationId);
-    const signature = await oldSigner.signMessage(ethers.getBytes(messageHash));
+    const signature = await signOperation(liberdus, oldSigner, operationId);
 
     await expect(
       liberdus.connect(oldSigner).submitSignature(operationId, signature)
@@ -489,4 +822,691 @@ describe("LiberdusToken", function () {
     const expectedContractBalance = ethers.parseUnits('3000000', 18) - distribution1Amount - distribution2Amount
     expect(await liberdus.balanceOf(await liberdus.getAddress())).to.equal(expectedContractBalance)
   })
+
+  it('Should distribute a batch atomically with one event per recipient', async function () {
+    await requestAndSignOperation(0, owner.address, 0, '0x')
+
+    const recipients = batchRecipients(3)
+    const amounts = [ethers.parseUnits('100', 18), ethers.parseUnits('200', 18), ethers.parseUnits('300', 18)]
+    const total = ethers.parseUnits('600', 18)
+    const operationId = await requestAndSignOperation(9, ZeroAddress, total, encodeBatch(recipients, amounts))
+
+    const events = await liberdus.queryFilter(liberdus.filters.TokensDistributed(operationId))
+    expect(events.map(e => [e.args.recipient, e.args.amount])).to.deep.equal(recipients.map((r, i) => [r, amounts[i]]))
+    for (let i = 0; i < recipients.length; i++) {
+      expect(await liberdus.balanceOf(recipients[i])).to.equal(amounts[i])
+    }
+    expect(await liberdus.balanceOf(await liberdus.getAddress())).to.equal(ethers.parseUnits('3000000', 18) - total)
+  })
+
+  it('Should enforce the batch size limit', async function () {
+    await requestAndSignOperation(0, owner.address, 0, '0x')
+    const maxBatchSize = Number(await liberdus.MAX_BATCH_SIZE())
+    const amount = ethers.parseUnits('1', 18)
+
+    const tooMany = batchRecipients(maxBatchSize + 1)
+    await expect(
+      requestAndSignOperation(9, ZeroAddress, amount * BigInt(tooMany.length), encodeBatch(tooMany, tooMany.map(() => amount)))
+    ).to.be.revertedWith('Batch too large')
+
+    await expect(
+      requestAndSignOperation(9, ZeroAddress, 0, encodeBatch([], []))
+    ).to.be.revertedWith('Empty batch')
+
+    const full = batchRecipients(maxBatchSize)
+    await requestAndSignOperation(9, ZeroAddress, amount * BigInt(full.length), encodeBatch(full, full.map(() => amount)))
+    expect(await liberdus.balanceOf(full[maxBatchSize - 1])).to.equal(amount)
+  })
+
+  it('Should reject a batch larger than the contract balance without paying anyone', async function () {
+    await requestAndSignOperation(0, owner.address, 0, '0x')
+
+    const recipients = batchRecipients(2)
+    const amounts = [ethers.parseUnits('1', 18), ethers.parseUnits('3000000', 18)]
+    const total = amounts[0] + amounts[1]
+    await expect(
+      requestAndSignOperation(9, ZeroAddress, total, encodeBatch(recipients, amounts))
+    ).to.be.revertedWith('Insufficient contract balance')
+
+    // A value understating the total cannot be used to get past the balance check
+    await expect(
+      requestAndSignOperation(9, ZeroAddress, amounts[0], encodeBatch(recipients, amounts))
+    ).to.be.reverted
+
+    expect(await liberdus.balanceOf(recipients[0])).to.equal(0)
+  })
+
+  it('Should reject batches whose value does not match the amounts', async function () {
+    await requestAndSignOperation(0, owner.address, 0, '0x')
+
+    const recipients = batchRecipients(2)
+    const amounts = [ethers.parseUnits('1', 18), ethers.parseUnits('2', 18)]
+    await expect(
+      requestAndSignOperation(9, ZeroAddress, ethers.parseUnits('4', 18), encodeBatch(recipients, amounts))
+    ).to.be.revertedWith('Batch total does not match value')
+
+    await expect(
+      requestAndSignOperation(9, ZeroAddress, amounts[0], encodeBatch(recipients, [amounts[0]]))
+    ).to.be.revertedWith('Recipients and amounts length mismatch')
+
+    await expect(
+      requestAndSignOperation(9, ZeroAddress, amounts[1], encodeBatch(recipients, [0, amounts[1]]))
+    ).to.be.revertedWith('Cannot distribute zero tokens')
+  })
+
+  it('Should reject duplicate or unsorted recipients in a batch', async function () {
+    await requestAndSignOperation(0, owner.address, 0, '0x')
+
+    const [first, second] = batchRecipients(2)
+    const amount = ethers.parseUnits('1', 18)
+    await expect(
+      requestAndSignOperation(9, ZeroAddress, amount * 2n, encodeBatch([first, first], [amount, amount]))
+    ).to.be.revertedWith('Recipients must be unique and in ascending order')
+
+    await expect(
+      requestAndSignOperation(9, ZeroAddress, amount * 2n, encodeBatch([second, first], [amount, amount]))
+    ).to.be.revertedWith('Recipients must be unique and in ascending order')
+  })
+
+  it('Should keep the gas cost per batch recipient bounded', async function () {
+    await requestAndSignOperation(0, owner.address, 0, '0x')
+    const amount = ethers.parseUnits('1', 18)
+
+    // Gas used by the signature that executes a batch of the given size
+    async function executionGas(recipients) {
+      const data = encodeBatch(recipients, recipients.map(() => amount))
+      const tx = await liberdus.requestOperation(9, ZeroAddress, amount * BigInt(recipients.length), data)
+      const operationId = (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+      let receipt
+      for (let i = 0; i < 3; i++) {
+        const signature = await signOperation(liberdus, signers[i], operationId)
+        receipt = await (await liberdus.connect(signers[i]).submitSignature(operationId, signature)).wait()
+      }
+      return receipt.gasUsed
+    }
+
+    const recipients = batchRecipients(101)
+    const single = await executionGas(recipients.slice(0, 1))
+    const hundredMore = await executionGas(recipients.slice(1))
+    const perRecipient = (hundredMore - single) / 99n
+
+    // A new holder costs one cold storage write plus an event
+    expect(perRecipient).to.be.lessThan(40000n)
+    expect(single + perRecipient * 199n).to.be.lessThan(15000000n)
+  })
+
+  it('Should report executed, pending and expired operations with per-signer status', async function () {
+    const executed = await requestAndSignOperation(0, owner.address, 0, '0x')
+
+    const expiringTx = await liberdus.requestOperation(3, ZeroAddress, 0, '0x')
+    const expiring = (await expiringTx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+    await time.increase(3 * 24 * 60 * 60 + 1)
+
+    const pendingTx = await liberdus.requestOperation(8, recipient.address, 100, '0x')
+    const pending = (await pendingTx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+    for (const i of [1, 3]) {
+      const signature = await signOperation(liberdus, signers[i], pending)
+      await liberdus.connect(signers[i]).submitSignature(pending, signature)
+    }
+
+    let operation = await liberdus.getOperation(executed)
+    expect(operation.operationId).to.equal(executed)
+    expect(operation.executed).to.be.true
+    expect(operation.expired).to.be.false
+    expect(operation.numSignatures).to.equal(3)
+    expect(operation.signers).to.deep.equal(signers.map(s => s.address))
+    expect(operation.signed).to.deep.equal([true, true, true, false])
+
+    operation = await liberdus.getOperation(expiring)
+    expect(operation.opType).to.equal(3)
+    expect(operation.executed).to.be.false
+    expect(operation.expired).to.be.true
+    expect(operation.signed).to.deep.equal([false, false, false, false])
+
+    operation = await liberdus.getOperation(pending)
+    expect(operation.target).to.equal(recipient.address)
+    expect(operation.value).to.equal(100)
+    expect(operation.expired).to.be.false
+    expect(operation.signed).to.deep.equal([false, true, false, true])
+    expect(await liberdus.hasSigned(pending, signer3.address)).to.be.true
+    expect(await liberdus.hasSigned(pending, owner.address)).to.be.false
+
+    await expect(liberdus.getOperation(ethers.ZeroHash)).to.be.revertedWith("Operation not found")
+  })
+
+  it('Should page through operation ids in request order', async function () {
+    const ids = []
+    for (let i = 0; i < 5; i++) {
+      const tx = await liberdus.requestOperation(3, ZeroAddress, 0, '0x')
+      ids.push((await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId)
+    }
+
+    expect(await liberdus.operationCount()).to.equal(5)
+    expect(await liberdus.getOperationIds(0, 2)).to.deep.equal(ids.slice(0, 2))
+    expect(await liberdus.getOperationIds(2, 2)).to.deep.equal(ids.slice(2, 4))
+    expect(await liberdus.getOperationIds(4, 2)).to.deep.equal(ids.slice(4))
+    expect(await liberdus.getOperationIds(5, 2)).to.deep.equal([])
+    expect(await liberdus.getOperationIds(1, ethers.MaxUint256)).to.deep.equal(ids.slice(1))
+
+    expect(await liberdus.getOperationIdAt(3)).to.equal(ids[3])
+    await expect(liberdus.getOperationIdAt(5)).to.be.revertedWith("Index out of range")
+  })
+
+  it('Should never execute a cancelled operation', async function () {
+    await requestAndSignOperation(0, owner.address, 0, '0x')
+    const tx = await liberdus.requestOperation(8, recipient.address, ethers.parseUnits('1000', 18), '0x')
+    const operationId = (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+    const signatures = []
+    for (let i = 0; i < 3; i++) {
+      signatures[i] = await signOperation(liberdus, signers[i], operationId)
+    }
+    await liberdus.connect(signers[0]).submitSignature(operationId, signatures[0])
+    await liberdus.connect(signers[1]).submitSignature(operationId, signatures[1])
+
+    await expect(liberdus.connect(recipient).cancelOperation(operationId)).to.be.revertedWith("Not a signer")
+    await expect(liberdus.connect(signer3).cancelOperation(operationId))
+      .to.emit(liberdus, "OperationCancelled")
+      .withArgs(operationId, signer3.address, anyValue)
+    await expect(liberdus.connect(signer3).cancelOperation(operationId)).to.be.revertedWith("Operation already cancelled")
+
+    // The signature that would have reached quorum can no longer be submitted
+    await expect(
+      liberdus.connect(signers[2]).submitSignature(operationId, signatures[2])
+    ).to.be.revertedWith("Operation cancelled")
+    await expect(liberdus.connect(signers[0]).revokeSignature(operationId)).to.be.revertedWith("Operation cancelled")
+    expect(await liberdus.balanceOf(recipient.address)).to.equal(0)
+
+    await time.increase(3 * 24 * 60 * 60 + 1)
+    const operation = await liberdus.getOperation(operationId)
+    expect(operation.cancelled).to.be.true
+    expect(operation.executed).to.be.false
+    expect(operation.expired).to.be.false
+
+    const executedId = await requestAndSignOperation(3, ZeroAddress, 0, '0x')
+    await expect(liberdus.connect(signer3).cancelOperation(executedId)).to.be.revertedWith("Operation already executed")
+    await expect(liberdus.connect(signer3).cancelOperation(ethers.ZeroHash)).to.be.revertedWith("Operation not found")
+  })
+
+  it('Should let a signer revoke their signature before execution', async function () {
+    const tx = await liberdus.requestOperation(3, ZeroAddress, 0, '0x')
+    const operationId = (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+    const sign = async (signer) => liberdus.connect(signer).submitSignature(
+      operationId,
+      await signOperation(liberdus, signer, operationId)
+    )
+
+    await sign(owner)
+    await sign(signer1)
+    await expect(liberdus.connect(signer1).revokeSignature(operationId))
+      .to.emit(liberdus, "SignatureRevoked")
+      .withArgs(operationId, signer1.address, 1, anyValue)
+    await expect(liberdus.connect(signer2).revokeSignature(operationId)).to.be.revertedWith("Signature not submitted")
+    expect((await liberdus.getOperation(operationId)).signed).to.deep.equal([true, false, false, false])
+
+    // The revoked signature no longer counts towards quorum
+    await sign(signer2)
+    expect(await liberdus.paused()).to.be.false
+    await sign(signer1)
+    expect(await liberdus.paused()).to.be.true
+
+    await expect(liberdus.connect(signer1).revokeSignature(operationId)).to.be.revertedWith("Operation already executed")
+  })
+
+  it("Should prevent the signer being replaced from cancelling their replacement", async function () {
+    const tx = await liberdus.requestOperation(7, signer3.address, BigInt(signer4.address), '0x')
+    const operationId = (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+
+    await expect(liberdus.connect(signer3).cancelOperation(operationId)).to.be.revertedWith("Signer being replaced cannot cancel")
+    await expect(liberdus.connect(signer2).cancelOperation(operationId)).to.emit(liberdus, "OperationCancelled")
+  })
+
+  it('Should queue delayed operation types and execute them after the delay', async function () {
+    const delay = 2 * 24 * 60 * 60
+    expect(await liberdus.executionDelays(2)).to.equal(delay)
+    expect(await liberdus.executionDelays(5)).to.equal(delay)
+    expect(await liberdus.executionDelays(7)).to.equal(delay)
+    expect(await liberdus.executionDelays(3)).to.equal(0)
+
+    const tx = await liberdus.requestOperation(2, ZeroAddress, 0, '0x')
+    const operationId = (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+    await expect(liberdus.executeOperation(operationId)).to.be.revertedWith("Operation not queued")
+
+    let receipt
+    for (let i = 0; i < 3; i++) {
+      const signature = await signOperation(liberdus, signers[i], operationId)
+      receipt = await (await liberdus.connect(signers[i]).submitSignature(operationId, signature)).wait()
+    }
+    const executableAt = BigInt((await ethers.provider.getBlock(receipt.blockNumber)).timestamp + delay)
+    await expect(receipt).to.emit(liberdus, "OperationQueued").withArgs(operationId, 2, executableAt)
+    expect(await liberdus.isPreLaunch()).to.be.true
+
+    await time.setNextBlockTimestamp(executableAt - BigInt(1))
+    await expect(liberdus.executeOperation(operationId)).to.be.revertedWith("Execution delay not passed")
+
+    // The deadline only bounds signing, so the queued operation outlives it
+    await time.increaseTo(executableAt + BigInt(3 * 24 * 60 * 60))
+    expect((await liberdus.getOperation(operationId)).expired).to.be.false
+    expect(await liberdus.isOperationExpired(operationId)).to.be.false
+
+    // Anyone may execute once the delay has passed, but only once
+    await expect(liberdus.connect(recipient).executeOperation(operationId))
+      .to.emit(liberdus, "OperationExecuted").withArgs(operationId, 2)
+    expect(await liberdus.isPreLaunch()).to.be.false
+    await expect(liberdus.executeOperation(operationId)).to.be.revertedWith("Operation already executed")
+  })
+
+  it('Should keep pause immediate while other operations are delayed', async function () {
+    await requestAndSignOperation(0, owner.address, 0, '0x')
+    const tx = await liberdus.requestOperation(3, ZeroAddress, 0, '0x')
+    const operationId = (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+    for (let i = 0; i < 3; i++) {
+      const signature = await signOperation(liberdus, signers[i], operationId)
+      await liberdus.connect(signers[i]).submitSignature(operationId, signature)
+    }
+    expect(await liberdus.paused()).to.be.true
+    expect((await liberdus.getOperation(operationId)).executableAt).to.equal(0)
+
+    const pauseType = ethers.AbiCoder.defaultAbiCoder().encode(['uint8'], [3])
+    await expect(
+      requestAndSignOperation(11, ZeroAddress, 60, pauseType)
+    ).to.be.revertedWith("Pause cannot be delayed")
+  })
+
+  it('Should change per-type delays through a delayed operation', async function () {
+    const distributeType = ethers.AbiCoder.defaultAbiCoder().encode(['uint8'], [8])
+    expect(await liberdus.executionDelays(11)).to.equal(2 * 24 * 60 * 60)
+    const operationId = await requestAndSignOperation(11, ZeroAddress, 3600, distributeType)
+    expect(await liberdus.executionDelays(8)).to.equal(3600)
+    const [event] = await liberdus.queryFilter(liberdus.filters.ExecutionDelayUpdated(operationId))
+    expect(event.args.opType).to.equal(8)
+    expect(event.args.delay).to.equal(3600)
+
+    // Removing the delay makes post-launch execute on quorum again
+    await requestAndSignOperation(11, ZeroAddress, 0, ethers.AbiCoder.defaultAbiCoder().encode(['uint8'], [2]))
+    const tx = await liberdus.requestOperation(2, ZeroAddress, 0, '0x')
+    const postLaunchId = (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+    for (let i = 0; i < 3; i++) {
+      const signature = await signOperation(liberdus, signers[i], postLaunchId)
+      await liberdus.connect(signers[i]).submitSignature(postLaunchId, signature)
+    }
+    expect(await liberdus.isPreLaunch()).to.be.false
+
+    await expect(
+      requestAndSignOperation(11, ZeroAddress, 31 * 24 * 60 * 60, distributeType)
+    ).to.be.revertedWith("Delay too long")
+  })
+
+  it('Should take a queued operation out of the queue when a signature is revoked or it is cancelled', async function () {
+    const tx = await liberdus.requestOperation(5, bridgeInCaller.address, 0, '0x')
+    const operationId = (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+    for (let i = 0; i < 3; i++) {
+      const signature = await signOperation(liberdus, signers[i], operationId)
+      await liberdus.connect(signers[i]).submitSignature(operationId, signature)
+    }
+
+    await liberdus.connect(signer2).revokeSignature(operationId)
+    expect((await liberdus.getOperation(operationId)).executableAt).to.equal(0)
+    await time.increase(2 * 24 * 60 * 60)
+    await expect(liberdus.executeOperation(operationId)).to.be.revertedWith("Operation not queued")
+
+    // Back in the queue with a fresh delay, then stopped during the delay
+    const signature = await signOperation(liberdus, signer3, operationId)
+    await liberdus.connect(signer3).submitSignature(operationId, signature)
+    const { executableAt } = await liberdus.getOperation(operationId)
+    for (const signer of [signer1, signer2, signer3]) {
+      await liberdus.connect(signer).cancelOperation(operationId)
+    }
+    await time.increaseTo(executableAt)
+    await expect(liberdus.executeOperation(operationId)).to.be.revertedWith("Operation cancelled")
+    expect(await liberdus.bridgeInCaller()).to.equal(ZeroAddress)
+  })
+
+  it('Should let one signer cancel a pending operation but need a quorum to cancel a queued one', async function () {
+    const request = async () => {
+      const tx = await liberdus.requestOperation(5, bridgeInCaller.address, 0, '0x')
+      return (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+    }
+    const sign = async (operationId, count) => {
+      for (const signer of signers.slice(0, count)) {
+        await liberdus.connect(signer).submitSignature(operationId, await signOperation(liberdus, signer, operationId))
+      }
+    }
+
+    // Short of quorum, a single signer stops it
+    const pendingId = await request()
+    await sign(pendingId, 2)
+    await expect(liberdus.connect(signer3).cancelOperation(pendingId))
+      .to.emit(liberdus, "OperationCancelled")
+      .withArgs(pendingId, signer3.address, anyValue)
+    expect((await liberdus.getOperation(pendingId)).cancelled).to.be.true
+
+    // Once queued, every approval short of the threshold only counts
+    const queuedId = await request()
+    await sign(queuedId, 3)
+    const { executableAt } = await liberdus.getOperation(queuedId)
+    await expect(liberdus.connect(signer3).cancelOperation(queuedId))
+      .to.emit(liberdus, "CancellationApproved")
+      .withArgs(queuedId, signer3.address, 1, 3, anyValue)
+      .and.not.to.emit(liberdus, "OperationCancelled")
+    await expect(liberdus.connect(signer3).cancelOperation(queuedId)).to.be.revertedWith("Cancellation already approved")
+    await liberdus.connect(signer2).cancelOperation(queuedId)
+    expect((await liberdus.getOperation(queuedId)).cancelled).to.be.false
+
+    await expect(liberdus.connect(signer1).cancelOperation(queuedId))
+      .to.emit(liberdus, "OperationCancelled")
+      .withArgs(queuedId, signer1.address, anyValue)
+    await time.increaseTo(executableAt)
+    await expect(liberdus.executeOperation(queuedId)).to.be.revertedWith("Operation cancelled")
+    expect(await liberdus.bridgeInCaller()).to.equal(ZeroAddress)
+  })
+
+  it('Should requeue a revoked operation past its original deadline and clear its cancel approvals', async function () {
+    const tx = await liberdus.requestOperation(5, bridgeInCaller.address, 0, '0x')
+    const operationId = (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+    for (const signer of [owner, signer1, signer2]) {
+      await liberdus.connect(signer).submitSignature(operationId, await signOperation(liberdus, signer, operationId))
+    }
+    const { deadline } = await liberdus.getOperation(operationId)
+    await liberdus.connect(owner).cancelOperation(operationId)
+
+    // Revoking after the original deadline still leaves time to sign again
+    await time.increaseTo(deadline + 1n)
+    const revoke = liberdus.connect(signer2).revokeSignature(operationId)
+    await expect(revoke)
+      .to.emit(liberdus, "OperationRequeued")
+      .withArgs(operationId, 2, anyValue)
+    await expect(revoke).to.emit(liberdus, "SignatureRevoked").withArgs(operationId, signer2.address, 2, anyValue)
+    const requeued = await liberdus.getOperation(operationId)
+    expect(requeued.executableAt).to.equal(0)
+    expect(requeued.deadline).to.equal(BigInt(await time.latest()) + 3n * 24n * 60n * 60n)
+
+    await liberdus.connect(signer3).submitSignature(operationId, await signOperation(liberdus, signer3, operationId))
+    const { executableAt } = await liberdus.getOperation(operationId)
+    expect(executableAt).to.not.equal(0)
+
+    // The approval given while it was first queued no longer counts
+    await expect(liberdus.connect(owner).cancelOperation(operationId))
+      .to.emit(liberdus, "CancellationApproved")
+      .withArgs(operationId, owner.address, 1, 3, anyValue)
+    await time.increaseTo(executableAt)
+    await liberdus.executeOperation(operationId)
+    expect(await liberdus.bridgeInCaller()).to.equal(bridgeInCaller.address)
+  })
+
+  it('Should fit within the contract size limit', async function () {
+    // EIP-170; see the optimizer settings in hardhat.config.js
+    const code = await ethers.provider.getCode(await liberdus.getAddress())
+    expect(ethers.dataLength(code)).to.be.at.most(24576)
+  })
+
+  it('Should deploy with any number of signers and a threshold within bounds', async function () {
+    const LiberdusToken = await ethers.getContractFactory("Liberdus")
+    const six = (await ethers.getSigners()).slice(0, 6).map(a => a.address)
+    const token = await LiberdusToken.deploy(six, 4, chainId)
+    expect(await token.getSigners()).to.deep.equal(six)
+    expect(await token.requiredSignatures()).to.equal(4)
+
+    await expect(LiberdusToken.deploy(six, 7, chainId)).to.be.revertedWith("Required signatures exceed signer count")
+    await expect(LiberdusToken.deploy(six, 0, chainId)).to.be.revertedWith("Required signatures must be greater than zero")
+    await expect(LiberdusToken.deploy([six[0], six[1], six[0]], 2, chainId)).to.be.revertedWith("Duplicate signer address")
+    await expect(LiberdusToken.deploy([six[0], ZeroAddress], 1, chainId)).to.be.revertedWith("Invalid signer address")
+  })
+
+  it('Should add and remove signers and change the threshold through operations', async function () {
+    await requestAndSignOperation(12, signer4.address, 0, '0x')
+    signers = [...signers, signer4]
+    expect(await liberdus.getSigners()).to.deep.equal(signers.map(s => s.address))
+    await expect(liberdus.requestOperation(12, signer4.address, 0, '0x')).to.be.revertedWith("New signer already exists")
+    await expect(liberdus.requestOperation(12, ZeroAddress, 0, '0x')).to.be.revertedWith("Invalid signer address")
+
+    const raiseId = await requestAndSignOperation(14, ZeroAddress, 4, '0x')
+    const [raised] = await liberdus.queryFilter(liberdus.filters.RequiredSignaturesUpdated(raiseId))
+    expect(raised.args.oldRequiredSignatures).to.equal(3)
+    expect(raised.args.newRequiredSignatures).to.equal(4)
+
+    // Four of five must now sign, so three signatures only leave it pending
+    const tx = await liberdus.requestOperation(3, ZeroAddress, 0, '0x')
+    const pauseId = (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+    for (const signer of [owner, signer1, signer2]) {
+      const signature = await signOperation(liberdus, signer, pauseId)
+      await liberdus.connect(signer).submitSignature(pauseId, signature)
+    }
+    expect(await liberdus.paused()).to.be.false
+    const signature = await signOperation(liberdus, signer4, pauseId)
+    await liberdus.connect(signer4).submitSignature(pauseId, signature)
+    expect(await liberdus.paused()).to.be.true
+    await requestAndSignOperation(4, ZeroAddress, 0, '0x')
+
+    await expect(liberdus.requestOperation(14, ZeroAddress, 6, '0x')).to.be.revertedWith("Required signatures exceed signer count")
+    await expect(liberdus.requestOperation(14, ZeroAddress, 0, '0x')).to.be.revertedWith("Required signatures must be greater than zero")
+
+    // Removing one of five keeps quorum at four possible; removing another would not
+    await requestAndSignOperation(13, signer2.address, 0, '0x')
+    signers = [owner, signer1, signer3, signer4]
+    expect(await liberdus.getSigners()).to.deep.equal(signers.map(s => s.address))
+    expect(await liberdus.isSigner(signer2.address)).to.be.false
+    await expect(
+      liberdus.requestOperation(13, signer3.address, 0, '0x')
+    ).to.be.revertedWith("Removal would make quorum impossible")
+  })
+
+  it('Should stop counting signatures from removed signers', async function () {
+    const tx = await liberdus.requestOperation(3, ZeroAddress, 0, '0x')
+    const pauseId = (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+    for (const signer of [signer2, signer3]) {
+      const signature = await signOperation(liberdus, signer, pauseId)
+      await liberdus.connect(signer).submitSignature(pauseId, signature)
+    }
+
+    // signer3 is removed while its signature sits on the pause operation
+    await requestAndSignOperation(13, signer3.address, 0, '0x')
+    await expect(liberdus.connect(signer3).cancelOperation(pauseId)).to.be.revertedWith("Not a signer")
+    expect((await liberdus.getOperation(pauseId)).numSignatures).to.equal(1)
+
+    const signature = await signOperation(liberdus, owner, pauseId)
+    await liberdus.connect(owner).submitSignature(pauseId, signature)
+    expect(await liberdus.paused()).to.be.false
+
+    const signature1 = await signOperation(liberdus, signer1, pauseId)
+    await liberdus.connect(signer1).submitSignature(pauseId, signature1)
+    expect(await liberdus.paused()).to.be.true
+  })
+
+  it('Should send a queued operation that lost quorum during the delay back for signatures', async function () {
+    await requestAndSignOperation(12, signer4.address, 0, '0x')
+    const request = async (target) => {
+      const tx = await liberdus.requestOperation(5, target, 0, '0x')
+      const operationId = (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+      for (const signer of [signer1, signer2, signer3]) {
+        const signature = await signOperation(liberdus, signer, operationId)
+        await liberdus.connect(signer).submitSignature(operationId, signature)
+      }
+      return operationId
+    }
+    const executedId = await request(bridgeInCaller.address)
+    const signedId = await request(recipient.address)
+    const { executableAt } = await liberdus.getOperation(executedId)
+
+    // signer3 is removed while both operations wait out their delay
+    await requestAndSignOperation(13, signer3.address, 0, '0x')
+    if (BigInt(await time.latest()) < executableAt) {
+      await time.increaseTo(executableAt)
+    }
+
+    // Executing it only takes it out of the queue, with a fresh deadline
+    await expect(liberdus.executeOperation(executedId))
+      .to.emit(liberdus, "OperationRequeued")
+      .withArgs(executedId, 2, BigInt(await time.latest()) + 1n + BigInt(3 * 24 * 60 * 60))
+    expect(await liberdus.bridgeInCaller()).to.equal(ZeroAddress)
+    expect((await liberdus.getOperation(executedId)).executableAt).to.equal(0)
+    await expect(liberdus.executeOperation(executedId)).to.be.revertedWith("Operation not queued")
+
+    // Another signature queues it again for a full delay
+    await liberdus.connect(signer4).submitSignature(executedId, await signOperation(liberdus, signer4, executedId))
+    const requeued = await liberdus.getOperation(executedId)
+    expect(requeued.numSignatures).to.equal(3)
+    await time.increaseTo(requeued.executableAt)
+    await liberdus.executeOperation(executedId)
+    expect(await liberdus.bridgeInCaller()).to.equal(bridgeInCaller.address)
+
+    // A signature alone also requeues an operation that lost quorum
+    await expect(liberdus.connect(owner).submitSignature(signedId, await signOperation(liberdus, owner, signedId)))
+      .to.emit(liberdus, "OperationRequeued")
+      .and.to.emit(liberdus, "OperationQueued")
+    expect((await liberdus.getOperation(signedId)).executableAt).to.be.greaterThan(await time.latest())
+  })
+
+  it('Should accept operations signed as EIP-712 typed data', async function () {
+    const data = ethers.AbiCoder.defaultAbiCoder().encode(['bool'], [true])
+    const tx = await liberdus.requestOperation(10, ZeroAddress, peerChainId, data)
+    const operationId = (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+
+    // The digest is rebuilt off-chain from the readable fields and the domain
+    const typed = buildTypedOperation({
+      operationId,
+      opType: 10,
+      target: ZeroAddress,
+      value: peerChainId,
+      data,
+      chainId,
+      contract: await liberdus.getAddress()
+    })
+    expect(typed.message.opType).to.equal(10)
+    expect(computeOperationHash({ ...typed.message, chainId, contract: await liberdus.getAddress() }))
+      .to.equal(await liberdus.getOperationHash(operationId))
+    expect(await liberdus.DOMAIN_SEPARATOR())
+      .to.equal(ethers.TypedDataEncoder.hashDomain(typed.domain))
+
+    for (const signer of signers.slice(0, 3)) {
+      const signature = await signer.signTypedData(typed.domain, typed.types, typed.message)
+      await liberdus.connect(signer).submitSignature(operationId, signature)
+    }
+    expect(await liberdus.supportedChains(peerChainId)).to.be.true
+  })
+
+  it('Should reject raw digest and typed-data signatures over different fields', async function () {
+    const tx = await liberdus.requestOperation(8, recipient.address, 100, '0x')
+    const operationId = (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+    const contract = await liberdus.getAddress()
+
+    // An EIP-191 signature over the digest no longer recovers to the signer
+    const prefixed = await owner.signMessage(ethers.getBytes(await liberdus.getOperationHash(operationId)))
+    await expect(
+      liberdus.connect(owner).submitSignature(operationId, prefixed)
+    ).to.be.revertedWith("Signature signer must be message sender")
+
+    // Nor does one over another amount, or for another contract
+    const forged = [
+      buildTypedOperation({ operationId, opType: 8, target: recipient.address, value: 1000, data: '0x', chainId, contract }),
+      buildTypedOperation({ operationId, opType: 8, target: recipient.address, value: 100, data: '0x', chainId, contract: recipient.address })
+    ]
+    for (const typed of forged) {
+      const signature = await owner.signTypedData(typed.domain, typed.types, typed.message)
+      await expect(
+        liberdus.connect(owner).submitSignature(operationId, signature)
+      ).to.be.revertedWith("Signature signer must be message sender")
+    }
+  })
+
+  it('Should reject malformed payloads for every operation type at request time', async function () {
+    const coder = ethers.AbiCoder.defaultAbiCoder()
+    const [first, second] = batchRecipients(2)
+    const cases = [
+      [0, ZeroAddress, 1, '0x', 'Unexpected value'],
+      [1, ZeroAddress, 0, '0x', 'Cannot burn zero tokens'],
+      [1, ZeroAddress, 1, '0x01', 'Unexpected data'],
+      [2, ZeroAddress, 0, '0x01', 'Unexpected data'],
+      [3, ZeroAddress, 1, '0x', 'Unexpected value'],
+      [4, ZeroAddress, 0, '0x01', 'Unexpected data'],
+      [5, ZeroAddress, 0, '0x', 'Invalid bridge-in caller'],
+      [6, ZeroAddress, 100, '0x1234', 'Invalid data length'],
+      [6, ZeroAddress, 100, coder.encode(['uint256', 'uint256'], [50, 3600]), 'Window limit below max amount'],
+      [6, ZeroAddress, 100, coder.encode(['uint256', 'uint256'], [100, 0]), 'Window duration must be greater than zero'],
+      [7, signer3.address, 0, '0x', 'Invalid signer address'],
+      [7, signer3.address, ethers.MaxUint256, '0x', 'Invalid signer address'],
+      [8, ZeroAddress, 100, '0x', 'Invalid recipient'],
+      [8, recipient.address, 0, '0x', 'Cannot distribute zero tokens'],
+      [9, ZeroAddress, 3, encodeBatch([first, second], [1, 1]), 'Batch total does not match value'],
+      [9, ZeroAddress, 2, encodeBatch([second, first], [1, 1]), 'Recipients must be unique and in ascending order'],
+      [9, ZeroAddress, 1, encodeBatch([first, second], [1]), 'Recipients and amounts length mismatch'],
+      [10, ZeroAddress, 0, coder.encode(['bool'], [true]), 'Invalid chain ID'],
+      [10, ZeroAddress, chainId, coder.encode(['bool'], [true]), 'Cannot bridge to own chain'],
+      [10, ZeroAddress, peerChainId, '0x', 'Invalid data length'],
+      [11, ZeroAddress, 60, coder.encode(['uint8'], [3]), 'Pause cannot be delayed'],
+      [11, ZeroAddress, 60, '0x', 'Invalid data length'],
+      [12, signer4.address, 1, '0x', 'Unexpected value'],
+      [13, signer3.address, 0, '0x01', 'Unexpected data'],
+      [14, ZeroAddress, 2, '0x01', 'Unexpected data'],
+      [15, ZeroAddress, 0, '0x', 'Invalid treasury']
+    ]
+    for (const [opType, target, value, data, message] of cases) {
+      await expect(liberdus.requestOperation(opType, target, value, data), `opType ${opType}: ${message}`)
+        .to.be.revertedWith(message)
+    }
+
+    // Payloads that don't decode at all revert without a reason
+    await expect(liberdus.requestOperation(9, ZeroAddress, 1, '0x1234')).to.be.reverted
+    await expect(liberdus.requestOperation(10, ZeroAddress, peerChainId, coder.encode(['uint256'], [2]))).to.be.reverted
+    await expect(liberdus.requestOperation(11, ZeroAddress, 60, coder.encode(['uint256'], [99]))).to.be.reverted
+
+    expect(await liberdus.operationCount()).to.equal(0)
+  })
+
+  describe('Deployments on the same chain', function () {
+    let other
+
+    async function request(token) {
+      const tx = await token.requestOperation(8, recipient.address, 100, '0x')
+      return (await tx.wait()).logs.find(log => log.fragment.name === 'OperationRequested').args.operationId
+    }
+
+    beforeEach(async function () {
+      other = await (await ethers.getContractFactory('Liberdus')).deploy(signers.map(s => s.address), 3, chainId)
+      await other.waitForDeployment()
+    })
+
+    it('Should derive distinct operation ids that match the JS helper', async function () {
+      const operationId = await request(liberdus)
+      const otherId = await request(other)
+      expect(operationId).to.not.equal(otherId)
+
+      for (const [token, id] of [[liberdus, operationId], [other, otherId]]) {
+        expect(computeOperationId({
+          contract: await token.getAddress(),
+          chainId,
+          index: 0,
+          opType: 8,
+          target: recipient.address,
+          value: 100,
+          data: '0x'
+        })).to.equal(id)
+      }
+      expect(await liberdus.getOperationHash(operationId)).to.not.equal(await other.getOperationHash(otherId))
+    })
+
+    it('Should reject signatures made for another deployment', async function () {
+      const operationId = await request(liberdus)
+      const otherId = await request(other)
+
+      // Signed for the other deployment's identical request
+      const signature = await signOperation(other, signer1, otherId)
+      await expect(
+        liberdus.connect(signer1).submitSignature(operationId, signature)
+      ).to.be.revertedWith('Signature signer must be message sender')
+      await expect(
+        liberdus.connect(recipient).submitSignatures(operationId, [signature])
+      ).to.be.revertedWith('Invalid signature')
+
+      // Signed over this deployment's operation id but the other's domain
+      const typed = buildTypedOperation({
+        operationId, opType: 8, target: recipient.address, value: 100, data: '0x', chainId, contract: await other.getAddress()
+      })
+      const crossDomain = await signer1.signTypedData(typed.domain, typed.types, typed.message)
+      await expect(
+        liberdus.connect(signer1).submitSignature(operationId, crossDomain)
+      ).to.be.revertedWith('Signature signer must be message sender')
+
+      expect((await liberdus.getOperation(operationId)).numSignatures).to.equal(0)
+    })
+  })
 });
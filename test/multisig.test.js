@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  OperationType,
+  buildOperation,
+  buildBatchDistribution,
+  validateOperation,
+  requestOperation,
+  signOperation,
+  getOperationStatus
+} = require("../scripts/lib/operations");
+
+describe("Multisig CLI helpers", function () {
+  let liberdus;
+  let signers;
+  let recipient;
+
+  beforeEach(async function () {
+    const accounts = await ethers.getSigners();
+    signers = accounts.slice(0, 4);
+    recipient = accounts[5];
+
+    const chainId = BigInt((await ethers.provider.getNetwork()).chainId);
+    const LiberdusToken = await ethers.getContractFactory("Liberdus");
+    liberdus = await LiberdusToken.deploy(signers.map(s => s.address), 3, chainId);
+    await liberdus.waitForDeployment();
+  });
+
+  async function approve(operationId, count = 3) {
+    for (let i = 0; i < count; i++) {
+      const signature = await signOperation(liberdus, signers[i], operationId);
+      await liberdus.connect(signers[i]).submitSignature(operationId, signature);
+    }
+  }
+
+  it("Should build typed operation payloads", async function () {
+    const limits = buildOperation("set-bridge-limits", { max: "20000", "window-limit": "200000", window: "86400" });
+    expect(limits.opType).to.equal(OperationType.SetBridgeInLimits);
+    expect(limits.value).to.equal(ethers.parseUnits("20000", 18));
+    expect(ethers.AbiCoder.defaultAbiCoder().decode(["uint256", "uint256"], limits.data))
+      .to.deep.equal([ethers.parseUnits("200000", 18), 86400n]);
+
+    const update = buildOperation("update-signer", { old: signers[3].address, new: recipient.address });
+    expect(update.target).to.equal(signers[3].address);
+    expect(update.value).to.equal(BigInt(recipient.address));
+
+    const delay = buildOperation("set-execution-delay", { operation: "postlaunch", delay: "0" });
+    expect(delay.value).to.equal(0n);
+    expect(ethers.AbiCoder.defaultAbiCoder().decode(["uint8"], delay.data)[0]).to.equal(BigInt(OperationType.PostLaunch));
+    expect(() => buildOperation("set-execution-delay", { operation: "Teleport", delay: "60" })).to.throw("Invalid operation type");
+
+    const threshold = buildOperation("set-required-signatures", { threshold: "4" });
+    expect([threshold.opType, threshold.value]).to.deep.equal([OperationType.SetRequiredSignatures, 4n]);
+    expect(buildOperation("remove-signer", { signer: signers[2].address }).target).to.equal(signers[2].address);
+    expect(() => buildOperation("set-required-signatures", { threshold: "0" })).to.throw("--threshold");
+
+    expect(() => buildOperation("burn", {})).to.throw("Missing required argument --amount");
+    expect(() => buildOperation("distribute", { to: "0x1234", amount: "1" })).to.throw("Invalid address for --to");
+    expect(() => buildOperation("burn", { amount: "0" })).to.throw("--amount must be greater than zero");
+    expect(() => buildOperation("set-bridge-limits", { max: "1", "window-limit": "1", window: "1.5" })).to.throw("--window");
+    expect(() => buildOperation("teleport")).to.throw("Unknown operation");
+  });
+
+  it("Should validate every operation type before it is requested", async function () {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const { ZeroAddress } = ethers;
+    const batch = buildBatchDistribution([{ address: signers[1].address, units: 1n }, { address: signers[2].address, units: 2n }]);
+    expect(batch.value).to.equal(3n);
+
+    const cases = [
+      [OperationType.Mint, ZeroAddress, 1n, "0x", "Unexpected value"],
+      [OperationType.Burn, ZeroAddress, 0n, "0x", "Cannot burn zero tokens"],
+      [OperationType.PostLaunch, ZeroAddress, 0n, "0x01", "Unexpected data"],
+      [OperationType.Pause, ZeroAddress, 2n, "0x", "Unexpected value"],
+      [OperationType.Unpause, ZeroAddress, 0n, "0x01", "Unexpected data"],
+      [OperationType.SetBridgeInCaller, ZeroAddress, 0n, "0x", "Invalid bridge-in caller"],
+      [OperationType.SetBridgeInLimits, ZeroAddress, 10n, coder.encode(["uint256"], [10]), "Invalid data length"],
+      [OperationType.SetBridgeInLimits, ZeroAddress, 10n, coder.encode(["uint256", "uint256"], [5, 60]), "Window limit below max amount"],
+      [OperationType.UpdateSigner, signers[3].address, 2n ** 160n, "0x", "Invalid signer address"],
+      [OperationType.DistributeTokens, ZeroAddress, 1n, "0x", "Invalid recipient"],
+      [OperationType.DistributeTokensBatch, ZeroAddress, 4n, batch.data, "Batch total does not match value"],
+      [OperationType.DistributeTokensBatch, ZeroAddress, 0n, coder.encode(["address[]", "uint256[]"], [[], []]), "Empty batch"],
+      [OperationType.DistributeTokensBatch, ZeroAddress, 1n, "0x1234", "Malformed data"],
+      [OperationType.SetSupportedChain, ZeroAddress, 5n, coder.encode(["uint256"], [2]), "Malformed data"],
+      [OperationType.SetSupportedChain, ZeroAddress, 0n, coder.encode(["bool"], [true]), "Invalid chain ID"],
+      [OperationType.SetExecutionDelay, ZeroAddress, 60n, coder.encode(["uint8"], [OperationType.Pause]), "Pause cannot be delayed"],
+      [OperationType.SetExecutionDelay, ZeroAddress, 31n * 86400n, coder.encode(["uint8"], [OperationType.Mint]), "Delay too long"],
+      [OperationType.AddSigner, ZeroAddress, 0n, "0x", "Invalid signer address"],
+      [OperationType.RemoveSigner, signers[3].address, 1n, "0x", "Unexpected value"],
+      [OperationType.SetRequiredSignatures, ZeroAddress, 0n, "0x", "Required signatures must be greater than zero"],
+      [OperationType.SweepToTreasury, ZeroAddress, 0n, "0x", "Invalid treasury"]
+    ];
+    for (const [opType, target, value, data, message] of cases) {
+      expect(() => validateOperation({ opType, target, value, data }), message).to.throw(message);
+    }
+
+    const chainId = await liberdus.chainId();
+    const ownChain = buildOperation("set-supported-chain", { chain: chainId.toString() });
+    expect(() => validateOperation(ownChain, { chainId })).to.throw("Cannot bridge to own chain");
+    expect(() => buildOperation("set-execution-delay", { operation: "Pause", delay: "60" })).to.throw("Pause cannot be delayed");
+    expect(() => buildBatchDistribution([{ address: recipient.address, units: 0n }])).to.throw("Cannot distribute zero tokens");
+
+    // Nothing is sent for a payload the contract would reject
+    await expect(requestOperation(liberdus, ownChain)).to.be.rejectedWith("Cannot bridge to own chain");
+    expect(await liberdus.operationCount()).to.equal(0n);
+  });
+
+  it("Should request, sign and execute a distribution", async function () {
+    const mint = await requestOperation(liberdus, buildOperation("mint"));
+    await approve(mint.operationId);
+
+    const distribution = await requestOperation(
+      liberdus,
+      buildOperation("distribute", { to: recipient.address, amount: "12.5" })
+    );
+    await approve(distribution.operationId);
+
+    expect(await liberdus.balanceOf(recipient.address)).to.equal(ethers.parseUnits("12.5", 18));
+
+    const status = await getOperationStatus(liberdus, distribution.operationId);
+    expect(status.opType).to.equal("DistributeTokens");
+    expect(status.executed).to.be.true;
+    expect(status.signedBy).to.deep.equal(signers.slice(0, 3).map(s => s.address));
+  });
+
+  it("Should report pending and expired operations", async function () {
+    const { operationId } = await requestOperation(liberdus, buildOperation("pause"));
+    await approve(operationId, 1);
+
+    let status = await getOperationStatus(liberdus, operationId);
+    expect(status.numSignatures).to.equal(1n);
+    expect(status.requiredSignatures).to.equal(3n);
+    expect(status.expired).to.be.false;
+
+    await network.provider.send("evm_increaseTime", [3 * 24 * 60 * 60 + 1]);
+    await network.provider.send("evm_mine");
+
+    status = await getOperationStatus(liberdus, operationId);
+    expect(status.executed).to.be.false;
+    expect(status.expired).to.be.true;
+
+    await expect(getOperationStatus(liberdus, ethers.ZeroHash)).to.be.rejectedWith("not found");
+  });
+});
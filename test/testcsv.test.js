@@ -0,0 +1,148 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { promisify } = require("util");
+const { execFile } = require("child_process");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { TASK_NODE_GET_PROVIDER, TASK_NODE_CREATE_SERVER } = require("hardhat/builtin-tasks/task-names");
+const { generateDistributionList, toCsv } = require("../scripts/lib/testcsv");
+const { loadDistributionList, validateDistribution, findContractRecipients } = require("../scripts/lib/distribution");
+
+const ROOT = path.join(__dirname, "..");
+
+describe("Distribution rehearsal fixtures", function () {
+  let owner;
+  let dir;
+
+  async function deployTestToken(decimals = 6) {
+    const TestToken = await ethers.getContractFactory("TestToken");
+    const token = await TestToken.deploy("Test Token", "TEST", decimals, ethers.parseUnits("1000000", decimals));
+    await token.waitForDeployment();
+    return token;
+  }
+
+  beforeEach(async function () {
+    [owner] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "rehearsal-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should mint a test token with its own decimals", async function () {
+    const token = await deployTestToken(6);
+    expect(await token.decimals()).to.equal(6n);
+    expect(await token.balanceOf(owner.address)).to.equal(ethers.parseUnits("1000000", 6));
+
+    const [, other] = await ethers.getSigners();
+    await token.mint(other.address, 5n);
+    expect(await token.balanceOf(other.address)).to.equal(5n);
+    await expect(token.connect(other).mint(other.address, 5n)).to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount");
+  });
+
+  it("Should generate the same list for the same seed", function () {
+    const first = generateDistributionList({ count: 5, seed: "a", tricky: true });
+    expect(generateDistributionList({ count: 5, seed: "a", tricky: true })).to.deep.equal(first);
+    expect(generateDistributionList({ count: 5, seed: "b" })[0].address).not.to.equal(first[0].address);
+    expect(first.map(row => row.line)).to.deep.equal(first.map((row, index) => index + 2));
+  });
+
+  it("Should produce tricky rows that fail exactly as annotated", async function () {
+    const token = await deployTestToken(6);
+    const rows = generateDistributionList({
+      count: 4,
+      decimals: 6,
+      tricky: true,
+      sender: owner.address,
+      contracts: [await token.getAddress()]
+    });
+    const csvPath = path.join(dir, "list.csv");
+    fs.writeFileSync(csvPath, toCsv(rows));
+
+    // Read back through the CSV parser, so quoting and padding are covered too
+    const loaded = loadDistributionList(csvPath);
+    expect(loaded.map(row => row.name)).to.deep.equal(rows.map(row => row.name));
+    const plan = validateDistribution(loaded, { decimals: 6, sender: owner.address });
+    const errors = [...plan.errors, ...await findContractRecipients(ethers.provider, plan.entries)];
+
+    const actual = Object.fromEntries(errors.map(({ line, error }) => [line, error]));
+    const expected = Object.fromEntries(rows.filter(row => row.expected).map(({ line, expected }) => [line, expected]));
+    expect(actual).to.deep.equal(expected);
+    expect(Object.values(expected)).to.include.members([
+      "recipient is the sender",
+      "recipient is a contract",
+      "amount 1.1111111 has more than 6 decimal places"
+    ]);
+  });
+
+  describe("End to end on a local node", function () {
+    let server;
+    let env;
+
+    // The scripts run as separate processes against this test's own chain,
+    // served over JSON-RPC, with a temporary directory for their files and
+    // deployment registry
+    function run(script, args) {
+      return promisify(execFile)("node", [path.join(ROOT, "scripts", script), "--network", "localhost", ...args], {
+        cwd: dir,
+        env: { ...env, DEPLOYMENTS_DIR: path.join(dir, "deployments") }
+      });
+    }
+
+    async function runFailing(script, args) {
+      const error = await run(script, args).then(() => null, error => error);
+      expect(error, `${script} should have failed`).to.not.equal(null);
+      return error;
+    }
+
+    before(async function () {
+      const provider = await hre.run(TASK_NODE_GET_PROVIDER);
+      // The node task turns on per-request logging, which would flood the output
+      await provider.request({ method: "hardhat_setLoggingEnabled", params: [false] });
+      server = await hre.run(TASK_NODE_CREATE_SERVER, { hostname: "127.0.0.1", port: 0, provider });
+      const { port } = await server.listen();
+      env = { ...process.env, HARDHAT_CONFIG: path.join(ROOT, "hardhat.config.js"), LOCALHOST_URL: `http://127.0.0.1:${port}` };
+    });
+
+    after(async function () {
+      await server.close();
+    });
+
+    it("Should deploy, generate and distribute a rehearsal list", async function () {
+      this.timeout(300000);
+
+      await run("deployTestToken.js", ["--decimals", "6", "--supply", "1000000"]);
+      const registry = JSON.parse(fs.readFileSync(path.join(dir, "deployments", "localhost.json"), "utf8"));
+      const token = await ethers.getContractAt("TestToken", registry.contracts.TestToken.address);
+      expect(registry.contracts.TestToken.decimals).to.equal(6);
+      await runFailing("deployTestToken.js", []);
+
+      // The tricky list is refused with every bad row reported
+      await run("createTestCSV.js", ["--count", "3", "--decimals", "6", "--tricky", "--out", "tricky.csv", "--expected", "expected.json"]);
+      const expected = JSON.parse(fs.readFileSync(path.join(dir, "expected.json"), "utf8")).filter(row => row.expected);
+      expect(expected.map(row => row.expected)).to.include("recipient is a contract");
+      const { stdout } = await runFailing("distribute.js", ["--contract", "TestToken", "--csv", "tricky.csv", "--dry-run"]);
+      for (const { line, name, expected: error } of expected) {
+        expect(stdout).to.include(`line ${line} (${name}): ${error}`);
+      }
+
+      // A clean list goes through, and running it again sends nothing
+      await run("createTestCSV.js", ["--count", "6", "--decimals", "6", "--seed", "e2e", "--out", "list.csv"]);
+      await run("distribute.js", ["--contract", "TestToken", "--csv", "list.csv"]);
+      const rows = generateDistributionList({ count: 6, decimals: 6, seed: "e2e" });
+      for (const row of rows) {
+        expect(await token.balanceOf(row.address)).to.equal(ethers.parseUnits(row.amount, 6));
+      }
+      const report = JSON.parse(fs.readFileSync(path.join(dir, "distribution-report.json"), "utf8"));
+      expect(report.summary.ok).to.equal(6);
+
+      const balance = await token.balanceOf(owner.address);
+      const again = await run("distribute.js", ["--contract", "TestToken", "--csv", "list.csv"]);
+      expect(again.stdout).to.include("Still to send: 0.0 TEST");
+      expect(await token.balanceOf(owner.address)).to.equal(balance);
+    });
+  });
+});